@@ -10,6 +10,13 @@ import {updateApplicantsCountOnRemove} from
   "./src/activity-mgt/onRemoveApplication.js";
 import {syncActivityAggregateCounts} from
   "./src/activity-mgt/syncActivityAggregateCounts.js";
+import {
+  rebalanceWaitlist,
+  shouldRebalanceWaitlist,
+  runExpireWaitlistOffers,
+} from "./src/activity-mgt/waitlist.js";
+import {runActivityLifecycle} from "./src/activity-mgt/lifecycle.js";
+import {recordActivityChanges} from "./src/activity-mgt/activityChanges.js";
 import {
   upsertApplicationMirrors,
   deleteApplicationMirrors,
@@ -21,6 +28,16 @@ import {updateActivityCountOnRemove} from
   "./src/activity-mgt/onRemoveActivity.js";
 import {cleanupActivitySubcollectionsAfterDelete} from
   "./src/activity-mgt/cleanupActivityOnDelete.js";
+import {rebuildSearchIndex} from "./src/search/searchIndex.js";
+import {backfillGeohashes} from "./src/geo/geoIndex.js";
+import {backfillQRTokens} from "./src/activity-mgt/qrTokens.js";
+import {backfillVolunteerAccess} from
+  "./src/activity-mgt/volunteerAccess.js";
+import {
+  recordApplicationResponse,
+  runPendingApplicationsSla,
+} from "./src/activity-mgt/applicationSla.js";
+import {runActivityReminders} from "./src/activity-mgt/reminders.js";
 import {onCall} from "firebase-functions/v2/https";
 import {setUserCustomClaims} from "./src/user-mgt/setCustomClaims.js";
 import {
@@ -118,6 +135,17 @@ export const onApplicationCreatedUpdateApplicantsCount = onDocumentCreated(
               mirrorErr,
           );
         }
+        if (createdData.status === "waitlisted") {
+          try {
+            await rebalanceWaitlist(activityId);
+          } catch (waitlistErr) {
+            console.error(
+                "[onApplicationCreatedUpdateApplicantsCount] " +
+                "rebalanceWaitlist failed:",
+                waitlistErr,
+            );
+          }
+        }
       }
     },
 );
@@ -156,6 +184,17 @@ export const onApplicationDeletedUpdateApplicantsCount = onDocumentDeleted(
             mirrorErr,
         );
       }
+      if (["accepted", "offered"].includes(applicationData?.status)) {
+        try {
+          await rebalanceWaitlist(activityId);
+        } catch (waitlistErr) {
+          console.error(
+              "[onApplicationDeletedUpdateApplicantsCount] " +
+              "rebalanceWaitlist failed:",
+              waitlistErr,
+          );
+        }
+      }
     },
 );
 
@@ -245,6 +284,15 @@ export const onApplicationStatusChangedNotifyUser = onDocumentUpdated(
               decErr,
           );
         }
+        try {
+          await recordApplicationResponse(before, after);
+        } catch (statsErr) {
+          console.error(
+              "[onApplicationStatusChangedNotifyUser] " +
+              "recordApplicationResponse failed:",
+              statsErr,
+          );
+        }
       }
 
       try {
@@ -268,6 +316,19 @@ export const onApplicationStatusChangedNotifyUser = onDocumentUpdated(
         return;
       }
 
+      // A freed place (cancel, reject, expired offer) goes to the waitlist
+      if (shouldRebalanceWaitlist(before, after)) {
+        try {
+          await rebalanceWaitlist(activityId);
+        } catch (waitlistErr) {
+          console.error(
+              "[onApplicationStatusChangedNotifyUser] " +
+              "rebalanceWaitlist failed:",
+              waitlistErr,
+          );
+        }
+      }
+
       const userId = after.user_id;
       if (!userId) {
         console.error(
@@ -1086,12 +1147,159 @@ export {
 // Impact: run when activity status changes to Closed
 export {onActivityClosed};
 
+// Activities: notify applicants when an activity is cancelled
+export {onActivityCancelled} from "./src/activity-mgt/onActivityCancelled.js";
+
+// Activities: edit history + notify accepted volunteers of changes
+export const onActivityUpdatedRecordChanges = onDocumentUpdated(
+    "activities/{activityId}",
+    async (event) => {
+      await recordActivityChanges(
+          event.params.activityId,
+          event.data?.before?.data(),
+          event.data?.after?.data(),
+      );
+    },
+);
+
 // Impact: export impact report as Excel
 export {exportImpactReport};
 
+// Activities: read an .xlsx file for the NPO bulk import
+export {parseActivityImportFile} from
+  "./src/activity-mgt/parseActivityImportFile.js";
+
+// Search: index maintained on activity/organization writes + search callable
+export {
+  onActivityWrittenUpdateSearchIndex,
+  onOrganizationWrittenUpdateSearchIndex,
+} from "./src/search/searchIndex.js";
+export {fullTextSearch} from "./src/search/fullTextSearch.js";
+
+/**
+ * Admin only: rebuild the search index from every activity and organization.
+ */
+export const adminRebuildSearchIndex = onCall(
+    {invoker: "public", timeoutSeconds: 540},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      if (request.auth.token?.role !== "admin") {
+        throw new Error("Forbidden: Only admins can rebuild the search index");
+      }
+      const indexed = await rebuildSearchIndex();
+      return {success: true, ...indexed};
+    });
+
+// Calendar: secret feed URLs for members and NPOs (see /api/calendar)
+export {
+  getCalendarFeedToken,
+  getCalendarFeed,
+} from "./src/calendar/calendarFeed.js";
+
+// Activities: sanitized activity for the public page /a/[activityId]
+export {getPublicActivity} from "./src/activity-mgt/getPublicActivity.js";
+
+// Geo: geohash fields and location queries for the activities map
+export {
+  onActivityWrittenUpdateGeohash,
+  onAddressWrittenUpdateGeohash,
+} from "./src/geo/geoIndex.js";
+export {
+  queryActivitiesByLocation,
+} from "./src/geo/queryActivitiesByLocation.js";
+
+/**
+ * Admin only: set the geohash of existing activities and addresses.
+ */
+export const adminBackfillGeohashes = onCall(
+    {invoker: "public", timeoutSeconds: 540},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      if (request.auth.token?.role !== "admin") {
+        throw new Error("Forbidden: Only admins can backfill geohashes");
+      }
+      const updated = await backfillGeohashes();
+      return {success: true, ...updated};
+    });
+
+// Activities: volunteer access mirror read by security rules
+export {
+  onApplicationWrittenSyncVolunteerAccess,
+} from "./src/activity-mgt/volunteerAccess.js";
+
+// Activities: discussion notifications
+export {
+  onDiscussionMessageCreatedNotify,
+} from "./src/activity-mgt/discussion.js";
+
+// Activities: attachment notifications for accepted volunteers
+export {
+  onAttachmentCreatedNotifyVolunteers,
+} from "./src/activity-mgt/attachments.js";
+
+// Activities: NPO announcements to participants
+export {sendActivityBroadcast} from "./src/activity-mgt/broadcasts.js";
+
+// Activities: QR codes for on-site validation
+export {
+  getActivityQRSecret,
+  onActivityWrittenSecureQRToken,
+} from "./src/activity-mgt/qrTokens.js";
+export {
+  validateActivityByQR,
+} from "./src/activity-mgt/validateActivityByQR.js";
+export {
+  applyToActivity,
+  checkActivityEligibility,
+} from "./src/activity-mgt/applyToActivity.js";
+
+/**
+ * Admin only: move the QR tokens of existing activities out of the public
+ * activity documents.
+ */
+export const adminBackfillQRTokens = onCall(
+    {invoker: "public", timeoutSeconds: 540},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      if (request.auth.token?.role !== "admin") {
+        throw new Error("Forbidden: Only admins can backfill QR tokens");
+      }
+      const updated = await backfillQRTokens();
+      return {success: true, ...updated};
+    });
+
+/**
+ * Admin only: volunteer access docs for applications made before the
+ * mirror existed.
+ */
+export const adminBackfillVolunteerAccess = onCall(
+    {invoker: "public", timeoutSeconds: 540},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      if (request.auth.token?.role !== "admin") {
+        throw new Error("Forbidden: Only admins can backfill volunteer access");
+      }
+      const written = await backfillVolunteerAccess();
+      return {success: true, written};
+    });
+
 // Members: sanitized list for public members page (no PII)
 export {getMembersList} from "./src/members/getMembersList.js";
 
+// Members: secret tokens of the personal QR codes scanned at the kiosk
+export {
+  getMemberQRToken,
+  resolveMemberQRToken,
+} from "./src/members/memberQRTokens.js";
+
 // Leaderboard: nightly scheduled job + admin manual trigger
 export {computeLeaderboard};
 
@@ -1133,3 +1341,43 @@ export const sendWeeklyActivityAlerts = onSchedule(
       await processActivityAlerts("weekly");
     },
 );
+
+export const expireWaitlistOffers = onSchedule(
+    {
+      schedule: "*/30 * * * *",
+      timeZone: "Asia/Tokyo",
+    },
+    async () => {
+      await runExpireWaitlistOffers();
+    },
+);
+
+export const advanceActivityLifecycle = onSchedule(
+    {
+      schedule: "*/15 * * * *",
+      timeZone: "Asia/Tokyo",
+    },
+    async () => {
+      await runActivityLifecycle();
+    },
+);
+
+export const sendActivityReminders = onSchedule(
+    {
+      schedule: "*/15 * * * *",
+      timeZone: "Asia/Tokyo",
+    },
+    async () => {
+      await runActivityReminders();
+    },
+);
+
+export const sendPendingApplicationsDigest = onSchedule(
+    {
+      schedule: "0 9 * * *",
+      timeZone: "Asia/Tokyo",
+    },
+    async () => {
+      await runPendingApplicationsSla();
+    },
+);
@@ -0,0 +1,248 @@
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+import {getActivityTimeZone} from "./activityTime.js";
+
+/**
+ * Edit history and change notifications for activities.
+ *
+ * Every update that changes one of HISTORY_FIELDS is recorded under
+ * activities/{activityId}/history/{entryId}:
+ * {
+ *   changed_at: Timestamp;
+ *   changed_by: string | null;      // updated_by set by the client on save
+ *   changed_by_name: string | null;
+ *   changes: [{field, before, after}];  // display strings
+ *   notified_count: number;         // accepted applicants told about it
+ * }
+ *
+ * When a SIGNIFICANT_FIELDS value changes, accepted applicants are notified
+ * (in-app, push and email per their preferences) with a before/after list.
+ */
+
+/** Fields volunteers rely on to turn up at the right place and time. */
+export const SIGNIFICANT_FIELDS = [
+  "type",
+  "start_date",
+  "end_date",
+  "start_time",
+  "end_time",
+  "location",
+  "city",
+  "country",
+  "external_platform_link",
+];
+
+/** Fields recorded in the edit history. */
+export const HISTORY_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "frequency",
+  ...SIGNIFICANT_FIELDS,
+  "time_slots",
+  "participant_target",
+  "application_cutoff_hours",
+  "skills",
+  "languages",
+  "sdg",
+  "xp_reward",
+];
+
+/** Labels used in the notification summary. */
+const FIELD_LABELS = {
+  type: "Type",
+  start_date: "Start date",
+  end_date: "End date",
+  start_time: "Start time",
+  end_time: "End time",
+  location: "Address",
+  city: "City",
+  country: "Country",
+  external_platform_link: "External link",
+};
+
+/** History values longer than this are cut (e.g. descriptions). */
+const MAX_VALUE_LENGTH = 300;
+
+/**
+ * Convert a value to a Date object.
+ * @param {*} value - Timestamp, Date, or date-like value.
+ * @return {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value instanceof Date) return value;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Format a field value as a short display string.
+ * @param {string} field - Activity field name.
+ * @param {*} value - Stored value.
+ * @param {string} timeZone - Zone dates were saved in (activityTime.js).
+ * @return {string} Empty string when unset.
+ */
+export function formatFieldValue(field, value, timeZone) {
+  if (value === null || value === undefined || value === "") return "";
+
+  if (field === "start_date" || field === "end_date") {
+    const date = toDate(value);
+    // en-CA formats as YYYY-MM-DD
+    return date ?
+      date.toLocaleDateString("en-CA", {timeZone}) :
+      "";
+  }
+
+  if (field === "time_slots") {
+    return (Array.isArray(value) ? value : [])
+        .map((slot) => `${slot.start_time}-${slot.end_time}` +
+          (slot.capacity ? ` (${slot.capacity})` : ""))
+        .join(", ");
+  }
+
+  const text = Array.isArray(value) ? value.join(", ") : String(value);
+  return text.length > MAX_VALUE_LENGTH ?
+    `${text.slice(0, MAX_VALUE_LENGTH)}…` :
+    text;
+}
+
+/**
+ * List the fields whose displayed value differs between two versions.
+ * @param {Object} before - Activity data before the update.
+ * @param {Object} after - Activity data after the update.
+ * @param {string[]} [fields=HISTORY_FIELDS] - Fields to compare.
+ * @return {Array<{field: string, before: string, after: string}>}
+ */
+export function diffActivityFields(before, after, fields = HISTORY_FIELDS) {
+  return fields
+      .map((field) => ({
+        field,
+        before: formatFieldValue(
+            field,
+            before?.[field],
+            getActivityTimeZone(before),
+        ),
+        after: formatFieldValue(
+            field,
+            after?.[field],
+            getActivityTimeZone(after),
+        ),
+      }))
+      .filter((change) => change.before !== change.after);
+}
+
+/**
+ * Before/after summary for the notification body.
+ * @param {string} title - Activity title.
+ * @param {Array<{field: string, before: string, after: string}>} changes
+ * @return {string}
+ */
+export function buildChangeSummary(title, changes) {
+  const lines = changes.map((change) =>
+    `${FIELD_LABELS[change.field] || change.field}: ` +
+    `${change.before || "—"} → ${change.after || "—"}`);
+  return `"${title}" has been updated:\n${lines.join("\n")}\n\n` +
+    "If you can no longer attend, please cancel your application.";
+}
+
+/**
+ * Notify every accepted applicant of an activity.
+ * @param {string} activityId
+ * @param {Object} activity - Activity data after the update.
+ * @param {Array<{field: string, before: string, after: string}>} changes
+ * @return {Promise<number>} Number of volunteers notified.
+ */
+async function notifyAcceptedApplicants(activityId, activity, changes) {
+  const applicationsSnap = await db.collection("activities")
+      .doc(activityId)
+      .collection("applications")
+      .where("status", "==", "accepted")
+      .get();
+
+  const userIds = [...new Set(applicationsSnap.docs
+      .map((applicationDoc) => applicationDoc.data().user_id)
+      .filter(Boolean))];
+
+  const body = buildChangeSummary(activity.title || "Activity", changes);
+  let notified = 0;
+
+  await Promise.all(userIds.map(async (userId) => {
+    try {
+      await sendUserNotification({
+        userId,
+        type: "ACTIVITY_UPDATE",
+        title: "Activity updated",
+        body,
+        link: `/activities?activityId=${activityId}`,
+        metadata: {
+          activity_id: activityId,
+          organization_id: activity.organization_id || null,
+          changed_fields: changes.map((change) => change.field),
+        },
+      });
+      notified++;
+    } catch (error) {
+      console.error(
+          `[notifyAcceptedApplicants] Failed to notify ${userId} ` +
+          `for activity ${activityId}:`,
+          error,
+      );
+    }
+  }));
+
+  return notified;
+}
+
+/**
+ * Record an activity update in its history and tell accepted volunteers
+ * about significant changes.
+ * @param {string} activityId
+ * @param {Object} before - Activity data before the update.
+ * @param {Object} after - Activity data after the update.
+ * @return {Promise<void>}
+ */
+export async function recordActivityChanges(activityId, before, after) {
+  if (!before || !after) return;
+
+  const changes = diffActivityFields(before, after);
+  if (changes.length === 0) return;
+
+  const significantChanges = changes
+      .filter((change) => SIGNIFICANT_FIELDS.includes(change.field));
+
+  // Drafts have no volunteers yet
+  const notifiedCount =
+    significantChanges.length > 0 && after.status !== "Draft" ?
+      await notifyAcceptedApplicants(activityId, after, significantChanges) :
+      0;
+
+  const changedBy = after.updated_by || null;
+  let changedByName = null;
+  if (changedBy) {
+    const memberSnap = await db.collection("members").doc(changedBy).get();
+    changedByName = memberSnap.exists ?
+      memberSnap.data().display_name || null :
+      null;
+  }
+
+  await db.collection("activities")
+      .doc(activityId)
+      .collection("history")
+      .add({
+        changed_at: FieldValue.serverTimestamp(),
+        changed_by: changedBy,
+        changed_by_name: changedByName,
+        changes,
+        notified_count: notifiedCount,
+      });
+
+  console.log(
+      "[recordActivityChanges]",
+      `activityId=${activityId}`,
+      `fields=${changes.map((change) => change.field).join(",")}`,
+      `notified=${notifiedCount}`,
+  );
+}
@@ -0,0 +1,136 @@
+/**
+ * Wall-clock times of activities.
+ *
+ * start_date / end_date are stored as midnight of the chosen day in the
+ * time zone of the NPO's browser, and start_time / end_time as "HH:mm" in
+ * that same zone. New activities record that zone as `time_zone`; older
+ * ones are read in APP_TIME_ZONE. Functions run in UTC, so every moment
+ * derived from these fields must go through this module (the client keeps
+ * the same rules in src/utils/activityLifecycle.js).
+ */
+
+/** Time zone of activities saved before `time_zone` was recorded. */
+export const APP_TIME_ZONE = "Asia/Tokyo";
+
+/**
+ * Whether a string is a time zone Intl knows.
+ * @param {string} timeZone
+ * @return {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en", {timeZone});
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Time zone the activity's dates and times are written in.
+ * @param {Object} activity - Activity document.
+ * @return {string} IANA time zone.
+ */
+export function getActivityTimeZone(activity) {
+  return isValidTimeZone(activity?.time_zone) ?
+    activity.time_zone :
+    APP_TIME_ZONE;
+}
+
+/**
+ * Convert a value to a Date object.
+ * @param {*} value - Timestamp, Date, or date-like value.
+ * @return {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value instanceof Date) return value;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Wall-clock fields of a moment in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @return {{year: number, month: number, day: number,
+ *   hour: number, minute: number, second: number}} month is 1-12.
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) =>
+    Number(parts.find((part) => part.type === type)?.value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at a moment, in milliseconds.
+ * @param {number} ms - Moment.
+ * @param {string} timeZone
+ * @return {number}
+ */
+function getZoneOffsetMs(ms, timeZone) {
+  const wholeSecond = Math.floor(ms / 1000) * 1000;
+  const p = getZonedParts(new Date(wholeSecond), timeZone);
+  const asUtc = Date.UTC(
+      p.year, p.month - 1, p.day, p.hour, p.minute, p.second,
+  );
+  return asUtc - wholeSecond;
+}
+
+/**
+ * Moment of a wall-clock time on a calendar day in a time zone.
+ * @param {{year: number, month: number, day: number}} day - month is 1-12.
+ * @param {number} hours
+ * @param {number} minutes
+ * @param {string} timeZone
+ * @return {Date}
+ */
+export function zonedTimeToDate(day, hours, minutes, timeZone) {
+  const wallClock = Date.UTC(day.year, day.month - 1, day.day, hours, minutes);
+  const offset = getZoneOffsetMs(wallClock, timeZone);
+  // Across a DST change the offset at the result differs from the guess
+  const corrected = getZoneOffsetMs(wallClock - offset, timeZone);
+  return new Date(wallClock - corrected);
+}
+
+/**
+ * Moment of a stored activity date at a "HH:mm" time, both read in the
+ * activity's time zone. Midnight when no time is given.
+ * @param {Object} activity - Activity document (for its time zone).
+ * @param {*} date - Stored start_date / end_date.
+ * @param {string|null} timeStr - "HH:mm".
+ * @return {Date|null}
+ */
+export function getActivityDateTime(activity, date, timeStr) {
+  const d = toDate(date);
+  if (!d) return null;
+  const timeZone = getActivityTimeZone(activity);
+  const [hours, minutes] = String(timeStr || "")
+      .split(":")
+      .map((n) => Number(n));
+  return zonedTimeToDate(
+      getZonedParts(d, timeZone),
+      Number.isFinite(hours) ? hours : 0,
+      Number.isFinite(minutes) ? minutes : 0,
+      timeZone,
+  );
+}
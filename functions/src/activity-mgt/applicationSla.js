@@ -0,0 +1,317 @@
+import {FieldValue, Timestamp} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+import {getActivityStart, notifyOrganizationMembers} from "./lifecycle.js";
+
+/**
+ * Response-time SLA for pending applications:
+ *
+ *   pending for pending_reminder_days  -> listed in the daily digest sent to
+ *                                         the organization's members
+ *   pending for pending_expiry_days,   -> status "expired" with
+ *   or the activity has started           expired_reason "deadline" or
+ *                                         "activity_started"; the volunteer
+ *                                         is told why
+ *
+ * "Started" means the start date and time in the activity's time zone.
+ * Only applications to Open and Ended activities are handled: Draft ones
+ * take no applications yet, the volunteers of Cancelled ones are told by
+ * onActivityCancelled, and Closed ones are settled.
+ * Both thresholds are organization settings (organizations/{id} fields),
+ * falling back to the defaults below. Response times are recorded on the
+ * organization doc in application_stats for the NPO dashboard:
+ * {responded_count, total_response_hours, expired_count, last_response_at}
+ */
+
+/** Days pending before an application shows up in the digest. */
+export const DEFAULT_PENDING_REMINDER_DAYS = 3;
+
+/** Days pending before an application expires. */
+export const DEFAULT_PENDING_EXPIRY_DAYS = 21;
+
+/** Activities listed by name in a digest; the rest are summed up. */
+const DIGEST_MAX_ACTIVITIES = 5;
+
+/** Activity statuses whose pending applications the SLA handles. */
+const SLA_ACTIVITY_STATUSES = ["Open", "Ended"];
+
+/** NPO decisions that end the wait of a pending application. */
+const RESPONSE_STATUSES = ["accepted", "rejected"];
+
+const DAY_MS = 24 * 3600000;
+
+/**
+ * Converts a Firestore timestamp or date-like value to milliseconds.
+ *
+ * @param {*} value
+ * @return {number}
+ */
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  const parsed = new Date(value).getTime();
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Positive whole number of days, or the fallback.
+ *
+ * @param {*} value
+ * @param {number} fallback
+ * @return {number}
+ */
+function toDays(value, fallback) {
+  const days = Math.floor(Number(value));
+  return Number.isFinite(days) && days > 0 ? days : fallback;
+}
+
+/**
+ * Reminder and expiry thresholds of an organization. Expiry always comes
+ * after the first reminder.
+ *
+ * @param {Object|null} organization Organization document data
+ * @return {{reminderDays: number, expiryDays: number}}
+ */
+export function getPendingSlaSettings(organization) {
+  const reminderDays = toDays(
+      organization?.pending_reminder_days,
+      DEFAULT_PENDING_REMINDER_DAYS,
+  );
+  const expiryDays = toDays(
+      organization?.pending_expiry_days,
+      DEFAULT_PENDING_EXPIRY_DAYS,
+  );
+  return {reminderDays, expiryDays: Math.max(expiryDays, reminderDays + 1)};
+}
+
+/**
+ * Why a pending application should expire now, if it should. The start is
+ * read in the activity's time zone (activityTime.js), so an application is
+ * not expired hours before or after the activity really begins.
+ *
+ * @param {Object} application Application document data
+ * @param {Object} activity Activity document data
+ * @param {{expiryDays: number}} settings
+ * @param {number} nowMs
+ * @return {"activity_started"|"deadline"|null}
+ */
+export function getExpiryReason(application, activity, settings, nowMs) {
+  const start = getActivityStart(activity);
+  if (start && start.getTime() <= nowMs) {
+    return "activity_started";
+  }
+  const createdMs = toMillis(application.created_at);
+  if (createdMs && nowMs - createdMs >= settings.expiryDays * DAY_MS) {
+    return "deadline";
+  }
+  return null;
+}
+
+/**
+ * Expire one application and tell the volunteer why.
+ *
+ * @param {Object} applicationDoc Canonical application snapshot
+ * @param {Object} activity Activity document data
+ * @param {string} reason Value of getExpiryReason
+ * @param {Timestamp} now
+ * @return {Promise<void>}
+ */
+async function expireApplication(applicationDoc, activity, reason, now) {
+  await applicationDoc.ref.update({
+    status: "expired",
+    expired_reason: reason,
+    expired_at: now,
+    updated_at: now,
+  });
+
+  const userId = applicationDoc.data().user_id;
+  if (!userId) return;
+  const activityTitle = activity.title || "an activity";
+  await sendUserNotification({
+    userId,
+    type: "APPLICATION_STATUS",
+    title: "Application expired",
+    body: reason === "activity_started" ?
+      `"${activityTitle}" has started before ` +
+        `${activity.organization_name || "the organization"} could review ` +
+        "your application, so it has expired. Have a look at other " +
+        "activities you could join." :
+      `Your application to "${activityTitle}" was not reviewed in time ` +
+        "and has expired. You can apply again or look for other " +
+        "activities.",
+    link: "/dashboard",
+    metadata: {
+      activity_id: applicationDoc.ref.parent.parent.id,
+      application_id: applicationDoc.id,
+      status: "expired",
+      expired_reason: reason,
+    },
+  });
+}
+
+/**
+ * Daily pass over pending applications: expire overdue ones and send each
+ * organization a digest of the applications waiting longer than its
+ * reminder threshold. Scheduled by sendPendingApplicationsDigest in
+ * index.js.
+ *
+ * @return {Promise<{expired: number, digests: number}>}
+ */
+export async function runPendingApplicationsSla() {
+  const now = Timestamp.now();
+  const nowMs = now.toMillis();
+  const pendingSnap = await db.collectionGroup("applications")
+      .where("status", "==", "pending")
+      .get();
+
+  // Member and organization mirrors share the collection id; only the
+  // canonical activities/{activityId}/applications docs are handled.
+  const canonical = pendingSnap.docs.filter((d) =>
+    d.ref.parent.parent?.parent?.id === "activities",
+  );
+
+  const activities = new Map();
+  const organizations = new Map();
+  const load = async (cache, collection, id) => {
+    if (!cache.has(id)) {
+      const snap = await db.collection(collection).doc(id).get();
+      cache.set(id, snap.exists ? snap.data() : null);
+    }
+    return cache.get(id);
+  };
+
+  let expired = 0;
+  // organizationId -> activityId -> {title, count, oldestMs}
+  const overdueByOrg = new Map();
+
+  for (const applicationDoc of canonical) {
+    const application = applicationDoc.data();
+    const activityId = applicationDoc.ref.parent.parent.id;
+    try {
+      const activity = await load(activities, "activities", activityId);
+      if (!activity || !SLA_ACTIVITY_STATUSES.includes(activity.status)) {
+        continue;
+      }
+      const organizationId = application.organization_id ||
+        activity.organization_id;
+      const organization = organizationId ?
+        await load(organizations, "organizations", organizationId) :
+        null;
+      const settings = getPendingSlaSettings(organization);
+
+      const reason = getExpiryReason(application, activity, settings, nowMs);
+      if (reason) {
+        await expireApplication(applicationDoc, activity, reason, now);
+        expired++;
+        continue;
+      }
+
+      const createdMs = toMillis(application.created_at);
+      if (!organizationId || !createdMs ||
+        nowMs - createdMs < settings.reminderDays * DAY_MS) {
+        continue;
+      }
+      if (!overdueByOrg.has(organizationId)) {
+        overdueByOrg.set(organizationId, new Map());
+      }
+      const byActivity = overdueByOrg.get(organizationId);
+      const entry = byActivity.get(activityId) ||
+        {title: activity.title || "Untitled activity", count: 0, oldestMs: 0};
+      entry.count++;
+      entry.oldestMs = entry.oldestMs ?
+        Math.min(entry.oldestMs, createdMs) :
+        createdMs;
+      byActivity.set(activityId, entry);
+    } catch (err) {
+      console.error(
+          `[runPendingApplicationsSla] Failed on application ` +
+          `${applicationDoc.id}:`,
+          err,
+      );
+    }
+  }
+
+  let digests = 0;
+  for (const [organizationId, byActivity] of overdueByOrg) {
+    const entries = [...byActivity.values()]
+        .sort((a, b) => a.oldestMs - b.oldestMs);
+    const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+    const {reminderDays} = getPendingSlaSettings(
+        organizations.get(organizationId),
+    );
+    const listed = entries.slice(0, DIGEST_MAX_ACTIVITIES)
+        .map((entry) => `"${entry.title}" (${entry.count})`);
+    if (entries.length > DIGEST_MAX_ACTIVITIES) {
+      listed.push(`${entries.length - DIGEST_MAX_ACTIVITIES} more`);
+    }
+    try {
+      await notifyOrganizationMembers(organizationId, {
+        type: "REMINDER",
+        title: "Applications waiting for a response",
+        body: `${total} application${total === 1 ? " has" : "s have"} ` +
+          `been pending for more than ${reminderDays} ` +
+          `day${reminderDays === 1 ? "" : "s"}: ${listed.join(", ")}.`,
+        link: "/mynonprofit/activities/applications",
+        metadata: {
+          organization_id: organizationId,
+          pending_count: total,
+          activity_ids: [...byActivity.keys()],
+        },
+      });
+      digests++;
+    } catch (err) {
+      console.error(
+          `[runPendingApplicationsSla] Failed to send digest to ` +
+          `${organizationId}:`,
+          err,
+      );
+    }
+  }
+
+  const result = {expired, digests};
+  console.log("[runPendingApplicationsSla] Done", result);
+  return result;
+}
+
+/**
+ * Record an NPO decision on a pending application (response time) or an
+ * expiry in the organization's application_stats.
+ *
+ * @param {Object|undefined} before Application data before the update
+ * @param {Object|undefined} after Application data after the update
+ * @return {Promise<void>}
+ */
+export async function recordApplicationResponse(before, after) {
+  if (!before || !after || before.status !== "pending") {
+    return;
+  }
+  const organizationId = after.organization_id;
+  if (!organizationId) {
+    return;
+  }
+
+  const orgRef = db.collection("organizations").doc(organizationId);
+  if (after.status === "expired") {
+    await orgRef.update({
+      "application_stats.expired_count": FieldValue.increment(1),
+    });
+    return;
+  }
+  if (!RESPONSE_STATUSES.includes(after.status)) {
+    return;
+  }
+
+  const createdMs = toMillis(after.created_at);
+  const respondedMs = toMillis(after.updated_at) || Date.now();
+  const hours = createdMs ?
+    Math.max(respondedMs - createdMs, 0) / 3600000 :
+    0;
+  await orgRef.update({
+    "application_stats.responded_count": FieldValue.increment(1),
+    "application_stats.total_response_hours": FieldValue.increment(
+        Math.round(hours * 10) / 10,
+    ),
+    "application_stats.last_response_at": Timestamp.now(),
+  });
+}
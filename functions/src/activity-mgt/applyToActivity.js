@@ -0,0 +1,268 @@
+import {onCall} from "firebase-functions/v2/https";
+import {Timestamp} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {getApplicationsCloseAt} from "./lifecycle.js";
+import {OCCUPYING_STATUSES, hasRoomFor} from "./waitlist.js";
+import {getUnmetRequirements, normalizeRequirements} from "./eligibility.js";
+
+/**
+ * Volunteer applications, created server-side so the status cannot be
+ * chosen by the client. In one transaction, against the live applications
+ * of the activity (not the aggregate counters, which triggers update
+ * later):
+ *
+ *   - unmet eligibility requirements in "block" mode -> refused
+ *   - a full activity or time slot, or an existing queue -> "waitlisted"
+ *   - otherwise auto_accept_applications -> "accepted" when every
+ *     requirement is met, else "pending" (with unmet_requirements)
+ *
+ * The transaction also writes activities/{id}/private/applications, so two
+ * volunteers applying at the same moment are serialized and cannot both
+ * take the last place.
+ */
+
+/** Statuses that no longer block a new application to the same activity. */
+const CLOSED_APPLICATION_STATUSES = ["cancelled", "offer_expired", "expired"];
+
+const AUTO_ACCEPT_RESPONSE =
+  "Your application has been automatically accepted.";
+
+/**
+ * Whether an answer counts as provided.
+ * @param {*} value
+ * @return {boolean}
+ */
+function hasAnswer(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "string") return value.trim() !== "";
+  return value !== null && value !== undefined && !Number.isNaN(value);
+}
+
+/**
+ * Answers to the questions of the questionnaire, trimmed; null when a
+ * required question is unanswered.
+ * @param {Array<Object>} questions Activity questionnaire.
+ * @param {Object} answers Answers keyed by question ID.
+ * @return {Object|null}
+ */
+function cleanAnswers(questions, answers) {
+  const cleaned = {};
+  for (const question of questions) {
+    const value = answers[question.id];
+    if (!hasAnswer(value)) {
+      if (question.required) return null;
+      continue;
+    }
+    cleaned[question.id] = typeof value === "string" ? value.trim() : value;
+  }
+  return cleaned;
+}
+
+/**
+ * Whether the activity no longer takes applications.
+ * @param {Object} activity Activity document.
+ * @param {number} nowMs
+ * @return {boolean}
+ */
+function areApplicationsClosed(activity, nowMs) {
+  if (activity.status !== "Open") return true;
+  if (activity.applications_closed === true) return true;
+  const closeAt = getApplicationsCloseAt(activity);
+  return closeAt != null && closeAt.getTime() <= nowMs;
+}
+
+/**
+ * Member profile checked against eligibility requirements: the member
+ * document with the birth date of members/{id}/private/profile (owner-only,
+ * so other members cannot read it). Birth dates saved on the member
+ * document before it moved are still read.
+ * @param {string} userId
+ * @param {Object} [tx] Transaction to read in.
+ * @return {Promise<Object|null>}
+ */
+export async function getEligibilityProfile(userId, tx) {
+  const memberRef = db.collection("members").doc(userId);
+  const privateRef = memberRef.collection("private").doc("profile");
+  const [memberSnap, privateSnap] = tx ?
+    [await tx.get(memberRef), await tx.get(privateRef)] :
+    await Promise.all([memberRef.get(), privateRef.get()]);
+  if (!memberSnap.exists) return null;
+  const member = memberSnap.data();
+  return {
+    ...member,
+    birth_date: privateSnap.data()?.birth_date || member.birth_date || null,
+  };
+}
+
+/**
+ * Failure result, in the shape returned to the client.
+ * @param {string} error
+ * @return {{success: boolean, error: string}}
+ */
+function failure(error) {
+  return {success: false, error};
+}
+
+/**
+ * Create a volunteer's application to an activity.
+ * @param {string} userId Applicant.
+ * @param {string} activityId
+ * @param {{message: string, slotIds: string[], answers: Object}} input
+ * @return {Promise<Object>} {success, id, status} or {success: false, error}
+ */
+export async function createActivityApplication(userId, activityId, input) {
+  const activityRef = db.collection("activities").doc(activityId);
+  const lockRef = activityRef.collection("private").doc("applications");
+
+  return db.runTransaction(async (tx) => {
+    const activitySnap = await tx.get(activityRef);
+    if (!activitySnap.exists) return failure("activity_not_found");
+    const activity = activitySnap.data();
+    await tx.get(lockRef);
+    const member = await getEligibilityProfile(userId, tx);
+    const applicationsSnap = await tx.get(
+        activityRef.collection("applications"),
+    );
+    const applications = applicationsSnap.docs.map((d) => d.data() || {});
+
+    const hasExisting = applications.some((app) =>
+      app.user_id === userId &&
+      !CLOSED_APPLICATION_STATUSES.includes(app.status),
+    );
+    if (hasExisting) return failure("existing_application");
+
+    const now = Timestamp.now();
+    if (areApplicationsClosed(activity, now.toMillis())) {
+      return failure("applications_closed");
+    }
+
+    // Activities split into time slots need at least one slot
+    const timeSlots = Array.isArray(activity.time_slots) ?
+      activity.time_slots :
+      [];
+    const slotIds = timeSlots
+        .map((slot) => slot?.id)
+        .filter((id) => id && input.slotIds.includes(id));
+    if (timeSlots.length > 0 && slotIds.length === 0) {
+      return failure("slot_required");
+    }
+
+    const questions = Array.isArray(activity.questionnaire) ?
+      activity.questionnaire :
+      [];
+    const answers = cleanAnswers(questions, input.answers);
+    if (answers === null) return failure("answers_required");
+
+    // Eligibility requirements; "warn" mode lets the application through
+    const unmetRequirements = getUnmetRequirements(
+        activity,
+        member,
+        now.toMillis(),
+    );
+    if (unmetRequirements.length > 0 &&
+      normalizeRequirements(activity).mode === "block") {
+      return {
+        success: false,
+        error: "not_eligible",
+        issues: unmetRequirements,
+      };
+    }
+
+    // Beyond capacity, or behind volunteers already queuing: waitlist
+    const candidate = {slot_ids: slotIds};
+    const occupying = applications.filter((app) =>
+      OCCUPYING_STATUSES.includes(app.status),
+    );
+    const isCapacityLimited = Number(activity.participant_target) > 0 ||
+      timeSlots.some((slot) =>
+        slotIds.includes(slot.id) && Number(slot.capacity) > 0,
+      );
+    const isWaitlisted = isCapacityLimited && (
+      applications.some((app) => app.status === "waitlisted") ||
+      !hasRoomFor(activity, occupying, candidate)
+    );
+
+    // Applications with unmet requirements are left for the NPO to review
+    const autoAccept = !isWaitlisted &&
+      activity.auto_accept_applications === true &&
+      unmetRequirements.length === 0;
+    const status = isWaitlisted ?
+      "waitlisted" :
+      autoAccept ? "accepted" : "pending";
+
+    const applicationRef = activityRef.collection("applications").doc();
+    tx.set(applicationRef, {
+      user_id: userId,
+      message: input.message,
+      status,
+      created_at: now,
+      activity_id: activityId,
+      organization_id: activity.organization_id || null,
+      ...(slotIds.length > 0 && {slot_ids: slotIds}),
+      ...(questions.length > 0 && {answers}),
+      ...(autoAccept && {npo_response: AUTO_ACCEPT_RESPONSE}),
+      ...(unmetRequirements.length > 0 && {
+        unmet_requirements: unmetRequirements,
+      }),
+    });
+    tx.set(lockRef, {last_application_at: now}, {merge: true});
+
+    return {success: true, id: applicationRef.id, status};
+  });
+}
+
+export const applyToActivity = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      const {activityId} = request.data || {};
+      if (!activityId || typeof activityId !== "string") {
+        throw new Error("activityId is required");
+      }
+      const slotIds = Array.isArray(request.data.slotIds) ?
+        request.data.slotIds.filter((id) => typeof id === "string") :
+        [];
+      const answers = request.data.answers &&
+        typeof request.data.answers === "object" ?
+        request.data.answers :
+        {};
+      const message = typeof request.data.message === "string" ?
+        request.data.message :
+        "";
+
+      return createActivityApplication(request.auth.uid, activityId, {
+        message,
+        slotIds,
+        answers,
+      });
+    });
+
+/**
+ * Callable: requirements of an activity the signed-in member does not meet,
+ * as applyToActivity will check them (the birth date is only readable
+ * here). Params: {activityId}. Returns {success, issues, mode}.
+ */
+export const checkActivityEligibility = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      const {activityId} = request.data || {};
+      if (!activityId || typeof activityId !== "string") {
+        throw new Error("activityId is required");
+      }
+      const activitySnap = await db.collection("activities")
+          .doc(activityId)
+          .get();
+      if (!activitySnap.exists) return failure("activity_not_found");
+      const activity = activitySnap.data();
+      const member = await getEligibilityProfile(request.auth.uid);
+      return {
+        success: true,
+        issues: getUnmetRequirements(activity, member, Date.now()),
+        mode: normalizeRequirements(activity).mode,
+      };
+    });
@@ -0,0 +1,89 @@
+import {onDocumentCreated} from "firebase-functions/v2/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+import {VOLUNTEER_ACCESS_COLLECTION} from "./volunteerAccess.js";
+
+/**
+ * Activity attachments (briefings, maps, brand assets...).
+ *
+ * Files live in Storage under
+ * activities/{activityId}/attachments/{visibility}/{fileName}, described by
+ * activities/{activityId}/attachments/{attachmentId}:
+ * {
+ *   name, storage_path, content_type, size,
+ *   visibility: "public" | "accepted",
+ *   uploaded_by, created_at
+ * }
+ *
+ * "Accepted volunteers only" files are served by storage.rules and
+ * firestore.rules from the volunteer_access mirror (see volunteerAccess.js).
+ */
+
+/**
+ * Notify the accepted volunteers of an activity about a new attachment.
+ * @param {string} activityId
+ * @param {Object} attachment - Attachment document data.
+ * @return {Promise<number>} Number of volunteers notified.
+ */
+export async function notifyAttachmentAdded(activityId, attachment) {
+  const activityRef = db.collection("activities").doc(activityId);
+  const [activitySnap, accessSnap] = await Promise.all([
+    activityRef.get(),
+    activityRef.collection(VOLUNTEER_ACCESS_COLLECTION)
+        .where("application_status", "==", "accepted")
+        .get(),
+  ]);
+  if (!activitySnap.exists) return 0;
+  const activity = activitySnap.data();
+
+  const body = `${activity.organization_name || "The organization"} ` +
+    `shared "${attachment.name || "a file"}" for "${activity.title || ""}".`;
+
+  let notified = 0;
+  await Promise.all(accessSnap.docs.map(async (accessDoc) => {
+    try {
+      await sendUserNotification({
+        userId: accessDoc.id,
+        type: "ACTIVITY_UPDATE",
+        title: "New document for your activity",
+        body,
+        link: `/activities?activityId=${activityId}`,
+        metadata: {
+          activity_id: activityId,
+          organization_id: activity.organization_id || null,
+          attachment_name: attachment.name || null,
+        },
+      });
+      notified++;
+    } catch (error) {
+      console.error(
+          `[notifyAttachmentAdded] Failed to notify ${accessDoc.id} ` +
+          `for activity ${activityId}:`,
+          error,
+      );
+    }
+  }));
+
+  console.log(
+      "[notifyAttachmentAdded]",
+      `activityId=${activityId}`,
+      `notified=${notified}`,
+  );
+  return notified;
+}
+
+/**
+ * Firestore trigger when an NPO adds an attachment to an activity.
+ */
+export const onAttachmentCreatedNotifyVolunteers = onDocumentCreated(
+    "activities/{activityId}/attachments/{attachmentId}",
+    async (event) => {
+      const attachment = event.data?.data();
+      if (!attachment) return;
+      try {
+        await notifyAttachmentAdded(event.params.activityId, attachment);
+      } catch (error) {
+        console.error("[onAttachmentCreatedNotifyVolunteers] Error:", error);
+      }
+    },
+);
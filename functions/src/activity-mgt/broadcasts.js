@@ -0,0 +1,181 @@
+import {onCall} from "firebase-functions/v2/https";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+
+/**
+ * Broadcasts: announcements an NPO sends to the participants of an activity
+ * by in-app notification, push and email (each member's
+ * notification_preferences apply, ACTIVITY category). Stored in
+ * activities/{activityId}/broadcasts/{broadcastId}:
+ * {
+ *   title, body,
+ *   audience: "all" | "accepted" | "waitlisted" | "validated" | "slot",
+ *   slot_id: string | null,        // when audience is "slot"
+ *   sent_by, sent_by_name,
+ *   status: "sending" | "sent",
+ *   stats: {recipients, in_app, push, email, failed},
+ *   created_at, sent_at
+ * }
+ */
+
+export const BROADCAST_AUDIENCES = [
+  "all", "accepted", "waitlisted", "validated", "slot",
+];
+
+/** Application statuses of members still taking part in an activity. */
+const ACTIVE_STATUSES = ["accepted", "offered", "waitlisted", "pending"];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 2000;
+
+/**
+ * Members an announcement is sent to.
+ * @param {Object} activityRef - DocumentReference of the activity
+ * @param {string} audience - One of BROADCAST_AUDIENCES
+ * @param {string|null} slotId - Time slot, for the "slot" audience
+ * @return {Promise<Array<string>>} Unique member IDs.
+ */
+export async function getBroadcastRecipients(activityRef, audience, slotId) {
+  let snap;
+  if (audience === "validated") {
+    snap = await activityRef.collection("validations")
+        .where("status", "==", "validated")
+        .get();
+  } else if (audience === "slot") {
+    snap = await activityRef.collection("applications")
+        .where("slot_ids", "array-contains", slotId)
+        .get();
+  } else {
+    const statuses = audience === "all" ? ACTIVE_STATUSES : [audience];
+    snap = await activityRef.collection("applications")
+        .where("status", "in", statuses)
+        .get();
+  }
+
+  const userIds = snap.docs
+      .map((snapDoc) => snapDoc.data())
+      .filter((data) => audience !== "slot" ||
+        ACTIVE_STATUSES.includes(data.status))
+      .map((data) => data.user_id)
+      .filter(Boolean);
+  return [...new Set(userIds)];
+}
+
+/**
+ * Callable: send an announcement to the participants of an activity.
+ * Restricted to the activity's NPO and admins.
+ * Params: {activityId, audience, slotId?, title, body}
+ * Returns {broadcastId, stats}.
+ */
+export const sendActivityBroadcast = onCall(
+    {invoker: "public", timeoutSeconds: 300},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+
+      const {activityId, audience, slotId = null} = request.data || {};
+      const title = String(request.data?.title || "").trim();
+      const body = String(request.data?.body || "").trim();
+      if (!activityId || typeof activityId !== "string") {
+        throw new Error("activityId is required");
+      }
+      if (!BROADCAST_AUDIENCES.includes(audience)) {
+        throw new Error("Invalid audience");
+      }
+      if (audience === "slot" && (!slotId || typeof slotId !== "string")) {
+        throw new Error("slotId is required for the slot audience");
+      }
+      if (!title || title.length > MAX_TITLE_LENGTH) {
+        throw new Error(`title must be 1 to ${MAX_TITLE_LENGTH} characters`);
+      }
+      if (!body || body.length > MAX_BODY_LENGTH) {
+        throw new Error(`body must be 1 to ${MAX_BODY_LENGTH} characters`);
+      }
+
+      const activityRef = db.collection("activities").doc(activityId);
+      const activitySnap = await activityRef.get();
+      if (!activitySnap.exists) {
+        throw new Error("Activity not found");
+      }
+      const activity = activitySnap.data();
+      const token = request.auth.token || {};
+      if (token.role !== "admin" &&
+          (!token.npo_id || token.npo_id !== activity.organization_id)) {
+        throw new Error("Forbidden: NPO access required");
+      }
+
+      const senderSnap = await db.collection("members")
+          .doc(request.auth.uid)
+          .get();
+      const broadcastRef = activityRef.collection("broadcasts").doc();
+      await broadcastRef.set({
+        title,
+        body,
+        audience,
+        slot_id: audience === "slot" ? slotId : null,
+        sent_by: request.auth.uid,
+        sent_by_name: senderSnap.data()?.display_name || "",
+        status: "sending",
+        stats: null,
+        created_at: FieldValue.serverTimestamp(),
+      });
+
+      const userIds = await getBroadcastRecipients(
+          activityRef,
+          audience,
+          slotId,
+      );
+      const stats = {
+        recipients: userIds.length,
+        in_app: 0,
+        push: 0,
+        email: 0,
+        failed: 0,
+      };
+
+      await Promise.all(userIds.map(async (userId) => {
+        try {
+          const delivered = await sendUserNotification({
+            userId,
+            type: "ACTIVITY_BROADCAST",
+            title: `${activity.organization_name || activity.title || ""}: ` +
+              title,
+            body,
+            link: `/activities?activityId=${activityId}`,
+            metadata: {
+              activity_id: activityId,
+              organization_id: activity.organization_id || null,
+              broadcast_id: broadcastRef.id,
+            },
+          });
+          if (delivered.inApp) stats.in_app++;
+          if (delivered.push) stats.push++;
+          if (delivered.email) stats.email++;
+        } catch (error) {
+          stats.failed++;
+          console.error(
+              `[sendActivityBroadcast] Failed to notify ${userId} ` +
+              `for activity ${activityId}:`,
+              error,
+          );
+        }
+      }));
+
+      await broadcastRef.update({
+        status: "sent",
+        stats,
+        sent_at: FieldValue.serverTimestamp(),
+      });
+
+      console.log(
+          "[sendActivityBroadcast]",
+          `activityId=${activityId}`,
+          `broadcastId=${broadcastRef.id}`,
+          `audience=${audience}`,
+          `recipients=${stats.recipients}`,
+      );
+      return {broadcastId: broadcastRef.id, stats};
+    },
+);
@@ -1,3 +1,4 @@
+import {getStorage} from "firebase-admin/storage";
 import {db} from "../init.js";
 
 const BATCH_SIZE = 500;
@@ -28,8 +29,10 @@ export async function deleteSubcollectionDocuments(colRef) {
 /**
  * Deletes canonical activity subcollections after the activity document is
  * removed. Applications are removed here so `onApplicationDeleted` clears
- * member/org mirrors. Validations and participations have no separate mirror
- * cleanup.
+ * member/org mirrors. Validations, participations, edit history,
+ * attachments, discussion, broadcasts, volunteer access, scan locations
+ * and the private QR secret have no separate mirror cleanup; attachment
+ * files are deleted from Storage.
  *
  * @param {string} activityId
  * @return {Promise<void>}
@@ -50,6 +53,35 @@ export async function cleanupActivitySubcollectionsAfterDelete(activityId) {
   const participationsDeleted = await deleteSubcollectionDocuments(
       activityRef.collection("participations"),
   );
+  const historyDeleted = await deleteSubcollectionDocuments(
+      activityRef.collection("history"),
+  );
+  const attachmentsDeleted = await deleteSubcollectionDocuments(
+      activityRef.collection("attachments"),
+  );
+  const discussionDeleted = await deleteSubcollectionDocuments(
+      activityRef.collection("discussion"),
+  );
+  const broadcastsDeleted = await deleteSubcollectionDocuments(
+      activityRef.collection("broadcasts"),
+  );
+  await deleteSubcollectionDocuments(
+      activityRef.collection("volunteer_access"),
+  );
+  await deleteSubcollectionDocuments(
+      activityRef.collection("scan_locations"),
+  );
+  await deleteSubcollectionDocuments(activityRef.collection("private"));
+  try {
+    await getStorage().bucket().deleteFiles({
+      prefix: `activities/${activityId}/`,
+    });
+  } catch (error) {
+    console.error(
+        "[cleanupActivitySubcollectionsAfterDelete] Storage cleanup failed:",
+        error,
+    );
+  }
 
   console.log(
       "[cleanupActivitySubcollectionsAfterDelete]",
@@ -57,5 +89,9 @@ export async function cleanupActivitySubcollectionsAfterDelete(activityId) {
       `applications=${applicationsDeleted}`,
       `validations=${validationsDeleted}`,
       `participations=${participationsDeleted}`,
+      `history=${historyDeleted}`,
+      `attachments=${attachmentsDeleted}`,
+      `discussion=${discussionDeleted}`,
+      `broadcasts=${broadcastsDeleted}`,
   );
 }
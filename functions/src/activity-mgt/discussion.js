@@ -0,0 +1,120 @@
+import {onDocumentCreated} from "firebase-functions/v2/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+import {VOLUNTEER_ACCESS_COLLECTION} from "./volunteerAccess.js";
+import {notifyOrganizationMembers} from "./lifecycle.js";
+
+/**
+ * Activity discussion: questions and answers between the NPO and its
+ * volunteers, in activities/{activityId}/discussion/{messageId}:
+ * {
+ *   author_id, author_name,
+ *   author_role: "staff" | "volunteer",
+ *   body,                          // plain text, 2000 characters at most
+ *   channel: "all" | "accepted",   // "accepted" needs
+ *                                  // activity.discussion_accepted_channel
+ *   reply_to: string | null,       // message answered
+ *   pinned, hidden,                // set by NPO staff
+ *   created_at
+ * }
+ *
+ * Who may read and post is enforced by firestore.rules from the
+ * volunteer_access mirror (see volunteerAccess.js).
+ */
+
+/** Characters of a message quoted in notifications. */
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Notify the participants of a discussion channel about a new message:
+ * applicants ("all") or accepted volunteers ("accepted"), and the NPO's
+ * members when a volunteer posts. The author is left out. Each member's
+ * notification_preferences apply (ACTIVITY category).
+ * @param {string} activityId
+ * @param {string} messageId
+ * @param {Object} message - Message document data.
+ * @return {Promise<number>} Number of volunteers notified.
+ */
+export async function notifyDiscussionMessage(activityId, messageId, message) {
+  const activityRef = db.collection("activities").doc(activityId);
+  let accessQuery = activityRef.collection(VOLUNTEER_ACCESS_COLLECTION);
+  if (message.channel === "accepted") {
+    accessQuery = accessQuery.where("application_status", "==", "accepted");
+  }
+  const [activitySnap, accessSnap] = await Promise.all([
+    activityRef.get(),
+    accessQuery.get(),
+  ]);
+  if (!activitySnap.exists) return 0;
+  const activity = activitySnap.data();
+
+  const text = String(message.body || "");
+  const preview = text.length > PREVIEW_LENGTH ?
+    `${text.slice(0, PREVIEW_LENGTH - 1)}…` :
+    text;
+  const notification = {
+    type: "ACTIVITY_DISCUSSION",
+    title: `New message about "${activity.title || "your activity"}"`,
+    body: `${message.author_name || "Someone"}: ${preview}`,
+    link: `/activities?activityId=${activityId}`,
+    metadata: {
+      activity_id: activityId,
+      organization_id: activity.organization_id || null,
+      message_id: messageId,
+      channel: message.channel || "all",
+    },
+  };
+
+  const userIds = accessSnap.docs
+      .map((accessDoc) => accessDoc.id)
+      .filter((userId) => userId !== message.author_id);
+
+  let notified = 0;
+  await Promise.all(userIds.map(async (userId) => {
+    try {
+      await sendUserNotification({userId, ...notification});
+      notified++;
+    } catch (error) {
+      console.error(
+          `[notifyDiscussionMessage] Failed to notify ${userId} ` +
+          `for activity ${activityId}:`,
+          error,
+      );
+    }
+  }));
+
+  if (message.author_role !== "staff" && activity.organization_id) {
+    await notifyOrganizationMembers(activity.organization_id, {
+      ...notification,
+      link: `/mynonprofit/activities/manage?activityId=${activityId}`,
+    });
+  }
+
+  console.log(
+      "[notifyDiscussionMessage]",
+      `activityId=${activityId}`,
+      `messageId=${messageId}`,
+      `notified=${notified}`,
+  );
+  return notified;
+}
+
+/**
+ * Firestore trigger when a discussion message is posted.
+ */
+export const onDiscussionMessageCreatedNotify = onDocumentCreated(
+    "activities/{activityId}/discussion/{messageId}",
+    async (event) => {
+      const message = event.data?.data();
+      if (!message) return;
+      try {
+        await notifyDiscussionMessage(
+            event.params.activityId,
+            event.params.messageId,
+            message,
+        );
+      } catch (error) {
+        console.error("[onDiscussionMessageCreatedNotify] Error:", error);
+      }
+    },
+);
@@ -0,0 +1,149 @@
+import {getActivityStart} from "./lifecycle.js";
+import {getActivityTimeZone, getZonedParts} from "./activityTime.js";
+
+/**
+ * Activity eligibility requirements, checked when a volunteer applies
+ * (applyToActivity). Same rules as src/utils/eligibility.js, which only
+ * previews them in the browser:
+ * {
+ *   min_age: number | null,      // age reached on the activity's start date
+ *   languages: string[],         // ISO 639-1 codes, all of them required
+ *   skills: string[],            // skill ids, all of them required
+ *   badge_id: string | null,     // badge the volunteer must hold
+ *   mode: "block" | "warn"       // refuse the application, or only warn
+ * }
+ * against the member profile (languages, skills, badges) and the birth
+ * date ("YYYY-MM-DD") kept in members/{id}/private/profile, which only the
+ * member and Cloud Functions can read.
+ */
+
+const REQUIREMENT_MODES = ["block", "warn"];
+
+const languageNames = new Intl.DisplayNames(["en"], {type: "language"});
+
+/**
+ * Value of a profile or form entry: react-select option or plain string.
+ * @param {*} item
+ * @return {*}
+ */
+function optionValue(item) {
+  return typeof item === "object" && item !== null ?
+    item.value || item.id || item.label :
+    item;
+}
+
+/**
+ * Requirements of an activity with defaults applied.
+ * @param {Object} activity Activity document.
+ * @return {Object} Same shape as the requirements above.
+ */
+export function normalizeRequirements(activity) {
+  const requirements = activity?.requirements || {};
+  const minAge = Number(requirements.min_age);
+  return {
+    min_age: Number.isInteger(minAge) && minAge > 0 ? minAge : null,
+    languages: (requirements.languages || [])
+        .map(optionValue)
+        .filter(Boolean),
+    skills: (requirements.skills || []).map(optionValue).filter(Boolean),
+    badge_id: requirements.badge_id || null,
+    mode: REQUIREMENT_MODES.includes(requirements.mode) ?
+      requirements.mode :
+      "block",
+  };
+}
+
+/**
+ * Age in whole years on a calendar day.
+ * @param {string} birthDate "YYYY-MM-DD".
+ * @param {{year: number, month: number, day: number}} onDay month 1-12.
+ * @return {number|null} null when the birth date is missing or unreadable.
+ */
+function getAgeOn(birthDate, onDay) {
+  const match = String(birthDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const beforeBirthday = onDay.month < month ||
+    (onDay.month === month && onDay.day < day);
+  return onDay.year - year - (beforeBirthday ? 1 : 0);
+}
+
+/**
+ * English name of a language code, or the value itself for free-typed
+ * languages.
+ * @param {string} code
+ * @return {string}
+ */
+function getLanguageName(code) {
+  try {
+    return languageNames.of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Whether the member's profile lists a language, by code or English name.
+ * @param {Object|null} member Member profile.
+ * @param {string} language ISO 639-1 code or English name.
+ * @return {boolean}
+ */
+function speaksLanguage(member, language) {
+  const wanted = [
+    String(language).toLowerCase(),
+    getLanguageName(language).toLowerCase(),
+  ];
+  return (member?.languages || []).some((spoken) => {
+    const values = typeof spoken === "object" && spoken !== null ?
+      [spoken.value, spoken.label] :
+      [spoken];
+    return values.some((value) =>
+      value && wanted.includes(String(value).toLowerCase()));
+  });
+}
+
+/**
+ * Codes of the requirements the member does not meet: birth_date_missing,
+ * min_age, language_missing, skill_missing, badge_missing.
+ * @param {Object} activity Activity document.
+ * @param {Object|null} member Member profile, with birth_date from the
+ *   private profile.
+ * @param {number} nowMs
+ * @return {string[]}
+ */
+export function getUnmetRequirements(activity, member, nowMs) {
+  const requirements = normalizeRequirements(activity);
+  const unmet = [];
+
+  if (requirements.min_age) {
+    // Age on the day of the activity, in its time zone; today when undated
+    const start = getActivityStart(activity);
+    const onMs = start && start.getTime() > nowMs ? start.getTime() : nowMs;
+    const age = getAgeOn(
+        member?.birth_date,
+        getZonedParts(new Date(onMs), getActivityTimeZone(activity)),
+    );
+    if (age === null) {
+      unmet.push("birth_date_missing");
+    } else if (age < requirements.min_age) {
+      unmet.push("min_age");
+    }
+  }
+
+  if (requirements.languages.some((code) => !speaksLanguage(member, code))) {
+    unmet.push("language_missing");
+  }
+
+  const memberSkills = new Set((member?.skills || []).map(optionValue));
+  if (requirements.skills.some((skill) => !memberSkills.has(skill))) {
+    unmet.push("skill_missing");
+  }
+
+  if (requirements.badge_id &&
+    !(member?.badges || []).some((badge) =>
+      optionValue(badge) === requirements.badge_id)) {
+    unmet.push("badge_missing");
+  }
+
+  return unmet;
+}
@@ -0,0 +1,100 @@
+/**
+ * Callable Cloud Function returning what anonymous visitors may see of an
+ * activity and its organization, for the public page /a/[activityId] and its
+ * social previews. Only whitelisted fields leave the server (applicants,
+ * questionnaires, requirements, internal notes and contact details do not).
+ * Drafts are not public.
+ *
+ * request.data: { activityId: string }
+ * response: { activity, organization } or { error: "not_found" }
+ */
+
+import {onCall} from "firebase-functions/v2/https";
+import {db} from "../init.js";
+
+const PUBLIC_ACTIVITY_FIELDS = [
+  "title", "description", "type", "category", "city", "country", "location",
+  "coordinates", "sdg", "languages", "frequency", "start_time", "end_time",
+  "participant_target", "xp_reward", "status", "applications_closed",
+  "accept_applications_wg", "organization_id", "organization_name",
+  "organization_logo",
+];
+
+const PUBLIC_ORGANIZATION_FIELDS = [
+  "name", "logo", "description", "website", "city", "country", "sdgs",
+];
+
+/**
+ * Calendar day ("YYYY-MM-DD") of a stored date. The activity form saves
+ * dates at local midnight; rounding to the nearest UTC day gives back that
+ * day for any time zone within 12 hours of UTC.
+ * @param {*} value - Firestore Timestamp.
+ * @return {string|null}
+ */
+function toCalendarDay(value) {
+  const date = value?.toDate?.();
+  if (!date) return null;
+  return new Date(date.getTime() + 12 * 3600000).toISOString().slice(0, 10);
+}
+
+/**
+ * Keep only whitelisted fields.
+ * @param {string} id - Document ID
+ * @param {Object} data - Raw document data
+ * @param {string[]} fields - Fields to keep
+ * @return {Object}
+ */
+function sanitize(id, data, fields) {
+  const out = {id};
+  for (const key of fields) {
+    if (data[key] !== undefined) {
+      out[key] = data[key];
+    }
+  }
+  return out;
+}
+
+export const getPublicActivity = onCall(
+    {invoker: "public"},
+    async (request) => {
+      const activityId = String(request.data?.activityId || "");
+      if (!activityId || activityId.includes("/")) {
+        return {error: "not_found"};
+      }
+
+      const activitySnap = await db.collection("activities")
+          .doc(activityId)
+          .get();
+      if (!activitySnap.exists || activitySnap.data().status === "Draft") {
+        return {error: "not_found"};
+      }
+
+      const data = activitySnap.data();
+      const activity = {
+        ...sanitize(activitySnap.id, data, PUBLIC_ACTIVITY_FIELDS),
+        start_day: toCalendarDay(data.start_date),
+        end_day: toCalendarDay(data.end_date),
+      };
+      if (data.coordinates) {
+        activity.coordinates = {
+          latitude: data.coordinates.latitude,
+          longitude: data.coordinates.longitude,
+        };
+      }
+
+      let organization = null;
+      if (data.organization_id) {
+        const orgSnap = await db.collection("organizations")
+            .doc(data.organization_id)
+            .get();
+        if (orgSnap.exists) {
+          organization = sanitize(
+              orgSnap.id,
+              orgSnap.data(),
+              PUBLIC_ORGANIZATION_FIELDS,
+          );
+        }
+      }
+
+      return {activity, organization};
+    });
@@ -0,0 +1,263 @@
+import {Timestamp} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+import {closeForgottenCheckOuts} from "./validateActivityByQR.js";
+import {getActivityDateTime} from "./activityTime.js";
+
+/**
+ * Activity lifecycle driven by the clock rather than by NPO clicks:
+ *
+ *   Draft  --publish_at reached-->  Open
+ *   Open   --start_date minus application_cutoff_hours-->
+ *          Open with applications_closed: true
+ *   Open   --end date passed-->  Ended ("awaiting close-out"); check-outs
+ *          volunteers forgot are closed at the end time
+ *   Ended  --NPO runs CloseActivityModal-->  Closed (onActivityClosed)
+ *
+ * Ended activities are no longer listed for volunteers; the organization
+ * is reminded every CLOSEOUT_REMINDER_INTERVAL_DAYS until it closes them.
+ */
+
+/** Days between two close-out reminders for the same activity. */
+export const CLOSEOUT_REMINDER_INTERVAL_DAYS = 3;
+
+/**
+ * Convert a value to a Date object.
+ * @param {*} value - Timestamp, Date, or date-like value.
+ * @return {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value instanceof Date) return value;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Moment the activity starts, or null for undated activities
+ * (long-term roles, online activities without a calendar date).
+ * Read in the activity's time zone (see activityTime.js).
+ * @param {Object} activity - Activity document.
+ * @return {Date|null}
+ */
+export function getActivityStart(activity) {
+  if (!activity?.start_date) return null;
+  return getActivityDateTime(
+      activity,
+      activity.start_date,
+      activity.start_time,
+  );
+}
+
+/**
+ * Moment the activity is over: the end time on its last day, or the end
+ * of that day when no end time is set, in the activity's time zone.
+ * Null for undated activities.
+ * @param {Object} activity - Activity document.
+ * @return {Date|null}
+ */
+export function getActivityEnd(activity) {
+  const lastDay = activity?.end_date || activity?.start_date;
+  if (!lastDay) return null;
+  if (activity.end_time) {
+    return getActivityDateTime(activity, lastDay, activity.end_time);
+  }
+  const endOfDay = getActivityDateTime(activity, lastDay, "23:59");
+  return endOfDay ? new Date(endOfDay.getTime() + 59999) : null;
+}
+
+/**
+ * Moment applications stop, or null when no cut-off is configured.
+ * @param {Object} activity - Activity document.
+ * @return {Date|null}
+ */
+export function getApplicationsCloseAt(activity) {
+  const cutoffHours = Number(activity?.application_cutoff_hours);
+  if (!Number.isFinite(cutoffHours) || cutoffHours <= 0) return null;
+  const start = getActivityStart(activity);
+  if (!start) return null;
+  return new Date(start.getTime() - cutoffHours * 3600000);
+}
+
+/**
+ * Notify every member of an organization.
+ * @param {string} organizationId
+ * @param {Object} notification - sendUserNotification params without userId.
+ * @return {Promise<void>}
+ */
+export async function notifyOrganizationMembers(
+    organizationId,
+    notification,
+) {
+  const membersSnap = await db.collection("members")
+      .where("npo_id", "==", organizationId)
+      .get();
+  await Promise.all(membersSnap.docs.map(async (memberDoc) => {
+    try {
+      await sendUserNotification({userId: memberDoc.id, ...notification});
+    } catch (notifErr) {
+      console.error(
+          `[activityLifecycle] Failed to notify NPO member ${memberDoc.id}:`,
+          notifErr,
+      );
+    }
+  }));
+}
+
+/**
+ * Publish drafts whose publish_at time has been reached.
+ * @param {Timestamp} now
+ * @return {Promise<number>} Number of published activities
+ */
+async function publishScheduledDrafts(now) {
+  const dueSnap = await db.collection("activities")
+      .where("status", "==", "Draft")
+      .where("publish_at", "<=", now)
+      .get();
+
+  let published = 0;
+  for (const activityDoc of dueSnap.docs) {
+    try {
+      await activityDoc.ref.update({
+        status: "Open",
+        publish_at: null,
+        published_at: now,
+        updated_at: now,
+      });
+      published++;
+    } catch (err) {
+      console.error(
+          `[activityLifecycle] Failed to publish ${activityDoc.id}:`,
+          err,
+      );
+    }
+  }
+  return published;
+}
+
+/**
+ * Close applications at the cut-off and move past activities to Ended.
+ * @param {Timestamp} now
+ * @return {Promise<{applicationsClosed: number, ended: number,
+ *   checkOutsClosed: number}>}
+ */
+async function advanceOpenActivities(now) {
+  const openSnap = await db.collection("activities")
+      .where("status", "==", "Open")
+      .get();
+
+  const nowMs = now.toMillis();
+  let applicationsClosed = 0;
+  let ended = 0;
+  let checkOutsClosed = 0;
+
+  for (const activityDoc of openSnap.docs) {
+    const activity = activityDoc.data() || {};
+    try {
+      // End in the activity's time zone: functions run in UTC
+      const end = getActivityEnd(activity);
+      if (end && end.getTime() <= nowMs) {
+        checkOutsClosed +=
+          await closeForgottenCheckOuts(activityDoc.ref, activity, end);
+        await activityDoc.ref.update({
+          status: "Ended",
+          applications_closed: true,
+          ended_at: now,
+          closeout_reminder_sent_at: null,
+          updated_at: now,
+        });
+        ended++;
+        continue;
+      }
+
+      const closeAt = getApplicationsCloseAt(activity);
+      if (activity.applications_closed !== true && closeAt &&
+        closeAt.getTime() <= nowMs) {
+        await activityDoc.ref.update({
+          applications_closed: true,
+          updated_at: now,
+        });
+        applicationsClosed++;
+      }
+    } catch (err) {
+      console.error(
+          `[activityLifecycle] Failed to advance ${activityDoc.id}:`,
+          err,
+      );
+    }
+  }
+  return {applicationsClosed, ended, checkOutsClosed};
+}
+
+/**
+ * Remind organizations to close out activities awaiting close-out, at most
+ * once every CLOSEOUT_REMINDER_INTERVAL_DAYS per activity.
+ * @param {Timestamp} now
+ * @return {Promise<number>} Number of activities reminded about
+ */
+async function remindCloseOut(now) {
+  const endedSnap = await db.collection("activities")
+      .where("status", "==", "Ended")
+      .get();
+
+  const intervalMs = CLOSEOUT_REMINDER_INTERVAL_DAYS * 24 * 3600000;
+  let reminded = 0;
+
+  for (const activityDoc of endedSnap.docs) {
+    const activity = activityDoc.data() || {};
+    const lastSent = toDate(activity.closeout_reminder_sent_at);
+    if (lastSent && now.toMillis() - lastSent.getTime() < intervalMs) {
+      continue;
+    }
+    if (!activity.organization_id) continue;
+
+    try {
+      await activityDoc.ref.update({closeout_reminder_sent_at: now});
+      await notifyOrganizationMembers(activity.organization_id, {
+        type: "REMINDER",
+        title: "Activity awaiting close-out",
+        body: `"${activity.title || "An activity"}" has ended. ` +
+          "Close it out to validate participants and record hours " +
+          "and impact.",
+        link: "/mynonprofit",
+        metadata: {
+          activity_id: activityDoc.id,
+          organization_id: activity.organization_id,
+          status: "Ended",
+        },
+      });
+      reminded++;
+    } catch (err) {
+      console.error(
+          `[activityLifecycle] Failed to remind close-out of ` +
+          `${activityDoc.id}:`,
+          err,
+      );
+    }
+  }
+  return reminded;
+}
+
+/**
+ * Run every clock-driven status transition. Scheduled by
+ * advanceActivityLifecycle in index.js.
+ * @return {Promise<Object>} Counts per transition
+ */
+export async function runActivityLifecycle() {
+  const now = Timestamp.now();
+  const published = await publishScheduledDrafts(now);
+  const {applicationsClosed, ended, checkOutsClosed} =
+    await advanceOpenActivities(now);
+  const reminded = await remindCloseOut(now);
+
+  const result = {
+    published,
+    applicationsClosed,
+    ended,
+    checkOutsClosed,
+    reminded,
+  };
+  console.log("[runActivityLifecycle] Done", result);
+  return result;
+}
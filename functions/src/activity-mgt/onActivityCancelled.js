@@ -0,0 +1,94 @@
+import {onDocumentUpdated} from "firebase-functions/v2/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+
+/**
+ * Applications whose volunteer is still counting on the activity. Waitlisted
+ * volunteers and open offers are included so nobody keeps waiting for a
+ * place that no longer exists.
+ */
+const NOTIFIED_STATUSES = ["pending", "accepted", "waitlisted", "offered"];
+
+/**
+ * Notify every applicant still counting on a cancelled activity.
+ * Application statuses are left as they are: the activity keeps appearing in
+ * volunteers' applications and history as "Cancelled", and XP already granted
+ * is not touched.
+ *
+ * @param {string} activityId
+ * @param {Object} activity - Activity data after cancellation.
+ * @return {Promise<number>} Number of volunteers notified.
+ */
+export async function notifyActivityCancelled(activityId, activity) {
+  const applicationsSnap = await db.collection("activities")
+      .doc(activityId)
+      .collection("applications")
+      .where("status", "in", NOTIFIED_STATUSES)
+      .get();
+
+  const userIds = [...new Set(applicationsSnap.docs
+      .map((applicationDoc) => applicationDoc.data().user_id)
+      .filter(Boolean))];
+
+  const title = activity.title || "Activity";
+  const reason = (activity.cancellation_reason || "").trim();
+  const body = `"${title}" has been cancelled by ` +
+    `${activity.organization_name || "the organization"}.` +
+    (reason ? `\n\nReason: ${reason}` : "");
+
+  let notified = 0;
+  await Promise.all(userIds.map(async (userId) => {
+    try {
+      await sendUserNotification({
+        userId,
+        type: "ACTIVITY_UPDATE",
+        title: "Activity cancelled",
+        body,
+        link: "/dashboard",
+        metadata: {
+          activity_id: activityId,
+          organization_id: activity.organization_id || null,
+          status: "Cancelled",
+        },
+      });
+      notified++;
+    } catch (error) {
+      console.error(
+          `[notifyActivityCancelled] Failed to notify ${userId} ` +
+          `for activity ${activityId}:`,
+          error,
+      );
+    }
+  }));
+
+  console.log(
+      "[notifyActivityCancelled]",
+      `activityId=${activityId}`,
+      `notified=${notified}`,
+  );
+  return notified;
+}
+
+/**
+ * Firestore trigger when an activity document is updated.
+ * Runs only when status changes to "Cancelled".
+ */
+export const onActivityCancelled = onDocumentUpdated(
+    "activities/{activityId}",
+    async (event) => {
+      const before = event.data?.before?.data();
+      const after = event.data?.after?.data();
+      const activityId = event.params.activityId;
+
+      if (!before || !after) return;
+      if (before.status === "Cancelled" || after.status !== "Cancelled") {
+        return;
+      }
+
+      try {
+        await notifyActivityCancelled(activityId, after);
+      } catch (error) {
+        console.error("[onActivityCancelled] Error:", error);
+      }
+    },
+);
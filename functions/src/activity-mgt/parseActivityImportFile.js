@@ -0,0 +1,83 @@
+import {onCall} from "firebase-functions/v2/https";
+import ExcelJS from "exceljs";
+
+/** Rows read from an import file; larger files are rejected. */
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Convert an ExcelJS cell value to the string shown in the sheet.
+ * Dates become "YYYY-MM-DD" (or "HH:mm" for time-only cells).
+ * @param {*} value - ExcelJS cell value.
+ * @return {string}
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    // Excel stores time-only cells on 1899-12-30
+    if (iso.startsWith("1899-12-30")) return iso.slice(11, 16);
+    return iso.slice(0, 10);
+  }
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text || "").join("");
+    }
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    if (value.hyperlink) return String(value.hyperlink);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Read the first worksheet of an .xlsx file into rows of strings so the
+ * client can map columns and validate rows (see src/utils/activityImport.js).
+ * NPO staff only.
+ */
+export const parseActivityImportFile = onCall(
+    {
+      invoker: "public",
+      memory: "512MiB",
+    },
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      if (!request.auth.token?.npo_id) {
+        throw new Error("Forbidden: NPO access required");
+      }
+
+      const {base64} = request.data || {};
+      if (!base64 || typeof base64 !== "string") {
+        throw new Error("base64 file content is required");
+      }
+
+      const workbook = new ExcelJS.Workbook();
+      try {
+        await workbook.xlsx.load(Buffer.from(base64, "base64"));
+      } catch (err) {
+        console.error("[parseActivityImportFile] Unreadable file:", err);
+        return {success: false, error: "unreadable"};
+      }
+
+      const sheet = workbook.worksheets[0];
+      if (!sheet) {
+        return {success: false, error: "empty"};
+      }
+
+      const rows = [];
+      sheet.eachRow({includeEmpty: false}, (row) => {
+        // row.values is 1-indexed
+        const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+        rows.push(values.map(cellToString));
+      });
+
+      if (rows.length < 2) {
+        return {success: false, error: "empty"};
+      }
+      if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        return {success: false, error: "tooManyRows", max: MAX_IMPORT_ROWS};
+      }
+
+      return {success: true, rows};
+    });
@@ -0,0 +1,308 @@
+import {onCall} from "firebase-functions/v2/https";
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {
+  createHmac,
+  randomBytes,
+  randomUUID,
+  timingSafeEqual,
+} from "node:crypto";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "../init.js";
+
+/**
+ * QR validation modes of local activities and events (activity.qr_mode):
+ *
+ *   "static"   -> the printed poster encodes a fixed qr_code_token
+ *                 (default, for venues without a screen)
+ *   "rotating" -> the NPO shows the code on a device; it changes every
+ *                 QR_ROTATION_PERIOD_SECONDS and is derived TOTP-style
+ *                 from a per-activity secret, so a photo of it stops
+ *                 working within a minute
+ *
+ * Activities with check_out_enabled have a second, departure code with its
+ * own check_out_token / check_out_secret: the arrival scan sets
+ * checked_in_at, the departure scan checked_out_at (see
+ * validateActivityByQR.js).
+ *
+ * All of them live in activities/{activityId}/private/qr
+ * {qr_code_token, check_out_token, secret, check_out_secret, created_at},
+ * readable by the activity's NPO only, so volunteers cannot read a token off
+ * the public activity document. Tokens are created by
+ * onActivityWrittenSecureQRToken, secrets on first use by
+ * getActivityQRSecret. Scans are checked by validateActivityByQR.
+ */
+
+export const QR_MODES = ["static", "rotating"];
+
+/** Lifetime of a rotating code. */
+export const QR_ROTATION_PERIOD_SECONDS = 30;
+
+/** Periods accepted either side of the current one (clock skew, delay). */
+const QR_CLOCK_SKEW_STEPS = 1;
+
+/**
+ * Roles that may display an activity's codes, with the activity's npo_id
+ * (staffOrAmbassadorForActivity in firestore.rules).
+ */
+const QR_DISPLAY_ROLES = ["npo-staff", "ambassador"];
+
+/** Hex characters kept from the HMAC. */
+const ROTATING_TOKEN_LENGTH = 20;
+
+/**
+ * Period index of a moment.
+ *
+ * @param {number} nowMs
+ * @return {number}
+ */
+export function getRotationStep(nowMs) {
+  return Math.floor(nowMs / 1000 / QR_ROTATION_PERIOD_SECONDS);
+}
+
+/**
+ * Code of one period: HMAC-SHA256 of the big-endian period index, keyed by
+ * the hex secret, truncated to ROTATING_TOKEN_LENGTH hex characters. The
+ * client computes the same in src/utils/qrTokens.js.
+ *
+ * @param {string} secret Hex secret
+ * @param {number} step Period index
+ * @return {string}
+ */
+export function computeRotatingToken(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+  return createHmac("sha256", Buffer.from(secret, "hex"))
+      .update(counter)
+      .digest("hex")
+      .slice(0, ROTATING_TOKEN_LENGTH);
+}
+
+/**
+ * Whether a rotating code is valid now, give or take QR_CLOCK_SKEW_STEPS.
+ *
+ * @param {string} secret Hex secret
+ * @param {*} token Scanned code
+ * @param {number} nowMs
+ * @return {boolean}
+ */
+export function verifyRotatingToken(secret, token, nowMs) {
+  if (typeof token !== "string" || token.length !== ROTATING_TOKEN_LENGTH) {
+    return false;
+  }
+  const given = Buffer.from(token);
+  const current = getRotationStep(nowMs);
+  let valid = false;
+  for (let skew = -QR_CLOCK_SKEW_STEPS; skew <= QR_CLOCK_SKEW_STEPS; skew++) {
+    const expected = Buffer.from(computeRotatingToken(secret, current + skew));
+    // No early exit: every candidate is compared
+    valid = timingSafeEqual(expected, given) || valid;
+  }
+  return valid;
+}
+
+/**
+ * Reference of the private QR document of an activity.
+ *
+ * @param {string} activityId
+ * @return {Object} DocumentReference
+ */
+function getPrivateQRRef(activityId) {
+  return db.collection("activities").doc(activityId)
+      .collection("private").doc("qr");
+}
+
+/**
+ * Arrival and departure secrets of an activity, created on first use.
+ *
+ * @param {string} activityId
+ * @return {Promise<{secret: string, checkOutSecret: string}>}
+ */
+async function getOrCreateQRSecrets(activityId) {
+  const secretRef = getPrivateQRRef(activityId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(secretRef);
+    const data = snap.exists ? snap.data() : {};
+    if (data.secret && data.check_out_secret) {
+      return {secret: data.secret, checkOutSecret: data.check_out_secret};
+    }
+    const secret = data.secret || randomBytes(32).toString("hex");
+    const checkOutSecret =
+      data.check_out_secret || randomBytes(32).toString("hex");
+    tx.set(secretRef, {
+      secret,
+      check_out_secret: checkOutSecret,
+      created_at: data.created_at || FieldValue.serverTimestamp(),
+    }, {merge: true});
+    return {secret, checkOutSecret};
+  });
+}
+
+/**
+ * Check a scanned token against the activity's QR mode and tell which code
+ * it came from. The departure code only counts when check_out_enabled is
+ * set. Activities not yet moved to the private document still carry
+ * qr_code_token themselves.
+ *
+ * @param {string} activityId
+ * @param {Object} activity Activity document data
+ * @param {*} token Scanned token
+ * @param {number} nowMs Server time (rotating codes are only valid now)
+ * @param {Object} [tx] Transaction to read the private document in
+ * @return {Promise<string|null>} "check_in", "check_out", or null when the
+ *   token is invalid
+ */
+export async function getActivityQRScanType(
+    activityId,
+    activity,
+    token,
+    nowMs,
+    tx = null,
+) {
+  if (!token || typeof token !== "string") {
+    return null;
+  }
+  const privateRef = getPrivateQRRef(activityId);
+  const privateSnap = tx ? await tx.get(privateRef) : await privateRef.get();
+  const privateData = privateSnap.exists ? privateSnap.data() : {};
+  const checkOutEnabled = activity.check_out_enabled === true;
+  if (activity.qr_mode === "rotating") {
+    if (privateData.secret &&
+      verifyRotatingToken(privateData.secret, token, nowMs)) {
+      return "check_in";
+    }
+    if (checkOutEnabled && privateData.check_out_secret &&
+      verifyRotatingToken(privateData.check_out_secret, token, nowMs)) {
+      return "check_out";
+    }
+    return null;
+  }
+  const staticToken = privateData.qr_code_token || activity.qr_code_token;
+  if (staticToken && token === staticToken) {
+    return "check_in";
+  }
+  if (checkOutEnabled && privateData.check_out_token &&
+    token === privateData.check_out_token) {
+    return "check_out";
+  }
+  return null;
+}
+
+/**
+ * Give a local activity or event its static arrival and departure tokens in
+ * the private document, moving a token left on the activity document there.
+ * The update it makes triggers it again, as a no-op.
+ *
+ * @param {Object} activityRef DocumentReference of the activity
+ * @param {Object} activity Activity document data
+ * @return {Promise<boolean>} True when something was written.
+ */
+async function secureQRToken(activityRef, activity) {
+  const legacyToken = activity.qr_code_token;
+  if (activity.type !== "event" && activity.type !== "local") {
+    if (legacyToken === undefined) return false;
+    await activityRef.update({qr_code_token: FieldValue.delete()});
+    return true;
+  }
+
+  const privateRef = getPrivateQRRef(activityRef.id);
+  const created = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(privateRef);
+    const data = snap.exists ? snap.data() : {};
+    if (data.qr_code_token && data.check_out_token) return false;
+    tx.set(privateRef, {
+      qr_code_token: data.qr_code_token || legacyToken || randomUUID(),
+      check_out_token: data.check_out_token || randomUUID(),
+      created_at: data.created_at || FieldValue.serverTimestamp(),
+    }, {merge: true});
+    return true;
+  });
+  if (legacyToken !== undefined) {
+    await activityRef.update({qr_code_token: FieldValue.delete()});
+  }
+  return created || legacyToken !== undefined;
+}
+
+/**
+ * Firestore trigger: static QR token of an activity.
+ */
+export const onActivityWrittenSecureQRToken = onDocumentWritten(
+    "activities/{activityId}",
+    async (event) => {
+      const after = event.data?.after;
+      if (!after?.exists) return;
+      try {
+        await secureQRToken(after.ref, after.data());
+      } catch (error) {
+        console.error(
+            `[onActivityWrittenSecureQRToken] ${after.ref.path}:`,
+            error,
+        );
+      }
+    },
+);
+
+/**
+ * Move the tokens of existing activities to their private documents.
+ *
+ * @return {Promise<{activities: number}>}
+ */
+export async function backfillQRTokens() {
+  let activities = 0;
+  const activitiesSnap = await db.collection("activities").get();
+  for (const activityDoc of activitiesSnap.docs) {
+    if (await secureQRToken(activityDoc.ref, activityDoc.data())) {
+      activities++;
+    }
+  }
+  return {activities};
+}
+
+/**
+ * Callable: secrets of an activity's rotating QR codes, for the device that
+ * displays them. Restricted to the activity's NPO staff and ambassadors,
+ * and admins.
+ * Params: {activityId}
+ * Returns {secret, checkOutSecret, period, serverTime} (checkOutSecret is
+ * null unless check_out_enabled; serverTime lets the device correct its
+ * clock).
+ */
+export const getActivityQRSecret = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      const {activityId} = request.data || {};
+      if (!activityId || typeof activityId !== "string") {
+        throw new Error("activityId is required");
+      }
+
+      const activitySnap = await db.collection("activities")
+          .doc(activityId)
+          .get();
+      if (!activitySnap.exists) {
+        throw new Error("Activity not found");
+      }
+      const activity = activitySnap.data();
+      const token = request.auth.token || {};
+      if (token.role !== "admin" &&
+          (!QR_DISPLAY_ROLES.includes(token.role) ||
+            !token.npo_id || token.npo_id !== activity.organization_id)) {
+        throw new Error("Forbidden: NPO access required");
+      }
+      if (activity.type !== "event" && activity.type !== "local") {
+        throw new Error("QR validation is only available for events and " +
+          "local activities");
+      }
+
+      const {secret, checkOutSecret} = await getOrCreateQRSecrets(activityId);
+      return {
+        secret,
+        checkOutSecret: activity.check_out_enabled === true ?
+          checkOutSecret :
+          null,
+        period: QR_ROTATION_PERIOD_SECONDS,
+        serverTime: Date.now(),
+      };
+    });
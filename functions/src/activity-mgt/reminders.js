@@ -0,0 +1,247 @@
+import {Timestamp} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+import {getActivityStart} from "./lifecycle.js";
+import {getActivityDateTime, getActivityTimeZone} from "./activityTime.js";
+
+/**
+ * Pre-activity reminders for accepted volunteers, to cut no-shows.
+ *
+ * Each organization picks how long before the start reminders go out
+ * (organizations/{id}.reminder_hours_before, default
+ * DEFAULT_REMINDER_HOURS). Every run sends the reminders that are due and
+ * records them on the activity:
+ * {
+ *   reminders_sent: number[],        // offsets (hours) already sent
+ *   reminders_start_at: Timestamp,   // start they were sent for; a new
+ *                                    // start date sends them again
+ *   reminders_time_zone: string      // zone that start was read in
+ * }
+ *
+ * Start times are read in the activity's time zone (activityTime.js).
+ *
+ * Volunteers who set members/{id}.activity_reminders_enabled to false get
+ * none. The reminder links to /activities/reminder, which shows the address
+ * and offers a one-tap cancellation that frees the seat.
+ */
+
+/** Hours before the start when reminders go out by default. */
+export const DEFAULT_REMINDER_HOURS = [48, 2];
+
+/** Offsets organizations can choose from (hours before the start). */
+export const REMINDER_HOURS_OPTIONS = [168, 72, 48, 24, 12, 6, 2, 1];
+
+/**
+ * Reminder offsets of an organization, largest first. An empty list turns
+ * reminders off for the organization.
+ *
+ * @param {Object|null} organization Organization document data
+ * @return {Array<number>}
+ */
+export function getReminderHours(organization) {
+  const configured = organization?.reminder_hours_before;
+  if (!Array.isArray(configured)) {
+    return DEFAULT_REMINDER_HOURS;
+  }
+  return [...new Set(configured.map(Number))]
+      .filter((hours) => REMINDER_HOURS_OPTIONS.includes(hours))
+      .sort((a, b) => b - a);
+}
+
+/**
+ * Map link for the activity location, or null when it has none.
+ *
+ * @param {Object} activity Activity document data
+ * @return {string|null}
+ */
+export function getMapLink(activity) {
+  const lat = Number(activity?.coordinates?.latitude);
+  const lng = Number(activity?.coordinates?.longitude);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`;
+  }
+  const address = activity?.location ||
+    [activity?.city, activity?.country].filter(Boolean).join(", ");
+  return address ?
+    "https://www.google.com/maps/search/?api=1&query=" +
+      encodeURIComponent(address) :
+    null;
+}
+
+/**
+ * "in 2 hours", "in 3 days".
+ *
+ * @param {number} hoursLeft
+ * @return {string}
+ */
+function formatStartsIn(hoursLeft) {
+  if (hoursLeft < 1) return "in less than an hour";
+  if (hoursLeft < 36) {
+    const hours = Math.round(hoursLeft);
+    return `in ${hours} hour${hours === 1 ? "" : "s"}`;
+  }
+  const days = Math.round(hoursLeft / 24);
+  return `in ${days} day${days === 1 ? "" : "s"}`;
+}
+
+/**
+ * Send the reminder of an activity to its accepted volunteers.
+ *
+ * @param {string} activityId
+ * @param {Object} activity Activity document data
+ * @param {Date} start Start of the activity
+ * @param {number} hoursLeft Hours until the start
+ * @return {Promise<number>} Number of volunteers reminded
+ */
+async function remindAcceptedVolunteers(
+    activityId,
+    activity,
+    start,
+    hoursLeft,
+) {
+  const acceptedSnap = await db.collection("activities").doc(activityId)
+      .collection("applications")
+      .where("status", "==", "accepted")
+      .get();
+
+  const address = activity.type === "online" ?
+    null :
+    activity.location ||
+      [activity.city, activity.country].filter(Boolean).join(", ");
+  const mapLink = activity.type === "online" ? null : getMapLink(activity);
+  const startTime = activity.start_time ? ` at ${activity.start_time}` : "";
+  const lines = [
+    `"${activity.title || "Your activity"}" starts ` +
+      `${formatStartsIn(hoursLeft)}${startTime}.`,
+    address ? `Address: ${address}` : null,
+    mapLink ? `Map: ${mapLink}` : null,
+    "Can't make it anymore? Cancel in one tap so someone else can " +
+      "take your place.",
+  ].filter(Boolean);
+
+  let reminded = 0;
+  for (const applicationDoc of acceptedSnap.docs) {
+    const userId = applicationDoc.data().user_id;
+    if (!userId) continue;
+    try {
+      const memberSnap = await db.collection("members").doc(userId).get();
+      if (memberSnap.data()?.activity_reminders_enabled === false) continue;
+      await sendUserNotification({
+        userId,
+        type: "ACTIVITY_REMINDER",
+        title: `Reminder: ${activity.title || "your activity"} ` +
+          formatStartsIn(hoursLeft),
+        body: lines.join("\n"),
+        link: `/activities/reminder?activityId=${activityId}` +
+          `&applicationId=${applicationDoc.id}`,
+        metadata: {
+          activity_id: activityId,
+          application_id: applicationDoc.id,
+          organization_id: activity.organization_id || null,
+          start_at: start.toISOString(),
+          time_zone: getActivityTimeZone(activity),
+          map_link: mapLink,
+        },
+      });
+      reminded++;
+    } catch (err) {
+      console.error(
+          `[activityReminders] Failed to remind ${userId} ` +
+          `for activity ${activityId}:`,
+          err,
+      );
+    }
+  }
+  return reminded;
+}
+
+/**
+ * Whether reminders were recorded for the current start of the activity.
+ * Reminders recorded before start times were read in the activity's time
+ * zone hold the start read as UTC; those count as the same start, so the
+ * change does not send them again.
+ *
+ * @param {Object} activity Activity document data
+ * @param {Date} start Start of the activity
+ * @return {boolean}
+ */
+function isSameReminderStart(activity, start) {
+  const recordedMs = activity.reminders_start_at?.toMillis?.();
+  if (recordedMs === undefined) return false;
+  if (recordedMs === start.getTime()) return true;
+  const startReadAsUtc = getActivityDateTime(
+      {time_zone: "UTC"},
+      activity.start_date,
+      activity.start_time,
+  );
+  return !activity.reminders_time_zone &&
+    recordedMs === startReadAsUtc?.getTime();
+}
+
+/**
+ * Send the reminders that are due. When several offsets are due at once
+ * (activity published late, missed run) a single reminder goes out.
+ * Scheduled by sendActivityReminders in index.js.
+ *
+ * @return {Promise<{activities: number, reminded: number}>}
+ */
+export async function runActivityReminders() {
+  const now = Timestamp.now();
+  const nowMs = now.toMillis();
+  const openSnap = await db.collection("activities")
+      .where("status", "==", "Open")
+      .get();
+
+  const organizations = new Map();
+  let activities = 0;
+  let reminded = 0;
+
+  for (const activityDoc of openSnap.docs) {
+    const activity = activityDoc.data() || {};
+    const start = getActivityStart(activity);
+    if (!start || start.getTime() <= nowMs) continue;
+    const hoursLeft = (start.getTime() - nowMs) / 3600000;
+
+    const organizationId = activity.organization_id;
+    if (organizationId && !organizations.has(organizationId)) {
+      const orgSnap = await db.collection("organizations")
+          .doc(organizationId)
+          .get();
+      organizations.set(organizationId, orgSnap.exists ? orgSnap.data() : null);
+    }
+    const offsets = getReminderHours(organizations.get(organizationId));
+    if (offsets.length === 0 || hoursLeft > offsets[0]) continue;
+
+    const sent = isSameReminderStart(activity, start) &&
+      Array.isArray(activity.reminders_sent) ?
+      activity.reminders_sent :
+      [];
+    const due = offsets.filter((hours) =>
+      hours >= hoursLeft && !sent.includes(hours));
+    if (due.length === 0) continue;
+
+    try {
+      await activityDoc.ref.update({
+        reminders_sent: [...sent, ...due],
+        reminders_start_at: Timestamp.fromDate(start),
+        reminders_time_zone: getActivityTimeZone(activity),
+      });
+      reminded += await remindAcceptedVolunteers(
+          activityDoc.id,
+          activity,
+          start,
+          hoursLeft,
+      );
+      activities++;
+    } catch (err) {
+      console.error(
+          `[activityReminders] Failed on activity ${activityDoc.id}:`,
+          err,
+      );
+    }
+  }
+
+  const result = {activities, reminded};
+  console.log("[runActivityReminders] Done", result);
+  return result;
+}
@@ -33,6 +33,12 @@ export async function syncActivityAggregateCounts(activityId) {
   const accepted = applications.filter(
       (a) => a && a.status === "accepted",
   );
+  const offeredCount = applications.filter(
+      (a) => a && a.status === "offered",
+  ).length;
+  const waitlistedCount = applications.filter(
+      (a) => a && a.status === "waitlisted",
+  ).length;
 
   const rejectedUserIds = new Set();
   const validatedDocCount = validationsSnap.docs.reduce((acc, docSnap) => {
@@ -58,13 +64,39 @@ export async function syncActivityAggregateCounts(activityId) {
   const effectiveCount = effectiveParticipants.length;
   const participationsCount = participationsSnap.size;
 
+  // Per-slot counters for activities split into time slots
+  const timeSlots = activitySnap.data()?.time_slots;
+  const slotCounts = {};
+  if (Array.isArray(timeSlots) && timeSlots.length > 0) {
+    for (const slot of timeSlots) {
+      if (slot?.id) {
+        slotCounts[slot.id] = {applicants: 0, accepted: 0, offered: 0};
+      }
+    }
+    for (const app of nonCancelled) {
+      const slotIds = Array.isArray(app.slot_ids) ? app.slot_ids : [];
+      for (const slotId of slotIds) {
+        if (!slotCounts[slotId]) continue;
+        slotCounts[slotId].applicants++;
+        if (app.status === "accepted") {
+          slotCounts[slotId].accepted++;
+        } else if (app.status === "offered") {
+          slotCounts[slotId].offered++;
+        }
+      }
+    }
+  }
+
   await activityRef.update({
     applicants: applicantsCount,
     applicants_count: applicantsCount,
     accepted_applicants_count: acceptedCount,
+    offered_count: offeredCount,
+    waitlisted_count: waitlistedCount,
     effective_participants_count: effectiveCount,
     validated_count: validatedDocCount,
     participations_count: participationsCount,
+    slot_counts: slotCounts,
     aggregate_counts_updated_at: FieldValue.serverTimestamp(),
   });
 }
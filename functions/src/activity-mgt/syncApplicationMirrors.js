@@ -93,7 +93,7 @@ export async function deleteApplicationMirrors(
   await batch.commit();
 }
 
-const RESOLVED_STATUSES = ["accepted", "rejected", "cancelled"];
+const RESOLVED_STATUSES = ["accepted", "rejected", "cancelled", "expired"];
 
 /**
  * Decrements org total_new_applications when leaving pending via update.
@@ -0,0 +1,589 @@
+import {onCall} from "firebase-functions/v2/https";
+import {Timestamp} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {getActivityQRScanType} from "./qrTokens.js";
+import {getSlotsDurationHours} from "../impact/onActivityClosed.js";
+import {distanceKm, toLatLng} from "../geo/geohash.js";
+
+/**
+ * QR validation of a volunteer's participation, run server-side so the
+ * token never has to be readable by clients. The arrival scan, in one
+ * transaction:
+ *
+ *   validations/{id}          -> status "validated" (created or updated);
+ *                                rewards follow in onValidationCreated
+ *   applications/{id}         -> a pending application is accepted
+ *   participations/{userId}   -> status "validated", checked_in_at, and the
+ *                                hours of the volunteer's time slots
+ *
+ * Activities with check_out_enabled also have a departure code: its scan
+ * sets checked_out_at and measured_hours, proposed as the validated hours
+ * (the NPO can still correct them in CloseActivityModal). Check-outs still
+ * open when the activity ends are closed at the end time and flagged with
+ * check_out_auto_closed by closeForgottenCheckOuts.
+ *
+ * Day and time checks use the scanning device's UTC offset, so "the
+ * activity date" means the same thing as on the volunteer's phone.
+ *
+ * Local activities with a geofence_radius_m (metres around the address
+ * coordinates) ask for the device location: a scan out of range, or without
+ * a location, is not rejected but recorded with status "needs_review" for
+ * the NPO to confirm in ActivityValidationModal. The location evidence is
+ * kept in scan_locations/{userId}, readable by NPO staff and admins only.
+ *
+ * Scans made without signal are queued on the device (src/utils/
+ * offlineQRQueue.js) and sent later with their scannedAt time: dates and
+ * check-in/out times are checked against that time, within
+ * MAX_QUEUED_SCAN_AGE_HOURS. Tokens are always checked against the server
+ * clock, so rotating codes cannot be queued (a photo of the code would
+ * otherwise be redeemable for days), and a queued scan of a geofenced
+ * activity carries no location and is reviewed by the NPO.
+ */
+
+const DAY_MS = 24 * 3600000;
+
+/** Longest UTC offset in minutes (UTC-14 / UTC+14). */
+const MAX_TZ_OFFSET_MINUTES = 14 * 60;
+
+/** Oldest offline scan accepted when the device syncs its queue. */
+const MAX_QUEUED_SCAN_AGE_HOURS = 72;
+
+/** Largest GPS accuracy (in radius fractions) credited to a scan. */
+const MAX_CREDITED_ACCURACY_RATIO = 1;
+
+/** Measured hours are rounded to this fraction of an hour. */
+const MEASURED_HOURS_STEP = 0.25;
+
+const AUTO_ACCEPT_RESPONSE =
+  "Your application has been automatically accepted by QR code scan.";
+
+/**
+ * Convert a value to a Date object.
+ * @param {*} value - Timestamp, Date, or date-like value.
+ * @return {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value instanceof Date) return value;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Day number of a moment on a device with the given offset
+ * (Date#getTimezoneOffset, minutes behind UTC).
+ * @param {number} ms
+ * @param {number} tzOffsetMinutes
+ * @return {number}
+ */
+function toLocalDay(ms, tzOffsetMinutes) {
+  return Math.floor((ms - tzOffsetMinutes * 60000) / DAY_MS);
+}
+
+/**
+ * Whether the scan falls on the activity day, or any day from start to end
+ * date (inclusive) for multi-day activities.
+ * @param {number} scanMs
+ * @param {Object} activity
+ * @param {number} tzOffsetMinutes
+ * @return {boolean}
+ */
+function isScanInActivityRange(scanMs, activity, tzOffsetMinutes) {
+  const start = toDate(activity.start_date);
+  if (!start) return false;
+  const end = toDate(activity.end_date);
+  const day = toLocalDay(scanMs, tzOffsetMinutes);
+  const startDay = toLocalDay(start.getTime(), tzOffsetMinutes);
+  const endDay = end ? toLocalDay(end.getTime(), tzOffsetMinutes) : startDay;
+  return day >= startDay && day <= endDay;
+}
+
+/**
+ * Time slots the validation applies to: the slots chosen in the
+ * volunteer's application or, for walk-ins and events, the slot running
+ * at scan time.
+ * @param {Object} activity
+ * @param {Object|null} application Volunteer's active application
+ * @param {number} scanMs
+ * @param {number} tzOffsetMinutes
+ * @return {Array<string>}
+ */
+function resolveSlotIds(activity, application, scanMs, tzOffsetMinutes) {
+  const timeSlots = Array.isArray(activity.time_slots) ?
+    activity.time_slots :
+    [];
+  if (timeSlots.length === 0) return [];
+
+  if (Array.isArray(application?.slot_ids) &&
+    application.slot_ids.length > 0) {
+    return application.slot_ids.filter((slotId) =>
+      timeSlots.some((slot) => slot.id === slotId));
+  }
+
+  const local = new Date(scanMs - tzOffsetMinutes * 60000);
+  const now = `${String(local.getUTCHours()).padStart(2, "0")}:` +
+    String(local.getUTCMinutes()).padStart(2, "0");
+  const runningSlot = timeSlots.find((slot) =>
+    slot.start_time <= now && now <= slot.end_time);
+  return runningSlot ? [runningSlot.id] : [];
+}
+
+/**
+ * Centre and radius of an activity's geofence, or null when it has none
+ * (not a local activity, no radius, or no address coordinates).
+ * @param {Object} activity
+ * @return {{center: {latitude: number, longitude: number},
+ *   radiusM: number}|null}
+ */
+function getActivityGeofence(activity) {
+  const radiusM = Number(activity.geofence_radius_m);
+  if (activity.type !== "local" || !Number.isFinite(radiusM) ||
+    radiusM <= 0) {
+    return null;
+  }
+  const center = toLatLng(activity.coordinates);
+  return center ? {center, radiusM} : null;
+}
+
+/**
+ * Location evidence of a scan against a geofence. The device's reported
+ * accuracy is credited up to MAX_CREDITED_ACCURACY_RATIO of the radius.
+ * @param {{center: Object, radiusM: number}} geofence
+ * @param {Object|null} location {latitude, longitude, accuracy}
+ * @return {Object} scan_locations document fields (review_reason null when
+ *   the scan is in range)
+ */
+function checkGeofence(geofence, location) {
+  const point = toLatLng(location);
+  if (!point) {
+    return {
+      latitude: null,
+      longitude: null,
+      accuracy_m: null,
+      distance_m: null,
+      radius_m: geofence.radiusM,
+      within_radius: false,
+      review_reason: "no_location",
+    };
+  }
+  const accuracyM = Math.max(0, Number(location.accuracy) || 0);
+  const distanceM = Math.round(distanceKm(geofence.center, point) * 1000);
+  const withinRadius = distanceM <= geofence.radiusM +
+    Math.min(accuracyM, geofence.radiusM * MAX_CREDITED_ACCURACY_RATIO);
+  return {
+    ...point,
+    accuracy_m: Math.round(accuracyM),
+    distance_m: distanceM,
+    radius_m: geofence.radiusM,
+    within_radius: withinRadius,
+    review_reason: withinRadius ? null : "out_of_range",
+  };
+}
+
+/**
+ * Hours between check-in and check-out, rounded to MEASURED_HOURS_STEP.
+ * @param {*} checkedInAt
+ * @param {*} checkedOutAt
+ * @return {number}
+ */
+export function getMeasuredHours(checkedInAt, checkedOutAt) {
+  const start = toDate(checkedInAt);
+  const end = toDate(checkedOutAt);
+  if (!start || !end) return 0;
+  const hours = Math.max(0, end.getTime() - start.getTime()) / 3600000;
+  return Math.round(hours / MEASURED_HOURS_STEP) * MEASURED_HOURS_STEP;
+}
+
+/**
+ * Failed validation result.
+ * @param {string} error Error code
+ * @param {string} message
+ * @return {{success: boolean, error: string, message: string}}
+ */
+function failure(error, message) {
+  return {success: false, error, message};
+}
+
+/**
+ * Validate a volunteer's participation from a scanned QR token.
+ *
+ * @param {string} userId
+ * @param {string} activityId
+ * @param {string} token Scanned token
+ * @param {Object} options
+ * @param {number} options.scanMs Time of the scan (earlier than now for
+ *   queued offline scans)
+ * @param {number} options.tzOffsetMinutes UTC offset of the device
+ * @param {boolean} [options.queued] Scan queued offline (no location asked,
+ *   refused for rotating codes)
+ * @param {Object|null} [options.location] Device location {latitude,
+ *   longitude, accuracy} for geofenced activities
+ * @param {boolean} [options.locationUnavailable] The device could not give
+ *   its location (denied, timed out)
+ * @return {Promise<Object>} {success, total_xp, activityTitle, message} or
+ *   {success: false, error, message}; needs_review: true when the scan
+ *   awaits the NPO's confirmation
+ */
+export async function validateParticipationByQR(
+    userId,
+    activityId,
+    token,
+    {scanMs, tzOffsetMinutes, queued = false, location = null,
+      locationUnavailable = false},
+) {
+  const activityRef = db.collection("activities").doc(activityId);
+  return db.runTransaction(async (tx) => {
+    const activitySnap = await tx.get(activityRef);
+    if (!activitySnap.exists) {
+      return failure("ACTIVITY_NOT_FOUND", "Activity not found.");
+    }
+    const activity = activitySnap.data();
+
+    if (queued && activity.qr_mode === "rotating") {
+      return failure(
+          "ROTATING_QR_OFFLINE",
+          "This QR code changes every few seconds and cannot be validated " +
+          "offline. Scan it again on site once you are connected.",
+      );
+    }
+    const scanType = await getActivityQRScanType(
+        activityId,
+        activity,
+        token,
+        Date.now(),
+        tx,
+    );
+    if (!scanType) {
+      return failure("INVALID_TOKEN", "Invalid QR code token.");
+    }
+    if (activity.type !== "event" && activity.type !== "local") {
+      return failure(
+          "INVALID_ACTIVITY_TYPE",
+          "QR code validation is only available for Event and Local " +
+          "activities.",
+      );
+    }
+    if (!isScanInActivityRange(scanMs, activity, tzOffsetMinutes)) {
+      return failure(
+          "INVALID_DATE",
+          "QR code validation is only available on the activity date.",
+      );
+    }
+
+    if (scanType === "check_out") {
+      return checkOut(tx, activityRef, activity, userId, scanMs);
+    }
+
+    const validationsSnap = await tx.get(
+        activityRef.collection("validations").where("user_id", "==", userId),
+    );
+    if (validationsSnap.docs.some((d) => d.data().status === "validated")) {
+      return failure(
+          "ALREADY_VALIDATED",
+          "You have already validated this activity.",
+      );
+    }
+
+    const geofence = getActivityGeofence(activity);
+    if (geofence && !location && !locationUnavailable && !queued) {
+      return failure(
+          "LOCATION_REQUIRED",
+          "This activity checks that scans happen on site.",
+      );
+    }
+    // Nothing ties a location sent with a queued scan to the scan itself
+    const scanLocation = geofence ?
+      checkGeofence(geofence, queued ? null : location) :
+      null;
+    const reviewReason = scanLocation?.review_reason || null;
+    const validationStatus = reviewReason ? "needs_review" : "validated";
+
+    const applicationsSnap = await tx.get(
+        activityRef.collection("applications").where("user_id", "==", userId),
+    );
+    const activeApplication = applicationsSnap.docs
+        .map((d) => d.data())
+        .find((app) => ["accepted", "pending"].includes(app.status) &&
+          Array.isArray(app.slot_ids) && app.slot_ids.length > 0) || null;
+    const pendingApplication = applicationsSnap.docs
+        .find((d) => d.data().status === "pending");
+    const participationRef = activityRef.collection("participations")
+        .doc(userId);
+    const participationSnap = await tx.get(participationRef);
+
+    const now = Timestamp.now();
+    const scannedAt = Timestamp.fromMillis(scanMs);
+    const slotIds = resolveSlotIds(
+        activity,
+        activeApplication,
+        scanMs,
+        tzOffsetMinutes,
+    );
+    const slotHours = slotIds.length > 0 ?
+      getSlotsDurationHours(activity, slotIds) || 0 :
+      0;
+
+    // Writes: validation, auto-accept, participation
+    const existingValidation = validationsSnap.docs[0];
+    if (existingValidation) {
+      tx.update(existingValidation.ref, {
+        status: validationStatus,
+        validated_at: now,
+        scanned_at: scannedAt,
+        review_reason: reviewReason,
+        token,
+        rejected_at: null,
+        rejected_by: null,
+      });
+    } else {
+      tx.set(activityRef.collection("validations").doc(), {
+        user_id: userId,
+        token,
+        status: validationStatus,
+        validated_at: now,
+        scanned_at: scannedAt,
+        review_reason: reviewReason,
+        validated_by: null,
+      });
+    }
+
+    if (scanLocation) {
+      tx.set(activityRef.collection("scan_locations").doc(userId), {
+        user_id: userId,
+        ...scanLocation,
+        scanned_at: scannedAt,
+      });
+    }
+
+    // Out-of-range scans wait for the NPO, who accepts them on confirmation
+    if (pendingApplication && !reviewReason) {
+      tx.update(pendingApplication.ref, {
+        status: "accepted",
+        npo_response: AUTO_ACCEPT_RESPONSE,
+        updated_at: now,
+        last_status_updated_by: userId,
+      });
+    }
+
+    const slotFields = slotIds.length > 0 ? {slot_ids: slotIds} : {};
+    if (participationSnap.exists) {
+      // A rescan keeps the first arrival and the reported hours
+      tx.update(participationRef, {
+        "status": validationStatus,
+        "checked_in_at": participationSnap.data().checked_in_at || scannedAt,
+        "hours.validated": slotHours,
+        "hours.validated_at": now,
+        ...slotFields,
+      });
+    } else {
+      tx.set(participationRef, {
+        user_id: userId,
+        xp_awarded: 0,
+        joined_at: now,
+        status: validationStatus,
+        checked_in_at: scannedAt,
+        checked_out_at: null,
+        hours: {
+          reported: 0,
+          validated: slotHours,
+          reported_at: null,
+          validated_at: now,
+        },
+        ...slotFields,
+      });
+    }
+
+    if (reviewReason) {
+      return {
+        success: true,
+        scan: "check_in",
+        needs_review: true,
+        review_reason: reviewReason,
+        check_out_enabled: activity.check_out_enabled === true,
+        total_xp: 0,
+        activityTitle: activity.title || "",
+        message: "Your scan was recorded. The organization will confirm " +
+          "your participation, as it could not be checked on site.",
+      };
+    }
+
+    return {
+      success: true,
+      scan: "check_in",
+      check_out_enabled: activity.check_out_enabled === true,
+      total_xp: activity.xp_reward || 0,
+      activityTitle: activity.title || "",
+      message: "Activity validated successfully! Rewards are being " +
+        "processed in the background.",
+    };
+  });
+}
+
+/**
+ * Departure scan: close the volunteer's check-in and propose the measured
+ * hours as their validated hours.
+ *
+ * @param {Object} tx Transaction
+ * @param {Object} activityRef DocumentReference of the activity
+ * @param {Object} activity Activity document data
+ * @param {string} userId
+ * @param {number} scanMs Time of the scan
+ * @return {Promise<Object>} {success, scan, measured_hours, activityTitle,
+ *   message} or {success: false, error, message}
+ */
+async function checkOut(tx, activityRef, activity, userId, scanMs) {
+  const participationRef = activityRef.collection("participations")
+      .doc(userId);
+  const participationSnap = await tx.get(participationRef);
+  const participation = participationSnap.exists ?
+    participationSnap.data() :
+    {};
+  const checkedIn = participation.status === "validated" ||
+    participation.status === "needs_review";
+  if (!checkedIn || !participation.checked_in_at) {
+    return failure(
+        "NOT_CHECKED_IN",
+        "Scan the arrival QR code before checking out.",
+    );
+  }
+  // A queued scan made before the end of the activity replaces the
+  // check-out closed automatically in the meantime
+  const replacesAutoClose = participation.check_out_auto_closed === true &&
+    scanMs <= participation.checked_out_at.toMillis();
+  if (participation.checked_out_at && !replacesAutoClose) {
+    return failure(
+        "ALREADY_CHECKED_OUT",
+        "You have already checked out of this activity.",
+    );
+  }
+
+  const now = Timestamp.now();
+  const scannedAt = Timestamp.fromMillis(scanMs);
+  const measuredHours =
+    getMeasuredHours(participation.checked_in_at, scannedAt);
+  tx.update(participationRef, {
+    "checked_out_at": scannedAt,
+    "measured_hours": measuredHours,
+    "check_out_auto_closed": false,
+    "hours.validated": measuredHours,
+    "hours.validated_at": now,
+  });
+
+  return {
+    success: true,
+    scan: "check_out",
+    measured_hours: measuredHours,
+    activityTitle: activity.title || "",
+    message: "Checked out successfully.",
+  };
+}
+
+/**
+ * Close the check-outs volunteers forgot: checked_out_at becomes the
+ * activity end time, the measured hours are proposed as validated hours,
+ * and check_out_auto_closed flags them for the NPO to review at close-out.
+ * Called by the lifecycle job when an activity ends; does nothing before
+ * `end`, so volunteers still on site are never checked out early.
+ *
+ * @param {Object} activityRef DocumentReference of the activity
+ * @param {Object} activity Activity document data
+ * @param {Date} end Activity end time, from getActivityEnd (lifecycle.js)
+ * @return {Promise<number>} Number of check-outs closed
+ */
+export async function closeForgottenCheckOuts(activityRef, activity, end) {
+  if (activity.check_out_enabled !== true) return 0;
+  if (!end || end.getTime() > Date.now()) return 0;
+  const participationsSnap = await activityRef.collection("participations")
+      .where("checked_out_at", "==", null)
+      .get();
+  const endAt = Timestamp.fromDate(end);
+  const now = Timestamp.now();
+  const batch = db.batch();
+  let closed = 0;
+  for (const participationDoc of participationsSnap.docs) {
+    const participation = participationDoc.data();
+    if (!participation.checked_in_at) continue;
+    const measuredHours =
+      getMeasuredHours(participation.checked_in_at, endAt);
+    batch.update(participationDoc.ref, {
+      "checked_out_at": endAt,
+      "measured_hours": measuredHours,
+      "check_out_auto_closed": true,
+      "hours.validated": measuredHours,
+      "hours.validated_at": now,
+    });
+    closed++;
+  }
+  if (closed > 0) {
+    await batch.commit();
+  }
+  return closed;
+}
+
+/**
+ * Callable: validate the signed-in volunteer's participation from a
+ * scanned QR code.
+ * Params: {activityId, token, tzOffsetMinutes?, scannedAt?, location?,
+ * locationUnavailable?} (scannedAt: ms of a scan queued offline; location:
+ * {latitude, longitude, accuracy} for geofenced activities, asked for with
+ * error "LOCATION_REQUIRED")
+ * Returns the result of validateParticipationByQR; expired offline scans
+ * come back as error "SCAN_EXPIRED", offline scans of rotating codes as
+ * "ROTATING_QR_OFFLINE", unexpected failures as "VALIDATION_ERROR".
+ */
+export const validateActivityByQR = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      const {activityId, token} = request.data || {};
+      if (!activityId || typeof activityId !== "string") {
+        throw new Error("activityId is required");
+      }
+      const tzOffset = Math.round(Number(request.data?.tzOffsetMinutes));
+      const tzOffsetMinutes = Number.isFinite(tzOffset) &&
+        Math.abs(tzOffset) <= MAX_TZ_OFFSET_MINUTES ?
+        tzOffset :
+        0;
+
+      let scanMs = Date.now();
+      const queued = request.data?.scannedAt != null;
+      if (queued) {
+        const scannedAt = Number(request.data.scannedAt);
+        if (!Number.isFinite(scannedAt) ||
+          scannedAt < scanMs - MAX_QUEUED_SCAN_AGE_HOURS * 3600000) {
+          return failure(
+              "SCAN_EXPIRED",
+              "This offline scan is too old to be accepted.",
+          );
+        }
+        // A device clock running ahead cannot date a scan in the future
+        scanMs = Math.min(scannedAt, scanMs);
+      }
+
+      try {
+        return await validateParticipationByQR(
+            request.auth.uid,
+            activityId,
+            token,
+            {
+              scanMs,
+              tzOffsetMinutes,
+              queued,
+              location: request.data?.location || null,
+              locationUnavailable: request.data?.locationUnavailable === true,
+            },
+        );
+      } catch (error) {
+        console.error(
+            `[validateActivityByQR] ${activityId} for ${request.auth.uid}:`,
+            error,
+        );
+        return failure(
+            "VALIDATION_ERROR",
+            "An error occurred during validation.",
+        );
+      }
+    });
@@ -0,0 +1,99 @@
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "../init.js";
+
+/**
+ * Volunteer access mirror. Security rules cannot query applications, so each
+ * member's relationship to an activity is mirrored to
+ * activities/{activityId}/volunteer_access/{userId}:
+ * { application_status, updated_at }
+ *
+ * The doc exists while the member has an application in RELATED_STATUSES
+ * and holds the most advanced one. firestore.rules and storage.rules read it
+ * for accepted-only attachments and for who may take part in the activity
+ * discussion.
+ */
+export const VOLUNTEER_ACCESS_COLLECTION = "volunteer_access";
+
+/** Statuses that relate a member to an activity, most advanced first. */
+export const RELATED_STATUSES = [
+  "accepted", "offered", "waitlisted", "pending",
+];
+
+/**
+ * Create, update or remove a member's access doc from their applications.
+ * @param {string} activityId
+ * @param {string} userId
+ * @return {Promise<void>}
+ */
+export async function syncVolunteerAccess(activityId, userId) {
+  const activityRef = db.collection("activities").doc(activityId);
+  const applicationsSnap = await activityRef.collection("applications")
+      .where("user_id", "==", userId)
+      .get();
+  const statuses = applicationsSnap.docs
+      .map((applicationDoc) => applicationDoc.data().status);
+  const status = RELATED_STATUSES.find((related) =>
+    statuses.includes(related));
+  const accessRef = activityRef.collection(VOLUNTEER_ACCESS_COLLECTION)
+      .doc(userId);
+
+  if (!status) {
+    await accessRef.delete();
+  } else {
+    await accessRef.set({
+      application_status: status,
+      updated_at: FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+/**
+ * Access docs for every current application (admin backfill).
+ * @return {Promise<number>} Number of access docs written.
+ */
+export async function backfillVolunteerAccess() {
+  const applicationsSnap = await db.collectionGroup("applications")
+      .where("status", "in", RELATED_STATUSES)
+      .get();
+  const pairs = new Set();
+  for (const applicationDoc of applicationsSnap.docs) {
+    const activityRef = applicationDoc.ref.parent.parent;
+    const userId = applicationDoc.data().user_id;
+    // Member and organization mirrors share the collection name
+    if (activityRef?.parent.id !== "activities" || !userId) continue;
+    pairs.add(`${activityRef.id}/${userId}`);
+  }
+  for (const pair of pairs) {
+    const [activityId, userId] = pair.split("/");
+    await syncVolunteerAccess(activityId, userId);
+  }
+  return pairs.size;
+}
+
+/**
+ * Firestore trigger: keep volunteer_access in sync with application status.
+ */
+export const onApplicationWrittenSyncVolunteerAccess = onDocumentWritten(
+    "activities/{activityId}/applications/{applicationId}",
+    async (event) => {
+      const before = event.data?.before?.data();
+      const after = event.data?.after?.data();
+      if (before?.status === after?.status &&
+          before?.user_id === after?.user_id) {
+        return;
+      }
+
+      const userId = after?.user_id || before?.user_id;
+      if (!userId) return;
+      try {
+        await syncVolunteerAccess(event.params.activityId, userId);
+      } catch (error) {
+        console.error(
+            "[onApplicationWrittenSyncVolunteerAccess]",
+            `${event.params.activityId}/${userId}:`,
+            error,
+        );
+      }
+    },
+);
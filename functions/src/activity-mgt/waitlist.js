@@ -0,0 +1,234 @@
+import {Timestamp} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {sendUserNotification} from "../notifications/notificationService.js";
+
+/**
+ * Hours a promoted volunteer has to confirm a waitlist offer before it
+ * passes to the next person in the queue.
+ */
+export const OFFER_WINDOW_HOURS = 24;
+
+/** Statuses that hold a place on the activity. */
+export const OCCUPYING_STATUSES = ["accepted", "offered"];
+
+/**
+ * Converts a Firestore timestamp or date-like value to milliseconds.
+ *
+ * @param {*} value
+ * @return {number}
+ */
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  const parsed = new Date(value).getTime();
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Whether an application fits in the remaining capacity of the activity
+ * (participant target and, for the slots it asked for, slot capacities).
+ *
+ * @param {Object} activity Activity document data
+ * @param {Array<Object>} occupying Applications currently holding a place
+ * @param {Object} application Candidate application
+ * @return {boolean}
+ */
+export function hasRoomFor(activity, occupying, application) {
+  const target = Number(activity.participant_target) || 0;
+  if (target > 0 && occupying.length >= target) {
+    return false;
+  }
+  const timeSlots = Array.isArray(activity.time_slots) ?
+    activity.time_slots :
+    [];
+  const slotIds = Array.isArray(application.slot_ids) ?
+    application.slot_ids :
+    [];
+  return slotIds.every((slotId) => {
+    const slot = timeSlots.find((s) => s?.id === slotId);
+    const capacity = Number(slot?.capacity) || 0;
+    if (capacity <= 0) return true;
+    const taken = occupying.filter((a) =>
+      Array.isArray(a.slot_ids) && a.slot_ids.includes(slotId),
+    ).length;
+    return taken < capacity;
+  });
+}
+
+/**
+ * Whether a status change on an application can move the waitlist:
+ * a place was freed, or someone joined the queue.
+ *
+ * @param {Object} before Application data before the update
+ * @param {Object} after Application data after the update
+ * @return {boolean}
+ */
+export function shouldRebalanceWaitlist(before, after) {
+  if (!before || !after || before.status === after.status) {
+    return false;
+  }
+  const freedPlace = OCCUPYING_STATUSES.includes(before.status) &&
+    !OCCUPYING_STATUSES.includes(after.status);
+  return freedPlace || after.status === "waitlisted";
+}
+
+/**
+ * Offers freed places to waitlisted volunteers (first come, first served,
+ * skipping volunteers whose slots are still full) and renumbers the queue.
+ * Offers expire after OFFER_WINDOW_HOURS; see runExpireWaitlistOffers.
+ *
+ * @param {string} activityId Firestore activity document id
+ * @return {Promise<Array<{applicationId: string, userId: string}>>}
+ *   Applications that received an offer
+ */
+export async function rebalanceWaitlist(activityId) {
+  if (!activityId || typeof activityId !== "string") {
+    return [];
+  }
+
+  const activityRef = db.collection("activities").doc(activityId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const activitySnap = await transaction.get(activityRef);
+    if (!activitySnap.exists) {
+      return {activity: null, offered: []};
+    }
+    const activity = activitySnap.data();
+    const applicationsSnap = await transaction.get(
+        activityRef.collection("applications"),
+    );
+
+    const applications = applicationsSnap.docs.map((d) => ({
+      id: d.id,
+      ref: d.ref,
+      data: d.data() || {},
+    }));
+    const occupying = applications
+        .filter((a) => OCCUPYING_STATUSES.includes(a.data.status))
+        .map((a) => a.data);
+    const queue = applications
+        .filter((a) => a.data.status === "waitlisted")
+        .sort((a, b) => toMillis(a.data.created_at) -
+          toMillis(b.data.created_at));
+
+    const offered = [];
+    const remaining = [];
+    const now = Timestamp.now();
+    const expiresAt = Timestamp.fromMillis(
+        now.toMillis() + OFFER_WINDOW_HOURS * 3600000,
+    );
+
+    for (const entry of queue) {
+      // Only open activities hand out places
+      if (activity.status === "Open" &&
+        hasRoomFor(activity, occupying, entry.data)) {
+        transaction.update(entry.ref, {
+          status: "offered",
+          waitlist_position: null,
+          offered_at: now,
+          offer_expires_at: expiresAt,
+          updated_at: now,
+        });
+        occupying.push(entry.data);
+        offered.push({applicationId: entry.id, userId: entry.data.user_id});
+      } else {
+        remaining.push(entry);
+      }
+    }
+
+    remaining.forEach((entry, index) => {
+      if (entry.data.waitlist_position !== index + 1) {
+        transaction.update(entry.ref, {waitlist_position: index + 1});
+      }
+    });
+
+    return {activity, offered};
+  });
+
+  if (result.offered.length > 0) {
+    const activityTitle = result.activity?.title || "an activity";
+    await Promise.all(result.offered.map(async ({applicationId, userId}) => {
+      if (!userId) return;
+      try {
+        await sendUserNotification({
+          userId,
+          type: "APPLICATION_STATUS",
+          title: "A place opened up",
+          body: `A place opened up for "${activityTitle}". ` +
+            `Confirm it on your dashboard within ${OFFER_WINDOW_HOURS} ` +
+            "hours or it will be offered to the next volunteer.",
+          link: "/dashboard",
+          metadata: {
+            activity_id: activityId,
+            application_id: applicationId,
+            status: "offered",
+          },
+        });
+      } catch (notifErr) {
+        console.error(
+            `[rebalanceWaitlist] Failed to notify user ${userId}:`,
+            notifErr,
+        );
+      }
+    }));
+  }
+
+  return result.offered;
+}
+
+/**
+ * Expires waitlist offers past their deadline. The status change
+ * (offered -> offer_expired) triggers onApplicationStatusChangedNotifyUser,
+ * which passes the place to the next volunteer in the queue.
+ *
+ * @return {Promise<number>} Number of expired offers
+ */
+export async function runExpireWaitlistOffers() {
+  const now = Timestamp.now();
+  const offersSnap = await db.collectionGroup("applications")
+      .where("status", "==", "offered")
+      .where("offer_expires_at", "<=", now)
+      .get();
+
+  // Member and organization mirrors share the collection id; only the
+  // canonical activities/{activityId}/applications docs are updated.
+  const canonical = offersSnap.docs.filter((d) =>
+    d.ref.parent.parent?.parent?.id === "activities",
+  );
+
+  let expiredCount = 0;
+  for (const offerDoc of canonical) {
+    try {
+      await offerDoc.ref.update({
+        status: "offer_expired",
+        updated_at: now,
+      });
+      expiredCount++;
+      const userId = offerDoc.data().user_id;
+      if (userId) {
+        await sendUserNotification({
+          userId,
+          type: "APPLICATION_STATUS",
+          title: "Waitlist offer expired",
+          body: "The place you were offered was not confirmed in time " +
+            "and has passed to the next volunteer.",
+          link: "/dashboard",
+          metadata: {
+            activity_id: offerDoc.ref.parent.parent.id,
+            application_id: offerDoc.id,
+            status: "offer_expired",
+          },
+        });
+      }
+    } catch (err) {
+      console.error(
+          `[runExpireWaitlistOffers] Failed to expire offer ${offerDoc.id}:`,
+          err,
+      );
+    }
+  }
+
+  console.log(`[runExpireWaitlistOffers] Expired ${expiredCount} offer(s)`);
+  return expiredCount;
+}
@@ -0,0 +1,215 @@
+import {onCall} from "firebase-functions/v2/https";
+import {FieldValue} from "firebase-admin/firestore";
+import {randomBytes} from "crypto";
+import {db} from "../init.js";
+import {getActivityEnd} from "../activity-mgt/lifecycle.js";
+import {
+  getActivityTimeZone,
+  getZonedParts,
+} from "../activity-mgt/activityTime.js";
+
+/**
+ * Personal calendar feeds. A secret token (`calendar_feeds/{token}`) gives
+ * read access to the dates of a member's accepted activities, or of every
+ * activity of an organization. Calendar apps fetch the feed from the
+ * Next.js route /api/calendar/{token}, which calls getCalendarFeed and
+ * renders it as iCalendar; the feed is rebuilt on every fetch so changed
+ * and cancelled activities show up on the next refresh. Dates and times
+ * are given in each activity's time zone, which the event carries.
+ */
+const FEEDS_COLLECTION = "calendar_feeds";
+
+const SCOPES = ["member", "organization"];
+
+/**
+ * Roles that may subscribe to their organization's feed, with its npo_id
+ * (staffOrAmbassadorForOrganization in firestore.rules).
+ */
+const ORGANIZATION_FEED_ROLES = ["npo-staff", "ambassador"];
+
+/** Past activities kept in the feed, in days after their end. */
+const MEMBER_PAST_DAYS = 1;
+const ORGANIZATION_PAST_DAYS = 30;
+
+/**
+ * Date as "YYYY-MM-DD" in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone - IANA time zone.
+ * @return {string}
+ */
+function toDateString(date, timeZone) {
+  const {year, month, day} = getZonedParts(date, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Calendar event of an activity (shape of activityToCalendarEvent in
+ * src/utils/icalendar.js, without the link which the route adds).
+ * @param {string} activityId
+ * @param {Object} activity
+ * @return {Object|null} null for undated activities.
+ */
+function toCalendarEvent(activityId, activity) {
+  const timeZone = getActivityTimeZone(activity);
+  const startDate = activity.start_date?.toDate?.();
+  if (!startDate) return null;
+  const endDate = activity.end_date?.toDate?.() || null;
+  const updatedAt = activity.updated_at?.toDate?.() || null;
+  return {
+    id: activityId,
+    title: activity.title || "",
+    description: activity.description || "",
+    organization_name: activity.organization_name || "",
+    start_date: toDateString(startDate, timeZone),
+    start_time: activity.start_time || null,
+    end_date: endDate ? toDateString(endDate, timeZone) : null,
+    end_time: activity.end_time || null,
+    time_zone: timeZone,
+    location: activity.type === "online" ? "Online" :
+      activity.location ||
+        [activity.city, activity.country].filter(Boolean).join(", "),
+    status: activity.status || null,
+    updated_at: updatedAt ? updatedAt.toISOString() : null,
+  };
+}
+
+/**
+ * Whether the activity ended less than `pastDays` days ago (or not yet).
+ * @param {Object} activity
+ * @param {number} pastDays
+ * @return {boolean}
+ */
+function isRecentOrUpcoming(activity, pastDays) {
+  const end = getActivityEnd(activity);
+  return !end || end.getTime() >= Date.now() - pastDays * 86400000;
+}
+
+/**
+ * Activities a member was accepted to.
+ * @param {string} userId
+ * @return {Promise<Array<{id: string, data: Object}>>}
+ */
+async function getMemberActivities(userId) {
+  const applicationsSnap = await db.collection("members")
+      .doc(userId)
+      .collection("applications")
+      .where("status", "==", "accepted")
+      .get();
+  const activityIds = [...new Set(applicationsSnap.docs
+      .map((applicationDoc) => applicationDoc.data().activity_id)
+      .filter(Boolean))];
+  if (activityIds.length === 0) return [];
+
+  const activityDocs = await db.getAll(
+      ...activityIds.map((id) => db.collection("activities").doc(id)),
+  );
+  return activityDocs
+      .filter((activityDoc) => activityDoc.exists)
+      .map((activityDoc) => ({id: activityDoc.id, data: activityDoc.data()}))
+      .filter(({data}) => isRecentOrUpcoming(data, MEMBER_PAST_DAYS));
+}
+
+/**
+ * Published activities of an organization.
+ * @param {string} organizationId
+ * @return {Promise<Array<{id: string, data: Object}>>}
+ */
+async function getOrganizationActivities(organizationId) {
+  const activitiesSnap = await db.collection("activities")
+      .where("organization_id", "==", organizationId)
+      .get();
+  return activitiesSnap.docs
+      .map((activityDoc) => ({id: activityDoc.id, data: activityDoc.data()}))
+      .filter(({data}) => data.status !== "Draft" &&
+        isRecentOrUpcoming(data, ORGANIZATION_PAST_DAYS));
+}
+
+/**
+ * Callable: the caller's feed token, created on first use.
+ * request.data: { scope: "member" | "organization", regenerate? }
+ * `regenerate` replaces the token so the old URL stops working.
+ * The organization feed is for NPO staff and ambassadors of that
+ * organization.
+ */
+export const getCalendarFeedToken = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      const {scope, regenerate} = request.data || {};
+      if (!SCOPES.includes(scope)) {
+        throw new Error("scope must be member or organization");
+      }
+      let ownerId = request.auth.uid;
+      if (scope === "organization") {
+        ownerId = request.auth.token?.npo_id;
+        if (!ownerId ||
+            !ORGANIZATION_FEED_ROLES.includes(request.auth.token?.role)) {
+          throw new Error("Forbidden: NPO access required");
+        }
+      }
+      const existingSnap = await db.collection(FEEDS_COLLECTION)
+          .where("owner_type", "==", scope)
+          .where("owner_id", "==", ownerId)
+          .get();
+
+      if (!regenerate && !existingSnap.empty) {
+        return {token: existingSnap.docs[0].id};
+      }
+
+      const token = randomBytes(24).toString("hex");
+      const batch = db.batch();
+      existingSnap.docs.forEach((feedDoc) => batch.delete(feedDoc.ref));
+      batch.set(db.collection(FEEDS_COLLECTION).doc(token), {
+        owner_type: scope,
+        owner_id: ownerId,
+        created_by: request.auth.uid,
+        created_at: FieldValue.serverTimestamp(),
+      });
+      await batch.commit();
+      return {token};
+    },
+);
+
+/**
+ * Callable: events of a feed. No sign-in: calendar apps only have the
+ * token, which is the credential.
+ * request.data: { token }
+ * response: { name, events } or { error: "not_found" }
+ */
+export const getCalendarFeed = onCall(
+    {invoker: "public"},
+    async (request) => {
+      const token = String(request.data?.token || "");
+      if (!/^[a-f0-9]{48}$/.test(token)) {
+        return {error: "not_found"};
+      }
+      const feedDoc = await db.collection(FEEDS_COLLECTION).doc(token).get();
+      if (!feedDoc.exists) {
+        return {error: "not_found"};
+      }
+
+      const feed = feedDoc.data();
+      let name = "WannaGonna";
+      let activities;
+      if (feed.owner_type === "organization") {
+        const orgDoc = await db.collection("organizations")
+            .doc(feed.owner_id)
+            .get();
+        const orgName = orgDoc.exists ? orgDoc.data().name : null;
+        name = `WannaGonna – ${typeof orgName === "string" ?
+          orgName : orgName?.en || "Organization"}`;
+        activities = await getOrganizationActivities(feed.owner_id);
+      } else {
+        name = "WannaGonna – My activities";
+        activities = await getMemberActivities(feed.owner_id);
+      }
+
+      const events = activities
+          .map(({id, data}) => toCalendarEvent(id, data))
+          .filter(Boolean);
+      return {name, events};
+    },
+);
@@ -0,0 +1,87 @@
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {encodeGeohash, toLatLng} from "./geohash.js";
+
+/**
+ * Geohash fields. Activities and organization addresses get a `geohash`
+ * computed from their `coordinates` whenever those change, which lets
+ * queryActivitiesByLocation read only the activities of an area.
+ */
+
+/**
+ * Geohash a document should have, or null without valid coordinates.
+ * @param {Object|undefined} data
+ * @return {string|null}
+ */
+function expectedGeohash(data) {
+  const point = toLatLng(data?.coordinates);
+  return point ? encodeGeohash(point.latitude, point.longitude) : null;
+}
+
+/**
+ * Write or remove a document's geohash when it is out of date.
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @param {Object} data
+ * @return {Promise<boolean>} Whether the document was updated.
+ */
+async function syncGeohash(ref, data) {
+  const geohash = expectedGeohash(data);
+  if ((data.geohash || null) === geohash) return false;
+  await ref.update({geohash: geohash || FieldValue.delete()});
+  return true;
+}
+
+/**
+ * Set the geohash of every activity and address missing or with a stale one
+ * (admin backfill).
+ * @return {Promise<{activities: number, addresses: number}>} Updated counts.
+ */
+export async function backfillGeohashes() {
+  let activities = 0;
+  const activitiesSnap = await db.collection("activities").get();
+  for (const activityDoc of activitiesSnap.docs) {
+    if (await syncGeohash(activityDoc.ref, activityDoc.data())) activities++;
+  }
+
+  let addresses = 0;
+  const addressesSnap = await db.collectionGroup("addresses").get();
+  for (const addressDoc of addressesSnap.docs) {
+    if (await syncGeohash(addressDoc.ref, addressDoc.data())) addresses++;
+  }
+  return {activities, addresses};
+}
+
+/**
+ * Firestore trigger handler keeping a document's geohash in sync with its
+ * coordinates. The update it makes triggers it again, as a no-op.
+ * @param {string} label - Log prefix.
+ * @return {Function}
+ */
+function geohashTriggerHandler(label) {
+  return async (event) => {
+    const after = event.data?.after;
+    if (!after?.exists) return;
+    try {
+      await syncGeohash(after.ref, after.data());
+    } catch (error) {
+      console.error(`[${label}] ${after.ref.path}:`, error);
+    }
+  };
+}
+
+/**
+ * Firestore trigger: geohash of an activity.
+ */
+export const onActivityWrittenUpdateGeohash = onDocumentWritten(
+    "activities/{activityId}",
+    geohashTriggerHandler("onActivityWrittenUpdateGeohash"),
+);
+
+/**
+ * Firestore trigger: geohash of an organization's saved address.
+ */
+export const onAddressWrittenUpdateGeohash = onDocumentWritten(
+    "organizations/{organizationId}/addresses/{addressId}",
+    geohashTriggerHandler("onAddressWrittenUpdateGeohash"),
+);
@@ -0,0 +1,172 @@
+/**
+ * Geohash helpers for location queries. A geohash is a base-32 string whose
+ * prefixes are nested lat/lng cells, so nearby points share a prefix and a
+ * cell is a plain string range in a Firestore query.
+ */
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/** Precision stored on documents (cells of about 1 m). */
+export const GEOHASH_PRECISION = 10;
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Latitude and longitude of a stored coordinates value (GeoPoint or map).
+ * @param {*} coordinates
+ * @return {{latitude: number, longitude: number}|null}
+ */
+export function toLatLng(coordinates) {
+  const latitude = coordinates?.latitude;
+  const longitude = coordinates?.longitude;
+  if (typeof latitude !== "number" || typeof longitude !== "number" ||
+      !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return {latitude, longitude};
+}
+
+/**
+ * Geohash of a point.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} precision - Number of characters.
+ * @return {string}
+ */
+export function encodeGeohash(
+    latitude,
+    longitude,
+    precision = GEOHASH_PRECISION,
+) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? longitude : latitude;
+    const middle = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= middle) {
+      value |= 1;
+      range[0] = middle;
+    } else {
+      range[1] = middle;
+    }
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Size in degrees of the cells of a geohash precision.
+ * @param {number} precision
+ * @return {{latitude: number, longitude: number}}
+ */
+function cellSize(precision) {
+  const bits = precision * 5;
+  return {
+    latitude: 180 / Math.pow(2, Math.floor(bits / 2)),
+    longitude: 360 / Math.pow(2, Math.ceil(bits / 2)),
+  };
+}
+
+/**
+ * Wrap a longitude into [-180, 180).
+ * @param {number} longitude
+ * @return {number}
+ */
+function wrapLongitude(longitude) {
+  return ((longitude + 540) % 360) - 180;
+}
+
+/**
+ * Geohash ranges ([start, end] for where(">=").where("<=")) covering the
+ * box of `latSpan` x `lngSpan` degrees on each side of a center. Uses the
+ * finest cells at least as large as the spans, so the cells of the center,
+ * edge middles and corners cover the box (at most 9 ranges).
+ * @param {{latitude: number, longitude: number}} center
+ * @param {number} latSpan - Degrees north and south of the center.
+ * @param {number} lngSpan - Degrees east and west of the center.
+ * @return {Array<Array<string>>}
+ */
+export function geohashQueryRanges(center, latSpan, lngSpan) {
+  let precision = 0;
+  while (precision < GEOHASH_PRECISION) {
+    const size = cellSize(precision + 1);
+    if (size.latitude < latSpan || size.longitude < lngSpan) break;
+    precision++;
+  }
+  if (precision === 0 || lngSpan >= 180) {
+    return [["", "~"]];
+  }
+
+  const hashes = new Set();
+  for (const latStep of [-1, 0, 1]) {
+    for (const lngStep of [-1, 0, 1]) {
+      const latitude = Math.max(-90, Math.min(90,
+          center.latitude + latStep * latSpan));
+      const longitude = wrapLongitude(center.longitude + lngStep * lngSpan);
+      hashes.add(encodeGeohash(latitude, longitude, precision));
+    }
+  }
+  return [...hashes].sort().map((hash) => [hash, `${hash}~`]);
+}
+
+/**
+ * Degrees of latitude and longitude a distance spans around a latitude.
+ * @param {number} latitude
+ * @param {number} radiusKm
+ * @return {{latSpan: number, lngSpan: number}}
+ */
+export function radiusToSpans(latitude, radiusKm) {
+  const latSpan = radiusKm / KM_PER_DEGREE;
+  const cosLatitude = Math.cos(latitude * Math.PI / 180);
+  const lngSpan = cosLatitude < 1e-6 ?
+    180 :
+    Math.min(180, radiusKm / (KM_PER_DEGREE * cosLatitude));
+  return {latSpan, lngSpan};
+}
+
+/**
+ * Great-circle distance (Haversine), same formula as calculateDistance in
+ * src/utils/geolocation.js.
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @return {number} Kilometers.
+ */
+export function distanceKm(from, to) {
+  const dLat = (to.latitude - from.latitude) * Math.PI / 180;
+  const dLng = (to.longitude - from.longitude) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(from.latitude * Math.PI / 180) *
+    Math.cos(to.latitude * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Whether a point lies in a map box. `west` > `east` when the box crosses
+ * the antimeridian.
+ * @param {{latitude: number, longitude: number}} point
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ * @return {boolean}
+ */
+export function isInBounds(point, bounds) {
+  if (point.latitude < bounds.south || point.latitude > bounds.north) {
+    return false;
+  }
+  if (bounds.west <= bounds.east) {
+    return point.longitude >= bounds.west && point.longitude <= bounds.east;
+  }
+  return point.longitude >= bounds.west || point.longitude <= bounds.east;
+}
@@ -0,0 +1,275 @@
+/**
+ * Callable Cloud Function: Open local activities and events near a point or
+ * inside a map viewport, using the geohash index (see geoIndex.js).
+ *
+ * request.data: {
+ *   center?: { latitude, longitude },  // required without bounds
+ *   radiusKm?: number,                 // with center only, default 50
+ *   bounds?: { north, south, east, west },
+ *   zoom?: number,                     // map zoom, clusters below 12
+ *   activityIds?: string[],            // only these (page filters)
+ *   page?: number, pageSize?: number
+ * }
+ * response: {
+ *   activities: [{ id, distance, title, type, coordinates, ... }],
+ *   clusters: [{ id, count, latitude, longitude, bounds }],
+ *   total, page, pageSize, hasMore, truncated
+ * }
+ *
+ * Activities are sorted by distance (km) from `center`, or from the middle
+ * of `bounds`. When clustering, nearby activities are grouped by geohash
+ * cell and the whole viewport comes back in one page; a cell holding a
+ * single activity returns it as a plain activity.
+ */
+
+import {onCall} from "firebase-functions/v2/https";
+import {db} from "../init.js";
+import {
+  distanceKm,
+  encodeGeohash,
+  geohashQueryRanges,
+  isInBounds,
+  radiusToSpans,
+  toLatLng,
+} from "./geohash.js";
+
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+/** Activities read per geohash range. */
+const MAX_CANDIDATES = 2000;
+const MAX_ACTIVITY_IDS = 5000;
+/** Map zoom from which activities are no longer clustered. */
+const CLUSTER_MAX_ZOOM = 12;
+
+/** Fields map markers and the list need. */
+const MARKER_FIELDS = [
+  "title", "type", "category", "location", "city", "country", "coordinates",
+  "geohash", "sdg", "organization_name",
+];
+
+/**
+ * Geohash precision of clusters at a zoom: cells of a few dozen pixels.
+ * @param {number} zoom
+ * @return {number}
+ */
+function clusterPrecision(zoom) {
+  return Math.max(1, Math.min(6, Math.floor((zoom + 1) / 2)));
+}
+
+/**
+ * Validated map bounds, or null.
+ * @param {*} bounds
+ * @return {{north: number, south: number, east: number, west: number}|null}
+ */
+function parseBounds(bounds) {
+  if (!bounds) return null;
+  const north = Number(bounds.north);
+  const south = Number(bounds.south);
+  const east = Number(bounds.east);
+  const west = Number(bounds.west);
+  if (![north, south, east, west].every(Number.isFinite) || south > north) {
+    throw new Error("bounds must have north >= south, east and west");
+  }
+  // Leaflet returns longitudes past ±180 once the world wraps
+  const wrap = (longitude) => ((longitude + 540) % 360) - 180;
+  const lngWidth = east - west;
+  return {
+    north: Math.min(90, north),
+    south: Math.max(-90, south),
+    east: lngWidth >= 360 ? 180 : wrap(east),
+    west: lngWidth >= 360 ? -180 : wrap(west),
+  };
+}
+
+/**
+ * Center and half-size in degrees of a map box.
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ * @return {{center: Object, latSpan: number, lngSpan: number}}
+ */
+function boundsToQueryArea(bounds) {
+  const lngWidth = bounds.west <= bounds.east ?
+    bounds.east - bounds.west :
+    bounds.east + 360 - bounds.west;
+  const latitude = (bounds.north + bounds.south) / 2;
+  const longitude = ((bounds.west + lngWidth / 2 + 540) % 360) - 180;
+  return {
+    center: {latitude, longitude},
+    latSpan: (bounds.north - bounds.south) / 2,
+    lngSpan: lngWidth / 2,
+  };
+}
+
+/**
+ * Open activities whose geohash falls in the ranges.
+ * @param {Array<Array<string>>} ranges
+ * @return {Promise<{docs: Array, truncated: boolean}>}
+ */
+async function fetchCandidates(ranges) {
+  const snaps = await Promise.all(ranges.map(([start, end]) =>
+    db.collection("activities")
+        .where("status", "==", "Open")
+        .orderBy("geohash")
+        .startAt(start)
+        .endAt(end)
+        .select(...MARKER_FIELDS)
+        .limit(MAX_CANDIDATES)
+        .get(),
+  ));
+  const docs = new Map();
+  snaps.forEach((snap) => snap.docs.forEach((activityDoc) => {
+    docs.set(activityDoc.id, activityDoc);
+  }));
+  return {
+    docs: [...docs.values()],
+    truncated: snaps.some((snap) => snap.size >= MAX_CANDIDATES),
+  };
+}
+
+/**
+ * Marker of an activity document.
+ * @param {FirebaseFirestore.DocumentSnapshot} activityDoc
+ * @param {{latitude: number, longitude: number}} point
+ * @param {number} distance - Kilometers.
+ * @return {Object}
+ */
+function toMarker(activityDoc, point, distance) {
+  const data = activityDoc.data();
+  const marker = {id: activityDoc.id, distance: Math.round(distance * 10) / 10};
+  for (const field of MARKER_FIELDS) {
+    if (data[field] !== undefined) marker[field] = data[field];
+  }
+  marker.coordinates = point;
+  return marker;
+}
+
+/**
+ * Group markers by geohash cell.
+ * @param {Array<Object>} markers - Sorted by distance.
+ * @param {number} precision
+ * @return {{clusters: Array<Object>, singles: Array<Object>}}
+ */
+function clusterMarkers(markers, precision) {
+  const cells = new Map();
+  for (const marker of markers) {
+    const cellId = marker.geohash?.slice(0, precision) ||
+      encodeGeohash(
+          marker.coordinates.latitude,
+          marker.coordinates.longitude,
+          precision,
+      );
+    if (!cells.has(cellId)) cells.set(cellId, []);
+    cells.get(cellId).push(marker);
+  }
+
+  const clusters = [];
+  const singles = [];
+  for (const [cellId, cellMarkers] of cells) {
+    if (cellMarkers.length === 1) {
+      singles.push(cellMarkers[0]);
+      continue;
+    }
+    const latitudes = cellMarkers.map((m) => m.coordinates.latitude);
+    const longitudes = cellMarkers.map((m) => m.coordinates.longitude);
+    const mean = (values) =>
+      values.reduce((sum, value) => sum + value, 0) / values.length;
+    clusters.push({
+      id: cellId,
+      count: cellMarkers.length,
+      latitude: mean(latitudes),
+      longitude: mean(longitudes),
+      bounds: {
+        north: Math.max(...latitudes),
+        south: Math.min(...latitudes),
+        east: Math.max(...longitudes),
+        west: Math.min(...longitudes),
+      },
+    });
+  }
+  return {clusters, singles};
+}
+
+export const queryActivitiesByLocation = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+
+      const data = request.data || {};
+      const page = Math.max(1, parseInt(data.page, 10) || 1);
+      const pageSize = Math.min(
+          MAX_PAGE_SIZE,
+          Math.max(1, parseInt(data.pageSize, 10) || DEFAULT_PAGE_SIZE),
+      );
+      const bounds = parseBounds(data.bounds);
+      let center = toLatLng(data.center);
+      if (!bounds && !center) {
+        throw new Error("center or bounds is required");
+      }
+
+      let area;
+      let radiusKm = null;
+      if (bounds) {
+        area = boundsToQueryArea(bounds);
+        center = center || area.center;
+      } else {
+        radiusKm = Math.min(
+            MAX_RADIUS_KM,
+            Math.max(0, Number(data.radiusKm) || DEFAULT_RADIUS_KM),
+        );
+        area = {center, ...radiusToSpans(center.latitude, radiusKm)};
+      }
+
+      const allowedIds = Array.isArray(data.activityIds) ?
+        new Set(data.activityIds.slice(0, MAX_ACTIVITY_IDS).map(String)) :
+        null;
+
+      const {docs, truncated} = await fetchCandidates(
+          geohashQueryRanges(area.center, area.latSpan, area.lngSpan),
+      );
+
+      const markers = [];
+      for (const activityDoc of docs) {
+        if (allowedIds && !allowedIds.has(activityDoc.id)) continue;
+        if (activityDoc.get("type") === "online") continue;
+        const point = toLatLng(activityDoc.get("coordinates"));
+        if (!point) continue;
+        if (bounds && !isInBounds(point, bounds)) continue;
+        const distance = distanceKm(center, point);
+        if (radiusKm !== null && distance > radiusKm) continue;
+        markers.push(toMarker(activityDoc, point, distance));
+      }
+      markers.sort((a, b) =>
+        a.distance - b.distance || a.id.localeCompare(b.id));
+
+      const zoom = Number(data.zoom);
+      if (bounds && Number.isFinite(zoom) && zoom < CLUSTER_MAX_ZOOM) {
+        const {clusters, singles} = clusterMarkers(
+            markers,
+            clusterPrecision(zoom),
+        );
+        return {
+          activities: singles,
+          clusters,
+          total: markers.length,
+          page: 1,
+          pageSize: markers.length,
+          hasMore: false,
+          truncated,
+        };
+      }
+
+      const start = (page - 1) * pageSize;
+      return {
+        activities: markers.slice(start, start + pageSize),
+        clusters: [],
+        total: markers.length,
+        page,
+        pageSize,
+        hasMore: start + pageSize < markers.length,
+        truncated,
+      };
+    },
+);
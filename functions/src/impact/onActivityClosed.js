@@ -63,6 +63,40 @@ function getActivityDurationHours(activity) {
   return Number.isFinite(hours) ? hours : null;
 }
 
+/**
+ * Convert "HH:mm" to minutes since midnight.
+ * @param {string} timeStr - Time as "HH:mm".
+ * @return {number|null}
+ */
+function toMinutes(timeStr) {
+  if (!timeStr) return null;
+  const [hours, minutes] = String(timeStr).split(":").map((n) => Number(n));
+  if (!Number.isFinite(hours)) return null;
+  return hours * 60 + (Number.isFinite(minutes) ? minutes : 0);
+}
+
+/**
+ * Total duration in hours of the given time slots of an activity.
+ * @param {Object} activity - Activity document with time_slots.
+ * @param {string[]} slotIds - Slot IDs the participant signed up for.
+ * @return {number|null} Hours, or null when slots do not apply.
+ */
+export function getSlotsDurationHours(activity, slotIds) {
+  const slots = Array.isArray(activity?.time_slots) ? activity.time_slots : [];
+  if (slots.length === 0 || !Array.isArray(slotIds) || slotIds.length === 0) {
+    return null;
+  }
+  const hours = slots
+      .filter((slot) => slotIds.includes(slot.id))
+      .reduce((total, slot) => {
+        const start = toMinutes(slot.start_time);
+        const end = toMinutes(slot.end_time);
+        if (start === null || end === null || end <= start) return total;
+        return total + (end - start) / 60;
+      }, 0);
+  return hours > 0 ? hours : null;
+}
+
 /**
  * When an activity's status changes to Closed:
  * - Sum participations hours.validated -> impact_results.total_hours
@@ -83,8 +117,10 @@ async function processActivityClosed(
     return;
   }
 
-  // Events are gamification (attendance), not volunteering — skip impact/hours
-  if (activity.type === "event") {
+  // Events are gamification (attendance), not volunteering — skip impact/hours,
+  // unless check-out scans measured hours that were reviewed on close (the
+  // same condition as closesWithoutHours in CloseActivityModal)
+  if (activity.type === "event" && activity.check_out_enabled !== true) {
     const activityRef = db.collection("activities").doc(activityId);
     const activityDoc = await activityRef.get();
     const current = activityDoc?.data();
@@ -193,6 +229,8 @@ async function processActivityClosed(
   for (const p of participations) {
     const hours = p.hours || {};
     const validatedExplicitlySet = "validated" in hours;
+    // Time-slotted activities: a participant's duration is their slots' length
+    const slotHours = getSlotsDurationHours(activity, p.slot_ids);
     let effective = 0;
 
     if (validatedExplicitlySet) {
@@ -200,6 +238,10 @@ async function processActivityClosed(
     } else if (durationHours && p.status === "validated") {
       effective = durationHours;
     }
+    // (participations here are already limited to validated users)
+    if (!effective && slotHours) {
+      effective = slotHours;
+    }
 
     hoursByUser[p.id] = effective;
     totalHours += effective;
@@ -313,7 +313,8 @@ export async function runComputeLeaderboard() {
     const activityId = doc.ref.parent.parent.id;
     const activity = activityCache[activityId];
 
-    if (!activity || xp === 0) return;
+    // Cancelled activities keep granted XP but do not count for rankings
+    if (!activity || activity.status === "Cancelled" || xp === 0) return;
     if (!scores[userId]) scores[userId] = {};
 
     const addScore = (dimensionId) => {
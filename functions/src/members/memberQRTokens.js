@@ -0,0 +1,105 @@
+import {onCall} from "firebase-functions/v2/https";
+import {FieldValue} from "firebase-admin/firestore";
+import {randomBytes} from "crypto";
+import {db} from "../init.js";
+import {getEligibilityProfile} from "../activity-mgt/applyToActivity.js";
+import {getUnmetRequirements} from "../activity-mgt/eligibility.js";
+
+/**
+ * Personal member QR codes, scanned by NPO staff at the activity kiosk
+ * (src/utils/memberQR.js). The QR carries a secret token
+ * (`member_qr_tokens/{token}` -> {user_id}) rather than the public member
+ * code, so a member's QR cannot be made up from what other users can read.
+ * Tokens are only handled here: the member gets theirs from
+ * getMemberQRToken, the kiosk resolves a scanned one with
+ * resolveMemberQRToken.
+ */
+const TOKENS_COLLECTION = "member_qr_tokens";
+
+/** Roles that may check members in for their organization's activities. */
+const KIOSK_ROLES = ["npo-staff", "ambassador"];
+
+/**
+ * Callable: the caller's QR token, created on first use.
+ * request.data: { regenerate? }
+ * `regenerate` replaces the token so a lost or shared QR stops working.
+ */
+export const getMemberQRToken = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      const userId = request.auth.uid;
+      const existingSnap = await db.collection(TOKENS_COLLECTION)
+          .where("user_id", "==", userId)
+          .get();
+
+      if (!request.data?.regenerate && !existingSnap.empty) {
+        return {token: existingSnap.docs[0].id};
+      }
+
+      const token = randomBytes(24).toString("hex");
+      const batch = db.batch();
+      existingSnap.docs.forEach((tokenDoc) => batch.delete(tokenDoc.ref));
+      batch.set(db.collection(TOKENS_COLLECTION).doc(token), {
+        user_id: userId,
+        created_at: FieldValue.serverTimestamp(),
+      });
+      await batch.commit();
+      return {token};
+    },
+);
+
+/**
+ * Callable: member of a scanned QR token, for the kiosk of an activity, with
+ * the codes of the activity requirements they do not meet (the kiosk cannot
+ * read the birth date the minimum age is checked against).
+ * Restricted to the activity's NPO staff and ambassadors, and admins.
+ * request.data: { activityId, token }
+ * response: { userId, eligibilityIssues } or { error: "not_found" }
+ */
+export const resolveMemberQRToken = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+      const {activityId} = request.data || {};
+      if (!activityId || typeof activityId !== "string") {
+        throw new Error("activityId is required");
+      }
+
+      const activitySnap = await db.collection("activities")
+          .doc(activityId)
+          .get();
+      if (!activitySnap.exists) {
+        throw new Error("Activity not found");
+      }
+      const activity = activitySnap.data();
+      const authToken = request.auth.token || {};
+      if (authToken.role !== "admin" &&
+          (!KIOSK_ROLES.includes(authToken.role) ||
+            authToken.npo_id !== activity.organization_id)) {
+        throw new Error("Forbidden: NPO access required");
+      }
+
+      const token = String(request.data?.token || "");
+      if (!/^[a-f0-9]{48}$/.test(token)) {
+        return {error: "not_found"};
+      }
+      const tokenDoc = await db.collection(TOKENS_COLLECTION).doc(token).get();
+      if (!tokenDoc.exists) {
+        return {error: "not_found"};
+      }
+      const userId = tokenDoc.data().user_id;
+      const member = await getEligibilityProfile(userId);
+      if (!member) {
+        return {error: "not_found"};
+      }
+      return {
+        userId,
+        eligibilityIssues: getUnmetRequirements(activity, member, Date.now()),
+      };
+    },
+);
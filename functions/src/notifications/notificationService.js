@@ -198,7 +198,8 @@ function getCategoryFromType(type) {
  * @param {string|null} [params.link]
  * @param {Object} [params.metadata]
  * @param {boolean} [params.skipEmail=false]
- * @return {Promise<void>}
+ * @return {Promise<{inApp: boolean, push: boolean, email: boolean}>}
+ *   Channels the notification was delivered on.
  */
 export async function sendUserNotification({
   userId,
@@ -270,6 +271,7 @@ export async function sendUserNotification({
   );
 
   let notificationId = null;
+  const delivered = {inApp: false, push: false, email: false};
 
   if (shouldInApp) {
     try {
@@ -289,6 +291,7 @@ export async function sendUserNotification({
           `[sendUserNotification] In-app notification created ` +
           `successfully: ${notificationId}`,
       );
+      delivered.inApp = true;
     } catch (error) {
       // Log error but continue to try push notification if enabled
       console.error(
@@ -339,6 +342,7 @@ export async function sendUserNotification({
         };
 
         const response = await messaging.sendEachForMulticast(message);
+        delivered.push = response.successCount > 0;
         console.log(
             `[sendUserNotification] Push notification response for ` +
             `user ${userId}:`,
@@ -419,9 +423,12 @@ export async function sendUserNotification({
           text: email.text,
           html: email.html,
         });
+        delivered.email = true;
       }
     } catch (error) {
       console.error("Failed to send notification email:", error);
     }
   }
+
+  return delivered;
 }
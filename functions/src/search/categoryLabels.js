@@ -0,0 +1,134 @@
+import {EXPORT_TRANSLATIONS} from "../impact/exportTranslations.js";
+
+/**
+ * Activity category labels in the languages that are not English, copied
+ * from ManageActivities in messages/. English labels come from the impact
+ * export translations. Indexed so "limpieza" finds a "cleaning" activity.
+ */
+const LOCALIZED_CATEGORY_LABELS = {
+  es: {
+    "website": "Sitio web",
+    "logo": "Diseño de logo",
+    "translation": "Traducción",
+    "flyer": "Folletos / Brochures",
+    "consulting": "Consultoría",
+    "architecture": "Arquitectura",
+    "dataentry": "Entrada de datos",
+    "photovideo": "Edición de foto/video",
+    "sns": "Redes sociales",
+    "onlinesupport": "Soporte en línea",
+    "education": "Educación",
+    "fundraising": "Recaudación de fondos",
+    "longtermrole": "Rol a largo plazo",
+    "explainer": "Explicador / Pizarra",
+    "other-online": "Otro (En línea)",
+    "other-local": "Otro (Local)",
+    "other-event": "Otro (Evento)",
+    "cleaning": "Limpieza",
+    "teaching": "Enseñanza",
+    "food_distribution": "Distribución de alimentos",
+    "elderly_support": "Apoyo a personas mayores",
+    "animal_care": "Cuidado de animales",
+    "environment": "Conservación del medio ambiente",
+    "community_events": "Eventos comunitarios",
+    "childcare": "Cuidado de niños",
+    "manual_labor": "Trabajo manual",
+    "administrative": "Soporte administrativo",
+    "fundraising_event": "Evento de recaudación",
+    "awareness_campaign": "Campaña de concienciación",
+    "workshop": "Taller",
+    "seminar_conference": "Seminario / Conferencia",
+    "charity_walk": "Caminata/Carrera benéfica",
+    "networking": "Evento de networking",
+    "arts_and_crafts": "Feria de artesanía",
+    "food_fair": "Feria de alimentos",
+  },
+  fr: {
+    "website": "Site web",
+    "logo": "Design de logo",
+    "translation": "Traduction",
+    "flyer": "Flyer / Brochure",
+    "consulting": "Conseil",
+    "architecture": "Architecture",
+    "dataentry": "Saisie de données",
+    "photovideo": "Montage photo/vidéo",
+    "sns": "Réseaux sociaux",
+    "onlinesupport": "Support en ligne",
+    "education": "Éducation",
+    "fundraising": "Collecte de fonds",
+    "longtermrole": "Rôle à long terme",
+    "explainer": "Expliqueur / Tableau blanc",
+    "other-online": "Autre (En ligne)",
+    "other-local": "Autre (Local)",
+    "other-event": "Autre (Événement)",
+    "cleaning": "Nettoyage",
+    "teaching": "Enseignement",
+    "food_distribution": "Distribution de nourriture",
+    "elderly_support": "Soutien aux personnes âgées",
+    "animal_care": "Soins aux animaux",
+    "environment": "Conservation de l'environnement",
+    "community_events": "Événements communautaires",
+    "childcare": "Garde d'enfants",
+    "manual_labor": "Travail manuel",
+    "administrative": "Support administratif",
+    "fundraising_event": "Événement de collecte de fonds",
+    "awareness_campaign": "Campagne de sensibilisation",
+    "workshop": "Atelier",
+    "seminar_conference": "Séminaire / Conférence",
+    "charity_walk": "Marche/Course caritative",
+    "networking": "Événement de networking",
+    "arts_and_crafts": "Foire d'artisanat",
+    "food_fair": "Foire alimentaire",
+  },
+  ja: {
+    "website": "ウェブサイト",
+    "logo": "ロゴデザイン",
+    "translation": "翻訳",
+    "flyer": "チラシ / パンフレット",
+    "consulting": "コンサルティング",
+    "architecture": "建築",
+    "dataentry": "データ入力",
+    "photovideo": "写真・ビデオ編集",
+    "sns": "ソーシャルネットワーク",
+    "onlinesupport": "オンラインサポート",
+    "education": "教育",
+    "fundraising": "資金調達",
+    "longtermrole": "長期役割",
+    "explainer": "解説ビデオ / ホワイトボード",
+    "other-online": "その他（オンライン）",
+    "other-local": "その他（ローカル）",
+    "other-event": "その他（イベント）",
+    "cleaning": "清掃",
+    "teaching": "教育",
+    "food_distribution": "食品配布",
+    "elderly_support": "高齢者支援",
+    "animal_care": "動物のケア",
+    "environment": "環境保護",
+    "community_events": "コミュニティイベント",
+    "childcare": "子どもの世話",
+    "manual_labor": "手作業",
+    "administrative": "管理支援",
+    "fundraising_event": "資金調達イベント",
+    "awareness_campaign": "啓発キャンペーン",
+    "workshop": "ワークショップ",
+    "seminar_conference": "セミナー / 会議",
+    "charity_walk": "チャリティウォーク / ラン",
+    "networking": "ネットワーキングイベント",
+    "arts_and_crafts": "アートとクラフトフェア",
+    "food_fair": "フードフェア",
+  },
+};
+
+/**
+ * Labels of a category in every locale.
+ * @param {string} categoryId
+ * @return {string[]}
+ */
+export function getCategoryLabels(categoryId) {
+  if (!categoryId) return [];
+  return [
+    EXPORT_TRANSLATIONS.en.categoryLabels[categoryId],
+    ...Object.values(LOCALIZED_CATEGORY_LABELS)
+        .map((labels) => labels[categoryId]),
+  ].filter(Boolean);
+}
@@ -0,0 +1,251 @@
+/**
+ * Callable Cloud Function: keyword search over activities or organizations
+ * using the search index (see searchIndex.js).
+ *
+ * request.data: {
+ *   query: string,
+ *   kind?: "activity" | "organization",
+ *   filters?: { type?, country?, sdg?, skill?, language? },
+ *   page?: number, pageSize?: number
+ * }
+ * response: {
+ *   hits: [{ id, score, data? }], total, complete, page, pageSize, hasMore
+ * }
+ *
+ * Only Open activities are searched. The type, country and (activity) sdg
+ * filters are part of the candidate queries; skill, language and the sdgs of
+ * organizations are array fields, which Firestore cannot query next to the
+ * terms, so they are checked on the candidates. `complete` is false when a
+ * candidate query hit MAX_CANDIDATES: `total` then only counts the matches
+ * among the candidates read. Organization hits carry the
+ * organization document in `data`; activity hits only ids since the
+ * activities page already has them.
+ */
+
+import {onCall} from "firebase-functions/v2/https";
+import {db} from "../init.js";
+import {SEARCH_INDEX_COLLECTION} from "./searchIndex.js";
+import {
+  getTrigrams,
+  getWordVariants,
+  termSimilarity,
+  tokenize,
+} from "./textAnalysis.js";
+
+const KINDS = ["activity", "organization"];
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_WORDS = 8;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+/** Index documents read per candidate query. */
+const MAX_CANDIDATES = 500;
+/** Firestore limit for array-contains-any. */
+const MAX_ARRAY_VALUES = 30;
+
+/** A typo'd word must share at least this much with an indexed term. */
+const MIN_SIMILARITY = 0.5;
+/** Matches in the title (or organization name) weigh more. */
+const TITLE_BOOST = 1.5;
+
+/**
+ * How well one query word matches a list of indexed terms, from 0 to 1.
+ * Exact stem 1, prefix 0.9 (search as you type), close spelling up to 0.8.
+ * @param {string[]} variants - The word and its stems.
+ * @param {string[]} terms
+ * @return {number}
+ */
+function scoreWord(variants, terms) {
+  let best = 0;
+  for (const term of terms) {
+    for (const variant of variants) {
+      if (term === variant) return 1;
+      if (variant.length >= 3 && term.startsWith(variant)) {
+        best = Math.max(best, 0.9);
+      } else if (variant.length >= 4 &&
+          Math.abs(term.length - variant.length) <= 2) {
+        const similarity = termSimilarity(variant, term);
+        if (similarity >= MIN_SIMILARITY) {
+          best = Math.max(best, similarity * 0.8);
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Score of an index document; 0 when a query word matches nothing.
+ * @param {Array<Array<string>>} queryVariants - Variants of each query word.
+ * @param {Object} entry - Index document.
+ * @return {number}
+ */
+function scoreEntry(queryVariants, entry) {
+  let total = 0;
+  for (const variants of queryVariants) {
+    const score = Math.max(
+        scoreWord(variants, entry.terms || []),
+        scoreWord(variants, entry.title_terms || []) * TITLE_BOOST,
+    );
+    if (score === 0) return 0;
+    total += score;
+  }
+  return Math.round((total / queryVariants.length) * 1000) / 1000;
+}
+
+/**
+ * Up to 30 trigrams taken in turn from each query word, for the fuzzy
+ * candidate query.
+ * @param {string[]} words
+ * @return {string[]}
+ */
+function pickQueryGrams(words) {
+  const gramLists = words.map(getTrigrams);
+  const picked = new Set();
+  for (let i = 0; picked.size < MAX_ARRAY_VALUES; i++) {
+    const round = gramLists.filter((grams) => i < grams.length);
+    if (round.length === 0) break;
+    for (const grams of round) {
+      if (picked.size < MAX_ARRAY_VALUES) picked.add(grams[i]);
+    }
+  }
+  return [...picked];
+}
+
+/**
+ * Whether a page filter is set ("all" means no filter).
+ * @param {*} value
+ * @return {boolean}
+ */
+function isSet(value) {
+  return Boolean(value) && value !== "all";
+}
+
+/**
+ * Add the filters on scalar index fields to a candidate query (composite
+ * indexes in firestore.indexes.json).
+ * @param {Object} query - Firestore query on the search index.
+ * @param {string} kind
+ * @param {Object} filters
+ * @return {Object} Firestore query
+ */
+function applyQueryFilters(query, kind, filters) {
+  let filtered = query;
+  if (kind === "activity" && isSet(filters.type)) {
+    filtered = filtered.where("type", "==", filters.type);
+  }
+  if (isSet(filters.country)) {
+    filtered = filtered.where("country", "==", filters.country);
+  }
+  if (kind === "activity" && isSet(filters.sdg)) {
+    filtered = filtered.where("sdg", "==", String(filters.sdg));
+  }
+  return filtered;
+}
+
+/**
+ * Whether an index document passes the filters on array fields, which the
+ * candidate queries cannot include.
+ * @param {Object} entry
+ * @param {Object} filters
+ * @return {boolean}
+ */
+function matchesFilters(entry, filters) {
+  if (entry.kind === "organization" && isSet(filters.sdg) &&
+      !(entry.sdgs || []).includes(String(filters.sdg))) {
+    return false;
+  }
+  if (isSet(filters.skill) && !(entry.skills || []).includes(filters.skill)) {
+    return false;
+  }
+  if (isSet(filters.language) &&
+      !(entry.languages || []).includes(filters.language)) {
+    return false;
+  }
+  return true;
+}
+
+export const fullTextSearch = onCall(
+    {invoker: "public"},
+    async (request) => {
+      if (!request.auth) {
+        throw new Error("Unauthorized");
+      }
+
+      const data = request.data || {};
+      const kind = KINDS.includes(data.kind) ? data.kind : "activity";
+      const filters = data.filters || {};
+      const page = Math.max(1, parseInt(data.page, 10) || 1);
+      const pageSize = Math.min(
+          MAX_PAGE_SIZE,
+          Math.max(1, parseInt(data.pageSize, 10) || DEFAULT_PAGE_SIZE),
+      );
+
+      const words = [...new Set(
+          tokenize(String(data.query || "").slice(0, MAX_QUERY_LENGTH)),
+      )].slice(0, MAX_QUERY_WORDS);
+      if (words.length === 0) {
+        return {hits: [], total: 0, page, pageSize, hasMore: false};
+      }
+      const queryVariants = words.map(getWordVariants);
+
+      let candidatesQuery = db.collection(SEARCH_INDEX_COLLECTION)
+          .where("kind", "==", kind);
+      if (kind === "activity") {
+        candidatesQuery = candidatesQuery.where("status", "==", "Open");
+      }
+      candidatesQuery = applyQueryFilters(candidatesQuery, kind, filters);
+
+      // Exact stems find the best matches; trigrams add misspelled words
+      // and prefixes.
+      const exactTerms = [...new Set(queryVariants.flat())]
+          .slice(0, MAX_ARRAY_VALUES);
+      const [exactSnap, fuzzySnap] = await Promise.all([
+        candidatesQuery
+            .where("terms", "array-contains-any", exactTerms)
+            .limit(MAX_CANDIDATES)
+            .get(),
+        candidatesQuery
+            .where("grams", "array-contains-any", pickQueryGrams(words))
+            .limit(MAX_CANDIDATES)
+            .get(),
+      ]);
+
+      const scored = new Map();
+      for (const entryDoc of [...exactSnap.docs, ...fuzzySnap.docs]) {
+        const entry = entryDoc.data();
+        if (scored.has(entry.ref_id) || !matchesFilters(entry, filters)) {
+          continue;
+        }
+        const score = scoreEntry(queryVariants, entry);
+        if (score > 0) scored.set(entry.ref_id, score);
+      }
+
+      const ranked = [...scored.entries()]
+          .map(([id, score]) => ({id, score}))
+          .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+      const start = (page - 1) * pageSize;
+      const hits = ranked.slice(start, start + pageSize);
+
+      if (kind === "organization" && hits.length > 0) {
+        const orgDocs = await db.getAll(
+            ...hits.map((hit) => db.collection("organizations").doc(hit.id)),
+        );
+        orgDocs.forEach((orgDoc, index) => {
+          hits[index].data = orgDoc.exists ?
+            {id: orgDoc.id, ...orgDoc.data()} :
+            null;
+        });
+      }
+
+      return {
+        hits: hits.filter((hit) => kind !== "organization" || hit.data),
+        total: ranked.length,
+        complete: exactSnap.size < MAX_CANDIDATES &&
+          fuzzySnap.size < MAX_CANDIDATES,
+        page,
+        pageSize,
+        hasMore: start + pageSize < ranked.length,
+      };
+    },
+);
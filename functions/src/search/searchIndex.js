@@ -0,0 +1,282 @@
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "../init.js";
+import {getTerms, getTrigrams} from "./textAnalysis.js";
+import {getCategoryLabels} from "./categoryLabels.js";
+
+/**
+ * Search index: one `search_index/{kind}_{id}` document per activity and
+ * organization, kept up to date by the triggers below and read by the
+ * fullTextSearch callable. Clients cannot read or write it.
+ */
+export const SEARCH_INDEX_COLLECTION = "search_index";
+
+/** Caps that keep index documents small on very long descriptions. */
+const MAX_TERMS = 400;
+const MAX_GRAMS = 2000;
+
+/** Activity fields that change its index document. */
+const ACTIVITY_INDEXED_FIELDS = [
+  "title", "description", "category", "skills", "organization_id",
+  "organization_name", "city", "status", "type", "country", "sdg",
+];
+
+/** Organization fields that change its index document. */
+const ORGANIZATION_INDEXED_FIELDS = [
+  "name", "description", "city", "country", "languages", "sdgs", "logo",
+];
+
+/**
+ * Strings of a plain or localized ({en, fr, ...}) value.
+ * @param {*} value
+ * @return {string[]}
+ */
+function textValues(value) {
+  if (!value) return [];
+  if (typeof value === "object") {
+    return Object.values(value).filter((item) => typeof item === "string");
+  }
+  return [String(value)];
+}
+
+/**
+ * Skill ids of an activity (stored as ids or react-select options).
+ * @param {Array} skills
+ * @return {string[]}
+ */
+function getSkillIds(skills) {
+  return (Array.isArray(skills) ? skills : [])
+      .map((skill) => typeof skill === "object" && skill !== null ?
+        skill.value || skill.id || skill.label :
+        skill)
+      .filter(Boolean)
+      .map(String);
+}
+
+/**
+ * Skill names in every locale.
+ * @param {string[]} skillIds
+ * @return {Promise<string[]>}
+ */
+async function getSkillLabels(skillIds) {
+  if (skillIds.length === 0) return [];
+  const skillDocs = await db.getAll(
+      ...skillIds.map((skillId) => db.collection("skills").doc(skillId)),
+  );
+  return skillDocs.flatMap((skillDoc) =>
+    skillDoc.exists ? textValues(skillDoc.data().name) : []);
+}
+
+/**
+ * Index fields shared by every kind: terms, title terms and trigrams.
+ * @param {string[]} titleTexts - Texts boosted in the ranking.
+ * @param {string[]} otherTexts
+ * @return {{terms: string[], title_terms: string[], grams: string[]}}
+ */
+function buildTextFields(titleTexts, otherTexts) {
+  const titleTerms = getTerms(titleTexts.join(" "));
+  const terms = [
+    ...new Set([...titleTerms, ...getTerms(otherTexts.join(" "))]),
+  ].slice(0, MAX_TERMS);
+  const grams = [...new Set(terms.flatMap(getTrigrams))].slice(0, MAX_GRAMS);
+  return {terms, title_terms: titleTerms, grams};
+}
+
+/**
+ * Index document of an activity.
+ * @param {string} activityId
+ * @param {Object} activity
+ * @return {Promise<Object>}
+ */
+export async function buildActivityIndexEntry(activityId, activity) {
+  const skillIds = getSkillIds(activity.skills);
+  let organizationCity = null;
+  if (activity.organization_id) {
+    const orgDoc = await db.collection("organizations")
+        .doc(activity.organization_id)
+        .get();
+    organizationCity = orgDoc.exists ? orgDoc.data().city || null : null;
+  }
+
+  return {
+    kind: "activity",
+    ref_id: activityId,
+    status: activity.status || null,
+    type: activity.type || null,
+    country: activity.country || null,
+    sdg: activity.sdg != null ? String(activity.sdg) : null,
+    skills: skillIds,
+    organization_id: activity.organization_id || null,
+    ...buildTextFields([activity.title || ""], [
+      activity.description || "",
+      ...getCategoryLabels(activity.category),
+      ...await getSkillLabels(skillIds),
+      ...textValues(activity.organization_name),
+      activity.city || "",
+      organizationCity || "",
+    ]),
+    updated_at: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Index document of an organization.
+ * @param {string} organizationId
+ * @param {Object} organization
+ * @return {Object}
+ */
+export function buildOrganizationIndexEntry(organizationId, organization) {
+  return {
+    kind: "organization",
+    ref_id: organizationId,
+    status: null,
+    country: organization.country || null,
+    languages: Array.isArray(organization.languages) ?
+      organization.languages : [],
+    sdgs: (Array.isArray(organization.sdgs) ? organization.sdgs : [])
+        .map(String),
+    ...buildTextFields(textValues(organization.name), [
+      organization.description || "",
+      organization.city || "",
+    ]),
+    updated_at: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Whether any of the fields differs between two versions of a document.
+ * @param {Object|undefined} before
+ * @param {Object|undefined} after
+ * @param {string[]} fields
+ * @return {boolean}
+ */
+function hasIndexedChanges(before, after, fields) {
+  if (!before || !after) return true;
+  return fields.some((field) =>
+    JSON.stringify(before[field] ?? null) !==
+      JSON.stringify(after[field] ?? null));
+}
+
+/**
+ * Write or remove the index document of an activity.
+ * @param {string} activityId
+ * @param {Object|null} activity - null when the activity was deleted.
+ * @return {Promise<void>}
+ */
+export async function indexActivity(activityId, activity) {
+  const ref = db.collection(SEARCH_INDEX_COLLECTION)
+      .doc(`activity_${activityId}`);
+  if (!activity) {
+    await ref.delete();
+    return;
+  }
+  await ref.set(await buildActivityIndexEntry(activityId, activity));
+}
+
+/**
+ * Write or remove the index document of an organization.
+ * @param {string} organizationId
+ * @param {Object|null} organization - null when it was deleted.
+ * @return {Promise<void>}
+ */
+export async function indexOrganization(organizationId, organization) {
+  const ref = db.collection(SEARCH_INDEX_COLLECTION)
+      .doc(`organization_${organizationId}`);
+  if (!organization) {
+    await ref.delete();
+    return;
+  }
+  await ref.set(buildOrganizationIndexEntry(organizationId, organization));
+}
+
+/**
+ * Reindex every activity of an organization (its name or city changed).
+ * @param {string} organizationId
+ * @return {Promise<number>} Number of activities reindexed.
+ */
+async function reindexOrganizationActivities(organizationId) {
+  const activitiesSnap = await db.collection("activities")
+      .where("organization_id", "==", organizationId)
+      .get();
+  for (const activityDoc of activitiesSnap.docs) {
+    await indexActivity(activityDoc.id, activityDoc.data());
+  }
+  return activitiesSnap.size;
+}
+
+/**
+ * Rebuild the whole index (admin backfill).
+ * @return {Promise<{activities: number, organizations: number}>}
+ */
+export async function rebuildSearchIndex() {
+  const organizationsSnap = await db.collection("organizations").get();
+  for (const orgDoc of organizationsSnap.docs) {
+    await indexOrganization(orgDoc.id, orgDoc.data());
+  }
+  const activitiesSnap = await db.collection("activities").get();
+  for (const activityDoc of activitiesSnap.docs) {
+    await indexActivity(activityDoc.id, activityDoc.data());
+  }
+  return {
+    activities: activitiesSnap.size,
+    organizations: organizationsSnap.size,
+  };
+}
+
+/**
+ * Firestore trigger: keep an activity's index document in sync.
+ */
+export const onActivityWrittenUpdateSearchIndex = onDocumentWritten(
+    "activities/{activityId}",
+    async (event) => {
+      const before = event.data?.before?.data();
+      const after = event.data?.after?.data();
+      const activityId = event.params.activityId;
+      if (!hasIndexedChanges(before, after, ACTIVITY_INDEXED_FIELDS)) return;
+
+      try {
+        await indexActivity(activityId, after || null);
+      } catch (error) {
+        console.error(
+            `[onActivityWrittenUpdateSearchIndex] ${activityId}:`,
+            error,
+        );
+      }
+    },
+);
+
+/**
+ * Firestore trigger: keep an organization's index document in sync, and its
+ * activities' documents when its name or city changes.
+ */
+export const onOrganizationWrittenUpdateSearchIndex = onDocumentWritten(
+    "organizations/{organizationId}",
+    async (event) => {
+      const before = event.data?.before?.data();
+      const after = event.data?.after?.data();
+      const organizationId = event.params.organizationId;
+      if (!hasIndexedChanges(before, after, ORGANIZATION_INDEXED_FIELDS)) {
+        return;
+      }
+
+      try {
+        await indexOrganization(organizationId, after || null);
+        if (before && after &&
+            hasIndexedChanges(before, after, ["name", "city"])) {
+          const reindexed = await reindexOrganizationActivities(
+              organizationId,
+          );
+          console.log(
+              "[onOrganizationWrittenUpdateSearchIndex]",
+              `organizationId=${organizationId}`,
+              `activitiesReindexed=${reindexed}`,
+          );
+        }
+      } catch (error) {
+        console.error(
+            `[onOrganizationWrittenUpdateSearchIndex] ${organizationId}:`,
+            error,
+        );
+      }
+    },
+);
@@ -0,0 +1,167 @@
+/**
+ * Text analysis shared by the search index and the search callable.
+ *
+ * Text is normalized (NFKD, accents removed, lower-cased), split into words
+ * and Japanese/Chinese runs are cut into overlapping bigrams since they have
+ * no spaces. Every word is stemmed with light English, Spanish and French
+ * suffix rules: the language of an activity is not known, so a word is
+ * indexed under each of its stems ("cleaning" -> "clean", "voluntarios" ->
+ * "voluntari"). Padded trigrams of the terms give typo tolerance.
+ */
+
+/** Longer words are cut; they are not useful for search. */
+const MAX_WORD_LENGTH = 30;
+
+const STOP_WORDS = new Set([
+  // en
+  "a", "an", "and", "are", "at", "be", "by", "for", "from", "in", "is", "it",
+  "of", "on", "or", "our", "the", "to", "we", "with", "you", "your",
+  // es
+  "al", "con", "de", "del", "el", "en", "es", "la", "las", "los", "para",
+  "por", "que", "se", "su", "un", "una", "y",
+  // fr
+  "au", "aux", "ce", "dans", "des", "du", "est", "et", "il", "le", "les",
+  "nous", "ou", "pour", "sur", "une", "vous",
+]);
+
+/**
+ * Suffix rules per language: [suffix, replacement], longest first.
+ * A rule applies when at least 3 letters remain.
+ */
+const SUFFIX_RULES = {
+  en: [
+    ["ational", "ate"], ["ization", "ize"], ["fulness", "ful"],
+    ["ements", "ement"], ["ments", "ment"], ["ness", ""], ["ings", ""],
+    ["ing", ""], ["ies", "y"], ["ied", "y"], ["ers", ""], ["er", ""],
+    ["ed", ""], ["ly", ""], ["es", ""], ["s", ""],
+  ],
+  es: [
+    ["amientos", ""], ["imientos", ""], ["amiento", ""], ["imiento", ""],
+    ["aciones", ""], ["uciones", ""], ["idades", ""], ["mente", ""],
+    ["acion", ""], ["ucion", ""], ["idad", ""], ["istas", ""], ["ista", ""],
+    ["ismo", ""], ["ando", ""], ["iendo", ""], ["ores", ""], ["or", ""],
+    ["os", ""], ["as", ""], ["es", ""], ["ar", ""], ["er", ""], ["ir", ""],
+    ["o", ""], ["a", ""], ["s", ""],
+  ],
+  fr: [
+    ["issements", ""], ["issement", ""], ["ements", ""], ["ement", ""],
+    ["ations", ""], ["ation", ""], ["euses", ""], ["euse", ""], ["eux", ""],
+    ["ites", ""], ["ite", ""], ["ives", ""], ["ive", ""], ["ifs", ""],
+    ["if", ""], ["aux", "al"], ["eurs", ""], ["eur", ""], ["er", ""],
+    ["es", ""], ["e", ""], ["s", ""], ["x", ""],
+  ],
+};
+
+const CJK_RUN = "[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}ー]+";
+const TOKEN_PATTERN = new RegExp(`${CJK_RUN}|[\\p{L}\\p{N}]+`, "gu");
+const CJK_PATTERN = new RegExp(`^${CJK_RUN}$`, "u");
+
+/**
+ * Lower-case text without accents. Japanese voiced marks are kept.
+ * @param {string} text
+ * @return {string}
+ */
+export function normalizeText(text) {
+  return String(text || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .normalize("NFC")
+      .toLowerCase();
+}
+
+/**
+ * Stem a word with one language's suffix rules.
+ * @param {string} word - Normalized word.
+ * @param {string} language - "en", "es" or "fr".
+ * @return {string}
+ */
+function stemWord(word, language) {
+  for (const [suffix, replacement] of SUFFIX_RULES[language]) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return word.slice(0, -suffix.length) + replacement;
+    }
+  }
+  return word;
+}
+
+/**
+ * Split text into words; CJK runs become bigrams.
+ * @param {string} text
+ * @return {string[]} Normalized words, stop words removed.
+ */
+export function tokenize(text) {
+  const words = [];
+  for (const token of normalizeText(text).match(TOKEN_PATTERN) || []) {
+    if (CJK_PATTERN.test(token)) {
+      if (token.length === 1) {
+        words.push(token);
+      } else {
+        for (let i = 0; i < token.length - 1; i++) {
+          words.push(token.slice(i, i + 2));
+        }
+      }
+    } else if (token.length >= 2 && !STOP_WORDS.has(token)) {
+      words.push(token.slice(0, MAX_WORD_LENGTH));
+    }
+  }
+  return words;
+}
+
+/**
+ * The word and its stems in every supported language.
+ * @param {string} word - Word returned by tokenize.
+ * @return {string[]}
+ */
+export function getWordVariants(word) {
+  if (CJK_PATTERN.test(word) || /^\d+$/.test(word)) return [word];
+  return [...new Set([
+    word,
+    stemWord(word, "en"),
+    stemWord(word, "es"),
+    stemWord(word, "fr"),
+  ])];
+}
+
+/**
+ * Unique index terms of a text (words and their stems).
+ * @param {string} text
+ * @return {string[]}
+ */
+export function getTerms(text) {
+  const terms = new Set();
+  for (const word of tokenize(text)) {
+    for (const variant of getWordVariants(word)) terms.add(variant);
+  }
+  return [...terms];
+}
+
+/**
+ * Trigrams of a term padded with "_" so prefixes and suffixes count.
+ * @param {string} term
+ * @return {string[]}
+ */
+export function getTrigrams(term) {
+  const padded = `_${term}_`;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Trigram (Dice) similarity of two terms, from 0 to 1.
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+export function termSimilarity(a, b) {
+  if (a === b) return 1;
+  const gramsA = new Set(getTrigrams(a));
+  const gramsB = new Set(getTrigrams(b));
+  let shared = 0;
+  for (const gram of gramsA) {
+    if (gramsB.has(gram)) shared++;
+  }
+  return (2 * shared) / (gramsA.size + gramsB.size);
+}
@@ -3,6 +3,7 @@
 
 importScripts("https://www.gstatic.com/firebasejs/9.23.0/firebase-app-compat.js");
 importScripts("https://www.gstatic.com/firebasejs/9.23.0/firebase-messaging-compat.js");
+importScripts("https://www.gstatic.com/firebasejs/9.23.0/firebase-auth-compat.js");
 
 // IMPORTANT: hard-code your config here (service worker can't read env vars)
 firebase.initializeApp({
@@ -53,4 +54,131 @@ self.addEventListener("notificationclick", function (event) {
       }
     })
   );
-});
\ No newline at end of file
+});
+
+// Offline QR validation queue (see src/utils/offlineQRQueue.js, keep names in sync):
+// scans made without signal are sent to the validateActivityByQR function, with their
+// original scan time, when Background Sync reports connectivity. The signed-in session
+// is shared with the pages through Firebase Auth's IndexedDB persistence, and each scan
+// carries the function URL of the app's Firebase project (getValidateByQRUrl).
+const QR_QUEUE_DB_NAME = "wannagonna-offline";
+const QR_QUEUE_STORE = "qr_scans";
+const QR_QUEUE_SYNC_TAG = "qr-scan-queue";
+const QR_QUEUE_SYNCED_MESSAGE = "QR_QUEUE_SYNCED";
+// Server errors (5xx) a scan may get before it leaves the queue: the callable answers
+// 500 for any unexpected error, which retrying may never fix
+const QR_QUEUE_MAX_SERVER_ERRORS = 5;
+
+function openQRQueueDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(QR_QUEUE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(QR_QUEUE_STORE, { keyPath: "id", autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runInQRQueueStore(mode, operation) {
+  const database = await openQRQueueDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(database.transaction(QR_QUEUE_STORE, mode).objectStore(QR_QUEUE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+function getSignedInUser() {
+  return new Promise((resolve) => {
+    const unsubscribe = firebase.auth().onAuthStateChanged((user) => {
+      unsubscribe();
+      resolve(user);
+    });
+  });
+}
+
+// Function result of a queued scan. Throws when it is worth retrying (no connection,
+// server error, flagged `serverError`); a refused request (4xx) would fail the same way
+// again, so it comes back as a failed result and the scan leaves the queue.
+async function sendQueuedQRScan(scan, idToken) {
+  const response = await fetch(scan.function_url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${idToken}` },
+    body: JSON.stringify({
+      data: {
+        activityId: scan.activity_id,
+        token: scan.token,
+        scannedAt: scan.scanned_at,
+        tzOffsetMinutes: scan.tz_offset_minutes,
+      },
+    }),
+  });
+  if (response.status >= 500) {
+    const error = new Error(`validateActivityByQR answered ${response.status}`);
+    error.serverError = true;
+    throw error;
+  }
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    return {
+      success: false,
+      error: "SCAN_REFUSED",
+      message: body.error?.message || `validateActivityByQR answered ${response.status}`,
+    };
+  }
+  return body.result;
+}
+
+// Throws while scans remain unsent, so the browser retries the sync later. A scan that
+// keeps getting server errors is dropped after QR_QUEUE_MAX_SERVER_ERRORS (SCAN_FAILED).
+async function syncQueuedQRScans() {
+  const scans = await runInQRQueueStore("readonly", (store) => store.getAll());
+  if (scans.length === 0) return;
+  const user = await getSignedInUser();
+  if (!user) throw new Error("Queued QR scans are waiting for a signed-in user");
+  const idToken = await user.getIdToken();
+
+  const results = [];
+  let retryError = null;
+  for (const scan of scans.filter((queued) => queued.user_id === user.uid)) {
+    // Queued before scans carried their URL: the page sends those (flushQRScanQueue)
+    if (!scan.function_url) continue;
+    try {
+      const result = await sendQueuedQRScan(scan, idToken);
+      await runInQRQueueStore("readwrite", (store) => store.delete(scan.id));
+      results.push({ ...result, activity_id: scan.activity_id });
+    } catch (error) {
+      const serverErrors = (scan.server_errors || 0) + (error.serverError ? 1 : 0);
+      if (serverErrors >= QR_QUEUE_MAX_SERVER_ERRORS) {
+        await runInQRQueueStore("readwrite", (store) => store.delete(scan.id));
+        results.push({
+          success: false,
+          error: "SCAN_FAILED",
+          message: error.message,
+          activity_id: scan.activity_id,
+        });
+        continue;
+      }
+      if (error.serverError) {
+        await runInQRQueueStore("readwrite", (store) => store.put({ ...scan, server_errors: serverErrors }));
+      }
+      retryError = error;
+      break;
+    }
+  }
+
+  const clientList = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  clientList.forEach((client) => client.postMessage({ type: QR_QUEUE_SYNCED_MESSAGE, results }));
+  if (retryError) throw retryError;
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === QR_QUEUE_SYNC_TAG) {
+    event.waitUntil(syncQueuedQRScans());
+  }
+});
@@ -6,7 +6,7 @@
  * Key Functionalities:
  * - Ensures only authenticated users can view the activity content.
  * - Fetches only Open activities efficiently from Firestore.
- * - Provides filtering, sorting, and search capabilities.
+ * - Provides filtering, sorting, and keyword search (fullTextSearch function, typo tolerant and multilingual).
  * - Shows activity details modal first, then apply modal.
  * - Mobile-friendly and user-friendly interface.
  * - Pagination for large activity lists.
@@ -58,6 +58,16 @@ import { useApplicationStatuses } from '@/hooks/activities/useApplicationStatuse
 import { useActivitiesStore } from '@/stores/activitiesStore';
 import { useActivitiesPagination } from '@/hooks/activities/useActivitiesPagination';
 import { getSkillsForSelect } from '@/utils/crudSkills';
+import { groupSeriesOccurrences } from '@/utils/recurrence';
+import { areApplicationsClosed } from '@/utils/activityLifecycle';
+import { getEligibilityIssues } from '@/utils/eligibility';
+import { scoreActivityMatch } from '@/utils/recommendations';
+import { useMemberProfile } from '@/hooks/dashboard/useMemberProfile';
+import { useActivitySearch } from '@/hooks/activities/useActivitySearch';
+import { useNearbyActivities } from '@/hooks/activities/useNearbyActivities';
+
+// Radius of the "Around Me" filter
+const AROUND_ME_RADIUS_KM = 50;
 
 // Main component to display activities
 export default function ActivitiesPage() {
@@ -74,6 +84,7 @@ export default function ActivitiesPage() {
   // Data hooks
   const { activities: allActivities, isLoading: activitiesLoading } = useOpenActivities();
   const { applicationStatuses, invalidateStatuses } = useApplicationStatuses(user?.uid);
+  const { data: memberProfile } = useMemberProfile(user?.uid);
 
   // Zustand store for UI state
   const {
@@ -116,6 +127,8 @@ export default function ActivitiesPage() {
 
   // Debounce search query
   const debouncedSearchQuery = useDebounce(searchQuery, 300);
+  const { scores: searchScores, isSearching } = useActivitySearch(debouncedSearchQuery, filters);
+  const { distances: nearbyDistances } = useNearbyActivities(aroundMeActive ? userLocation : null, AROUND_ME_RADIUS_KM);
 
   // Handle activityId from URL parameter (for shared links)
   useEffect(() => {
@@ -355,9 +368,17 @@ export default function ActivitiesPage() {
     if (filters.startDate !== 'all') {
       filtered = applyStartDateFilter(filtered, filters.startDate);
     }
+    if (filters.eligibleOnly) {
+      filtered = filtered.filter((activity) => getEligibilityIssues(activity, memberProfile).length === 0);
+    }
 
-    // Apply search
-    if (debouncedSearchQuery.trim()) {
+    // Apply search: search index results ordered by relevance, or a plain
+    // text match while they load or if the search function fails
+    if (searchScores) {
+      filtered = filtered
+        .filter((activity) => searchScores.has(activity.id))
+        .sort((a, b) => searchScores.get(b.id) - searchScores.get(a.id));
+    } else if (debouncedSearchQuery.trim()) {
       const query = debouncedSearchQuery.toLowerCase();
       filtered = filtered.filter(
         (activity) =>
@@ -367,13 +388,28 @@ export default function ActivitiesPage() {
       );
     }
 
-    // Apply "Around Me" filter if active
+    // Apply "Around Me" filter if active: distances from the geo index, or
+    // computed here while they load or if the location query fails
     if (aroundMeActive && userLocation && userLocation.latitude && userLocation.longitude) {
-      filtered = filterActivitiesByRadius(filtered, userLocation.latitude, userLocation.longitude, 50);
+      if (nearbyDistances) {
+        filtered = filtered
+          .filter((activity) => nearbyDistances.has(activity.id))
+          .map((activity) => ({ ...activity, distance: nearbyDistances.get(activity.id) }))
+          .sort((a, b) => a.distance - b.distance);
+      } else {
+        filtered = filterActivitiesByRadius(filtered, userLocation.latitude, userLocation.longitude, AROUND_ME_RADIUS_KM);
+      }
     }
 
     return filtered;
-  }, [allActivities, filters, debouncedSearchQuery, aroundMeActive, userLocation]);
+  }, [allActivities, filters, debouncedSearchQuery, searchScores, aroundMeActive, userLocation, nearbyDistances, memberProfile]);
+
+  // Map markers come from the server for the visible area; when filters
+  // narrow the list, only those activities are shown
+  const mapActivityIds = useMemo(
+    () => (filteredActivities.length === allActivities.length ? null : filteredActivities.map((activity) => activity.id)),
+    [filteredActivities, allActivities]
+  );
 
   // Handle "Around Me" button click
   const handleAroundMe = async () => {
@@ -463,10 +499,21 @@ export default function ActivitiesPage() {
         return sorted.sort((a, b) => (a.applicants || 0) - (b.applicants || 0));
       case 'alphabetical':
         return sorted.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+      case 'relevance':
+        // Already ordered by search score
+        return sorted;
+      case 'best_match':
+        // Profile match score; `match.reasons` is shown on the cards
+        return sorted
+          .map((activity) => ({ ...activity, match: scoreActivityMatch(activity, memberProfile, { userLocation }) }))
+          .sort((a, b) => b.match.score - a.match.score);
       default:
         return sorted;
     }
-  }, [filteredActivities, sortBy]);
+  }, [filteredActivities, sortBy, memberProfile, userLocation]);
+
+  // List view shows one card per recurring series (next upcoming occurrence)
+  const listActivities = useMemo(() => groupSeriesOccurrences(sortedActivities), [sortedActivities]);
 
   // Pagination
   const {
@@ -476,7 +523,7 @@ export default function ActivitiesPage() {
     endIndex,
     hasNextPage,
     hasPreviousPage,
-  } = useActivitiesPagination(sortedActivities, currentPage, itemsPerPage);
+  } = useActivitiesPagination(listActivities, currentPage, itemsPerPage);
 
   // Activities with start_date only (for calendar view)
   const calendarActivities = useMemo(
@@ -496,7 +543,8 @@ export default function ActivitiesPage() {
       // Check if applications are allowed
       // Don't allow applications for events or local activities with external platform only
       const canApply = activity.type !== 'event' && 
-                      !(activity.type === 'local' && activity.accept_applications_wg === false);
+                      !(activity.type === 'local' && activity.accept_applications_wg === false) &&
+                      !areApplicationsClosed(activity);
       
       if (canApply) {
         openApplyModalWithActivity(activity);
@@ -505,7 +553,7 @@ export default function ActivitiesPage() {
   };
 
   // Handle submit application
-  const handleSubmitApplication = async (message) => {
+  const handleSubmitApplication = async (message, slotIds = [], answers = {}) => {
     if (!selectedActivity || !user) return;
     
     // Check if already applied
@@ -526,6 +574,8 @@ export default function ActivitiesPage() {
         userId: user.uid,
         userEmail: user.email,
         message: message,
+        slotIds,
+        answers,
       });
       
       if (result.success) {
@@ -534,7 +584,7 @@ export default function ActivitiesPage() {
         
         setToastMessage({
           type: 'success',
-          message: t('toastApplicationSuccess'),
+          message: result.status === 'waitlisted' ? t('toastWaitlisted') : t('toastApplicationSuccess'),
         });
         closeApplyModal();
         
@@ -549,6 +599,22 @@ export default function ActivitiesPage() {
           message: t('toastAlreadyApplied'),
         });
         invalidateStatuses();
+      } else if (result.error === 'answers_required') {
+        setToastMessage({
+          type: 'warning',
+          message: t('questionnaireRequired'),
+        });
+      } else if (result.error === 'not_eligible') {
+        setToastMessage({
+          type: 'warning',
+          message: t('eligibilityBlocked'),
+        });
+      } else if (result.error === 'applications_closed') {
+        setToastMessage({
+          type: 'warning',
+          message: t('toastApplicationsClosed'),
+        });
+        closeApplyModal();
       }
     } catch (error) {
       setToastMessage({
@@ -595,6 +661,9 @@ export default function ActivitiesPage() {
               onChange={(e) => setStoreSearchQuery(e.target.value)}
               className="w-full pl-10 pr-4 py-2 border border-border-light dark:border-border-dark rounded-lg bg-background-card dark:bg-background-card text-text-primary dark:text-text-primary focus:ring-2 focus:ring-primary-500 dark:focus:ring-primary-400 focus:border-primary-500 dark:focus:border-primary-400 transition-all duration-200"
             />
+            {isSearching && (
+              <Spinner size="sm" className="absolute right-10 top-1/2 transform -translate-y-1/2" aria-label={t('searching')} />
+            )}
             {searchQuery && (
               <button
                 onClick={() => setStoreSearchQuery('')}
@@ -715,7 +784,7 @@ export default function ActivitiesPage() {
               {viewMode === 'list' ? (
                 <>
                   {t('showing')} <span className="font-semibold">{startIndex}-{endIndex}</span> {t('of')}{' '}
-                  <span className="font-semibold">{sortedActivities.length}</span> {t('activities')}
+                  <span className="font-semibold">{listActivities.length}</span> {t('activities')}
                   {allActivities.length !== sortedActivities.length && (
                     <span> ({t('filtered')} {allActivities.length} {t('total')})</span>
                   )}
@@ -747,6 +816,8 @@ export default function ActivitiesPage() {
             value={sortBy}
             onChange={setStoreSortBy}
             options={[
+              ...(debouncedSearchQuery.trim() ? [{ value: 'relevance', label: t('sortRelevance') }] : []),
+              { value: 'best_match', label: t('sortBestMatch') },
               { value: 'newest', label: t('sortNewest') },
               { value: 'oldest', label: t('sortOldest') },
               { value: 'xp_high', label: t('sortXpHigh') },
@@ -871,7 +942,7 @@ export default function ActivitiesPage() {
               </div>
             )}
             <ActivitiesMapView
-              activities={filteredActivities}
+              activityIds={mapActivityIds}
               onActivityClick={(activity) => openDetailsModal(activity.id)}
               center={userLocation ? { lat: userLocation.latitude, lng: userLocation.longitude } : null}
               zoom={aroundMeActive ? 11 : 10}
@@ -987,13 +1058,15 @@ export default function ActivitiesPage() {
                   city={activity.city}
                   category={activity.category}
                   status={activity.status}
-                  qr_code_token={activity.qr_code_token}
                   frequency={activity.frequency}
+                  series_id={activity.series_id}
+                  more_occurrences_count={activity.more_occurrences_count}
                   skills={activity.skills}
                   participant_target={activity.participant_target}
                   accept_applications_wg={activity.accept_applications_wg}
                   onClick={() => handleCardClick(activity)}
                   distance={activity.distance}
+                  matchReasons={activity.match?.reasons}
                 />
                 {/* Applied Badge - Ribbon Style */}
                 {applicationStatuses[activity.id] && (
@@ -1114,6 +1187,7 @@ export default function ActivitiesPage() {
           onSubmit={handleSubmitApplication}
           isSubmitting={isSubmitting}
           onViewFullDetails={handleViewFullDetails}
+          member={memberProfile}
         />
 
         {/* Badge Animation */}
@@ -0,0 +1,198 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import { useSearchParams, useRouter } from 'next/navigation';
+import { useTranslations } from 'next-intl';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button, Card, Label, Spinner, Textarea } from 'flowbite-react';
+import { HiBell, HiCalendar, HiCheckCircle, HiExternalLink, HiLocationMarker, HiXCircle } from 'react-icons/hi';
+import { useAuth } from '@/utils/auth/AuthContext';
+import { fetchActivityById } from '@/utils/crudActivities';
+import { fetchOwnApplication, updateApplicationStatus } from '@/utils/crudApplications';
+import { getActivityStart } from '@/utils/activityLifecycle';
+import { getActivityAddress, getActivityMapLink } from '@/utils/activityReminders';
+import { formatDateOnly } from '@/utils/dateUtils';
+
+/**
+ * Landing page of the pre-activity reminder (notification link):
+ * shows when and where the activity takes place and lets the volunteer
+ * cancel in one tap, which frees the seat for the waitlist.
+ */
+export default function ActivityReminderPage() {
+  const t = useTranslations('ActivityReminder');
+  const searchParams = useSearchParams();
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const { user, loading: authLoading } = useAuth();
+
+  const activityId = useMemo(() => searchParams.get('activityId'), [searchParams]);
+  const applicationId = useMemo(() => searchParams.get('applicationId'), [searchParams]);
+
+  const [cancelMessage, setCancelMessage] = useState('');
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [cancelError, setCancelError] = useState(null);
+  const [now] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.replace('/login');
+    }
+  }, [authLoading, user, router]);
+
+  const { data: application, isLoading: applicationLoading } = useQuery({
+    queryKey: ['reminderApplication', activityId, applicationId, user?.uid],
+    queryFn: () => fetchOwnApplication(activityId, applicationId, user.uid),
+    enabled: !!user?.uid && !!activityId && !!applicationId,
+  });
+
+  const { data: activity, isLoading: activityLoading } = useQuery({
+    queryKey: ['activity', activityId],
+    queryFn: () => fetchActivityById(activityId),
+    enabled: !!user?.uid && !!activityId,
+    staleTime: 30 * 1000,
+  });
+
+  const handleCancel = async () => {
+    if (!application || isCancelling) return;
+    setIsCancelling(true);
+    setCancelError(null);
+    try {
+      await updateApplicationStatus(
+        activityId,
+        application.id,
+        'cancelled',
+        application.npo_response || '',
+        user.uid,
+        cancelMessage.trim() || ''
+      );
+      await queryClient.invalidateQueries({ queryKey: ['reminderApplication', activityId, applicationId] });
+      await queryClient.invalidateQueries({ queryKey: ['applications', user.uid] });
+    } catch (error) {
+      console.error('Error cancelling application from reminder:', error);
+      setCancelError(t('cancelError'));
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  if (authLoading || !user || applicationLoading || activityLoading) {
+    return (
+      <div className="flex justify-center items-center min-h-[50vh]">
+        <Spinner size="xl" />
+      </div>
+    );
+  }
+
+  if (!activityId || !applicationId || !application || !activity) {
+    return (
+      <div className="w-full max-w-2xl mx-auto px-3 sm:px-4 py-6">
+        <Card>
+          <p className="text-sm text-text-secondary dark:text-text-secondary">{t('notFound')}</p>
+          <Link href="/dashboard" className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:underline">
+            {t('backToDashboard')}
+          </Link>
+        </Card>
+      </div>
+    );
+  }
+
+  const start = getActivityStart(activity);
+  const hasStarted = start ? start.getTime() <= now : false;
+  const isOnline = activity.type === 'online';
+  const address = isOnline ? '' : getActivityAddress(activity);
+  const mapLink = isOnline ? null : getActivityMapLink(activity);
+
+  return (
+    <div className="w-full max-w-2xl mx-auto px-3 sm:px-4 py-4 sm:py-6 space-y-4">
+      <div className="flex items-center gap-2">
+        <HiBell className="h-6 w-6 text-semantic-warning-500 flex-shrink-0" />
+        <h1 className="text-xl sm:text-2xl font-bold text-text-primary dark:text-text-primary">{t('title')}</h1>
+      </div>
+
+      <Card>
+        <h2 className="text-lg font-semibold text-text-primary dark:text-text-primary">{activity.title}</h2>
+        {activity.organization_name && (
+          <p className="text-sm text-text-secondary dark:text-text-secondary">{activity.organization_name}</p>
+        )}
+
+        <div className="space-y-2 text-sm text-text-primary dark:text-text-primary">
+          {activity.start_date && (
+            <p className="flex items-center gap-2">
+              <HiCalendar className="h-4 w-4 text-text-tertiary flex-shrink-0" />
+              {formatDateOnly(activity.start_date)}
+              {activity.start_time ? ` · ${activity.start_time}` : ''}
+              {activity.end_time ? ` – ${activity.end_time}` : ''}
+            </p>
+          )}
+          {isOnline ? (
+            <p className="flex items-center gap-2">
+              <HiLocationMarker className="h-4 w-4 text-text-tertiary flex-shrink-0" />
+              {t('online')}
+            </p>
+          ) : address && (
+            <p className="flex items-center gap-2">
+              <HiLocationMarker className="h-4 w-4 text-text-tertiary flex-shrink-0" />
+              {address}
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {mapLink && (
+            <Button as="a" href={mapLink} target="_blank" rel="noopener noreferrer" size="sm" color="light">
+              <HiExternalLink className="mr-2 h-4 w-4" />
+              {t('openMap')}
+            </Button>
+          )}
+          <Button as="a" href={`/activities?activityId=${activityId}`} size="sm" color="light">
+            {t('viewActivity')}
+          </Button>
+        </div>
+      </Card>
+
+      <Card>
+        {application.status === 'accepted' && !hasStarted && (
+          <div className="space-y-3">
+            <p className="flex items-center gap-2 text-sm text-semantic-success-700 dark:text-semantic-success-300">
+              <HiCheckCircle className="h-5 w-5 flex-shrink-0" />
+              {t('youAreExpected')}
+            </p>
+            <div>
+              <Label htmlFor="reminder-cancel-message">{t('cancelMessageLabel')}</Label>
+              <Textarea
+                id="reminder-cancel-message"
+                value={cancelMessage}
+                onChange={(e) => setCancelMessage(e.target.value)}
+                rows={2}
+                maxLength={500}
+                placeholder={t('cancelMessagePlaceholder')}
+                disabled={isCancelling}
+              />
+            </div>
+            <Button color="failure" onClick={handleCancel} disabled={isCancelling}>
+              {isCancelling ? <Spinner size="sm" className="mr-2" /> : <HiXCircle className="mr-2 h-5 w-5" />}
+              {t('cantMakeIt')}
+            </Button>
+            <p className="text-xs text-text-tertiary dark:text-text-tertiary">{t('cancelHint')}</p>
+            {cancelError && (
+              <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{cancelError}</p>
+            )}
+          </div>
+        )}
+        {application.status === 'accepted' && hasStarted && (
+          <p className="text-sm text-text-secondary dark:text-text-secondary">{t('alreadyStarted')}</p>
+        )}
+        {application.status === 'cancelled' && (
+          <p className="text-sm text-text-secondary dark:text-text-secondary">{t('cancelled')}</p>
+        )}
+        {!['accepted', 'cancelled'].includes(application.status) && (
+          <p className="text-sm text-text-secondary dark:text-text-secondary">{t('notAccepted')}</p>
+        )}
+        <Link href="/dashboard" className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:underline">
+          {t('backToDashboard')}
+        </Link>
+      </Card>
+    </div>
+  );
+}
@@ -8,7 +8,7 @@ import ActivityCardActionsOverlay from "@/components/activities/ActivityCardActi
 import { MdOutlineSocialDistance } from "react-icons/md";
 import { useEffect, useState, useMemo } from "react";
 import { useRouter } from "next/navigation";
-import { fetchActivities, deleteActivity, updateActivityStatus, duplicateActivity } from "@/utils/crudActivities";
+import { fetchActivities, deleteActivity, updateActivityStatus, cancelActivity, duplicateActivity } from "@/utils/crudActivities";
 import { fetchOrganizations } from "@/utils/crudOrganizations";
 import { useTranslations } from "next-intl";
 import { useTheme } from '@/utils/theme/ThemeContext';
@@ -322,7 +322,7 @@ export default function AdminActivitiesPage() {
     }
   };
 
-  const handleStatusUpdate = async (newStatus) => {
+  const handleStatusUpdate = async (newStatus, details) => {
     if (!selectedActivity) return;
 
     // If trying to close: Events go directly to close modal; others go through validation
@@ -339,7 +339,11 @@ export default function AdminActivitiesPage() {
     // For other status changes, proceed normally
     try {
       setIsUpdatingStatus(true);
-      await updateActivityStatus(selectedActivity.id, newStatus);
+      if (newStatus === 'Cancelled') {
+        await cancelActivity(selectedActivity.id, details?.reason);
+      } else {
+        await updateActivityStatus(selectedActivity.id, newStatus);
+      }
       handleStatusChange(selectedActivity.id, newStatus);
       setShowStatusModal(false);
     } catch (error) {
@@ -552,7 +556,6 @@ export default function AdminActivitiesPage() {
                   updated_at={activity.updated_at}
                   city={activity.city}
                   category={activity.category}
-                  qr_code_token={activity.qr_code_token}
                   frequency={activity.frequency}
                   skills={activity.skills}
                   participant_target={activity.participant_target}
@@ -633,7 +636,6 @@ export default function AdminActivitiesPage() {
           isOpen={showQRModal}
           onClose={() => setShowQRModal(false)}
           activityId={selectedActivity.id}
-          qr_code_token={selectedActivity.qr_code_token}
           title={selectedActivity.title}
           startDate={selectedActivity.start_date}
         />
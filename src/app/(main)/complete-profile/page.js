@@ -5,13 +5,19 @@ import { useState, useEffect } from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { useTranslations } from 'next-intl';
+import { deleteField } from 'firebase/firestore';
 import { auth } from 'firebaseConfig';
 import { useRouter } from 'next/navigation';
 import { Button, Toast } from 'flowbite-react';
 import { useAuth } from '@/utils/auth/AuthContext';
 import { countries } from 'countries-list';
 import languages from '@cospired/i18n-iso-languages';
-import { updateMember, fetchMemberById } from '@/utils/crudMemberProfile';
+import {
+  updateMember,
+  fetchMemberById,
+  fetchMemberPrivateProfile,
+  updateMemberPrivateProfile,
+} from '@/utils/crudMemberProfile';
 import { uploadProfilePicture } from '@/utils/storage';
 import {
   isValidAvatarFileType,
@@ -54,6 +60,7 @@ const defaultValues = {
   facebook: '',
   instagram: '',
   country: '',
+  birth_date: '',
   languages: [],
   skills: [],
   profile_picture: '',
@@ -151,12 +158,20 @@ export default function CompleteProfilePage() {
     setIsLoading(true);
     
     // fetchMemberById uses a callback pattern
-    fetchMemberById(user.uid, (profileData) => {
+    fetchMemberById(user.uid, async (profileData) => {
       if (profileData) {
+        // The birth date is kept in the owner-only private profile (older profiles still have it here)
+        let privateProfile = {};
+        try {
+          privateProfile = await fetchMemberPrivateProfile(user.uid);
+        } catch (error) {
+          console.error('Error fetching private profile:', error);
+        }
         // Merge with defaults and reset form
         const mergedData = {
           ...defaultValues,
           ...profileData,
+          birth_date: privateProfile.birth_date || profileData.birth_date || '',
           display_name: profileData.display_name || auth.currentUser?.displayName || '',
           email: profileData.email || auth.currentUser?.email || '',
           profile_picture: profileData.profile_picture || auth.currentUser?.photoURL || '',
@@ -245,7 +260,10 @@ export default function CompleteProfilePage() {
       // Clean and normalize data
       const cleanedProfileData = cleanData(finalProfileData);
 
-      await updateMember(user.uid, cleanedProfileData);
+      // Other members can read the member document: the birth date goes to the private profile
+      const { birth_date: birthDate, ...publicProfileData } = cleanedProfileData;
+      await updateMemberPrivateProfile(user.uid, { birth_date: birthDate || null });
+      await updateMember(user.uid, { ...publicProfileData, birth_date: deleteField() });
       console.log("Profile updated!");
 
       // Check if profile is complete and grant badge if needed
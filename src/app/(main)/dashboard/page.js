@@ -3,7 +3,7 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import { Toast } from 'flowbite-react';
-import { HiQrcode } from 'react-icons/hi';
+import { HiQrcode, HiCloudUpload } from 'react-icons/hi';
 import { useAuth } from '@/utils/auth/AuthContext';
 import { useTranslations } from 'next-intl';
 import { useQueryClient, useQuery } from '@tanstack/react-query';
@@ -11,12 +11,14 @@ import { updateApplicationStatus } from '@/utils/crudApplications';
 import { useDashboardStore } from '@/stores/dashboardStore';
 import { useDashboardData } from '@/hooks/dashboard/useDashboardData';
 import { useValidationResult } from '@/hooks/dashboard/useValidationResult';
+import { useOfflineQRQueue } from '@/hooks/dashboard/useOfflineQRQueue';
 import { usePublicProfileBadges } from '@/hooks/profile/usePublicProfileBadges';
 import { useBadgeImageUrls } from '@/hooks/badges/useBadgeImageUrls';
 import ProfileSection from '@/components/dashboard/ProfileSection';
 import StatsSection from '@/components/dashboard/StatsSection';
 import ActivitiesSection from '@/components/dashboard/ActivitiesSection';
 import ApplicationsSection from '@/components/dashboard/ApplicationsSection';
+import RecommendedSection from '@/components/dashboard/RecommendedSection';
 import DashboardModals from '@/components/dashboard/DashboardModals';
 import DashboardErrorBoundary from '@/components/dashboard/DashboardErrorBoundary';
 import BadgeList from '@/components/badges/BadgeList';
@@ -55,6 +57,7 @@ export default function DashboardPage() {
     setCancelApplication,
     closeCancelModal,
     setShowApplicationModal,
+    setShowQRScanner,
   } = useDashboardStore();
 
   // Handle toast message from validation
@@ -68,6 +71,9 @@ export default function DashboardPage() {
   const { showValidationModal, validationResult, closeValidationModal } =
     useValidationResult(handleValidationToast);
 
+  // QR scans made without connectivity, synced when the device is back online
+  const { pendingScans, queueScan } = useOfflineQRQueue(user?.uid, handleValidationToast);
+
   // Dashboard data hook
   const {
     profileData,
@@ -110,6 +116,12 @@ export default function DashboardPage() {
     return map;
   }, [globalParams]);
 
+  // Activities already applied to are not recommended
+  const appliedActivityIds = useMemo(
+    () => allApplications.map((application) => application.id),
+    [allApplications]
+  );
+
   // Available categories for filters
   const availableCategories = useMemo(() => {
     const cats = new Set();
@@ -229,10 +241,16 @@ export default function DashboardPage() {
   // Handle QR scan success
   const handleQRScanSuccess = useCallback(
     ({ activityId, token, url }) => {
+      // No signal (e.g. cleanups in parks): keep the scan with its time and sync it later
+      if (!navigator.onLine) {
+        setShowQRScanner(false);
+        queueScan(activityId, token);
+        return;
+      }
       // Use replace instead of push to avoid adding to history
       router.replace(`/validate-activity?activityId=${activityId}&token=${token}`);
     },
-    [router]
+    [router, setShowQRScanner, queueScan]
   );
 
   // Handle view application from ActivitiesSection
@@ -264,6 +282,30 @@ export default function DashboardPage() {
         />
       </DashboardErrorBoundary>
 
+      {/* Offline QR scans waiting for connectivity */}
+      {pendingScans.length > 0 && (
+        <Card className="mb-6 sm:mb-8 p-4 bg-background-card dark:bg-background-card border-border-light dark:border-border-dark">
+          <div className="flex items-start gap-3">
+            <HiCloudUpload className="h-6 w-6 shrink-0 text-semantic-warning-600 dark:text-semantic-warning-400" />
+            <div className="min-w-0">
+              <p className="text-sm font-semibold text-text-primary dark:text-text-primary">
+                {t('pendingSyncTitle', { count: pendingScans.length })}
+              </p>
+              <p className="text-xs text-text-secondary dark:text-text-secondary">
+                {t('pendingSyncDescription')}
+              </p>
+              <ul className="mt-2 space-y-1">
+                {pendingScans.map((scan) => (
+                  <li key={scan.id} className="text-xs text-text-tertiary dark:text-text-tertiary">
+                    {t('pendingSyncScannedAt', { date: new Date(scan.scanned_at).toLocaleString() })}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Card>
+      )}
+
       {/* Stats Section */}
       <DashboardErrorBoundary>
         <StatsSection stats={stats} />
@@ -318,6 +360,16 @@ export default function DashboardPage() {
         </div>
       )}
 
+      {/* Recommended Activities Section */}
+      {!showApplications && (
+        <DashboardErrorBoundary>
+          <RecommendedSection
+            profileData={profileData}
+            appliedActivityIds={appliedActivityIds}
+          />
+        </DashboardErrorBoundary>
+      )}
+
       {/* Activities Section */}
       <DashboardErrorBoundary>
         <ActivitiesSection
@@ -0,0 +1,405 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { Alert, Button, Card, FileInput, Label, Select, Spinner } from 'flowbite-react';
+import { useTranslations, useLocale } from 'next-intl';
+import { HiCheckCircle, HiDownload, HiExclamationCircle, HiUpload } from 'react-icons/hi';
+import BackButton from '@/components/layout/BackButton';
+import { useAuth } from '@/utils/auth/AuthContext';
+import { fetchOrganizationById } from '@/utils/crudOrganizations';
+import { getSkillsForSelect } from '@/utils/crudSkills';
+import { createActivitiesBatch } from '@/utils/crudActivities';
+import { normalizeCountryToCode } from '@/utils/countryCodes';
+import { readImportFile, MAX_IMPORT_ROWS } from '@/utils/activityImportService';
+import {
+  IMPORT_FIELDS,
+  toCsv,
+  guessColumnMapping,
+  getUnmappedRequiredFields,
+  buildSkillLookup,
+  buildActivityFromRow,
+  toActivityDocument,
+  buildErrorReportCsv,
+} from '@/utils/activityImport';
+
+const TEMPLATE_EXAMPLE = {
+  title: 'Beach clean-up',
+  type: 'local',
+  category: 'environment',
+  description: 'Help us clean the beach.',
+  frequency: 'once',
+  start_date: '2026-06-01',
+  start_time: '09:00',
+  end_time: '12:00',
+  city: 'Tokyo',
+  sdg: '14',
+  participant_target: '20',
+};
+
+/** Trigger a browser download of a CSV string. */
+function downloadCsv(content, filename) {
+  // BOM so Excel opens UTF-8 (e.g. Japanese) correctly
+  const blob = new Blob(['\uFEFF' + content], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ImportActivitiesPage() {
+  const t = useTranslations('ActivityImport');
+  const locale = useLocale();
+  const { user, claims } = useAuth();
+  const queryClient = useQueryClient();
+  const orgId = claims?.npo_id;
+
+  const [step, setStep] = useState('upload'); // upload | mapping | preview | done
+  const [isReading, setIsReading] = useState(false);
+  const [readError, setReadError] = useState('');
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [isCreating, setIsCreating] = useState(false);
+  const [createError, setCreateError] = useState(false);
+  const [createdCount, setCreatedCount] = useState(0);
+
+  const { data: org, isLoading: isLoadingOrg } = useQuery({
+    queryKey: ['npoOrganization', orgId],
+    queryFn: () => fetchOrganizationById(orgId),
+    enabled: !!orgId,
+    staleTime: 60 * 1000,
+  });
+
+  const { data: skillGroups = [] } = useQuery({
+    queryKey: ['skillsForSelect', locale],
+    queryFn: () => getSkillsForSelect(locale),
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const headers = rows[0] || [];
+  const unmappedRequired = getUnmappedRequiredFields(mapping);
+
+  // Every data row checked with the same rules as the activity form
+  const results = useMemo(() => {
+    if (rows.length < 2) return [];
+    const defaults = {
+      organization_id: orgId,
+      organization_name: org?.name,
+      organization_logo: org?.logo,
+      country: org?.country ? normalizeCountryToCode(org.country) : '',
+      city: org?.city,
+      languages: org?.languages,
+      sdg: org?.sdg,
+    };
+    const skillLookup = buildSkillLookup(skillGroups);
+    return rows.slice(1).map((cells, index) => ({
+      // Header is row 1 of the sheet
+      rowNumber: index + 2,
+      cells,
+      ...buildActivityFromRow(cells, mapping, { defaults, skillLookup }),
+    }));
+  }, [rows, mapping, org, orgId, skillGroups]);
+
+  const validRows = results.filter((result) => result.errors.length === 0);
+  const rejectedRows = results.filter((result) => result.errors.length > 0);
+
+  const describeError = (code) => t(`errors.${code}`);
+
+  const handleDownloadTemplate = () => {
+    const keys = IMPORT_FIELDS.map((field) => field.key);
+    downloadCsv(toCsv([keys, keys.map((key) => TEMPLATE_EXAMPLE[key] || '')]), 'activities-template.csv');
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setIsReading(true);
+    setReadError('');
+    try {
+      const result = await readImportFile(file);
+      if (result.success) {
+        setRows(result.rows);
+        setMapping(guessColumnMapping(result.rows[0]));
+        setStep('mapping');
+      } else {
+        setReadError(result.error || 'unreadable');
+      }
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setReadError('unreadable');
+    } finally {
+      setIsReading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((prev) => {
+      const next = { ...prev };
+      if (value === '') {
+        delete next[fieldKey];
+      } else {
+        next[fieldKey] = Number(value);
+      }
+      return next;
+    });
+  };
+
+  const handleCreate = async () => {
+    if (!user || validRows.length === 0) return;
+    setIsCreating(true);
+    setCreateError(false);
+    try {
+      const ids = await createActivitiesBatch(
+        validRows.map((result) => toActivityDocument(result.formData, user.uid))
+      );
+      setCreatedCount(ids.length);
+      setStep('done');
+      await queryClient.refetchQueries({ queryKey: ['npoDashboardActivities', orgId] });
+      queryClient.invalidateQueries({ queryKey: ['npoOrganization', orgId] });
+    } catch {
+      setCreateError(true);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleDownloadReport = () => {
+    downloadCsv(buildErrorReportCsv(headers, rejectedRows, describeError), 'activities-import-errors.csv');
+  };
+
+  const handleReset = () => {
+    setRows([]);
+    setMapping({});
+    setCreatedCount(0);
+    setCreateError(false);
+    setStep('upload');
+  };
+
+  return (
+    <div className="min-h-screen bg-background-primary dark:bg-background-primary">
+      <div className="max-w-5xl mx-auto px-4 py-6 sm:py-8">
+        <BackButton href="/mynonprofit" />
+        <h1 className="page-title text-xl sm:text-2xl font-bold text-text-primary dark:text-text-primary mt-4 mb-2">
+          {t('title')}
+        </h1>
+        <p className="text-sm text-text-secondary dark:text-text-secondary mb-6">
+          {t('description', { max: MAX_IMPORT_ROWS })}
+        </p>
+
+        {isLoadingOrg ? (
+          <div className="flex justify-center py-12">
+            <Spinner size="xl" />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {step === 'upload' && (
+              <Card className="p-4 sm:p-5">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div>
+                    <h2 className="text-lg font-semibold text-text-primary dark:text-text-primary">
+                      {t('uploadTitle')}
+                    </h2>
+                    <p className="text-sm text-text-secondary dark:text-text-secondary">
+                      {t('uploadHelper')}
+                    </p>
+                  </div>
+                  <Button color="light" onClick={handleDownloadTemplate} className="min-h-[44px] shrink-0">
+                    <HiDownload className="mr-2 h-5 w-5" />
+                    {t('downloadTemplate')}
+                  </Button>
+                </div>
+                <div>
+                  <Label htmlFor="import-file" className="sr-only">{t('uploadTitle')}</Label>
+                  <FileInput
+                    id="import-file"
+                    accept=".csv,.xlsx"
+                    onChange={handleFileChange}
+                    disabled={isReading}
+                  />
+                </div>
+                {isReading && (
+                  <div className="flex items-center gap-2 text-sm text-text-secondary dark:text-text-secondary">
+                    <Spinner size="sm" />
+                    {t('reading')}
+                  </div>
+                )}
+                {readError && (
+                  <Alert color="failure" icon={HiExclamationCircle}>
+                    {t(`readErrors.${readError}`, { max: MAX_IMPORT_ROWS })}
+                  </Alert>
+                )}
+              </Card>
+            )}
+
+            {step === 'mapping' && (
+              <Card className="p-4 sm:p-5">
+                <h2 className="text-lg font-semibold text-text-primary dark:text-text-primary">
+                  {t('mappingTitle')}
+                </h2>
+                <p className="text-sm text-text-secondary dark:text-text-secondary">
+                  {t('mappingHelper', { count: rows.length - 1 })}
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {IMPORT_FIELDS.map((field) => (
+                    <div key={field.key}>
+                      <Label htmlFor={`map-${field.key}`} className="text-sm">
+                        {t(`fields.${field.key}`)}
+                        {field.required && <span className="text-semantic-error-600 dark:text-semantic-error-400"> *</span>}
+                      </Label>
+                      <Select
+                        id={`map-${field.key}`}
+                        value={mapping[field.key] ?? ''}
+                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                        className="mt-1"
+                      >
+                        <option value="">{t('notMapped')}</option>
+                        {headers.map((header, index) => (
+                          <option key={index} value={index}>
+                            {header || t('column', { number: index + 1 })}
+                          </option>
+                        ))}
+                      </Select>
+                    </div>
+                  ))}
+                </div>
+                {unmappedRequired.length > 0 && (
+                  <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400" role="alert">
+                    {t('requiredUnmapped', {
+                      fields: unmappedRequired.map((key) => t(`fields.${key}`)).join(', '),
+                    })}
+                  </p>
+                )}
+                <div className="flex flex-col sm:flex-row justify-end gap-2">
+                  <Button color="light" onClick={handleReset} className="min-h-[44px]">
+                    {t('chooseAnotherFile')}
+                  </Button>
+                  <Button
+                    onClick={() => setStep('preview')}
+                    disabled={unmappedRequired.length > 0}
+                    className="min-h-[44px]"
+                  >
+                    {t('continue')}
+                  </Button>
+                </div>
+              </Card>
+            )}
+
+            {step === 'preview' && (
+              <Card className="p-4 sm:p-5">
+                <h2 className="text-lg font-semibold text-text-primary dark:text-text-primary">
+                  {t('previewTitle')}
+                </h2>
+                <p className="text-sm text-text-secondary dark:text-text-secondary">
+                  {t('previewSummary', { valid: validRows.length, rejected: rejectedRows.length })}
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left">
+                    <thead className="text-xs uppercase text-text-tertiary dark:text-text-tertiary border-b border-gray-200 dark:border-gray-700">
+                      <tr>
+                        <th className="py-2 pr-3">{t('columns.row')}</th>
+                        <th className="py-2 pr-3">{t('fields.title')}</th>
+                        <th className="py-2 pr-3">{t('fields.type')}</th>
+                        <th className="py-2 pr-3">{t('fields.category')}</th>
+                        <th className="py-2 pr-3">{t('fields.start_date')}</th>
+                        <th className="py-2 pr-3">{t('columns.xp')}</th>
+                        <th className="py-2">{t('columns.status')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.map((result) => (
+                        <tr
+                          key={result.rowNumber}
+                          className="border-b border-gray-100 dark:border-gray-700 last:border-0 align-top"
+                        >
+                          <td className="py-2 pr-3 text-text-tertiary dark:text-text-tertiary">{result.rowNumber}</td>
+                          <td className="py-2 pr-3 text-text-primary dark:text-text-primary font-medium">
+                            {result.formData.title}
+                          </td>
+                          <td className="py-2 pr-3 text-text-secondary dark:text-text-secondary">{result.formData.type}</td>
+                          <td className="py-2 pr-3 text-text-secondary dark:text-text-secondary">{result.formData.category}</td>
+                          <td className="py-2 pr-3 text-text-secondary dark:text-text-secondary whitespace-nowrap">
+                            {result.formData.start_date ? result.formData.start_date.toLocaleDateString() : ''}
+                          </td>
+                          <td className="py-2 pr-3 text-text-secondary dark:text-text-secondary">{result.formData.xp_reward}</td>
+                          <td className="py-2">
+                            {result.errors.length === 0 ? (
+                              <span className="inline-flex items-center gap-1 text-semantic-success-600 dark:text-semantic-success-400">
+                                <HiCheckCircle className="h-4 w-4" />
+                                {t('valid')}
+                              </span>
+                            ) : (
+                              <ul className="text-semantic-error-600 dark:text-semantic-error-400 space-y-0.5">
+                                {result.errors.map((code) => (
+                                  <li key={code}>{describeError(code)}</li>
+                                ))}
+                              </ul>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {createError && (
+                  <Alert color="failure" icon={HiExclamationCircle}>
+                    {t('createError')}
+                  </Alert>
+                )}
+                <div className="flex flex-col sm:flex-row justify-end gap-2">
+                  <Button color="light" onClick={() => setStep('mapping')} className="min-h-[44px]">
+                    {t('back')}
+                  </Button>
+                  {rejectedRows.length > 0 && (
+                    <Button color="light" onClick={handleDownloadReport} className="min-h-[44px]">
+                      <HiDownload className="mr-2 h-5 w-5" />
+                      {t('downloadErrorReport')}
+                    </Button>
+                  )}
+                  <Button
+                    onClick={handleCreate}
+                    disabled={validRows.length === 0 || isCreating}
+                    className="min-h-[44px]"
+                  >
+                    {isCreating ? <Spinner size="sm" className="mr-2" /> : <HiUpload className="mr-2 h-5 w-5" />}
+                    {t('createDrafts', { count: validRows.length })}
+                  </Button>
+                </div>
+              </Card>
+            )}
+
+            {step === 'done' && (
+              <Card className="p-4 sm:p-5">
+                <div className="flex items-center gap-2 text-semantic-success-600 dark:text-semantic-success-400">
+                  <HiCheckCircle className="h-6 w-6" />
+                  <h2 className="text-lg font-semibold">{t('doneTitle')}</h2>
+                </div>
+                <p className="text-sm text-text-secondary dark:text-text-secondary">
+                  {t('doneMessage', { count: createdCount })}
+                </p>
+                {rejectedRows.length > 0 && (
+                  <p className="text-sm text-text-secondary dark:text-text-secondary">
+                    {t('doneRejected', { count: rejectedRows.length })}
+                  </p>
+                )}
+                <div className="flex flex-col sm:flex-row justify-end gap-2">
+                  {rejectedRows.length > 0 && (
+                    <Button color="light" onClick={handleDownloadReport} className="min-h-[44px]">
+                      <HiDownload className="mr-2 h-5 w-5" />
+                      {t('downloadErrorReport')}
+                    </Button>
+                  )}
+                  <Button color="light" onClick={handleReset} className="min-h-[44px]">
+                    {t('importAnother')}
+                  </Button>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,243 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { Alert, Select, Spinner } from 'flowbite-react';
+import { HiCheckCircle, HiExclamation, HiXCircle } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useAuth } from '@/utils/auth/AuthContext';
+import { fetchActivitiesByCriteria, fetchActivityById } from '@/utils/crudActivities';
+import { fetchApplicationsForActivity } from '@/utils/crudApplications';
+import { fetchValidationsForActivity, validateMemberByQR } from '@/utils/crudActivityValidation';
+import { parseMemberQRValue } from '@/utils/memberQR';
+import QRCodeScanner from '@/components/activities/QRCodeScanner';
+import KioskWalkInModal from '@/components/activities/KioskWalkInModal';
+import BackButton from '@/components/layout/BackButton';
+
+const OUTCOME_STYLES = {
+  validated: { color: 'success', icon: HiCheckCircle },
+  already: { color: 'warning', icon: HiExclamation },
+  declined: { color: 'warning', icon: HiExclamation },
+  notActivityDay: { color: 'failure', icon: HiXCircle },
+  notFound: { color: 'failure', icon: HiXCircle },
+  error: { color: 'failure', icon: HiXCircle },
+};
+
+function getOutcome(result) {
+  if (result.success) return 'validated';
+  if (result.error === 'ALREADY_VALIDATED') return 'already';
+  if (result.error === 'MEMBER_NOT_FOUND') return 'notFound';
+  if (result.error === 'WALK_IN_CONFIRMATION_REQUIRED') return 'declined';
+  if (result.error === 'NOT_ACTIVITY_DAY') return 'notActivityDay';
+  return 'error';
+}
+
+/**
+ * Kiosk page: NPO staff scan volunteers' personal member QR codes (utils/memberQR.js)
+ * to validate them for the selected activity, with a running attendance tally.
+ * Members without an accepted application are only validated once staff confirm it
+ * (KioskWalkInModal).
+ */
+export default function ActivityKioskPage() {
+  const t = useTranslations('ActivityKiosk');
+  const { user, claims } = useAuth();
+  const searchParams = useSearchParams();
+  const organizationId = claims?.npo_id || null;
+
+  const [activities, setActivities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedActivityId, setSelectedActivityId] = useState(searchParams.get('activityId') || '');
+  const [tally, setTally] = useState({ present: 0, expected: 0 });
+  const [scanLog, setScanLog] = useState([]);
+  // Scans are validated one at a time, in the order they were read
+  const scanQueueRef = useRef(Promise.resolve());
+  // Walk-in waiting for staff confirmation, and the scan waiting on it
+  const [walkIn, setWalkIn] = useState(null);
+  const walkInDecisionRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const openActivities = organizationId
+          ? await fetchActivitiesByCriteria(organizationId, 'any', 'Open')
+          : [];
+        const onSite = openActivities.filter((a) => a.type === 'local' || a.type === 'event');
+        const requestedId = searchParams.get('activityId');
+        if (requestedId && !onSite.some((a) => a.id === requestedId)) {
+          const requested = await fetchActivityById(requestedId);
+          if (requested) onSite.unshift(requested);
+        }
+        if (cancelled) return;
+        setActivities(onSite);
+        setSelectedActivityId((current) => current || onSite[0]?.id || '');
+      } catch (error) {
+        console.error('Error loading kiosk activities:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [organizationId, searchParams]);
+
+  const loadTally = useCallback(async (activityId) => {
+    try {
+      const [validations, applications] = await Promise.all([
+        fetchValidationsForActivity(activityId),
+        fetchApplicationsForActivity(activityId),
+      ]);
+      setTally({
+        present: validations.filter((v) => v.status === 'validated').length,
+        expected: applications.filter((app) => app.status === 'accepted').length,
+      });
+    } catch (error) {
+      console.error('Error loading attendance:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (selectedActivityId) loadTally(selectedActivityId);
+  }, [selectedActivityId, loadTally]);
+
+  const handleActivityChange = (e) => {
+    setSelectedActivityId(e.target.value);
+    setScanLog([]);
+  };
+
+  const confirmWalkIn = useCallback((result) => new Promise((resolve) => {
+    walkInDecisionRef.current = resolve;
+    setWalkIn(result);
+  }), []);
+
+  const handleWalkInDecision = (confirmed) => {
+    setWalkIn(null);
+    walkInDecisionRef.current?.(confirmed);
+    walkInDecisionRef.current = null;
+  };
+
+  const handleScan = useCallback(({ token }) => {
+    if (!selectedActivityId || !user?.uid) return;
+    const activityId = selectedActivityId;
+    scanQueueRef.current = scanQueueRef.current.then(async () => {
+      let result = await validateMemberByQR(activityId, token, user.uid);
+      if (result.error === 'WALK_IN_CONFIRMATION_REQUIRED' && await confirmWalkIn(result)) {
+        result = await validateMemberByQR(activityId, token, user.uid, { confirmWalkIn: true });
+      }
+      const outcome = getOutcome(result);
+      setScanLog((prev) => [
+        { key: `${token}-${Date.now()}`, name: result.displayName || '', outcome, at: new Date() },
+        ...prev,
+      ]);
+      if (outcome === 'validated') await loadTally(activityId);
+    });
+  }, [selectedActivityId, user?.uid, loadTally, confirmWalkIn]);
+
+  const selectedActivity = activities.find((a) => a.id === selectedActivityId);
+  const sessionValidated = scanLog.filter((entry) => entry.outcome === 'validated').length;
+  const lastScan = scanLog[0];
+
+  return (
+    <div className="container mx-auto px-3 sm:px-4 py-4 sm:py-6 min-h-dvh max-w-3xl">
+      <BackButton fallbackPath="/mynonprofit" />
+
+      <div className="mb-4">
+        <h1 className="text-2xl font-bold text-text-primary dark:text-text-primary">{t('title')}</h1>
+        <p className="text-sm text-text-secondary dark:text-text-secondary mt-1">{t('description')}</p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center p-10">
+          <Spinner size="xl" />
+        </div>
+      ) : activities.length === 0 ? (
+        <Alert color="info">{t('noActivities')}</Alert>
+      ) : (
+        <div className="space-y-4">
+          <Select
+            value={selectedActivityId}
+            onChange={handleActivityChange}
+            aria-label={t('selectActivity')}
+          >
+            {activities.map((activity) => (
+              <option key={activity.id} value={activity.id}>
+                {activity.title}
+              </option>
+            ))}
+          </Select>
+
+          {/* Attendance tally */}
+          <div className="grid grid-cols-3 gap-2 sm:gap-3">
+            <div className="rounded-xl border border-green-200 dark:border-green-800 bg-green-50 dark:bg-green-900/20 p-3 text-center">
+              <div className="text-3xl font-black text-green-600 dark:text-green-400 leading-none">{tally.present}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">{t('present')}</div>
+            </div>
+            <div className="rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-3 text-center">
+              <div className="text-3xl font-black text-gray-700 dark:text-gray-200 leading-none">{tally.expected}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">{t('expected')}</div>
+            </div>
+            <div className="rounded-xl border border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/20 p-3 text-center">
+              <div className="text-3xl font-black text-blue-600 dark:text-blue-400 leading-none">{sessionValidated}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">{t('scannedHere')}</div>
+            </div>
+          </div>
+
+          {lastScan && (
+            <Alert color={OUTCOME_STYLES[lastScan.outcome].color} icon={OUTCOME_STYLES[lastScan.outcome].icon}>
+              <span className="font-medium">{t(`outcome.${lastScan.outcome}`, { name: lastScan.name })}</span>
+            </Alert>
+          )}
+
+          <QRCodeScanner
+            key={selectedActivityId}
+            isOpen={Boolean(selectedActivity)}
+            onClose={() => {}}
+            onScanSuccess={handleScan}
+            parseScan={parseMemberQRValue}
+            invalidMessage={t('invalidMemberQR')}
+            title={t('scannerTitle')}
+            continuous
+            inline
+          />
+
+          <div>
+            <h2 className="text-sm font-semibold text-text-primary dark:text-text-primary mb-2">{t('recentScans')}</h2>
+            {scanLog.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">{t('noScansYet')}</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {scanLog.map((entry) => {
+                  const Icon = OUTCOME_STYLES[entry.outcome].icon;
+                  return (
+                    <li key={entry.key} className="flex items-center gap-2 py-2 text-sm">
+                      <Icon
+                        className={`h-5 w-5 flex-shrink-0 ${
+                          entry.outcome === 'validated'
+                            ? 'text-green-500'
+                            : OUTCOME_STYLES[entry.outcome].color === 'warning'
+                              ? 'text-yellow-500'
+                              : 'text-red-500'
+                        }`}
+                      />
+                      <span className="flex-1 truncate">{t(`outcome.${entry.outcome}`, { name: entry.name })}</span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {entry.at.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' })}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      <KioskWalkInModal
+        walkIn={walkIn}
+        onConfirm={() => handleWalkInDecision(true)}
+        onDecline={() => handleWalkInDecision(false)}
+      />
+    </div>
+  );
+}
@@ -4,6 +4,8 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { useQueryClient } from '@tanstack/react-query';
+import { Button } from 'flowbite-react';
+import { HiChatAlt2, HiClock, HiPaperClip, HiSpeakerphone } from 'react-icons/hi';
 import { useSearchParams, useRouter } from 'next/navigation';
 import categories from '@/constant/categories';
 import {
@@ -12,6 +14,12 @@ import {
   fetchActivityById,
   updateActivityStatus,
   deleteActivity,
+  createActivitySeries,
+  updateActivitySeries,
+  updateActivitySeriesStatus,
+  scheduleActivityPublish,
+  scheduleActivitySeriesPublish,
+  deleteActivitySeries,
 } from '@/utils/crudActivities';
 import { setActivityImpactParameters } from '@/utils/activityImpactService';
 import { calculateActivityXP } from '@/utils/calculateActivityXP';
@@ -20,7 +28,6 @@ import ProgressStepper from '@/components/layout/ProgressStepper';
 import { useAuth } from '@/utils/auth/AuthContext'; // Hook for accessing user authentication status
 import { useTranslations } from 'use-intl';
 import BackButton from '@/components/layout/BackButton';
-import { countries } from 'countries-list';
 import { convertTimestampToDate } from '@/utils/dateUtils';
 
 // Import the new components
@@ -30,45 +37,16 @@ import SDGSelector from '@/components/activities/SDGSelector';
 import ActivityImpactParametersStep from '@/components/activities/ActivityImpactParametersStep';
 import FormNavigation from '@/components/activities/FormNavigation';
 import PublishDraftModal from '@/components/activities/PublishDraftModal';
-
-/**
- * Normalize country value to country code
- * Converts country names to codes (e.g., "Japan" -> "JP")
- * If already a code, returns it uppercase
- * @param {string} countryValue - Country code or name
- * @returns {string} Normalized country code
- */
-function normalizeCountryToCode(countryValue) {
-  if (!countryValue || typeof countryValue !== 'string') {
-    return countryValue || '';
-  }
-
-  const trimmedValue = countryValue.trim();
-  if (!trimmedValue) {
-    return '';
-  }
-
-  // Check if it's already a valid country code (2 uppercase letters)
-  const upperValue = trimmedValue.toUpperCase();
-  if (upperValue.length === 2 && /^[A-Z]{2}$/.test(upperValue)) {
-    // Check if it exists in countries list
-    if (countries[upperValue]) {
-      return upperValue;
-    }
-  }
-
-  // Try to find by country name (case-insensitive)
-  const foundEntry = Object.entries(countries).find(
-    ([code, country]) => country.name.toLowerCase() === trimmedValue.toLowerCase()
-  );
-
-  if (foundEntry) {
-    return foundEntry[0]; // Return the country code
-  }
-
-  // If not found, return the original value (might be a valid code we don't recognize)
-  return upperValue.length === 2 ? upperValue : trimmedValue;
-}
+import SeriesEditScopeModal from '@/components/activities/SeriesEditScopeModal';
+import ActivityHistoryModal from '@/components/activities/ActivityHistoryModal';
+import ActivityAttachmentsModal from '@/components/activities/ActivityAttachmentsModal';
+import ActivityDiscussionModal from '@/components/activities/ActivityDiscussionModal';
+import ActivityBroadcastModal from '@/components/activities/ActivityBroadcastModal';
+import { applyTimeSlotsEnvelope, isTimeSlotValid, sortTimeSlots } from '@/utils/timeSlots';
+import { normalizeQuestionnaire } from '@/utils/questionnaire';
+import { hasRequirements, normalizeRequirements } from '@/utils/eligibility';
+import { normalizeCountryToCode } from '@/utils/countryCodes';
+import { getDeviceTimeZone } from '@/utils/activityLifecycle';
 
 export default function CreateUpdateActivityPage() {
   // Retrieve query parameters from URL
@@ -97,7 +75,8 @@ export default function CreateUpdateActivityPage() {
     category: '', 
     description: '',
     skills: [], //skills (to be implemented)
-    frequency: '',// once or regular activity
+    frequency: '',// once, regular (recurring series) or role
+    recurrence: null, // Recurrence rule when frequency is 'regular' (see utils/recurrence.js)
     country: '', // Default country
     city: '', // Default city
     location: '', // Specific location/venue for local and event activities
@@ -121,14 +100,29 @@ export default function CreateUpdateActivityPage() {
     status: 'Draft',
     external_platform_link: '',
     participant_target: null,
+    time_slots: [], // [{ id, start_time, end_time, capacity }] for local activities and events
+    questionnaire: [], // [{ id, type, label, options, required }] answered when applying
+    requirements: null, // Eligibility requirements checked when applying (see utils/eligibility.js)
     accept_applications_wg: true,
     auto_accept_applications: false,
+    application_cutoff_hours: null, // Stop applications this many hours before the start
+    qr_mode: 'static', // 'static' poster or 'rotating' on-screen code (see utils/qrTokens.js)
+    check_out_enabled: false, // Second (departure) scan measuring each volunteer's hours
+    geofence_radius_m: null, // Local activities: scans farther from the address need NPO review (see utils/geofence.js)
+    time_zone: null, // Zone the dates and times are written in (see utils/activityLifecycle.js)
   });
 
   const [currentStep, setCurrentStep] = useState(1); // Track the current step
   const [organizationData, setOrganizationData] = useState(null); // Store organization data
   const [showStatusModal, setShowStatusModal] = useState(false); // Status update modal
   const [savedActivityId, setSavedActivityId] = useState(null); // Store the saved activity ID
+  const [savedSeriesId, setSavedSeriesId] = useState(null); // Series ID when a recurring series was created
+  const [pendingSeriesUpdate, setPendingSeriesUpdate] = useState(null); // Data waiting for an edit scope choice
+  const [isSavingSeries, setIsSavingSeries] = useState(false);
+  const [showHistory, setShowHistory] = useState(false); // Edit history modal
+  const [showAttachments, setShowAttachments] = useState(false); // Attachments modal
+  const [showDiscussion, setShowDiscussion] = useState(false); // Discussion modal
+  const [showBroadcast, setShowBroadcast] = useState(false); // Message participants modal
   const [isUpdatingStatus, setIsUpdatingStatus] = useState(false); // Status update loading
   const [selectedImpactParameters, setSelectedImpactParameters] = useState([]);
 
@@ -193,6 +187,8 @@ export default function CreateUpdateActivityPage() {
               created_at: convertTimestampToDate(data.created_at) || new Date(),
               external_platform_link: data.external_platform_link || '',
               participant_target: data.participant_target ?? null,
+              time_slots: Array.isArray(data.time_slots) ? data.time_slots : [],
+              questionnaire: Array.isArray(data.questionnaire) ? data.questionnaire : [],
               accept_applications_wg:
                 data.accept_applications_wg !== undefined
                   ? data.accept_applications_wg
@@ -200,6 +196,11 @@ export default function CreateUpdateActivityPage() {
                     ? true
                     : undefined,
               auto_accept_applications: data.auto_accept_applications || false,
+              application_cutoff_hours: data.application_cutoff_hours ?? null,
+              qr_mode: data.qr_mode || 'static',
+              check_out_enabled: data.check_out_enabled === true,
+              geofence_radius_m: data.geofence_radius_m ?? null,
+              time_zone: data.time_zone ?? null,
               location: data.location || '',
               address_id: data.address_id ?? null,
               coordinates: data.coordinates || null,
@@ -330,8 +331,15 @@ export default function CreateUpdateActivityPage() {
         }).filter(Boolean) // Remove any null/undefined values
       : [];
 
+    // Time slots only apply to dated local activities and events; keep complete slots, ordered by start
+    const supportsTimeSlots =
+      formData.type === 'event' || (formData.type === 'local' && formData.frequency !== 'role');
+    const timeSlots = supportsTimeSlots
+      ? sortTimeSlots((formData.time_slots || []).filter(isTimeSlotValid))
+      : [];
+
     const baseDataToSave = {
-      ...formData,
+      ...applyTimeSlotsEnvelope({ ...formData, time_slots: timeSlots }),
       end_date: finalEndDate,
       ...(clearDateTime && {
         start_date: null,
@@ -341,8 +349,23 @@ export default function CreateUpdateActivityPage() {
       }),
       organization_id: claims?.npo_id || formData.organization_id,
       creator_id: user?.uid,
+      // Editor recorded in the activity's edit history
+      ...(isEditMode && { updated_by: user?.uid, updated_at: new Date() }),
       frequency: formData.type === 'event' ? 'once' : formData.frequency,
       external_platform_link: formData.external_platform_link || '',
+      questionnaire: normalizeQuestionnaire(formData.questionnaire),
+      requirements: hasRequirements(formData) ? normalizeRequirements(formData) : null,
+      // Cut-off only applies to dated local activities; the lifecycle job re-evaluates applications_closed
+      application_cutoff_hours:
+        formData.type === 'local' && formData.frequency !== 'role' && formData.accept_applications_wg !== false
+          ? formData.application_cutoff_hours ?? null
+          : null,
+      applications_closed: false,
+      qr_mode: formData.type === 'event' || formData.type === 'local' ? formData.qr_mode || 'static' : null,
+      check_out_enabled: (formData.type === 'event' || formData.type === 'local') && formData.check_out_enabled === true,
+      geofence_radius_m: formData.type === 'local' ? formData.geofence_radius_m ?? null : null,
+      // Dates are picked as local midnight: keep the zone they were first written in
+      time_zone: formData.time_zone || getDeviceTimeZone(),
       // Normalize skills to store only values
       skills: normalizedSkills,
       // Normalize country to ensure it's always a country code (e.g., "JP" not "Japan")
@@ -351,7 +374,34 @@ export default function CreateUpdateActivityPage() {
     delete baseDataToSave.showDateTimeOnCalendar; // UI-only, do not persist
     delete baseDataToSave.spansSeveralDays; // UI-only, do not persist
 
+    const isRegularSeries = formData.type === 'local' && formData.frequency === 'regular';
+    if (!isRegularSeries) {
+      delete baseDataToSave.recurrence;
+    }
+
     try {
+    // Editing an occurrence of a series: ask which occurrences the change applies to
+    if (isEditMode && formData.series_id) {
+          setPendingSeriesUpdate(baseDataToSave);
+          return;
+    }
+
+    // Handle a new recurring series
+    if (!isEditMode && isRegularSeries) {
+          const { recurrence, ...seriesData } = baseDataToSave;
+          const { seriesId, activityIds } = await createActivitySeries(seriesData, recurrence);
+          if (hasImpactStep) {
+            await Promise.all(
+              activityIds.map((id) => setActivityImpactParameters(id, selectedImpactParameters ?? []))
+            );
+          }
+          await refreshNpoActivityListAndRelated();
+          setSavedSeriesId(seriesId);
+          setSavedActivityId(activityIds[0]);
+          setShowStatusModal(true);
+          return;
+    }
+
         // Handle single activity
     if (isEditMode) {
           await updateActivity(activityId, baseDataToSave);
@@ -375,6 +425,26 @@ export default function CreateUpdateActivityPage() {
     }
   };
 
+  // Apply a pending series edit with the chosen scope ('this' | 'following' | 'all')
+  const handleSeriesScopeConfirm = async (scope) => {
+    if (!pendingSeriesUpdate) return;
+    try {
+      setIsSavingSeries(true);
+      await updateActivitySeries(activityId, pendingSeriesUpdate, scope);
+      if (hasImpactStep) {
+        await setActivityImpactParameters(activityId, selectedImpactParameters ?? []);
+      }
+      setPendingSeriesUpdate(null);
+      await refreshNpoActivityListAndRelated();
+      router.back();
+    } catch (error) {
+      console.error('Error saving activity series:', error);
+      alert('Error saving activity. Please try again.');
+    } finally {
+      setIsSavingSeries(false);
+    }
+  };
+
   // Handle publish action - sets status to 'Open'
   const handlePublish = async () => {
     console.log('handlePublish called, savedActivityId:', savedActivityId);
@@ -386,7 +456,11 @@ export default function CreateUpdateActivityPage() {
     try {
       setIsUpdatingStatus(true);
       console.log('Updating activity status to: Open');
-      await updateActivityStatus(savedActivityId, 'Open');
+      if (savedSeriesId) {
+        await updateActivitySeriesStatus(savedSeriesId, 'Open');
+      } else {
+        await updateActivityStatus(savedActivityId, 'Open');
+      }
       console.log('Activity status updated successfully');
       setShowStatusModal(false);
       await refreshNpoActivityListAndRelated();
@@ -400,6 +474,31 @@ export default function CreateUpdateActivityPage() {
     }
   };
 
+  // Handle schedule action - keeps the activity in Draft until publishAt
+  const handleSchedulePublish = async (publishAt) => {
+    if (!savedActivityId) {
+      console.error('No savedActivityId available');
+      return;
+    }
+
+    try {
+      setIsUpdatingStatus(true);
+      if (savedSeriesId) {
+        await scheduleActivitySeriesPublish(savedSeriesId, publishAt);
+      } else {
+        await scheduleActivityPublish(savedActivityId, publishAt);
+      }
+      setShowStatusModal(false);
+      await refreshNpoActivityListAndRelated();
+      router.push('/mynonprofit');
+    } catch (error) {
+      console.error('Error scheduling activity publish:', error);
+      alert('Error updating activity status. Please try again.');
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
   // Handle draft action - sets status to 'Draft'
   const handleDraft = async () => {
     console.log('handleDraft called, savedActivityId:', savedActivityId);
@@ -411,7 +510,11 @@ export default function CreateUpdateActivityPage() {
     try {
       setIsUpdatingStatus(true);
       console.log('Updating activity status to: Draft');
-      await updateActivityStatus(savedActivityId, 'Draft');
+      if (savedSeriesId) {
+        await updateActivitySeriesStatus(savedSeriesId, 'Draft');
+      } else {
+        await updateActivityStatus(savedActivityId, 'Draft');
+      }
       console.log('Activity status updated successfully');
       setShowStatusModal(false);
       await refreshNpoActivityListAndRelated();
@@ -430,7 +533,11 @@ export default function CreateUpdateActivityPage() {
     if (savedActivityId && !isEditMode) {
       // Only delete if this was a new activity (not an update)
       try {
-        await deleteActivity(savedActivityId);
+        if (savedSeriesId) {
+          await deleteActivitySeries(savedSeriesId);
+        } else {
+          await deleteActivity(savedActivityId);
+        }
         console.log('Activity deleted after cancel');
         await refreshNpoActivityListAndRelated();
       } catch (error) {
@@ -441,6 +548,7 @@ export default function CreateUpdateActivityPage() {
     setShowStatusModal(false);
     // Reset saved activity ID
     setSavedActivityId(null);
+    setSavedSeriesId(null);
   };
 
   // If there is no authenticated user, return null (no content rendered)
@@ -469,9 +577,31 @@ export default function CreateUpdateActivityPage() {
           </div>
         )}
 
-        {/* Back Button */}
+        {/* Back Button and edit history */}
         {!loading && (
-          <BackButton fallbackPath="/mynonprofit" />
+          <div className='flex items-start justify-between gap-2'>
+            <BackButton fallbackPath="/mynonprofit" />
+            {isEditMode && (
+              <div className='flex flex-wrap justify-end gap-2'>
+                <Button color="light" size="sm" onClick={() => setShowBroadcast(true)}>
+                  <HiSpeakerphone className='mr-2 h-4 w-4' />
+                  {t('messageParticipants')}
+                </Button>
+                <Button color="light" size="sm" onClick={() => setShowDiscussion(true)}>
+                  <HiChatAlt2 className='mr-2 h-4 w-4' />
+                  {t('discussion')}
+                </Button>
+                <Button color="light" size="sm" onClick={() => setShowAttachments(true)}>
+                  <HiPaperClip className='mr-2 h-4 w-4' />
+                  {t('attachments')}
+                </Button>
+                <Button color="light" size="sm" onClick={() => setShowHistory(true)}>
+                  <HiClock className='mr-2 h-4 w-4' />
+                  {t('edit-history')}
+                </Button>
+              </div>
+            )}
+          </div>
         )}
 
         {/* Progress Stepper */}
@@ -560,8 +690,53 @@ export default function CreateUpdateActivityPage() {
         onClose={handleCancel}
         onPublish={handlePublish}
         onDraft={handleDraft}
+        onSchedule={handleSchedulePublish}
         isUpdating={isUpdatingStatus}
       />
+
+      {/* Edit history */}
+      {isEditMode && (
+        <ActivityHistoryModal
+          isOpen={showHistory}
+          onClose={() => setShowHistory(false)}
+          activityId={activityId}
+        />
+      )}
+
+      {/* Attachments */}
+      {isEditMode && (
+        <ActivityAttachmentsModal
+          isOpen={showAttachments}
+          onClose={() => setShowAttachments(false)}
+          activityId={activityId}
+        />
+      )}
+
+      {/* Message participants */}
+      {isEditMode && showBroadcast && (
+        <ActivityBroadcastModal
+          isOpen={showBroadcast}
+          onClose={() => setShowBroadcast(false)}
+          activityId={activityId}
+        />
+      )}
+
+      {/* Discussion */}
+      {isEditMode && (
+        <ActivityDiscussionModal
+          isOpen={showDiscussion}
+          onClose={() => setShowDiscussion(false)}
+          activityId={activityId}
+        />
+      )}
+
+            {/* Edit scope for recurring series */}
+      <SeriesEditScopeModal
+        isOpen={Boolean(pendingSeriesUpdate)}
+        onClose={() => setPendingSeriesUpdate(null)}
+        onConfirm={handleSeriesScopeConfirm}
+        isSaving={isSavingSeries}
+      />
     </div>
   );
 }
@@ -11,7 +11,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import { useTranslations } from 'next-intl';
 import { useAuth } from '@/utils/auth/AuthContext';
-import { Card, Button, Label, TextInput, Textarea, Toast } from 'flowbite-react';
+import { Card, Button, Label, TextInput, Textarea, Toast, Checkbox } from 'flowbite-react';
 import { HiOfficeBuilding } from 'react-icons/hi';
 import BackButton from '@/components/layout/BackButton';
 import { 
@@ -27,6 +27,8 @@ import Image from 'next/image';
 import { sdgOptions } from '@/constant/sdgs';
 import { useTheme } from '@/utils/theme/ThemeContext';
 import { normalizeUrl, formatUrlForDisplay } from '@/utils/urlUtils';
+import { DEFAULT_PENDING_REMINDER_DAYS, DEFAULT_PENDING_EXPIRY_DAYS } from '@/utils/applicationSla';
+import { DEFAULT_REMINDER_HOURS, REMINDER_HOURS_OPTIONS } from '@/utils/activityReminders';
 
 // Register the languages you want to use
 languages.registerLocale(require("@cospired/i18n-iso-languages/langs/en.json"));
@@ -55,6 +57,9 @@ export default function OrganizationEditPage() {
     linkedin: '',
     facebook: '',
     instagram: '',
+    pending_reminder_days: DEFAULT_PENDING_REMINDER_DAYS,
+    pending_expiry_days: DEFAULT_PENDING_EXPIRY_DAYS,
+    reminder_hours_before: DEFAULT_REMINDER_HOURS,
   });
   const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
   const [logoFile, setLogoFile] = useState(null);
@@ -96,6 +101,9 @@ export default function OrganizationEditPage() {
             linkedin: orgData.linkedin || '',
             facebook: orgData.facebook || '',
             instagram: orgData.instagram || '',
+            pending_reminder_days: orgData.pending_reminder_days || DEFAULT_PENDING_REMINDER_DAYS,
+            pending_expiry_days: orgData.pending_expiry_days || DEFAULT_PENDING_EXPIRY_DAYS,
+            reminder_hours_before: Array.isArray(orgData.reminder_hours_before) ? orgData.reminder_hours_before : DEFAULT_REMINDER_HOURS,
           });
         }
       } catch (error) {
@@ -137,6 +145,9 @@ export default function OrganizationEditPage() {
         linkedin: organizationForm.linkedin ? normalizeUrl(organizationForm.linkedin) : '',
         facebook: organizationForm.facebook ? normalizeUrl(organizationForm.facebook) : '',
         instagram: organizationForm.instagram ? normalizeUrl(organizationForm.instagram) : '',
+        pending_reminder_days: Number(organizationForm.pending_reminder_days) || DEFAULT_PENDING_REMINDER_DAYS,
+        pending_expiry_days: Number(organizationForm.pending_expiry_days) || DEFAULT_PENDING_EXPIRY_DAYS,
+        reminder_hours_before: organizationForm.reminder_hours_before.map(Number).sort((a, b) => b - a),
       };
 
       // First, upload logo if a new logo file was selected
@@ -608,6 +619,86 @@ export default function OrganizationEditPage() {
             />
           </div>
 
+          {/* Response time for pending applications */}
+          <div className="pt-4 border-t border-border-light dark:border-border-dark">
+            <h3 className="text-sm sm:text-base font-semibold text-text-primary dark:text-text-primary">
+              {t('pendingApplicationsTitle')}
+            </h3>
+            <p className="mt-1 mb-3 text-xs sm:text-sm text-text-secondary dark:text-text-secondary">
+              {t('pendingApplicationsHelp')}
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="pendingReminderDays" className="mb-2 block text-sm sm:text-base font-medium text-text-primary dark:text-text-primary">
+                  {t('pendingReminderDays')}
+                </Label>
+                <TextInput
+                  id="pendingReminderDays"
+                  type="number"
+                  min={1}
+                  max={60}
+                  value={organizationForm.pending_reminder_days}
+                  onChange={(e) => setOrganizationForm({
+                    ...organizationForm,
+                    pending_reminder_days: e.target.value
+                  })}
+                  className="w-full bg-background-card dark:bg-background-card !text-text-primary dark:!text-text-primary border-border-light dark:border-border-dark placeholder:text-text-tertiary dark:placeholder:text-text-tertiary"
+                />
+              </div>
+              <div>
+                <Label htmlFor="pendingExpiryDays" className="mb-2 block text-sm sm:text-base font-medium text-text-primary dark:text-text-primary">
+                  {t('pendingExpiryDays')}
+                </Label>
+                <TextInput
+                  id="pendingExpiryDays"
+                  type="number"
+                  min={2}
+                  max={180}
+                  value={organizationForm.pending_expiry_days}
+                  onChange={(e) => setOrganizationForm({
+                    ...organizationForm,
+                    pending_expiry_days: e.target.value
+                  })}
+                  className="w-full bg-background-card dark:bg-background-card !text-text-primary dark:!text-text-primary border-border-light dark:border-border-dark placeholder:text-text-tertiary dark:placeholder:text-text-tertiary"
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Reminders sent to accepted volunteers before the activity */}
+          <div className="pt-4 border-t border-border-light dark:border-border-dark">
+            <h3 className="text-sm sm:text-base font-semibold text-text-primary dark:text-text-primary">
+              {t('activityRemindersTitle')}
+            </h3>
+            <p className="mt-1 mb-3 text-xs sm:text-sm text-text-secondary dark:text-text-secondary">
+              {t('activityRemindersHelp')}
+            </p>
+            <div className="flex flex-wrap gap-x-5 gap-y-2">
+              {REMINDER_HOURS_OPTIONS.map((hours) => (
+                <div key={hours} className="flex items-center gap-2">
+                  <Checkbox
+                    id={`reminderHours-${hours}`}
+                    checked={organizationForm.reminder_hours_before.includes(hours)}
+                    onChange={(e) => setOrganizationForm({
+                      ...organizationForm,
+                      reminder_hours_before: e.target.checked
+                        ? [...organizationForm.reminder_hours_before, hours]
+                        : organizationForm.reminder_hours_before.filter((value) => value !== hours)
+                    })}
+                  />
+                  <Label htmlFor={`reminderHours-${hours}`} className="text-sm text-text-primary dark:text-text-primary">
+                    {hours >= 24 ? t('reminderDaysBefore', { count: hours / 24 }) : t('reminderHoursBefore', { count: hours })}
+                  </Label>
+                </div>
+              ))}
+            </div>
+            {organizationForm.reminder_hours_before.length === 0 && (
+              <p className="mt-2 text-xs sm:text-sm text-text-secondary dark:text-text-secondary">
+                {t('activityRemindersOff')}
+              </p>
+            )}
+          </div>
+
           {/* Form Action Buttons */}
           <div className="flex flex-col sm:flex-row justify-end gap-3 sm:gap-4 pt-4 border-t border-border-light dark:border-border-dark">
             <Button 
@@ -2,7 +2,7 @@
 
 import { useState, useEffect, useCallback, memo } from 'react';
 import { Toast } from 'flowbite-react';
-import { HiCalendar } from 'react-icons/hi';
+import { HiCalendar, HiUpload } from 'react-icons/hi';
 import { MdOutlineSocialDistance } from 'react-icons/md';
 import { HiOfficeBuilding } from 'react-icons/hi';
 import { useAuth } from '@/utils/auth/AuthContext';
@@ -10,9 +10,10 @@ import { useRouter } from 'next/navigation';
 import { useTranslations } from 'next-intl';
 import { useQueryClient } from '@tanstack/react-query';
 import dynamic from 'next/dynamic';
-import { updateActivityStatus } from '@/utils/crudActivities';
+import { cancelActivity, scheduleActivityPublish, updateActivityStatus } from '@/utils/crudActivities';
 import KPISection from '@/components/dashboard/KPISection';
 import QuickActions from '@/components/dashboard/QuickActions';
+import CalendarFeedCard from '@/components/common/CalendarFeedCard';
 import ActivityManager from '@/components/dashboard/ActivityManager';
 import { useNPODashboardData } from '@/hooks/dashboard/useNPODashboardData';
 import { useNPODashboardActivities } from '@/hooks/dashboard/useNPODashboardActivities';
@@ -98,7 +99,7 @@ export default function MyNonProfitDashboard() {
 
   // Handle status update
   const handleStatusUpdate = useCallback(
-    async (newStatus) => {
+    async (newStatus, details) => {
       const activity = modalManager.selectedActivity;
       if (!activity) return;
 
@@ -113,12 +114,19 @@ export default function MyNonProfitDashboard() {
       return;
     }
 
-    // For other status changes, proceed normally
+    // For other status changes, proceed normally (cancelling records the reason)
     try {
       setIsUpdatingStatus(true);
-        await updateActivityStatus(activity.id, newStatus);
+        if (newStatus === 'Cancelled') {
+          await cancelActivity(activity.id, details?.reason);
+        } else {
+          await updateActivityStatus(activity.id, newStatus);
+        }
         handleStatusChange(activity.id, newStatus);
         modalManager.closeModal();
+        if (newStatus === 'Cancelled') {
+          showToastMessage('success', t('activityCancelled'));
+        }
     } catch (error) {
       console.error('Error updating activity status:', error);
         showToastMessage('error', t('errorUpdatingStatus') || 'Error updating activity status');
@@ -129,6 +137,28 @@ export default function MyNonProfitDashboard() {
     [modalManager, handleStatusChange, showToastMessage, t]
   );
 
+  // Handle scheduled publish of a draft
+  const handleSchedulePublish = useCallback(
+    async (publishAt) => {
+      const activity = modalManager.modalProps?.activity || modalManager.selectedActivity;
+      if (!activity) return;
+
+      try {
+        setIsUpdatingStatus(true);
+        await scheduleActivityPublish(activity.id, publishAt);
+        await refetch();
+        modalManager.closeModal();
+        showToastMessage('success', t('publishScheduled', { date: publishAt.toLocaleString() }));
+      } catch (error) {
+        console.error('Error scheduling activity publish:', error);
+        showToastMessage('error', t('errorUpdatingStatus') || 'Error updating activity status');
+      } finally {
+        setIsUpdatingStatus(false);
+      }
+    },
+    [modalManager, refetch, showToastMessage, t]
+  );
+
   // Handle validation modal close: if shouldCloseActivity, open CloseActivityModal instead of closing
   // Do NOT call closeModal first — it clears selectedActivity and can prevent the close modal from showing
   const handleValidationModalClose = useCallback(
@@ -171,6 +201,11 @@ export default function MyNonProfitDashboard() {
 
           {/* Quick Actions Section */}
           <QuickActions orgData={orgData} />
+
+          {/* Calendar feed of the organization's activities */}
+          <div className="mb-6 sm:mb-8">
+            <CalendarFeedCard scope="organization" />
+          </div>
         </>
       )}
 
@@ -237,6 +272,21 @@ export default function MyNonProfitDashboard() {
               </button>
               <span className="mt-1 text-xs sm:text-sm text-purple-600 font-medium">{t('event')}</span>
             </div>
+
+            {/* Import from CSV/XLSX */}
+            <div className="flex flex-col items-center">
+              <button
+                className="w-14 h-14 sm:w-16 sm:h-16 rounded-full bg-gray-500 text-white flex items-center justify-center shadow-lg hover:bg-gray-600 active:bg-gray-700 transition-colors touch-manipulation min-w-[56px] min-h-[56px]"
+                aria-label="Import"
+                onClick={() => {
+                  setIsFabOpen(false);
+                  router.push('/mynonprofit/activities/import');
+                }}
+              >
+                <HiUpload className="h-6 w-6 sm:h-7 sm:w-7" />
+              </button>
+              <span className="mt-1 text-xs sm:text-sm text-gray-600 font-medium">{t('import')}</span>
+            </div>
           </div>
         )}
 
@@ -259,6 +309,7 @@ export default function MyNonProfitDashboard() {
         onOrganizationDataUpdate={handleOrganizationDataUpdate}
         onStatusChange={handleStatusChange}
         onStatusUpdate={handleStatusUpdate}
+        onSchedulePublish={handleSchedulePublish}
         isUpdatingStatus={isUpdatingStatus}
         onValidationModalClose={handleValidationModalClose}
         onCloseActivitySuccess={handleCloseActivitySuccess}
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo } from 'react';
 import { Card, Avatar, Select, Badge } from 'flowbite-react';
 import SortBySelect from '@/components/common/SortBySelect';
 import { useAuth } from '@/utils/auth/AuthContext';
@@ -10,6 +10,7 @@ import { useTranslations } from 'next-intl';
 import { countries } from 'countries-list';
 import NPODetailsModal from '@/components/activities/NPODetailsModal';
 import { useOrganizationsPaginated } from '@/hooks/organizations/useOrganizationsPaginated';
+import { useOrganizationSearch } from '@/hooks/organizations/useOrganizationSearch';
 import MembersPagination from '@/components/members/MembersPagination';
 import languagesLib from '@cospired/i18n-iso-languages';
 
@@ -37,10 +38,26 @@ export default function OrganizationsPage() {
 
   const [sortBy, setSortBy] = useState('name_az');
 
-  useEffect(() => {
+  // Back to the first page whenever the results change
+  const updateFilters = (nextFilters) => {
+    setFilters(nextFilters);
     setCurrentPage(1);
-  }, [filters, sortBy]);
+  };
+  const updateSortBy = (nextSortBy) => {
+    setSortBy(nextSortBy);
+    setCurrentPage(1);
+  };
+  const updateSearchQuery = (nextQuery) => {
+    setSearchQuery(nextQuery);
+    setCurrentPage(1);
+  };
+
+  const browseResults = useOrganizationsPaginated(currentPage, pageSize, filters, sortBy);
+  const searchResults = useOrganizationSearch(debouncedSearchQuery, currentPage, pageSize, filters);
 
+  // Keyword search goes through the search index (ordered by relevance);
+  // if it fails, the current page is filtered by name and description instead
+  const isKeywordSearch = Boolean(debouncedSearchQuery.trim()) && !searchResults.error;
   const {
     organizations: paginatedOrganizations,
     totalCount,
@@ -51,7 +68,7 @@ export default function OrganizationsPage() {
     endIndex,
     isLoading,
     error,
-  } = useOrganizationsPaginated(currentPage, pageSize, filters, sortBy);
+  } = isKeywordSearch ? searchResults : browseResults;
 
   const processedOrganizations = useMemo(() => {
     return paginatedOrganizations.map((org) => {
@@ -77,7 +94,7 @@ export default function OrganizationsPage() {
   }, [paginatedOrganizations, t]);
 
   const searchedOrganizations = useMemo(() => {
-    if (!debouncedSearchQuery.trim()) {
+    if (isKeywordSearch || !debouncedSearchQuery.trim()) {
       return processedOrganizations;
     }
 
@@ -90,7 +107,7 @@ export default function OrganizationsPage() {
         description.toLowerCase().includes(query)
       );
     });
-  }, [processedOrganizations, debouncedSearchQuery]);
+  }, [processedOrganizations, debouncedSearchQuery, isKeywordSearch]);
 
   const availableCountries = useMemo(() => {
     const countriesSet = new Set();
@@ -128,14 +145,14 @@ export default function OrganizationsPage() {
   };
 
   const handleFilterChange = (filterKey, value) => {
-    setFilters({
+    updateFilters({
       ...filters,
       [filterKey]: value,
     });
   };
 
   const clearFilters = () => {
-    setFilters({
+    updateFilters({
       country: 'all',
       language: 'all',
       sdg: 'all',
@@ -171,12 +188,12 @@ export default function OrganizationsPage() {
               type="text"
               placeholder={t('searchPlaceholder')}
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
+              onChange={(e) => updateSearchQuery(e.target.value)}
               className="w-full pl-10 pr-4 py-2 border border-border-light dark:border-border-dark rounded-lg bg-background-card dark:bg-background-card text-text-primary dark:text-text-primary focus:ring-2 focus:ring-primary-500 dark:focus:ring-primary-400 focus:border-primary-500 dark:focus:border-primary-400 transition-all duration-200"
             />
             {searchQuery && (
               <button
-                onClick={() => setSearchQuery('')}
+                onClick={() => updateSearchQuery('')}
                 className="absolute right-3 top-1/2 transform -translate-y-1/2 text-text-tertiary dark:text-text-tertiary hover:text-text-primary dark:hover:text-text-primary transition-colors duration-200"
               >
                 <HiX className="h-5 w-5" />
@@ -373,7 +390,7 @@ export default function OrganizationsPage() {
                   return countryData ? countryData.name : filters.country;
                 })()}
                 <button
-                  onClick={() => setFilters({ ...filters, country: 'all' })}
+                  onClick={() => updateFilters({ ...filters, country: 'all' })}
                   className="ml-1 hover:text-text-primary dark:hover:text-text-primary transition-colors"
                 >
                   <HiX className="h-3 w-3" />
@@ -385,7 +402,7 @@ export default function OrganizationsPage() {
               <Badge color="blue" className="flex items-center gap-1">
                 {languagesLib.getName(filters.language, 'en') || filters.language}
                 <button
-                  onClick={() => setFilters({ ...filters, language: 'all' })}
+                  onClick={() => updateFilters({ ...filters, language: 'all' })}
                   className="ml-1 hover:text-text-primary dark:hover:text-text-primary transition-colors"
                 >
                   <HiX className="h-3 w-3" />
@@ -397,7 +414,7 @@ export default function OrganizationsPage() {
               <Badge color="blue" className="flex items-center gap-1">
                 {filters.sdg}
                 <button
-                  onClick={() => setFilters({ ...filters, sdg: 'all' })}
+                  onClick={() => updateFilters({ ...filters, sdg: 'all' })}
                   className="ml-1 hover:text-text-primary dark:hover:text-text-primary transition-colors"
                 >
                   <HiX className="h-3 w-3" />
@@ -423,7 +440,7 @@ export default function OrganizationsPage() {
           <SortBySelect
             label={t('sortBy')}
             value={sortBy}
-            onChange={setSortBy}
+            onChange={updateSortBy}
             options={[
               { value: 'name_az', label: t('sortNameAZ') },
               { value: 'name_za', label: t('sortNameZA') },
@@ -11,12 +11,13 @@ import {useTheme} from '@/utils/theme/ThemeContext'; // Hook for theme managemen
 import {Select, Label, Toast, Modal, Button} from "flowbite-react";
 import {doc, getDoc} from 'firebase/firestore';
 import {db} from 'firebaseConfig';
-import {enablePushForUser, updateNotificationPreferences} from '@/utils/notifications';
+import {enablePushForUser, updateNotificationPreferences, updateActivityRemindersEnabled} from '@/utils/notifications';
 import {HiMoon, HiSun, HiTranslate} from 'react-icons/hi';
 import { HiExclamationTriangle } from "react-icons/hi2";
 import {useModal} from '@/utils/modal/useModal';
 import { openCookieSettings } from '@/components/cookies/CookieConsentManager';
 import AlertManager from '@/components/alerts/AlertManager';
+import CalendarFeedCard from '@/components/common/CalendarFeedCard';
 
 // Main component for the Settings Page
 export default function SettingsPage() {
@@ -44,6 +45,7 @@ export default function SettingsPage() {
   const [toastMessage, setToastMessage] = useState({ type: 'success', message: '' });
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const [pendingToggle, setPendingToggle] = useState(null); // {category, channel} for confirmation
+  const [remindersEnabled, setRemindersEnabled] = useState(true);
 
   // Function to handle language change
   const handleLanguageChange = async (e) => {
@@ -104,6 +106,7 @@ export default function SettingsPage() {
               email: storedPrefs.ACTIVITY?.email === true,
             },
           });
+          setRemindersEnabled(data.activity_reminders_enabled !== false);
         }
       } catch (e) {
         if (process.env.NODE_ENV === 'development') {
@@ -288,6 +291,35 @@ export default function SettingsPage() {
     }
   };
 
+  const handleRemindersToggle = async () => {
+    if (!user?.uid) return;
+    const next = !remindersEnabled;
+    setSavingToggle('REMINDERS');
+    setRemindersEnabled(next);
+    try {
+      await updateActivityRemindersEnabled(user.uid, next);
+      setToastMessage({
+        type: 'success',
+        message: t('successSavePreferences')
+      });
+      setShowToast(true);
+      setTimeout(() => setShowToast(false), 3000);
+    } catch (e) {
+      if (process.env.NODE_ENV === 'development') {
+        console.error('Failed to save activity reminders preference:', e);
+      }
+      setRemindersEnabled(!next);
+      setToastMessage({
+        type: 'error',
+        message: t(!navigator.onLine ? 'errorSavePreferencesNetwork' : 'errorSavePreferencesGeneric')
+      });
+      setShowToast(true);
+      setTimeout(() => setShowToast(false), 5000);
+    } finally {
+      setSavingToggle(null);
+    }
+  };
+
   const handleConfirmDisable = async () => {
     if (!pendingToggle) return;
     
@@ -520,6 +552,33 @@ export default function SettingsPage() {
                   </label>
                 </div>
               </div>
+
+              {/* Reminders before accepted activities */}
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between border border-border-light dark:border-border-dark rounded-lg px-3 py-2 sm:px-4 sm:py-3 bg-background-hover dark:bg-background-hover hover:bg-opacity-50 transition-colors">
+                <div className="mb-2 sm:mb-0">
+                  <p className="text-sm font-medium text-text-primary dark:text-text-primary">
+                    {t('activityReminders')}
+                  </p>
+                  <p className="text-xs text-text-secondary dark:text-text-secondary">
+                    {t('activityRemindersDescription')}
+                  </p>
+                </div>
+                <label className="flex items-center gap-2 text-xs sm:text-sm text-text-primary dark:text-text-primary cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={remindersEnabled}
+                    onChange={handleRemindersToggle}
+                    disabled={savingToggle === 'REMINDERS'}
+                    className="h-4 w-4 rounded border-border-light dark:border-border-dark text-primary-600 focus:ring-primary-500 focus:ring-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                  />
+                  <span className="flex items-center gap-1">
+                    {t('activityRemindersEnabled')}
+                    {savingToggle === 'REMINDERS' && (
+                      <span className="text-xs text-text-tertiary dark:text-text-tertiary">({t('saving')})</span>
+                    )}
+                  </span>
+                </label>
+              </div>
             </div>
           )}
 
@@ -547,6 +606,9 @@ export default function SettingsPage() {
           </Button>
         </div>
 
+        {/* Calendar feed of accepted activities */}
+        <CalendarFeedCard scope="member" />
+
         {/* Activity alert settings */}
         <div className="w-full">
           <AlertManager />
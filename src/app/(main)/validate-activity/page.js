@@ -4,6 +4,7 @@ import { useEffect, useRef, useMemo } from 'react';
 import { useSearchParams, useRouter } from 'next/navigation';
 import { useAuth } from '@/utils/auth/AuthContext';
 import { validateActivityByQR } from '@/utils/crudActivityValidation';
+import { queueQRScan } from '@/utils/offlineQRQueue';
 import { Spinner } from 'flowbite-react';
 
 /**
@@ -11,6 +12,7 @@ import { Spinner } from 'flowbite-react';
  * 1. User scans QR code → navigates here
  * 2. Check if already validated → redirect to dashboard with message
  * 3. If not, validate (grant points/badges) → redirect to dashboard with success
+ *    (a departure QR code records the check-out instead → dashboard shows the measured hours)
  * 4. Dashboard shows modal (not this page)
  */
 export default function ValidateActivityPage() {
@@ -62,7 +64,21 @@ export default function ValidateActivityPage() {
         // Validate activity - this function handles all checks (already validated, activity exists, token, type, date)
         const validationResult = await validateActivityByQR(user.uid, activityId, token);
 
-        if (validationResult.success) {
+        if (validationResult.success && validationResult.scan === 'check_out') {
+          const params = new URLSearchParams({
+            validation: 'checked-out',
+            hours: validationResult.measured_hours?.toString() || '0',
+            activityTitle: validationResult.activityTitle || ''
+          });
+          router.replace(`/dashboard?${params.toString()}`);
+        } else if (validationResult.success && validationResult.needs_review) {
+          // Geofenced activity, scanned away from the site: the NPO confirms it
+          const params = new URLSearchParams({
+            validation: 'needs-review',
+            activityTitle: validationResult.activityTitle || ''
+          });
+          router.replace(`/dashboard?${params.toString()}`);
+        } else if (validationResult.success) {
           // Success - redirect to dashboard with success params
           // Badges are processed in background by Cloud Function, so we don't include them here
           const params = new URLSearchParams({
@@ -71,12 +87,19 @@ export default function ValidateActivityPage() {
             activityTitle: validationResult.activityTitle || '',
             activityId: activityId || ''
           });
+          if (validationResult.check_out_enabled) {
+            params.set('checkOut', '1');
+          }
           
           router.replace(`/dashboard?${params.toString()}`);
         } else {
           // Handle specific error cases
           if (validationResult.error === 'ALREADY_VALIDATED') {
             router.replace('/dashboard?validation=already-validated');
+          } else if (validationResult.error === 'NETWORK_ERROR') {
+            // No connectivity: queue the scan with its time, synced from the dashboard / service worker
+            await queueQRScan(user.uid, activityId, token);
+            router.replace('/dashboard?validation=queued');
           } else {
             // Other errors - redirect to dashboard with error message
             const errorMsg = encodeURIComponent(validationResult.message || 'Validation failed');
@@ -0,0 +1,343 @@
+/*
+ * page.js - Public Activity Page
+ *
+ * Purpose:
+ * Server-rendered page for shared activity links (/a/{activityId}), readable
+ * without an account so search engines and social networks can preview it.
+ *
+ * Key Functionalities:
+ * - Loads a sanitized activity and organization through the getPublicActivity
+ *   Firebase function (only fields safe for anonymous readers)
+ * - OpenGraph/Twitter metadata and schema.org Event + VolunteerAction JSON-LD
+ * - Location map (OpenStreetMap embed) for local activities and events
+ * - "Apply" sends visitors to login, then back to the activity in the app
+ */
+
+import Link from 'next/link';
+import Image from 'next/image';
+import { cache } from 'react';
+import { notFound } from 'next/navigation';
+import { getLocale, getTranslations } from 'next-intl/server';
+import { httpsCallable } from 'firebase/functions';
+import { HiCalendar, HiClock, HiGlobeAlt, HiLocationMarker, HiOfficeBuilding } from 'react-icons/hi';
+import { countries } from 'countries-list';
+import { functions } from 'firebaseConfig';
+import { siteConfig } from '@/constant/config';
+import { sdgNames } from '@/constant/sdgs';
+
+// Shared by generateMetadata and the page within one request
+const loadPublicActivity = cache(async (activityId) => {
+  try {
+    const getPublicActivity = httpsCallable(functions, 'getPublicActivity');
+    const { data } = await getPublicActivity({ activityId });
+    return data?.error ? null : data;
+  } catch (error) {
+    console.error('Error loading public activity:', error);
+    return null;
+  }
+});
+
+const getOrganizationName = (activity, organization) => {
+  const name = organization?.name || activity.organization_name;
+  return typeof name === 'object' && name !== null ? name.en || Object.values(name)[0] : name || '';
+};
+
+const getSummary = (text, length = 160) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.slice(0, length - 1).trim()}…` : clean;
+};
+
+/**
+ * schema.org JSON-LD: an Event for dated activities, with applying as a
+ * VolunteerAction; undated roles are described by the VolunteerAction alone.
+ */
+function buildJsonLd(activity, organization, pageUrl, applyUrl) {
+  const organizer = {
+    '@type': 'Organization',
+    name: getOrganizationName(activity, organization),
+    ...(organization?.website ? { url: organization.website } : {}),
+    ...(organization?.logo || activity.organization_logo ? { logo: organization?.logo || activity.organization_logo } : {}),
+  };
+  const location =
+    activity.type === 'online'
+      ? { '@type': 'VirtualLocation', url: pageUrl }
+      : {
+          '@type': 'Place',
+          name: activity.location || activity.city || '',
+          address: {
+            '@type': 'PostalAddress',
+            ...(activity.location ? { streetAddress: activity.location } : {}),
+            ...(activity.city ? { addressLocality: activity.city } : {}),
+            ...(activity.country ? { addressCountry: activity.country } : {}),
+          },
+          ...(activity.coordinates
+            ? {
+                geo: {
+                  '@type': 'GeoCoordinates',
+                  latitude: activity.coordinates.latitude,
+                  longitude: activity.coordinates.longitude,
+                },
+              }
+            : {}),
+        };
+  const volunteerAction = {
+    '@type': 'VolunteerAction',
+    name: activity.title,
+    target: applyUrl,
+  };
+
+  if (!activity.start_day) {
+    return {
+      '@context': 'https://schema.org',
+      ...volunteerAction,
+      description: getSummary(activity.description, 500),
+      url: pageUrl,
+      agent: organizer,
+      location,
+    };
+  }
+
+  const withTime = (day, time) => (time ? `${day}T${time}` : day);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: activity.title,
+    description: getSummary(activity.description, 500),
+    url: pageUrl,
+    startDate: withTime(activity.start_day, activity.start_time),
+    endDate: withTime(activity.end_day || activity.start_day, activity.end_time),
+    eventStatus:
+      activity.status === 'Cancelled' ? 'https://schema.org/EventCancelled' : 'https://schema.org/EventScheduled',
+    eventAttendanceMode:
+      activity.type === 'online'
+        ? 'https://schema.org/OnlineEventAttendanceMode'
+        : 'https://schema.org/OfflineEventAttendanceMode',
+    location,
+    organizer,
+    isAccessibleForFree: true,
+    ...(activity.organization_logo ? { image: [activity.organization_logo] } : {}),
+    potentialAction: volunteerAction,
+  };
+}
+
+export async function generateMetadata({ params }) {
+  const { activityId } = await params;
+  const data = await loadPublicActivity(activityId);
+  if (!data) return { title: 'Activity not found', robots: { index: false } };
+
+  const { activity, organization } = data;
+  const title = `${activity.title} – ${getOrganizationName(activity, organization)}`;
+  const description = getSummary(activity.description);
+  const url = `${siteConfig.url}/a/${activityId}`;
+  const images = activity.organization_logo ? [{ url: activity.organization_logo, alt: activity.title }] : [];
+
+  return {
+    title,
+    description,
+    alternates: { canonical: url },
+    openGraph: { type: 'website', siteName: 'WannaGonna', title, description, url, images },
+    twitter: { card: images.length > 0 ? 'summary_large_image' : 'summary', title, description, images },
+  };
+}
+
+export default async function PublicActivityPage({ params }) {
+  const { activityId } = await params;
+  const data = await loadPublicActivity(activityId);
+  if (!data) notFound();
+
+  const { activity, organization } = data;
+  const t = await getTranslations('PublicActivity');
+  const tManage = await getTranslations('ManageActivities');
+  const locale = await getLocale();
+
+  const pageUrl = `${siteConfig.url}/a/${activityId}`;
+  // Back to the activity in the app once signed in
+  const applyPath = `/login?redirect=${encodeURIComponent(`/activities?activityId=${activityId}`)}`;
+  const canApply =
+    activity.status === 'Open' &&
+    !activity.applications_closed &&
+    activity.type !== 'event' &&
+    !(activity.type === 'local' && activity.accept_applications_wg === false);
+
+  const organizationName = getOrganizationName(activity, organization);
+  const countryName = countries[activity.country]?.name || activity.country;
+  const locationText =
+    activity.type === 'online' ? t('online') : [activity.location || activity.city, countryName].filter(Boolean).join(', ');
+  const formatDay = (day) =>
+    new Date(`${day}T00:00:00Z`).toLocaleDateString(locale, {
+      timeZone: 'UTC',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+    });
+  const categoryLabel = activity.category && tManage.has(activity.category) ? tManage(activity.category) : activity.category;
+
+  const { latitude, longitude } = activity.coordinates || {};
+  const hasMap = activity.type !== 'online' && Number.isFinite(latitude) && Number.isFinite(longitude);
+  const mapDelta = 0.01;
+  const mapUrl = hasMap
+    ? `https://www.openstreetmap.org/export/embed.html?bbox=${longitude - mapDelta},${latitude - mapDelta},${longitude + mapDelta},${latitude + mapDelta}&layer=mapnik&marker=${latitude},${longitude}`
+    : null;
+
+  return (
+    <div className="min-h-dvh bg-background-page dark:bg-background-page">
+      <script
+        type="application/ld+json"
+        dangerouslySetInnerHTML={{
+          __html: JSON.stringify(buildJsonLd(activity, organization, pageUrl, `${siteConfig.url}${applyPath}`)).replace(/</g, '\\u003c'),
+        }}
+      />
+
+      <header className="border-b border-border-light dark:border-border-dark bg-background-card dark:bg-background-card">
+        <div className="container mx-auto max-w-4xl px-4 py-3 flex items-center justify-between">
+          <Link href="/" className="flex items-center gap-2">
+            <Image src="/logo/Favicon.png" alt="WannaGonna" width={32} height={32} />
+            <span className="font-semibold text-text-primary dark:text-text-primary">WannaGonna</span>
+          </Link>
+          <Link href={applyPath} className="text-sm text-primary-600 dark:text-primary-400 hover:underline">
+            {t('signIn')}
+          </Link>
+        </div>
+      </header>
+
+      <main className="container mx-auto max-w-4xl px-4 py-6 sm:py-10 space-y-6">
+        <article className="bg-background-card dark:bg-background-card rounded-lg shadow-md border border-border-light dark:border-border-dark p-5 sm:p-8">
+          <div className="flex items-center gap-3 mb-4">
+            {activity.organization_logo || organization?.logo ? (
+              <Image
+                src={organization?.logo || activity.organization_logo}
+                alt={organizationName}
+                width={48}
+                height={48}
+                className="h-12 w-12 rounded-full object-cover border border-border-light dark:border-border-dark"
+              />
+            ) : (
+              <HiOfficeBuilding className="h-12 w-12 text-text-tertiary" />
+            )}
+            <div className="min-w-0">
+              <p className="text-sm text-text-secondary dark:text-text-secondary">{t('organizedBy')}</p>
+              <p className="font-semibold text-text-primary dark:text-text-primary truncate">{organizationName}</p>
+            </div>
+          </div>
+
+          <h1 className="page-title text-2xl sm:text-3xl font-bold text-text-primary dark:text-text-primary mb-3">
+            {activity.title}
+          </h1>
+
+          <div className="flex flex-wrap gap-2 mb-5 text-xs">
+            <span className="px-2.5 py-1 rounded-full bg-primary-100 text-primary-800 dark:bg-primary-900 dark:text-primary-200">
+              {t(`type.${activity.type}`)}
+            </span>
+            {categoryLabel && (
+              <span className="px-2.5 py-1 rounded-full bg-neutral-100 text-neutral-700 dark:bg-neutral-800 dark:text-neutral-200">
+                {categoryLabel}
+              </span>
+            )}
+            {activity.sdg && sdgNames[String(activity.sdg)] && (
+              <span className="px-2.5 py-1 rounded-full bg-semantic-success-100 text-semantic-success-800 dark:bg-semantic-success-900 dark:text-semantic-success-200">
+                {t('sdg', { number: activity.sdg, name: sdgNames[String(activity.sdg)] })}
+              </span>
+            )}
+            {activity.status === 'Cancelled' && (
+              <span className="px-2.5 py-1 rounded-full bg-semantic-error-100 text-semantic-error-800 dark:bg-semantic-error-900 dark:text-semantic-error-200">
+                {t('cancelled')}
+              </span>
+            )}
+          </div>
+
+          <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+            {activity.start_day && (
+              <div className="flex items-start gap-2">
+                <HiCalendar className="h-5 w-5 mt-0.5 text-text-tertiary flex-shrink-0" />
+                <div>
+                  <dt className="text-xs text-text-tertiary dark:text-text-tertiary">{t('date')}</dt>
+                  <dd className="text-sm font-medium text-text-primary dark:text-text-primary">
+                    {formatDay(activity.start_day)}
+                    {activity.end_day && activity.end_day !== activity.start_day && ` – ${formatDay(activity.end_day)}`}
+                  </dd>
+                </div>
+              </div>
+            )}
+            {activity.start_time && (
+              <div className="flex items-start gap-2">
+                <HiClock className="h-5 w-5 mt-0.5 text-text-tertiary flex-shrink-0" />
+                <div>
+                  <dt className="text-xs text-text-tertiary dark:text-text-tertiary">{t('time')}</dt>
+                  <dd className="text-sm font-medium text-text-primary dark:text-text-primary">
+                    {activity.start_time}
+                    {activity.end_time && ` – ${activity.end_time}`}
+                  </dd>
+                </div>
+              </div>
+            )}
+            <div className="flex items-start gap-2">
+              {activity.type === 'online' ? (
+                <HiGlobeAlt className="h-5 w-5 mt-0.5 text-text-tertiary flex-shrink-0" />
+              ) : (
+                <HiLocationMarker className="h-5 w-5 mt-0.5 text-text-tertiary flex-shrink-0" />
+              )}
+              <div>
+                <dt className="text-xs text-text-tertiary dark:text-text-tertiary">{t('location')}</dt>
+                <dd className="text-sm font-medium text-text-primary dark:text-text-primary">{locationText || '—'}</dd>
+              </div>
+            </div>
+          </dl>
+
+          {activity.description && (
+            <div className="prose dark:prose-invert max-w-none text-text-secondary dark:text-text-secondary whitespace-pre-line mb-6">
+              {activity.description}
+            </div>
+          )}
+
+          {canApply ? (
+            <Link
+              href={applyPath}
+              className="inline-flex items-center justify-center min-h-[44px] px-6 rounded-lg bg-primary-500 hover:bg-primary-600 dark:bg-primary-600 dark:hover:bg-primary-700 text-white font-semibold"
+            >
+              {t('applyCta')}
+            </Link>
+          ) : (
+            <p className="text-sm text-text-tertiary dark:text-text-tertiary">
+              {activity.status === 'Cancelled' ? t('cancelledNote') : t('closedNote')}
+            </p>
+          )}
+        </article>
+
+        {mapUrl && (
+          <section className="bg-background-card dark:bg-background-card rounded-lg shadow-md border border-border-light dark:border-border-dark overflow-hidden">
+            <iframe
+              title={t('mapTitle')}
+              src={mapUrl}
+              className="w-full h-72 border-0"
+              loading="lazy"
+            />
+          </section>
+        )}
+
+        {organization && (
+          <section className="bg-background-card dark:bg-background-card rounded-lg shadow-md border border-border-light dark:border-border-dark p-5 sm:p-8">
+            <h2 className="text-lg font-semibold text-text-primary dark:text-text-primary mb-2">
+              {t('aboutOrganization', { name: organizationName })}
+            </h2>
+            {organization.description && (
+              <p className="text-sm text-text-secondary dark:text-text-secondary whitespace-pre-line mb-3">
+                {getSummary(organization.description, 600)}
+              </p>
+            )}
+            {organization.website && (
+              <a
+                href={organization.website}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                {organization.website}
+              </a>
+            )}
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
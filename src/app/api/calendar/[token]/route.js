@@ -0,0 +1,53 @@
+/*
+ * route.js - Calendar Feed API Route
+ *
+ * Purpose:
+ * Serves a member's or organization's personal calendar feed as iCalendar so
+ * it can be subscribed to from Google Calendar, Apple Calendar or Outlook.
+ *
+ * Key Functionalities:
+ * - Reads the feed events through the getCalendarFeed Firebase function
+ *   (the secret token in the URL is the only credential)
+ * - Renders them with the shared .ics builder, linking back to each activity
+ * - Never cached, so changed and cancelled activities appear on the next refresh
+ *
+ * Usage:
+ * - GET /api/calendar/{token} - Returns text/calendar, or 404 for unknown tokens
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from 'firebaseConfig';
+import { buildICalendar } from '@/utils/icalendar';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  // Calendar apps often need a URL ending in .ics
+  const { token } = await params;
+  const feedToken = String(token || '').replace(/\.ics$/, '');
+
+  try {
+    const getCalendarFeed = httpsCallable(functions, 'getCalendarFeed');
+    const { data } = await getCalendarFeed({ token: feedToken });
+    if (data?.error) {
+      return new Response('Calendar not found', { status: 404 });
+    }
+
+    const origin = new URL(request.url).origin;
+    const events = data.events.map((event) => ({
+      ...event,
+      url: `${origin}/activities?activityId=${event.id}`,
+    }));
+
+    return new Response(buildICalendar({ name: data.name, events }), {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="wannagonna.ics"',
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    return new Response('Failed to build calendar feed', { status: 500 });
+  }
+}
@@ -34,6 +34,7 @@ import { useGoogleSignIn } from '@/hooks/useGoogleSignIn';
 import EmailPasswordLogin from '@/components/auth/EmailPasswordLogin';
 import LanguageSelector from '@/components/auth/LanguageSelector';
 import RegistrationInitModal from '@/components/auth/RegistrationInitModal';
+import { getLoginRedirectPath } from '@/utils/auth/loginRedirect';
 
 /**
  * LoginPage - Renders the login UI, orchestrating authentication components.
@@ -95,8 +96,8 @@ export default function LoginPage() {
     // Only auto-redirect users who arrive already authenticated,
     // not users who are in the middle of an interactive login flow.
     if (user && !loading && !hasInteracted) {
-      console.log('Login page: User already authenticated, redirecting to dashboard');
-      router.push('/dashboard');
+      console.log('Login page: User already authenticated, redirecting');
+      router.push(getLoginRedirectPath());
     }
   }, [user, loading, hasInteracted, router]);
 
@@ -228,7 +229,7 @@ export default function LoginPage() {
     setLoginErrorMessage('');
     try {
       await signInWithEmailAndPassword(auth, email, password);
-      router.push('/dashboard');
+      router.push(getLoginRedirectPath());
     } catch (error) {
       // Set error message based on the error code
       if (error.code === 'auth/wrong-password') {
@@ -77,9 +77,16 @@ function activityToEvent(activity) {
   const color = typeColors[type][500];
   const borderColor = typeColors[type][600];
 
+  // Occurrences of a recurring series share a groupId and show their position in the series
+  const isSeriesOccurrence = Boolean(activity.series_id);
+  const title = isSeriesOccurrence && activity.occurrences_count > 1
+    ? `${activity.title || ''} (${(activity.occurrence_index ?? 0) + 1}/${activity.occurrences_count})`
+    : activity.title || '';
+
   return {
     id: activity.id,
-    title: activity.title || '',
+    groupId: activity.series_id || undefined,
+    title,
     start,
     end,
     allDay,
@@ -91,6 +98,7 @@ function activityToEvent(activity) {
       organization_name: activity.organization_name,
       description: activity.description,
       status: activity.status,
+      series_id: activity.series_id || null,
     },
   };
 }
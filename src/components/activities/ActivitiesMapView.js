@@ -1,8 +1,10 @@
 'use client';
 
-import { useEffect, useRef, useMemo } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { useEffect, useMemo, useState } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
+import { useTranslations } from 'next-intl';
+import { useMapViewport } from '@/hooks/activities/useMapViewport';
 
 // Fix for default marker icons in Next.js
 delete L.Icon.Default.prototype._getIconUrl;
@@ -35,82 +37,141 @@ const createCustomIcon = (color, type) => {
   });
 };
 
+// Cluster marker: a circle sized by the number of activities it groups
+const createClusterIcon = (count) => {
+  const size = count < 10 ? 36 : count < 100 ? 44 : 52;
+  return L.divIcon({
+    className: 'custom-marker',
+    html: `<div style="
+      width: ${size}px;
+      height: ${size}px;
+      background-color: rgba(16, 185, 129, 0.85);
+      border: 3px solid white;
+      border-radius: 50%;
+      box-shadow: 0 2px 6px rgba(0,0,0,0.3);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 13px;
+      font-weight: bold;
+      color: white;
+    ">${count}</div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+};
+
+// Zoom from which the server stops clustering (see queryActivitiesByLocation)
+const CLUSTER_MAX_ZOOM = 12;
+
+// Component to report the visible area once ready and after each pan or zoom
+function ViewportWatcher({ onChange }) {
+  const map = useMap();
+
+  const report = () => {
+    const bounds = map.getBounds();
+    onChange({
+      bounds: {
+        north: bounds.getNorth(),
+        south: bounds.getSouth(),
+        east: bounds.getEast(),
+        west: bounds.getWest(),
+      },
+      zoom: map.getZoom(),
+    });
+  };
+
+  useMapEvents({ moveend: report });
+
+  useEffect(() => {
+    map.whenReady(report);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [map]);
+
+  return null;
+}
+
+// Cluster marker zooming into its activities on click
+function ClusterMarker({ cluster }) {
+  const map = useMap();
+
+  const handleClick = () => {
+    const { north, south, east, west } = cluster.bounds;
+    if (north === south && east === west) {
+      map.setView([cluster.latitude, cluster.longitude], Math.max(map.getZoom() + 2, CLUSTER_MAX_ZOOM));
+    } else {
+      map.fitBounds([[south, west], [north, east]], { padding: [40, 40] });
+    }
+  };
+
+  return (
+    <Marker
+      position={[cluster.latitude, cluster.longitude]}
+      icon={createClusterIcon(cluster.count)}
+      eventHandlers={{ click: handleClick }}
+    />
+  );
+}
+
 // Component to update map center when props change
+// (compares coordinates, so re-renders while panning keep the user's view)
 function MapUpdater({ center, zoom }) {
   const map = useMap();
+  const lat = center?.lat;
+  const lng = center?.lng;
   
   useEffect(() => {
-    if (center && center.lat && center.lng) {
-      map.setView([center.lat, center.lng], zoom);
+    if (lat && lng) {
+      map.setView([lat, lng], zoom);
     }
-  }, [center, zoom, map]);
+  }, [lat, lng, zoom, map]);
   
   return null;
 }
 
 /**
  * ActivitiesMapView Component
- * Displays activities on a map with markers
+ * Displays Open local activities and events on a map. Markers are loaded for
+ * the visible area as the user pans, and grouped into clusters by the server
+ * at low zoom levels.
+ *
+ * @param {string[]|null} activityIds - Only show these activities (page filters), null for all
  */
 export default function ActivitiesMapView({
-  activities = [],
+  activityIds = null,
   onActivityClick,
   center = null,
   zoom = 10,
   userLocation = null
 }) {
+  const t = useTranslations('Activities');
+  const [viewport, setViewport] = useState(null);
 
-  // Filter activities with coordinates and exclude online activities
-  const activitiesWithCoordinates = useMemo(() => {
-    return activities.filter(activity => {
-      if (activity.type === 'online') return false;
-      if (!activity.coordinates) return false;
-      if (typeof activity.coordinates.latitude !== 'number' || 
-          typeof activity.coordinates.longitude !== 'number') {
-        return false;
-      }
-      return true;
-    });
-  }, [activities]);
+  const hasUserLocation = !!(userLocation && userLocation.latitude && userLocation.longitude);
+  const { activities, clusters, truncated, isLoading, error } = useMapViewport(viewport, {
+    center: hasUserLocation ? { latitude: userLocation.latitude, longitude: userLocation.longitude } : null,
+    activityIds,
+  });
 
   // Calculate map center
   const mapCenter = useMemo(() => {
     if (center && center.lat && center.lng) {
       return [center.lat, center.lng];
     }
-    if (userLocation && userLocation.latitude && userLocation.longitude) {
+    if (hasUserLocation) {
       return [userLocation.latitude, userLocation.longitude];
     }
-    if (activitiesWithCoordinates.length > 0) {
-      const firstActivity = activitiesWithCoordinates[0];
-      return [firstActivity.coordinates.latitude, firstActivity.coordinates.longitude];
-    }
     // Default center (Paris)
     return [48.8566, 2.3522];
-  }, [center, userLocation, activitiesWithCoordinates]);
+  }, [center, hasUserLocation, userLocation]);
 
   // Always use light tiles, regardless of app theme
   const tileUrl = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
   const attribution =
     '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
 
-  if (activitiesWithCoordinates.length === 0 && !userLocation) {
-    return (
-      <div className="h-[500px] sm:h-[600px] lg:h-[700px] flex items-center justify-center bg-gray-100 dark:bg-gray-800 rounded-lg">
-        <div className="text-center">
-          <p className="text-text-secondary dark:text-text-secondary mb-2">
-            No activities with locations to display
-          </p>
-          <p className="text-sm text-text-tertiary dark:text-text-tertiary">
-            Activities need coordinates to appear on the map
-          </p>
-        </div>
-      </div>
-    );
-  }
-
   return (
-    <div className="h-[500px] sm:h-[600px] lg:h-[700px] w-full rounded-lg overflow-hidden border border-border-light dark:border-border-dark">
+    <div className="relative h-[500px] sm:h-[600px] lg:h-[700px] w-full rounded-lg overflow-hidden border border-border-light dark:border-border-dark">
       <MapContainer
         center={mapCenter}
         zoom={zoom}
@@ -120,6 +181,7 @@ export default function ActivitiesMapView({
         className="z-0"
       >
         <MapUpdater center={center ? { lat: center.lat, lng: center.lng } : null} zoom={zoom} />
+        <ViewportWatcher onChange={setViewport} />
         
         <TileLayer
           url={tileUrl}
@@ -139,8 +201,13 @@ export default function ActivitiesMapView({
           </Marker>
         )}
 
+        {/* Cluster markers */}
+        {clusters.map((cluster) => (
+          <ClusterMarker key={cluster.id} cluster={cluster} />
+        ))}
+
         {/* Activity markers */}
-        {activitiesWithCoordinates.map((activity) => {
+        {activities.map((activity) => {
           const iconColor = activity.type === 'event' ? '#a855f7' : '#10b981';
           const iconType = activity.type === 'event' ? 'event' : 'local';
 
@@ -167,7 +234,7 @@ export default function ActivitiesMapView({
                       {activity.location}
                     </div>
                   )}
-                  {activity.distance !== undefined && (
+                  {hasUserLocation && activity.distance !== undefined && (
                     <div className="text-primary-600 dark:text-primary-400 text-xs font-medium">
                       {activity.distance.toFixed(1)} km away
                     </div>
@@ -186,6 +253,18 @@ export default function ActivitiesMapView({
           );
         })}
       </MapContainer>
+
+      {(isLoading || error || truncated || (viewport && !isLoading && activities.length === 0 && clusters.length === 0)) && (
+        <div className="absolute top-3 left-1/2 -translate-x-1/2 z-[400] px-3 py-1.5 rounded-full bg-background-card dark:bg-background-card shadow-md text-xs text-text-secondary dark:text-text-secondary pointer-events-none">
+          {isLoading
+            ? t('mapLoading')
+            : error
+              ? t('mapLoadError')
+              : truncated
+                ? t('mapZoomInForMore')
+                : t('mapNoActivitiesHere')}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,106 @@
+'use client';
+
+import { useState } from 'react';
+import { Button, Spinner } from 'flowbite-react';
+import { HiDocumentText, HiDownload, HiGlobeAlt, HiLockClosed, HiTrash } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { getStoredFileUrl } from '@/utils/storage';
+
+/**
+ * Human-readable file size.
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * ActivityAttachmentsList Component
+ * Lists activity attachments with their visibility and a download button.
+ * Download URLs are requested on click so Storage rules are checked then.
+ *
+ * @param {Array} attachments - Attachments from fetchActivityAttachments
+ * @param {Function} [onDelete] - Shows a delete button when given (NPO side)
+ * @param {string|null} [deletingId] - Attachment being deleted
+ */
+export default function ActivityAttachmentsList({ attachments, onDelete, deletingId = null }) {
+  const t = useTranslations('ActivityAttachments');
+  const [openingId, setOpeningId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleOpen = async (attachment) => {
+    setOpeningId(attachment.id);
+    setError(null);
+    // Open the tab during the click so popup blockers allow it
+    const fileWindow = window.open('', '_blank');
+    try {
+      const url = await getStoredFileUrl(attachment.storage_path);
+      if (fileWindow) {
+        fileWindow.opener = null;
+        fileWindow.location.href = url;
+      } else {
+        window.location.href = url;
+      }
+    } catch (err) {
+      console.error('Error opening attachment:', err);
+      fileWindow?.close();
+      setError(t('downloadError'));
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  return (
+    <div>
+      <ul className="divide-y divide-border-light dark:divide-border-dark">
+        {attachments.map((attachment) => (
+          <li key={attachment.id} className="flex items-center gap-3 py-2">
+            <HiDocumentText className="h-6 w-6 flex-shrink-0 text-text-tertiary dark:text-text-tertiary" />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-text-primary dark:text-text-primary truncate" title={attachment.name}>
+                {attachment.name}
+              </p>
+              <p className="flex items-center gap-1 text-xs text-text-tertiary dark:text-text-tertiary">
+                {attachment.visibility === 'accepted' ? (
+                  <HiLockClosed className="h-3 w-3" />
+                ) : (
+                  <HiGlobeAlt className="h-3 w-3" />
+                )}
+                {attachment.visibility === 'accepted' ? t('visibilityAccepted') : t('visibilityPublic')}
+                {attachment.size ? ` · ${formatSize(attachment.size)}` : ''}
+              </p>
+            </div>
+            <Button
+              color="light"
+              size="xs"
+              onClick={() => handleOpen(attachment)}
+              disabled={openingId === attachment.id}
+              aria-label={t('download', { name: attachment.name })}
+            >
+              {openingId === attachment.id ? <Spinner size="xs" /> : <HiDownload className="h-4 w-4" />}
+            </Button>
+            {onDelete && (
+              <Button
+                color="light"
+                size="xs"
+                onClick={() => onDelete(attachment)}
+                disabled={deletingId === attachment.id}
+                aria-label={t('delete', { name: attachment.name })}
+              >
+                {deletingId === attachment.id ? (
+                  <Spinner size="xs" />
+                ) : (
+                  <HiTrash className="h-4 w-4 text-semantic-error-600 dark:text-semantic-error-400" />
+                )}
+              </Button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {error && <p className="mt-2 text-sm text-semantic-error-600 dark:text-semantic-error-400">{error}</p>}
+    </div>
+  );
+}
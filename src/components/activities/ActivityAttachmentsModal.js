@@ -0,0 +1,170 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import { Modal, Button, Spinner, Radio, Label } from 'flowbite-react';
+import { HiPaperClip, HiUpload } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useModal } from '@/utils/modal/useModal';
+import { useAuth } from '@/utils/auth/AuthContext';
+import {
+  fetchActivityAttachments,
+  addActivityAttachment,
+  deleteActivityAttachment,
+} from '@/utils/crudAttachments';
+import ActivityAttachmentsList from './ActivityAttachmentsList';
+
+/** Largest file accepted (Storage rules refuse 25 MB and more). */
+const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+/**
+ * ActivityAttachmentsModal Component
+ * Lets NPO staff share briefings, maps or brand assets with volunteers:
+ * upload files as "public" or "accepted volunteers only", and remove them.
+ * Accepted volunteers are notified of each new file.
+ *
+ * @param {boolean} isOpen - Whether the modal is shown
+ * @param {Function} onClose - Called when the modal is closed
+ * @param {string} activityId - Activity whose attachments are managed
+ */
+export default function ActivityAttachmentsModal({ isOpen, onClose, activityId }) {
+  const t = useTranslations('ActivityAttachments');
+  const wrappedOnClose = useModal(isOpen, onClose, 'activity-attachments-modal');
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+
+  const [file, setFile] = useState(null);
+  const [visibility, setVisibility] = useState('accepted');
+  const [isUploading, setIsUploading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const { data: attachments = [], isLoading, isError } = useQuery({
+    queryKey: ['activityAttachments', activityId],
+    queryFn: () => fetchActivityAttachments(activityId),
+    enabled: isOpen && !!activityId,
+    staleTime: 30 * 1000,
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['activityAttachments', activityId] });
+
+  const handleFileChange = (event) => {
+    const selected = event.target.files?.[0] || null;
+    setError(null);
+    if (selected && selected.size >= MAX_FILE_SIZE) {
+      setError(t('fileTooLarge'));
+      setFile(null);
+      event.target.value = '';
+      return;
+    }
+    setFile(selected);
+  };
+
+  const handleUpload = async () => {
+    if (!file) return;
+    setIsUploading(true);
+    setError(null);
+    try {
+      await addActivityAttachment(activityId, file, { visibility, uploadedBy: user?.uid });
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      await refresh();
+    } catch (err) {
+      console.error('Error uploading attachment:', err);
+      setError(t('uploadError'));
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(t('deleteConfirm', { name: attachment.name }))) return;
+    setDeletingId(attachment.id);
+    setError(null);
+    try {
+      await deleteActivityAttachment(activityId, attachment);
+      await refresh();
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      setError(t('deleteError'));
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <Modal show={isOpen} onClose={wrappedOnClose} size="2xl">
+      <div className="flex items-center gap-2 p-4 border-b border-gray-200 dark:border-gray-600 text-gray-900 dark:text-white font-semibold">
+        <HiPaperClip className="h-5 w-5 text-blue-500" />
+        {t('title')}
+      </div>
+
+      <div className="p-6 space-y-5 max-h-[70vh] overflow-y-auto">
+        <p className="text-sm text-gray-600 dark:text-gray-400">{t('manageDescription')}</p>
+
+        {/* Upload */}
+        <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            onChange={handleFileChange}
+            disabled={isUploading}
+            className="block w-full text-sm text-gray-700 dark:text-gray-300 file:mr-3 file:rounded-lg file:border-0 file:bg-gray-100 dark:file:bg-gray-700 file:px-3 file:py-2 file:text-sm file:font-medium"
+          />
+          <fieldset className="flex flex-col sm:flex-row gap-2 sm:gap-6">
+            <legend className="sr-only">{t('visibility')}</legend>
+            <div className="flex items-center gap-2">
+              <Radio
+                id="attachment-visibility-accepted"
+                name="attachment-visibility"
+                value="accepted"
+                checked={visibility === 'accepted'}
+                onChange={() => setVisibility('accepted')}
+              />
+              <Label htmlFor="attachment-visibility-accepted">{t('visibilityAccepted')}</Label>
+            </div>
+            <div className="flex items-center gap-2">
+              <Radio
+                id="attachment-visibility-public"
+                name="attachment-visibility"
+                value="public"
+                checked={visibility === 'public'}
+                onChange={() => setVisibility('public')}
+              />
+              <Label htmlFor="attachment-visibility-public">{t('visibilityPublic')}</Label>
+            </div>
+          </fieldset>
+          <Button size="sm" onClick={handleUpload} disabled={!file || isUploading}>
+            {isUploading ? <Spinner size="sm" className="mr-2" /> : <HiUpload className="mr-2 h-4 w-4" />}
+            {isUploading ? t('uploading') : t('upload')}
+          </Button>
+        </div>
+
+        {error && <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{error}</p>}
+
+        {/* Current attachments */}
+        {isLoading && (
+          <div className="flex justify-center py-4">
+            <Spinner size="lg" />
+          </div>
+        )}
+        {isError && (
+          <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{t('loadError')}</p>
+        )}
+        {!isLoading && !isError && attachments.length === 0 && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('empty')}</p>
+        )}
+        {attachments.length > 0 && (
+          <ActivityAttachmentsList attachments={attachments} onDelete={handleDelete} deletingId={deletingId} />
+        )}
+      </div>
+
+      <div className="flex justify-end p-4 border-t border-gray-200 dark:border-gray-600">
+        <Button color="gray" onClick={wrappedOnClose}>
+          {t('close')}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
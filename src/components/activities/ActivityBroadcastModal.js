@@ -0,0 +1,229 @@
+'use client';
+
+import { useState } from 'react';
+import { Modal, Button, Spinner, Label, Select, TextInput, Textarea } from 'flowbite-react';
+import { HiSpeakerphone } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useModal } from '@/utils/modal/useModal';
+import { fetchActivityById } from '@/utils/crudActivities';
+import {
+  BROADCAST_AUDIENCES,
+  MAX_BROADCAST_TITLE_LENGTH,
+  MAX_BROADCAST_BODY_LENGTH,
+  sendActivityBroadcast,
+  fetchActivityBroadcasts,
+} from '@/utils/crudBroadcasts';
+import { formatDate } from '@/utils/dateUtils';
+import { formatSlotLabel, sortTimeSlots } from '@/utils/timeSlots';
+
+/**
+ * ActivityBroadcastModal Component
+ * "Message participants": NPO staff send an announcement to a chosen audience
+ * of an activity (all applicants, accepted, waitlisted, validated, or a time
+ * slot) and see past announcements with their delivery stats.
+ *
+ * @param {boolean} isOpen - Whether the modal is shown
+ * @param {Function} onClose - Called when the modal is closed
+ * @param {string} activityId - Activity whose participants are messaged
+ * @param {string|null} [initialSlotId] - Preselect the audience of this time slot
+ *   (read on mount: render the modal only while it is open to change it)
+ */
+export default function ActivityBroadcastModal({ isOpen, onClose, activityId, initialSlotId = null }) {
+  const t = useTranslations('ActivityBroadcast');
+  const wrappedOnClose = useModal(isOpen, onClose, 'activity-broadcast-modal');
+  const queryClient = useQueryClient();
+
+  const [audience, setAudience] = useState(initialSlotId ? 'slot' : 'all');
+  const [slotId, setSlotId] = useState(initialSlotId || '');
+  const [title, setTitle] = useState('');
+  const [body, setBody] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastStats, setLastStats] = useState(null);
+
+  const { data: activity } = useQuery({
+    queryKey: ['activity', activityId],
+    queryFn: () => fetchActivityById(activityId),
+    enabled: isOpen && !!activityId,
+    staleTime: 30 * 1000,
+  });
+  const slots = sortTimeSlots(activity?.time_slots);
+
+  const { data: broadcasts = [], isLoading, isError } = useQuery({
+    queryKey: ['activityBroadcasts', activityId],
+    queryFn: () => fetchActivityBroadcasts(activityId),
+    enabled: isOpen && !!activityId,
+    staleTime: 30 * 1000,
+  });
+
+  const audienceLabel = (value, broadcastSlotId) => {
+    if (value !== 'slot') return t(`audience.${value}`);
+    const slot = slots.find((s) => s.id === broadcastSlotId);
+    return slot ? t('audienceSlotNamed', { slot: formatSlotLabel(slot) }) : t('audience.slot');
+  };
+
+  const canSend = title.trim() && body.trim() && (audience !== 'slot' || slotId) && !isSending;
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    if (!canSend) return;
+    setIsSending(true);
+    setError(null);
+    setLastStats(null);
+    try {
+      const result = await sendActivityBroadcast({
+        activityId,
+        audience,
+        slotId: audience === 'slot' ? slotId : null,
+        title: title.trim(),
+        body: body.trim(),
+      });
+      setLastStats(result.stats);
+      setTitle('');
+      setBody('');
+      await queryClient.invalidateQueries({ queryKey: ['activityBroadcasts', activityId] });
+    } catch (err) {
+      console.error('Error sending broadcast:', err);
+      setError(t('sendError'));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const renderStats = (stats) =>
+    t('stats', {
+      recipients: stats?.recipients ?? 0,
+      inApp: stats?.in_app ?? 0,
+      push: stats?.push ?? 0,
+      email: stats?.email ?? 0,
+    });
+
+  return (
+    <Modal show={isOpen} onClose={wrappedOnClose} size="2xl">
+      <div className="flex items-center gap-2 p-4 border-b border-gray-200 dark:border-gray-600 text-gray-900 dark:text-white font-semibold">
+        <HiSpeakerphone className="h-5 w-5 text-blue-500" />
+        {t('title')}
+      </div>
+
+      <div className="p-6 space-y-5 max-h-[70vh] overflow-y-auto">
+        <p className="text-sm text-gray-600 dark:text-gray-400">{t('description')}</p>
+
+        {/* Compose */}
+        <form onSubmit={handleSend} className="rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <Label htmlFor="broadcast-audience">{t('audienceLabel')}</Label>
+              <Select
+                id="broadcast-audience"
+                value={audience}
+                onChange={(e) => setAudience(e.target.value)}
+                disabled={isSending}
+              >
+                {BROADCAST_AUDIENCES.filter((value) => value !== 'slot' || slots.length > 0).map((value) => (
+                  <option key={value} value={value}>
+                    {t(`audience.${value}`)}
+                  </option>
+                ))}
+              </Select>
+            </div>
+            {audience === 'slot' && (
+              <div>
+                <Label htmlFor="broadcast-slot">{t('slotLabel')}</Label>
+                <Select
+                  id="broadcast-slot"
+                  value={slotId}
+                  onChange={(e) => setSlotId(e.target.value)}
+                  disabled={isSending}
+                  required
+                >
+                  <option value="">{t('chooseSlot')}</option>
+                  {slots.map((slot) => (
+                    <option key={slot.id} value={slot.id}>
+                      {formatSlotLabel(slot)}
+                    </option>
+                  ))}
+                </Select>
+              </div>
+            )}
+          </div>
+          <div>
+            <Label htmlFor="broadcast-title">{t('titleLabel')}</Label>
+            <TextInput
+              id="broadcast-title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              maxLength={MAX_BROADCAST_TITLE_LENGTH}
+              placeholder={t('titlePlaceholder')}
+              disabled={isSending}
+            />
+          </div>
+          <div>
+            <Label htmlFor="broadcast-body">{t('bodyLabel')}</Label>
+            <Textarea
+              id="broadcast-body"
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              maxLength={MAX_BROADCAST_BODY_LENGTH}
+              rows={4}
+              placeholder={t('bodyPlaceholder')}
+              disabled={isSending}
+            />
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-xs text-gray-500 dark:text-gray-400">{t('channelsHint')}</p>
+            <Button type="submit" size="sm" disabled={!canSend}>
+              {isSending ? <Spinner size="sm" className="mr-2" /> : <HiSpeakerphone className="mr-2 h-4 w-4" />}
+              {isSending ? t('sending') : t('send')}
+            </Button>
+          </div>
+          {lastStats && (
+            <p className="text-sm text-semantic-success-700 dark:text-semantic-success-300">
+              {t('sent')} {renderStats(lastStats)}
+            </p>
+          )}
+          {error && <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{error}</p>}
+        </form>
+
+        {/* Past broadcasts */}
+        <div className="space-y-3">
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white">{t('history')}</h3>
+          {isLoading && (
+            <div className="flex justify-center py-4">
+              <Spinner size="lg" />
+            </div>
+          )}
+          {isError && (
+            <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{t('loadError')}</p>
+          )}
+          {!isLoading && !isError && broadcasts.length === 0 && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">{t('empty')}</p>
+          )}
+          {broadcasts.map((broadcast) => (
+            <div key={broadcast.id} className="rounded-lg border border-gray-200 dark:border-gray-700 p-3 space-y-1">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="font-medium text-gray-900 dark:text-white">{broadcast.title}</p>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{formatDate(broadcast.created_at)}</span>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {audienceLabel(broadcast.audience, broadcast.slot_id)}
+                {broadcast.sent_by_name ? ` · ${t('sentBy', { name: broadcast.sent_by_name })}` : ''}
+              </p>
+              <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line break-words">{broadcast.body}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {broadcast.status === 'sending' ? t('sending') : renderStats(broadcast.stats)}
+                {broadcast.stats?.failed > 0 ? ` · ${t('failed', { count: broadcast.stats.failed })}` : ''}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end p-4 border-t border-gray-200 dark:border-gray-600">
+        <Button color="gray" onClick={wrappedOnClose}>
+          {t('close')}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
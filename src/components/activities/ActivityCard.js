@@ -6,15 +6,18 @@ import {
   HiLocationMarker, HiUserGroup, HiStar,
   HiQuestionMarkCircle,
   HiClock,
-  HiDocument, HiCheckCircle, HiArchive,
-  HiQrcode
+  HiDocument, HiCheckCircle, HiArchive, HiBan,
+  HiQrcode,
+  HiRefresh,
+  HiSparkles
 } from 'react-icons/hi';
 import { FaRegCircle } from 'react-icons/fa';
 import StatusUpdateModal from './StatusUpdateModal';
 import QRCodeModal from './QRCodeModal';
 import ActivityValidationModal from './ActivityValidationModal';
 import CloseActivityModal from './CloseActivityModal';
-import { updateActivityStatus } from '@/utils/crudActivities';
+import { cancelActivity, scheduleActivityPublish, updateActivityStatus } from '@/utils/crudActivities';
+import { convertTimestampToDate } from '@/utils/dateUtils';
 import { categoryIcons } from '@/constant/categoryIcons';
 import { getSkillsForSelect } from '@/utils/crudSkills';
 
@@ -39,8 +42,10 @@ export default function ActivityCard({
   end_time,
   sdg,
   status,
-  qr_code_token,
+  publish_at,
   frequency,
+  series_id,
+  more_occurrences_count = 0, // Other upcoming occurrences of the same series (browse grouping)
   onClick,
   onStatusChange,
   canEditStatus = false,
@@ -49,6 +54,7 @@ export default function ActivityCard({
   accept_applications_wg,
   updated_at,
   distance, // Distance in km when "Around Me" filter is active
+  matchReasons, // Why the activity matches the member's profile (see utils/recommendations.js)
   showStatusBadge = true,
   isClickable = true,
   fallbackLogo = '/logo/1%20-%20Color%20on%20White%20-%20RGB.png',
@@ -61,6 +67,7 @@ export default function ActivityCard({
   const [showStatusModal, setShowStatusModal] = useState(false);
   const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
   const [localStatus, setLocalStatus] = useState(status);
+  const [localPublishAt, setLocalPublishAt] = useState(publish_at || null);
   const [showQRModal, setShowQRModal] = useState(false);
   const [showValidationModal, setShowValidationModal] = useState(false);
   const [showCloseActivityModal, setShowCloseActivityModal] = useState(false);
@@ -145,11 +152,23 @@ export default function ActivityCard({
         borderColor: 'border-semantic-success-300 dark:border-semantic-success-600',
         label: t('status.Open')
       },
+      'Ended': {
+        icon: HiArchive,
+        color: 'bg-semantic-warning-100 dark:bg-semantic-warning-800 text-semantic-warning-700 dark:text-semantic-warning-200',
+        borderColor: 'border-semantic-warning-300 dark:border-semantic-warning-600',
+        label: t('status.Ended')
+      },
       'Closed': {
         icon: HiCheckCircle,
         color: 'bg-semantic-info-100 dark:bg-semantic-info-800 text-semantic-info-700 dark:text-semantic-info-200',
         borderColor: 'border-semantic-info-300 dark:border-semantic-info-600',
         label: t('status.Closed')
+      },
+      'Cancelled': {
+        icon: HiBan,
+        color: 'bg-semantic-error-100 dark:bg-semantic-error-800 text-semantic-error-700 dark:text-semantic-error-200',
+        borderColor: 'border-semantic-error-300 dark:border-semantic-error-600',
+        label: t('status.Cancelled')
       }
     };
     
@@ -281,7 +300,7 @@ export default function ActivityCard({
   const logoSrc = organization_logo || fallbackLogo;
 
   // Handle status update
-  const handleStatusUpdate = async (newStatus) => {
+  const handleStatusUpdate = async (newStatus, details) => {
     // If trying to close: events go directly to close modal, others go through validation first
     if (newStatus === 'Closed') {
       setShowStatusModal(false);
@@ -299,9 +318,14 @@ export default function ActivityCard({
       
       // Update local state immediately for instant visual feedback
       setLocalStatus(newStatus);
+      setLocalPublishAt(null);
       
-      // Update in database
-      await updateActivityStatus(id, newStatus);
+      // Update in database (cancelling records the reason)
+      if (newStatus === 'Cancelled') {
+        await cancelActivity(id, details?.reason);
+      } else {
+        await updateActivityStatus(id, newStatus);
+      }
       
       // Notify parent component of the change
       if (onStatusChange) {
@@ -327,8 +351,23 @@ export default function ActivityCard({
     if (shouldCloseActivity) {
       setShowCloseActivityModal(true);
     } else {
-      // If not all processed, revert status to Open
-      setLocalStatus('Open');
+      // If not all processed, revert to the status before the close attempt
+      setLocalStatus(status);
+    }
+  };
+
+  // Keep a draft unpublished until publishAt (published by the lifecycle job)
+  const handleSchedulePublish = async (publishAt) => {
+    try {
+      setIsUpdatingStatus(true);
+      await scheduleActivityPublish(id, publishAt);
+      setLocalPublishAt(publishAt);
+      setShowStatusModal(false);
+    } catch (error) {
+      console.error('Error scheduling activity publish:', error);
+      alert('Error updating activity status. Please try again.');
+    } finally {
+      setIsUpdatingStatus(false);
     }
   };
 
@@ -376,9 +415,13 @@ export default function ActivityCard({
               {showStatusBadge && localStatus && (() => {
                 const statusConfig = getStatusConfig(localStatus);
                 const StatusIcon = statusConfig.icon;
-                const tooltipContent = canEditStatus 
-                  ? `${statusConfig.label} - Click to change` 
+                const scheduledDate = localStatus === 'Draft' ? convertTimestampToDate(localPublishAt) : null;
+                const statusLabel = scheduledDate
+                  ? `${statusConfig.label} · ${t('publishesOn', { date: scheduledDate.toLocaleString() })}`
                   : statusConfig.label;
+                const tooltipContent = canEditStatus 
+                  ? `${statusLabel} - Click to change` 
+                  : statusLabel;
                 const badgeClasses = canEditStatus
                   ? `inline-flex items-center px-1.5 sm:px-2 py-0.5 sm:py-1 rounded-full text-xs font-medium ${statusConfig.color} ${statusConfig.borderColor} border cursor-pointer hover:opacity-80 transition-opacity`
                   : `inline-flex items-center px-1.5 sm:px-2 py-0.5 sm:py-1 rounded-full text-xs font-medium ${statusConfig.color} ${statusConfig.borderColor} border`;
@@ -414,7 +457,7 @@ export default function ActivityCard({
               <span className='sr-only'>{category}</span>
               
               {/* QR Code Button — subtle container */}
-              {showQRButton && (type === 'local' || type === 'event') && qr_code_token && (
+              {showQRButton && (type === 'local' || type === 'event') && (
                 <Tooltip content="Show QR Code" placement="top">
                   <button
                     type="button"
@@ -562,6 +605,27 @@ export default function ActivityCard({
                 </span>
               </div>
             )}
+            {/* Recurring series */}
+            {series_id && (
+              <div className='flex items-center text-xs text-blue-700 dark:text-blue-300'>
+                <HiRefresh className='mr-1.5 h-3.5 w-3.5 flex-shrink-0' />
+                <span className='truncate'>
+                  {t('recurring')}
+                  {more_occurrences_count > 0 && ` · ${t('moreDates', { count: more_occurrences_count })}`}
+                </span>
+              </div>
+            )}
+            {/* Why this matches the member's profile */}
+            {matchReasons?.length > 0 && (
+              <div className='flex items-center text-xs text-primary-700 dark:text-primary-300'>
+                <HiSparkles className='mr-1.5 h-3.5 w-3.5 flex-shrink-0' />
+                <span className='truncate'>
+                  {matchReasons
+                    .map((reason) => t(`matchReason.${reason.code}`, { count: reason.count ?? 0, distance: reason.distance ?? 0 }))
+                    .join(' · ')}
+                </span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -573,16 +637,17 @@ export default function ActivityCard({
         onClose={() => setShowStatusModal(false)}
         currentStatus={localStatus}
         onStatusUpdate={handleStatusUpdate}
+        onSchedulePublish={handleSchedulePublish}
+        publishAt={localPublishAt}
         isUpdating={isUpdatingStatus}
       />
 
       {/* QR Code Modal */}
-      {(type === 'local' || type === 'event') && qr_code_token && (
+      {(type === 'local' || type === 'event') && (
         <QRCodeModal
           isOpen={showQRModal}
           onClose={() => setShowQRModal(false)}
           activityId={id}
-          qr_code_token={qr_code_token}
           title={title}
           startDate={start_date}
         />
@@ -8,6 +8,7 @@ import {
   HiQrcode,
   HiDuplicate,
   HiUsers,
+  HiDeviceMobile,
 } from 'react-icons/hi';
 import { HiDocumentText } from "react-icons/hi2";
 
@@ -31,9 +32,12 @@ export default function ActivityCardActionsOverlay({
   onApplications,
   onParticipants,
   onQRCode,
+  onKiosk,
   labels,
 }) {
-  const hasQRCode = activity.qr_code_token && (activity.type === 'local' || activity.type === 'event');
+  const hasQRCode = activity.type === 'local' || activity.type === 'event';
+  // Scanning volunteers' member QR codes, for open on-site activities
+  const showKiosk = Boolean(onKiosk) && hasQRCode && activity.status === 'Open';
   const isEvent = activity.type === 'event';
   const showEdit = activity.status !== 'Closed';
 
@@ -159,6 +163,21 @@ export default function ActivityCardActionsOverlay({
               </span>
             </div>
           )}
+          {showKiosk && (
+            <div className="flex w-[4.25rem] flex-col items-center gap-0.5 sm:w-[4.5rem]">
+              <button
+                type="button"
+                onClick={onKiosk}
+                className={`${tier2ButtonClass} bg-cyan-600`}
+                aria-label={labels.kiosk}
+              >
+                <HiDeviceMobile className="h-5 w-5" />
+              </button>
+              <span className="line-clamp-2 min-h-[1.75rem] px-px text-center text-[9px] font-medium leading-tight text-white sm:text-[10px]">
+                {labels.kiosk}
+              </span>
+            </div>
+          )}
         </div>
       </div>
 
@@ -18,10 +18,21 @@ import {
   HiRefresh,
   HiChevronDown,
   HiExternalLink,
-  HiQuestionMarkCircle
+  HiQuestionMarkCircle,
+  HiClipboardList,
+  HiShieldCheck,
+  HiQrcode
 } from 'react-icons/hi';
 import { HiClock } from "react-icons/hi2";
 import AddressSelector from '@/components/addresses/AddressSelector';
+import RecurrenceEditor from '@/components/activities/RecurrenceEditor';
+import TimeSlotsEditor from '@/components/activities/TimeSlotsEditor';
+import QuestionnaireEditor from '@/components/activities/QuestionnaireEditor';
+import ActivityRequirementsEditor from '@/components/activities/ActivityRequirementsEditor';
+import { DEFAULT_RECURRENCE } from '@/utils/recurrence';
+import { APPLICATION_CUTOFF_OPTIONS } from '@/utils/activityLifecycle';
+import { QR_MODES } from '@/utils/qrTokens';
+import { GEOFENCE_RADIUS_OPTIONS } from '@/utils/geofence';
 import { useAuth } from '@/utils/auth/AuthContext';
 
 export default function ActivityDetailsForm({ formData, handleChange, setFormData }) {
@@ -101,11 +112,35 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
   useEffect(() => {
     if (formData.type === 'event' && formData.frequency !== 'once') {
       setFormData((prev) => ({ ...prev, frequency: 'once' }));
+    } else if (formData.type === 'online' && formData.frequency === 'regular') {
+      setFormData((prev) => ({ ...prev, frequency: '' }));
     }
   }, [formData.type, setFormData]);
 
+  // Regular activities need a recurrence rule; default to weekly on the start date's weekday
+  const selectRegularFrequency = () => {
+    setFormData((prev) => {
+      if (prev.recurrence) return { ...prev, frequency: 'regular' };
+      const start = prev.start_date ? new Date(prev.start_date) : new Date();
+      return {
+        ...prev,
+        frequency: 'regular',
+        recurrence: { ...DEFAULT_RECURRENCE, days_of_week: [start.getDay()] },
+      };
+    });
+  };
+
   const externalLink = formData.external_platform_link || '';
 
+  // Slots need a date, so long-term roles don't get them
+  const supportsTimeSlots =
+    formData.type === 'event' || (formData.type === 'local' && formData.frequency !== 'role');
+  const hasSlotCapacities =
+    supportsTimeSlots &&
+    (formData.time_slots || []).length > 0 &&
+    formData.time_slots.every((slot) => Number(slot.capacity) > 0);
+  const hasTimeSlots = supportsTimeSlots && (formData.time_slots || []).length > 0;
+
   const isExternalLinkRequired =
     formData.type === 'local' && formData.accept_applications_wg === false;
   
@@ -178,7 +213,7 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
                 <HiClock className="h-4 w-4" />
                 {t('frequency-label')}
               </Label>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <div className={`grid grid-cols-1 gap-3 ${formData.type === 'local' ? 'sm:grid-cols-3' : 'sm:grid-cols-2'}`}>
                 <div 
                   className={`flex items-center gap-3 p-3 sm:p-4 rounded-lg border-2 transition-all duration-200 cursor-pointer touch-manipulation ${
                     formData.frequency === 'once' 
@@ -199,6 +234,29 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
                     {t('frequency-once')}
                   </Label>
                 </div>  
+                {/* Regular activities materialise as a series of occurrences (local only) */}
+                {formData.type === 'local' && (
+                  <div 
+                    className={`flex items-center gap-3 p-3 sm:p-4 rounded-lg border-2 transition-all duration-200 cursor-pointer touch-manipulation ${
+                      formData.frequency === 'regular' 
+                        ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30 dark:border-blue-400 shadow-md' 
+                        : 'border-gray-200 dark:border-gray-700 hover:border-blue-300 dark:hover:border-blue-600 hover:bg-gray-50 dark:hover:bg-gray-800 active:scale-95'
+                    }`}
+                    onClick={() => selectRegularFrequency()}
+                  >
+                    <Radio
+                      id='regular'
+                      name='frequency'
+                      value='regular'
+                      checked={formData.frequency === 'regular'}
+                      onChange={() => selectRegularFrequency()}
+                      className="text-blue-600 dark:text-blue-400"
+                    />
+                    <Label htmlFor='regular' className="text-sm font-medium cursor-pointer flex-1 dark:text-gray-300">
+                      {t('frequency-regular')}
+                    </Label>
+                  </div>
+                )}
                 {(formData.type === 'online' || formData.type === 'local') && (
                   <div 
                     className={`flex items-center gap-3 p-3 sm:p-4 rounded-lg border-2 transition-all duration-200 cursor-pointer touch-manipulation ${
@@ -225,6 +283,11 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
             </div>
           )}
 
+          {/* Recurrence rule - For regular (recurring) local activities */}
+          {formData.type === 'local' && formData.frequency === 'regular' && (
+            <RecurrenceEditor formData={formData} setFormData={setFormData} />
+          )}
+
           {/* Location - For local and event activities */}
           {(formData.type === 'local' || formData.type === 'event') && (
             <div className="lg:col-span-2 space-y-2">
@@ -348,7 +411,8 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
                             id="start_time"
                             value={formData.start_time || ''}
                             onChange={(e) => setFormData((prev) => ({ ...prev, start_time: e.target.value || null }))}
-                            className="w-full min-h-[44px] rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white px-3 py-2 text-base"
+                            disabled={hasTimeSlots}
+                            className="w-full min-h-[44px] rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white px-3 py-2 text-base disabled:opacity-60"
                           />
                         </div>
                         <div className="space-y-2">
@@ -361,10 +425,14 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
                             id="end_time"
                             value={formData.end_time || ''}
                             onChange={(e) => setFormData((prev) => ({ ...prev, end_time: e.target.value || null }))}
-                            className="w-full min-h-[44px] rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white px-3 py-2 text-base"
+                            disabled={hasTimeSlots}
+                            className="w-full min-h-[44px] rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white px-3 py-2 text-base disabled:opacity-60"
                           />
                         </div>
                       </div>
+                      {hasTimeSlots && (
+                        <p className="text-xs text-text-tertiary dark:text-text-tertiary">{t('time-slots-envelope-helper')}</p>
+                      )}
                     </fieldset>
                     <div className="flex items-start gap-3 p-4 rounded-lg border-2 border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 min-h-[44px]">
                       <Checkbox
@@ -509,10 +577,116 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
                 </div>
               </div>
             )}
+
+            {/* Application cut-off before the start - dated activities only */}
+            {formData.accept_applications_wg !== false && formData.frequency !== 'role' && (
+              <div className="space-y-1 ml-6">
+                <Label htmlFor="application_cutoff_hours" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {t('application-cutoff-label')}
+                </Label>
+                <FlowbiteSelect
+                  id="application_cutoff_hours"
+                  value={formData.application_cutoff_hours ?? ''}
+                  onChange={(e) => setFormData((prev) => ({
+                    ...prev,
+                    application_cutoff_hours: e.target.value === '' ? null : Number(e.target.value),
+                  }))}
+                >
+                  <option value="">{t('application-cutoff-none')}</option>
+                  {APPLICATION_CUTOFF_OPTIONS.map((hours) => (
+                    <option key={hours} value={hours}>{t('application-cutoff-hours', { hours })}</option>
+                  ))}
+                </FlowbiteSelect>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{t('application-cutoff-helper')}</p>
+              </div>
+            )}
           </div>
         </Card>
       )}
 
+      {/* QR validation mode - Local activities and events */}
+      {(formData.type === 'local' || formData.type === 'event') && (
+        <Card className="p-4 sm:p-6 shadow-lg border-0 bg-gradient-to-br from-white to-gray-50 dark:from-gray-800 dark:to-gray-900">
+          <div className="flex items-start sm:items-center gap-3 mb-6">
+            <div className="p-2 bg-indigo-100 dark:bg-indigo-900 rounded-lg shrink-0">
+              <HiQrcode className="h-5 w-5 sm:h-6 sm:w-6 text-indigo-600 dark:text-indigo-400" />
+            </div>
+            <div className="min-w-0">
+              <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white">{t('qr-mode-title')}</h2>
+              <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400">{t('qr-mode-description')}</p>
+            </div>
+          </div>
+
+          <fieldset className="space-y-3">
+            {QR_MODES.map((mode) => (
+              <div
+                key={mode}
+                className="flex items-start gap-3 p-4 rounded-lg border-2 border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 cursor-pointer"
+                onClick={() => setFormData((prev) => ({ ...prev, qr_mode: mode }))}
+              >
+                <Radio
+                  id={`qr_mode_${mode}`}
+                  name="qr_mode"
+                  value={mode}
+                  checked={(formData.qr_mode || 'static') === mode}
+                  onChange={() => setFormData((prev) => ({ ...prev, qr_mode: mode }))}
+                  className="mt-1"
+                />
+                <div className="flex-1">
+                  <Label htmlFor={`qr_mode_${mode}`} className="text-sm sm:text-base font-medium text-gray-900 dark:text-white cursor-pointer">
+                    {t(`qr-mode-${mode}-label`)}
+                  </Label>
+                  <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400 mt-1">
+                    {t(`qr-mode-${mode}-description`)}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </fieldset>
+
+          {/* Departure scan - check-in / check-out with measured hours */}
+          <div className="flex items-start gap-3 p-4 mt-4 rounded-lg border-2 border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800">
+            <Checkbox
+              id="checkOutEnabled"
+              checked={formData.check_out_enabled === true}
+              onChange={(e) => setFormData((prev) => ({ ...prev, check_out_enabled: e.target.checked }))}
+              className="mt-1"
+            />
+            <div className="flex-1">
+              <Label htmlFor="checkOutEnabled" className="text-sm sm:text-base font-medium text-gray-900 dark:text-white cursor-pointer">
+                {t('check-out-enabled-label')}
+              </Label>
+              <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400 mt-1">
+                {t('check-out-enabled-description')}
+              </p>
+            </div>
+          </div>
+
+          {/* Geofence - local activities, around the address coordinates */}
+          {formData.type === 'local' && (
+            <div className="space-y-1 mt-4">
+              <Label htmlFor="geofence_radius_m" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('geofence-label')}
+              </Label>
+              <FlowbiteSelect
+                id="geofence_radius_m"
+                value={formData.geofence_radius_m ?? ''}
+                onChange={(e) => setFormData((prev) => ({
+                  ...prev,
+                  geofence_radius_m: e.target.value === '' ? null : Number(e.target.value),
+                }))}
+              >
+                <option value="">{t('geofence-off')}</option>
+                {GEOFENCE_RADIUS_OPTIONS.map((meters) => (
+                  <option key={meters} value={meters}>{t('geofence-radius', { meters })}</option>
+                ))}
+              </FlowbiteSelect>
+              <p className="text-xs text-gray-500 dark:text-gray-400">{t('geofence-helper')}</p>
+            </div>
+          )}
+        </Card>
+      )}
+
       {/* External Platform Link - All Activity Types */}
       <Card className="p-4 sm:p-6 shadow-lg border-0 bg-gradient-to-br from-white to-gray-50 dark:from-gray-800 dark:to-gray-900">
         <div className="flex items-start sm:items-center gap-3 mb-6">
@@ -594,9 +768,14 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
               onFocus={handleInputFocus}
               type='number'
               min="1"
+              disabled={hasSlotCapacities}
               className="text-base sm:text-lg"
             />
           </div>
+          {/* Time slots with per-slot capacity - local (dated) activities and events */}
+          {supportsTimeSlots && (
+            <TimeSlotsEditor formData={formData} setFormData={setFormData} />
+          )}
         </div>
       </Card>
 
@@ -842,6 +1021,40 @@ export default function ActivityDetailsForm({ formData, handleChange, setFormDat
           </div>
         </Card>
       )}
+
+      {/* Eligibility Requirements - All Activity Types */}
+      <Card className="p-4 sm:p-6 shadow-lg border-0 bg-gradient-to-br from-white to-gray-50 dark:from-gray-800 dark:to-gray-900 overflow-visible">
+        <div className="flex items-start sm:items-center gap-3 mb-6">
+          <div className="p-2 bg-rose-100 dark:bg-rose-900 rounded-lg shrink-0">
+            <HiShieldCheck className="h-5 w-5 sm:h-6 sm:w-6 text-rose-600 dark:text-rose-400" />
+          </div>
+          <div className="min-w-0">
+            <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white">{t('requirements-title')}</h2>
+            <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400">{t('requirements-description')}</p>
+          </div>
+        </div>
+
+        <ActivityRequirementsEditor formData={formData} setFormData={setFormData} />
+      </Card>
+
+      {/* Application Questionnaire - All Activity Types */}
+      <Card className="p-4 sm:p-6 shadow-lg border-0 bg-gradient-to-br from-white to-gray-50 dark:from-gray-800 dark:to-gray-900">
+        <div className="flex items-start sm:items-center gap-3 mb-6">
+          <div className="p-2 bg-teal-100 dark:bg-teal-900 rounded-lg shrink-0">
+            <HiClipboardList className="h-5 w-5 sm:h-6 sm:w-6 text-teal-600 dark:text-teal-400" />
+          </div>
+          <div className="min-w-0">
+            <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white">{t('questionnaire-title')}</h2>
+            <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400">{t('questionnaire-description')}</p>
+          </div>
+        </div>
+
+        <QuestionnaireEditor
+          formData={formData}
+          setFormData={setFormData}
+          organizationId={claims?.npo_id}
+        />
+      </Card>
     </div>
   );
 } 
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 import { useEffect, useState, useMemo } from 'react';
 import { Modal, Badge, Button, Spinner } from 'flowbite-react';
+import { useQuery } from '@tanstack/react-query';
 import Image from 'next/image';
 import { fetchActivityById } from '@/utils/crudActivities';
 import { fetchOrganizationById } from '@/utils/crudOrganizations';
@@ -21,7 +22,9 @@ import {
   HiTranslate,
   HiLink,
   HiExternalLink,
-  HiCheckCircle
+  HiCheckCircle,
+  HiBan,
+  HiPaperClip
 } from 'react-icons/hi';
 import { HiClock } from 'react-icons/hi2';
 import NPODetailsModal from './NPODetailsModal';
@@ -30,6 +33,13 @@ import { useRouter } from 'next/navigation';
 import { useModal } from '@/utils/modal/useModal';
 import ShareButton from '@/components/sharing/ShareButton';
 import { prepareActivityShareData } from '@/utils/sharing/shareUtils';
+import { downloadActivityIcs } from '@/utils/icalendar';
+import { areApplicationsClosed } from '@/utils/activityLifecycle';
+import { fetchActivityAttachments } from '@/utils/crudAttachments';
+import ActivityAttachmentsList from './ActivityAttachmentsList';
+import { fetchMyActivityAccess } from '@/utils/crudDiscussion';
+import { useAuth } from '@/utils/auth/AuthContext';
+import ActivityDiscussion from './ActivityDiscussion';
 
 export default function ActivityDetailsModal({ isOpen, onClose, activityId, onApply, hasApplied = false }) {
   // Register this modal with the global modal manager for ESC key and browser back button support
@@ -41,6 +51,7 @@ export default function ActivityDetailsModal({ isOpen, onClose, activityId, onAp
   const locale = useLocale();
   const router = useRouter();
   const { isDark } = useTheme();
+  const { user, claims } = useAuth();
 
   const [activity, setActivity] = useState(null);
   const [organization, setOrganization] = useState(null);
@@ -49,6 +60,28 @@ export default function ActivityDetailsModal({ isOpen, onClose, activityId, onAp
   const [showNPOModal, setShowNPOModal] = useState(false);
   const [skillLabelsMap, setSkillLabelsMap] = useState({});
 
+  // Attachments the user may see (public, or accepted volunteers only)
+  const { data: attachments = [] } = useQuery({
+    queryKey: ['activityAttachments', activityId],
+    queryFn: () => fetchActivityAttachments(activityId),
+    enabled: isOpen && !!activityId,
+    staleTime: 60 * 1000,
+  });
+
+  // Application status mirrored for the discussion (null when not an applicant)
+  const { data: accessStatus = null } = useQuery({
+    queryKey: ['activityAccess', activityId, user?.uid],
+    queryFn: () => fetchMyActivityAccess(activityId, user?.uid),
+    enabled: isOpen && !!activityId && !!user?.uid,
+    staleTime: 60 * 1000,
+  });
+
+  const isDiscussionStaff =
+    claims?.role === 'admin' ||
+    (['npo-staff', 'ambassador'].includes(claims?.role) &&
+      !!activity?.organization_id &&
+      claims?.npo_id === activity.organization_id);
+
   const participantStatCount = useMemo(() => {
     if (!activity) {
       return null;
@@ -231,6 +264,23 @@ export default function ActivityDetailsModal({ isOpen, onClose, activityId, onAp
 
           {!loading && !error && activity && (
             <div className="space-y-4 sm:space-y-6 py-2">
+              {/* Cancelled notice */}
+              {activity.status === 'Cancelled' && (
+                <div className="flex items-start gap-3 rounded-lg border border-semantic-error-200 dark:border-semantic-error-800 bg-semantic-error-50 dark:bg-semantic-error-900/20 p-4">
+                  <HiBan className="h-5 w-5 mt-0.5 flex-shrink-0 text-semantic-error-600 dark:text-semantic-error-400" />
+                  <div>
+                    <p className="text-sm font-medium text-semantic-error-800 dark:text-semantic-error-200">
+                      {t('cancelledNotice')}
+                    </p>
+                    {activity.cancellation_reason && (
+                      <p className="text-sm text-semantic-error-700 dark:text-semantic-error-300 mt-1 whitespace-pre-line">
+                        {t('cancellationReason', { reason: activity.cancellation_reason })}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {/* Activity Header */}
               <div className="flex flex-col sm:flex-row sm:items-start gap-4 pb-4 border-b-2 border-border-light dark:border-[#475569]">
                 {/* Organization Logo */}
@@ -516,6 +566,32 @@ export default function ActivityDetailsModal({ isOpen, onClose, activityId, onAp
                 )}
               </div>
 
+              {/* Attachments */}
+              {attachments.length > 0 && (
+                <div className="bg-background-hover dark:bg-background-hover rounded-lg p-4 border-2 border-border-light dark:border-[#475569]">
+                  <div className="flex items-center gap-2 mb-2">
+                    <HiPaperClip className="h-5 w-5 text-primary-500 dark:text-primary-400" />
+                    <h2 className="text-lg font-semibold text-text-primary dark:text-text-primary">{t('attachments')}</h2>
+                  </div>
+                  <ActivityAttachmentsList attachments={attachments} />
+                </div>
+              )}
+
+              {/* Discussion (applicants, accepted volunteers and NPO staff) */}
+              {(accessStatus || isDiscussionStaff) && (
+                <div className="bg-background-hover dark:bg-background-hover rounded-lg p-4 border-2 border-border-light dark:border-[#475569]">
+                  <ActivityDiscussion
+                    activityId={activityId}
+                    acceptedChannelEnabled={!!activity.discussion_accepted_channel}
+                    isStaff={isDiscussionStaff}
+                    isAccepted={accessStatus === 'accepted'}
+                    onAcceptedChannelChange={(enabled) =>
+                      setActivity((previous) => ({ ...previous, discussion_accepted_channel: enabled }))
+                    }
+                  />
+                </div>
+              )}
+
               {/* NPO Summary */}
               {organization && (
                 <div className="bg-gradient-to-br from-semantic-info-50 to-semantic-info-100 dark:from-semantic-info-900 dark:to-semantic-info-800 border border-semantic-info-200 dark:border-semantic-info-700 rounded-lg p-4">
@@ -581,6 +657,17 @@ export default function ActivityDetailsModal({ isOpen, onClose, activityId, onAp
                   size="sm"
                 />
               )}
+              {activity?.start_date && (
+                <Button
+                  color="light"
+                  size="sm"
+                  onClick={() => downloadActivityIcs(activity, shareData?.url)}
+                  className="flex items-center gap-2"
+                >
+                  <HiCalendar className="h-4 w-4" />
+                  {t('addToCalendar')}
+                </Button>
+              )}
             </div>
             <div className="flex items-center gap-2 flex-wrap">
               {hasApplied ? (
@@ -607,9 +694,15 @@ export default function ActivityDetailsModal({ isOpen, onClose, activityId, onAp
                    activity?.type !== 'event' && 
                    !(activity?.type === 'local' &&
                      activity?.accept_applications_wg === false) && (
-                    <Button onClick={onApply} className="bg-primary-500 hover:bg-primary-600 dark:bg-primary-600 dark:hover:bg-primary-700 text-white">
-                      Apply Now
-                    </Button>
+                    areApplicationsClosed(activity) ? (
+                      <span className="text-sm text-text-tertiary dark:text-text-tertiary">
+                        {t('applicationsClosed')}
+                      </span>
+                    ) : (
+                      <Button onClick={onApply} className="bg-primary-500 hover:bg-primary-600 dark:bg-primary-600 dark:hover:bg-primary-700 text-white">
+                        Apply Now
+                      </Button>
+                    )
                   )}
                   <Button color="gray" onClick={wrappedOnClose} className="bg-neutral-200 dark:bg-neutral-700 text-neutral-700 dark:text-neutral-200 hover:bg-neutral-300 dark:hover:bg-neutral-600">
                     Close
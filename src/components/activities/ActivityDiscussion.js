@@ -0,0 +1,296 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { Button, Spinner, Textarea, ToggleSwitch, Badge } from 'flowbite-react';
+import { HiBookmark, HiOutlineBookmark, HiChatAlt2, HiEye, HiEyeOff, HiReply, HiX } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '@/utils/auth/AuthContext';
+import { useMemberProfile } from '@/hooks/dashboard/useMemberProfile';
+import { formatDate } from '@/utils/dateUtils';
+import {
+  MAX_MESSAGE_LENGTH,
+  fetchDiscussionMessages,
+  postDiscussionMessage,
+  moderateDiscussionMessage,
+  setAcceptedChannelEnabled,
+} from '@/utils/crudDiscussion';
+
+/**
+ * ActivityDiscussion Component
+ * Q&A thread of an activity. Applicants and accepted volunteers ask
+ * practical questions (parking, what to bring...), NPO staff answer, pin and
+ * hide messages, and can open a channel for accepted volunteers only.
+ * Participants are notified of new messages by a Cloud Function.
+ *
+ * @param {string} activityId - Activity ID
+ * @param {boolean} acceptedChannelEnabled - Whether the accepted-only channel is on
+ * @param {boolean} [isStaff=false] - NPO staff/ambassador of the activity (or admin)
+ * @param {boolean} [isAccepted=false] - Accepted volunteer
+ * @param {Function} [onAcceptedChannelChange] - Called with the new value after staff switch the channel
+ */
+export default function ActivityDiscussion({
+  activityId,
+  acceptedChannelEnabled = false,
+  isStaff = false,
+  isAccepted = false,
+  onAcceptedChannelChange,
+}) {
+  const t = useTranslations('ActivityDiscussion');
+  const { user } = useAuth();
+  const { data: memberProfile } = useMemberProfile(user?.uid);
+  const queryClient = useQueryClient();
+
+  const [channel, setChannel] = useState('all');
+  const [body, setBody] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [isPosting, setIsPosting] = useState(false);
+  const [isSwitching, setIsSwitching] = useState(false);
+  const [moderatingId, setModeratingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const canUseAcceptedChannel = acceptedChannelEnabled && (isStaff || isAccepted);
+  const currentChannel = canUseAcceptedChannel ? channel : 'all';
+  const queryKey = ['activityDiscussion', activityId, isStaff, isAccepted];
+
+  const { data: messages = [], isLoading, isError } = useQuery({
+    queryKey,
+    queryFn: () => fetchDiscussionMessages(activityId, { isStaff, isAccepted }),
+    enabled: !!activityId,
+    staleTime: 30 * 1000,
+  });
+
+  // Top-level messages of the channel, pinned first, with their replies
+  const threads = useMemo(() => {
+    const inChannel = messages.filter((message) => (message.channel || 'all') === currentChannel);
+    const ids = new Set(inChannel.map((message) => message.id));
+    const repliesByParent = {};
+    inChannel.forEach((message) => {
+      if (message.reply_to && ids.has(message.reply_to)) {
+        (repliesByParent[message.reply_to] ||= []).push(message);
+      }
+    });
+    return inChannel
+      .filter((message) => !message.reply_to || !ids.has(message.reply_to))
+      .sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned))
+      .map((message) => ({ message, replies: repliesByParent[message.id] || [] }));
+  }, [messages, currentChannel]);
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['activityDiscussion', activityId] });
+
+  const handlePost = async (event) => {
+    event.preventDefault();
+    if (!body.trim() || !user) return;
+    setIsPosting(true);
+    setError(null);
+    try {
+      await postDiscussionMessage(
+        activityId,
+        { body, channel: currentChannel, replyTo: replyTo?.id || null },
+        {
+          id: user.uid,
+          name: memberProfile?.display_name || user.displayName || '',
+          role: isStaff ? 'staff' : 'volunteer',
+        }
+      );
+      setBody('');
+      setReplyTo(null);
+      await refresh();
+    } catch (err) {
+      console.error('Error posting message:', err);
+      setError(t('postError'));
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  const handleModerate = async (message, flags) => {
+    setModeratingId(message.id);
+    setError(null);
+    try {
+      await moderateDiscussionMessage(activityId, message.id, flags, user.uid);
+      await refresh();
+    } catch (err) {
+      console.error('Error moderating message:', err);
+      setError(t('moderateError'));
+    } finally {
+      setModeratingId(null);
+    }
+  };
+
+  const handleToggleChannel = async (enabled) => {
+    setIsSwitching(true);
+    setError(null);
+    try {
+      await setAcceptedChannelEnabled(activityId, enabled);
+      if (!enabled) setChannel('all');
+      onAcceptedChannelChange?.(enabled);
+    } catch (err) {
+      console.error('Error switching channel:', err);
+      setError(t('channelError'));
+    } finally {
+      setIsSwitching(false);
+    }
+  };
+
+  const renderMessage = (message, isReply = false) => (
+    <div
+      key={message.id}
+      className={`rounded-lg p-3 ${
+        message.author_role === 'staff'
+          ? 'bg-primary-50 dark:bg-primary-900/20'
+          : 'bg-background-card dark:bg-background-card'
+      } border border-border-light dark:border-border-dark ${message.hidden ? 'opacity-60' : ''} ${isReply ? 'ml-6 mt-2' : ''}`}
+    >
+      <div className="flex flex-wrap items-center gap-2 mb-1">
+        <span className="text-sm font-semibold text-text-primary dark:text-text-primary">
+          {message.author_name || t('anonymous')}
+        </span>
+        {message.author_role === 'staff' && (
+          <Badge color="info" size="xs">
+            {t('organizer')}
+          </Badge>
+        )}
+        {message.pinned && (
+          <Badge color="warning" size="xs">
+            {t('pinned')}
+          </Badge>
+        )}
+        {message.hidden && (
+          <Badge color="gray" size="xs">
+            {t('hidden')}
+          </Badge>
+        )}
+        <span className="text-xs text-text-tertiary dark:text-text-tertiary">{formatDate(message.created_at)}</span>
+      </div>
+      <p className="text-sm text-text-secondary dark:text-text-secondary whitespace-pre-line break-words">{message.body}</p>
+      <div className="flex flex-wrap items-center gap-3 mt-2">
+        {!isReply && (
+          <button
+            type="button"
+            onClick={() => setReplyTo(message)}
+            className="flex items-center gap-1 text-xs text-primary-600 dark:text-primary-400 hover:underline"
+          >
+            <HiReply className="h-3 w-3" />
+            {t('reply')}
+          </button>
+        )}
+        {isStaff && (
+          <>
+            {!isReply && (
+              <button
+                type="button"
+                onClick={() => handleModerate(message, { pinned: !message.pinned })}
+                disabled={moderatingId === message.id}
+                className="flex items-center gap-1 text-xs text-text-secondary dark:text-text-secondary hover:underline"
+              >
+                {message.pinned ? <HiBookmark className="h-3 w-3" /> : <HiOutlineBookmark className="h-3 w-3" />}
+                {message.pinned ? t('unpin') : t('pin')}
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => handleModerate(message, { hidden: !message.hidden })}
+              disabled={moderatingId === message.id}
+              className="flex items-center gap-1 text-xs text-text-secondary dark:text-text-secondary hover:underline"
+            >
+              {message.hidden ? <HiEye className="h-3 w-3" /> : <HiEyeOff className="h-3 w-3" />}
+              {message.hidden ? t('unhide') : t('hide')}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <HiChatAlt2 className="h-5 w-5 text-primary-500 dark:text-primary-400" />
+          <h2 className="text-lg font-semibold text-text-primary dark:text-text-primary">{t('title')}</h2>
+        </div>
+        {isStaff && (
+          <ToggleSwitch
+            checked={acceptedChannelEnabled}
+            onChange={handleToggleChannel}
+            disabled={isSwitching}
+            label={t('acceptedChannelToggle')}
+          />
+        )}
+      </div>
+
+      {canUseAcceptedChannel && (
+        <div className="flex gap-2" role="tablist">
+          {['all', 'accepted'].map((value) => (
+            <button
+              key={value}
+              type="button"
+              role="tab"
+              aria-selected={currentChannel === value}
+              onClick={() => {
+                setChannel(value);
+                setReplyTo(null);
+              }}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium ${
+                currentChannel === value
+                  ? 'bg-primary-500 text-white'
+                  : 'bg-background-hover dark:bg-background-hover text-text-secondary dark:text-text-secondary'
+              }`}
+            >
+              {value === 'all' ? t('channelAll') : t('channelAccepted')}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isLoading && (
+        <div className="flex justify-center py-4">
+          <Spinner size="lg" />
+        </div>
+      )}
+      {isError && <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{t('loadError')}</p>}
+      {!isLoading && !isError && threads.length === 0 && (
+        <p className="text-sm text-text-tertiary dark:text-text-tertiary">{t('empty')}</p>
+      )}
+
+      <div className="space-y-3">
+        {threads.map(({ message, replies }) => (
+          <div key={message.id}>
+            {renderMessage(message)}
+            {replies.map((reply) => renderMessage(reply, true))}
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handlePost} className="space-y-2">
+        {replyTo && (
+          <div className="flex items-center justify-between gap-2 text-xs text-text-secondary dark:text-text-secondary">
+            <span className="truncate">{t('replyingTo', { name: replyTo.author_name || t('anonymous') })}</span>
+            <button type="button" onClick={() => setReplyTo(null)} aria-label={t('cancelReply')}>
+              <HiX className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+        <Textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          rows={3}
+          placeholder={isStaff ? t('placeholderStaff') : t('placeholder')}
+          aria-label={t('placeholder')}
+        />
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-xs text-text-tertiary dark:text-text-tertiary">
+            {currentChannel === 'accepted' ? t('visibleToAccepted') : t('visibleToAll')}
+          </p>
+          <Button type="submit" size="sm" disabled={!body.trim() || isPosting}>
+            {isPosting ? <Spinner size="sm" className="mr-2" /> : null}
+            {t('post')}
+          </Button>
+        </div>
+        {error && <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{error}</p>}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+'use client';
+
+import { Modal, Button, Spinner } from 'flowbite-react';
+import { HiChatAlt2 } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useModal } from '@/utils/modal/useModal';
+import { fetchActivityById } from '@/utils/crudActivities';
+import ActivityDiscussion from './ActivityDiscussion';
+
+/**
+ * ActivityDiscussionModal Component
+ * NPO staff view of an activity discussion: answer, pin and hide messages,
+ * and switch the accepted-volunteers channel.
+ *
+ * @param {boolean} isOpen - Whether the modal is shown
+ * @param {Function} onClose - Called when the modal is closed
+ * @param {string} activityId - Activity whose discussion is moderated
+ */
+export default function ActivityDiscussionModal({ isOpen, onClose, activityId }) {
+  const t = useTranslations('ActivityDiscussion');
+  const wrappedOnClose = useModal(isOpen, onClose, 'activity-discussion-modal');
+  const queryClient = useQueryClient();
+
+  const { data: activity, isLoading } = useQuery({
+    queryKey: ['activity', activityId],
+    queryFn: () => fetchActivityById(activityId),
+    enabled: isOpen && !!activityId,
+    staleTime: 30 * 1000,
+  });
+
+  const handleAcceptedChannelChange = (enabled) => {
+    queryClient.setQueryData(['activity', activityId], (previous) =>
+      previous ? { ...previous, discussion_accepted_channel: enabled } : previous
+    );
+  };
+
+  return (
+    <Modal show={isOpen} onClose={wrappedOnClose} size="2xl">
+      <div className="flex items-center gap-2 p-4 border-b border-gray-200 dark:border-gray-600 text-gray-900 dark:text-white font-semibold">
+        <HiChatAlt2 className="h-5 w-5 text-blue-500" />
+        {activity?.title || t('title')}
+      </div>
+
+      <div className="p-6 max-h-[70vh] overflow-y-auto">
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <Spinner size="lg" />
+          </div>
+        ) : (
+          <ActivityDiscussion
+            activityId={activityId}
+            acceptedChannelEnabled={!!activity?.discussion_accepted_channel}
+            isStaff
+            onAcceptedChannelChange={handleAcceptedChannelChange}
+          />
+        )}
+      </div>
+
+      <div className="flex justify-end p-4 border-t border-gray-200 dark:border-gray-600">
+        <Button color="gray" onClick={wrappedOnClose}>
+          {t('close')}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
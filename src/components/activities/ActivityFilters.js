@@ -1,7 +1,7 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { Button, Select } from 'flowbite-react';
+import { Button, Select, ToggleSwitch } from 'flowbite-react';
 import { HiFilter, HiX, HiChevronDown, HiChevronUp } from 'react-icons/hi';
 import { useTranslations, useLocale } from 'next-intl';
 import { countries } from 'countries-list';
@@ -93,6 +93,10 @@ export default function ActivityFilters({
     if (filters.startDate !== undefined) {
       clearedFilters.startDate = 'all';
     }
+    // Include eligibleOnly if it exists (for activities page)
+    if (filters.eligibleOnly !== undefined) {
+      clearedFilters.eligibleOnly = false;
+    }
     // Include status if it exists (for admin pages)
     if (filters.status !== undefined) {
       clearedFilters.status = 'all';
@@ -111,6 +115,7 @@ export default function ActivityFilters({
     filters.skill !== 'all' ||
     (filters.sdg !== undefined && filters.sdg !== 'all') ||
     (filters.startDate !== undefined && filters.startDate !== 'all') ||
+    filters.eligibleOnly === true ||
     (filters.status !== undefined && filters.status !== 'all');
 
   // Get categories based on selected type and available categories from filtered list
@@ -342,6 +347,17 @@ export default function ActivityFilters({
           </div>
         )}
 
+        {/* Eligibility Filter */}
+        {filters.eligibleOnly !== undefined && (
+          <div className="flex-1 min-w-[150px] flex items-center md:h-[42px]">
+            <ToggleSwitch
+              checked={filters.eligibleOnly}
+              onChange={(checked) => handleFilterChange('eligibleOnly', checked)}
+              label={t('filterEligibleOnly')}
+            />
+          </div>
+        )}
+
         {/* Status Filter */}
         {filters.status !== undefined && (
           <div className="flex-1 min-w-[150px]">
@@ -364,7 +380,9 @@ export default function ActivityFilters({
                 <>
                   <option value="Draft">{tStatus('status.Draft')}</option>
                   <option value="Open">{tStatus('status.Open')}</option>
+                  <option value="Ended">{tStatus('status.Ended')}</option>
                   <option value="Closed">{tStatus('status.Closed')}</option>
+                  <option value="Cancelled">{tStatus('status.Cancelled')}</option>
                 </>
               )}
             </Select>
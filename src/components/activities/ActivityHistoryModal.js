@@ -0,0 +1,94 @@
+'use client';
+
+import { Modal, Button, Spinner } from 'flowbite-react';
+import { HiClock } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useQuery } from '@tanstack/react-query';
+import { useModal } from '@/utils/modal/useModal';
+import { fetchActivityHistory } from '@/utils/crudActivities';
+import { convertTimestampToDate } from '@/utils/dateUtils';
+
+/**
+ * ActivityHistoryModal Component
+ * Lists the recorded edits of an activity (who, when, what changed from what)
+ * and how many accepted volunteers were notified of each change.
+ *
+ * @param {boolean} isOpen - Whether the modal is shown
+ * @param {Function} onClose - Called when the modal is closed
+ * @param {string} activityId - Activity whose history is shown
+ */
+export default function ActivityHistoryModal({ isOpen, onClose, activityId }) {
+  const t = useTranslations('ActivityHistoryModal');
+  const wrappedOnClose = useModal(isOpen, onClose, 'activity-history-modal');
+
+  const { data: entries = [], isLoading, isError } = useQuery({
+    queryKey: ['activityHistory', activityId],
+    queryFn: () => fetchActivityHistory(activityId),
+    enabled: isOpen && !!activityId,
+    staleTime: 30 * 1000,
+  });
+
+  const fieldLabel = (field) => (t.has(`fields.${field}`) ? t(`fields.${field}`) : field);
+
+  return (
+    <Modal show={isOpen} onClose={wrappedOnClose} size="2xl">
+      <div className="flex items-center gap-2 p-4 border-b border-gray-200 dark:border-gray-600 text-gray-900 dark:text-white font-semibold">
+        <HiClock className="h-5 w-5 text-blue-500" />
+        {t('title')}
+      </div>
+
+      <div className="p-6 space-y-4 max-h-[60vh] overflow-y-auto">
+        {isLoading && (
+          <div className="flex justify-center py-6">
+            <Spinner size="lg" />
+          </div>
+        )}
+        {isError && (
+          <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{t('loadError')}</p>
+        )}
+        {!isLoading && !isError && entries.length === 0 && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('empty')}</p>
+        )}
+        {entries.map((entry) => {
+          const changedAt = convertTimestampToDate(entry.changed_at);
+          return (
+            <div key={entry.id} className="rounded-lg border border-gray-200 dark:border-gray-700 p-3">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                  {changedAt ? changedAt.toLocaleString() : ''}
+                  {entry.changed_by_name && (
+                    <span className="font-normal text-gray-500 dark:text-gray-400">
+                      {' · '}
+                      {t('by', { name: entry.changed_by_name })}
+                    </span>
+                  )}
+                </p>
+                {entry.notified_count > 0 && (
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300">
+                    {t('notified', { count: entry.notified_count })}
+                  </span>
+                )}
+              </div>
+              <ul className="space-y-1">
+                {(entry.changes || []).map((change) => (
+                  <li key={change.field} className="text-sm text-gray-700 dark:text-gray-300 break-words">
+                    <span className="font-medium">{fieldLabel(change.field)}:</span>{' '}
+                    <span className="line-through text-gray-500 dark:text-gray-400">{change.before || t('none')}</span>
+                    {' → '}
+                    <span>{change.after || t('none')}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex justify-end gap-3 p-6 border-t border-gray-200 dark:border-gray-600">
+        <Button color="gray" onClick={wrappedOnClose}>
+          {t('close')}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
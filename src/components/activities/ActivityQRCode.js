@@ -2,9 +2,14 @@
 
 import { useState } from 'react';
 import dynamic from 'next/dynamic';
-import { Button } from 'flowbite-react';
-import { HiDownload, HiPrinter, HiExternalLink } from 'react-icons/hi';
+import { Button, Spinner } from 'flowbite-react';
+import { HiDownload, HiPrinter, HiExternalLink, HiLogin, HiLogout } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useQuery } from '@tanstack/react-query';
 import { useTheme } from '@/utils/theme/ThemeContext';
+import { fetchActivityById } from '@/utils/crudActivities';
+import { fetchActivityQRCodeToken } from '@/utils/qrTokens';
+import RotatingActivityQRCode from './RotatingActivityQRCode';
 
 // Dynamically import QRCode to avoid SSR issues
 const QRCode = dynamic(
@@ -14,23 +19,78 @@ const QRCode = dynamic(
 
 /**
  * ActivityQRCode Component
- * Displays a QR code for activity validation
+ * Displays a QR code for activity validation: the static poster code, or a
+ * code that refreshes on screen when the activity uses the 'rotating' QR mode.
+ * Activities with check-out enabled get a switch between the arrival and departure codes.
+ * The token is read from the activity's private document (NPO staff and admins only).
  * @param {Object} props
  * @param {string} props.activityId - Activity ID
- * @param {string} props.qr_code_token - QR code token
  * @param {string} props.title - Activity title
  * @param {Date} props.startDate - Activity start date
  * @param {string} props.size - QR code size (default: 256)
  */
 export default function ActivityQRCode({ 
   activityId, 
-  qr_code_token, 
   title, 
   startDate,
   size = 256 
 }) {
   const { isDark } = useTheme();
+  const t = useTranslations('ActivityQRCode');
   const [isDownloading, setIsDownloading] = useState(false);
+  const [selectedScan, setSelectedScan] = useState('check_in');
+  const { data: activity, isLoading: isActivityLoading } = useQuery({
+    queryKey: ['activity', activityId],
+    queryFn: () => fetchActivityById(activityId),
+    enabled: !!activityId,
+    staleTime: 30 * 1000,
+  });
+
+  const isRotating = activity?.qr_mode === 'rotating';
+  const checkOutEnabled = activity?.check_out_enabled === true;
+  const scan = checkOutEnabled ? selectedScan : 'check_in';
+  const { data: qr_code_token, isLoading: isTokenLoading } = useQuery({
+    queryKey: ['activityQRCodeToken', activityId, scan],
+    queryFn: () => fetchActivityQRCodeToken(activityId, scan),
+    enabled: !!activityId && !isActivityLoading && !isRotating,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const scanSwitch = checkOutEnabled && (
+    <div className="flex justify-center gap-2 pt-4">
+      {[
+        { value: 'check_in', label: t('arrivalCode'), Icon: HiLogin },
+        { value: 'check_out', label: t('departureCode'), Icon: HiLogout },
+      ].map(({ value, label, Icon }) => (
+        <Button
+          key={value}
+          size="sm"
+          color={scan === value ? 'blue' : 'gray'}
+          onClick={() => setSelectedScan(value)}
+        >
+          <Icon className="mr-2 h-4 w-4" />
+          {label}
+        </Button>
+      ))}
+    </div>
+  );
+
+  if (activityId && isRotating) {
+    return (
+      <>
+        {scanSwitch}
+        <RotatingActivityQRCode activityId={activityId} title={title} scan={scan} size={size} />
+      </>
+    );
+  }
+
+  if (activityId && (isActivityLoading || isTokenLoading)) {
+    return (
+      <div className="flex justify-center p-6">
+        <Spinner size="xl" />
+      </div>
+    );
+  }
 
   if (!activityId || !qr_code_token) {
     return (
@@ -110,7 +170,7 @@ export default function ActivityQRCode({
           const url = URL.createObjectURL(blob);
           const link = document.createElement('a');
           link.href = url;
-          link.download = `qr-code-${activityId}.png`;
+          link.download = scan === 'check_out' ? `qr-code-${activityId}-check-out.png` : `qr-code-${activityId}.png`;
           document.body.appendChild(link);
           link.click();
           document.body.removeChild(link);
@@ -157,7 +217,7 @@ export default function ActivityQRCode({
           <div style="margin: 20px 0;">
             ${document.getElementById('qr-code-svg')?.querySelector('svg')?.outerHTML || ''}
           </div>
-          <p style="font-size: 12px; color: #999;">Scan this QR code to validate your participation</p>
+          <p style="font-size: 12px; color: #999;">${scan === 'check_out' ? t('checkOutHint') : 'Scan this QR code to validate your participation'}</p>
         </body>
       </html>
     `);
@@ -171,11 +231,17 @@ export default function ActivityQRCode({
 
   return (
     <div className="flex flex-col items-center p-6 bg-background-card dark:bg-background-card rounded-lg">
+      {scanSwitch && <div className="mb-2">{scanSwitch}</div>}
       <div className="mb-4 text-center">
         <h3 className="text-lg font-semibold text-text-primary dark:text-text-primary mb-2">{title}</h3>
         {startDate && (
           <p className="text-sm text-text-secondary dark:text-text-secondary">Date: {formatDate(startDate)}</p>
         )}
+        {checkOutEnabled && (
+          <p className="text-sm text-text-secondary dark:text-text-secondary mt-1">
+            {scan === 'check_out' ? t('checkOutHint') : t('checkInHint')}
+          </p>
+        )}
       </div>
 
       <div className="mb-4 p-4 bg-background-hover dark:bg-background-hover border-2 border-border-light dark:border-[#475569] rounded-lg flex justify-center">
@@ -0,0 +1,204 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { Label, TextInput, Select as FlowbiteSelect } from 'flowbite-react';
+import Select from 'react-select';
+import { useTranslations, useLocale } from 'next-intl';
+import languages from '@cospired/i18n-iso-languages';
+import { getSkillsForSelect } from '@/utils/crudSkills';
+import { fetchAllBadges } from '@/utils/crudBadges';
+import { useTheme } from '@/utils/theme/ThemeContext';
+import { DEFAULT_REQUIREMENTS, REQUIREMENT_MODES, normalizeRequirements } from '@/utils/eligibility';
+
+languages.registerLocale(require('@cospired/i18n-iso-languages/langs/en.json'));
+
+const languageOptions = Object.entries(languages.getNames('en'))
+  .map(([code, name]) => ({ value: code, label: name }))
+  .sort((a, b) => a.label.localeCompare(b.label));
+
+/**
+ * ActivityRequirementsEditor Component
+ * Lets an NPO declare who can apply: minimum age, spoken languages, skills and
+ * a badge, and whether volunteers who don't meet them are refused or only warned.
+ * Stored as `requirements` on the activity (see utils/eligibility.js).
+ */
+export default function ActivityRequirementsEditor({ formData, setFormData }) {
+  const t = useTranslations('ManageActivities');
+  const locale = useLocale();
+  const { isDark } = useTheme();
+  const [skillOptions, setSkillOptions] = useState([]);
+  const [badgeOptions, setBadgeOptions] = useState([]);
+  const requirements = normalizeRequirements(formData);
+
+  useEffect(() => {
+    getSkillsForSelect(locale)
+      .then(setSkillOptions)
+      .catch((error) => console.error('Error loading skills:', error));
+  }, [locale]);
+
+  useEffect(() => {
+    fetchAllBadges().then((badges) =>
+      setBadgeOptions(
+        badges
+          .map((badge) => ({ value: badge.id, label: badge.title || badge.id }))
+          .sort((a, b) => a.label.localeCompare(b.label))
+      )
+    );
+  }, []);
+
+  const flatSkillOptions = useMemo(
+    () => skillOptions.reduce((acc, group) => [...acc, ...group.options], []),
+    [skillOptions]
+  );
+
+  const updateRequirements = (changes) => {
+    setFormData((prev) => ({
+      ...prev,
+      requirements: { ...DEFAULT_REQUIREMENTS, ...normalizeRequirements(prev), ...changes },
+    }));
+  };
+
+  const selectStyles = {
+    control: (base) => ({
+      ...base,
+      backgroundColor: isDark ? '#1e293b' : '#ffffff',
+      borderColor: isDark ? '#334155' : '#e2e8f0',
+      minHeight: '42px',
+      fontSize: '14px',
+    }),
+    menu: (base) => ({
+      ...base,
+      backgroundColor: isDark ? '#1e293b' : '#ffffff',
+      zIndex: 9999,
+    }),
+    menuPortal: (base) => ({ ...base, zIndex: 9999 }),
+    option: (base, state) => ({
+      ...base,
+      backgroundColor: state.isFocused
+        ? (isDark ? '#334155' : '#f1f5f9')
+        : isDark ? '#1e293b' : '#ffffff',
+      color: isDark ? '#f8fafc' : '#0f172a',
+    }),
+    multiValue: (base) => ({
+      ...base,
+      backgroundColor: isDark ? '#334155' : '#e0f2fe',
+    }),
+    multiValueLabel: (base) => ({
+      ...base,
+      color: isDark ? '#f8fafc' : '#0284c7',
+    }),
+    input: (base) => ({ ...base, color: isDark ? '#f8fafc' : '#0f172a' }),
+    singleValue: (base) => ({ ...base, color: isDark ? '#f8fafc' : '#0f172a' }),
+  };
+
+  const portalProps = {
+    menuPortalTarget: typeof document !== 'undefined' ? document.body : null,
+    menuPosition: 'fixed',
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-1">
+          <Label htmlFor="requirements-min-age" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('requirements-min-age')}
+          </Label>
+          <TextInput
+            id="requirements-min-age"
+            type="number"
+            min={1}
+            max={99}
+            value={requirements.min_age ?? ''}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              updateRequirements({ min_age: Number.isInteger(value) && value > 0 ? value : null });
+            }}
+            placeholder={t('requirements-min-age-placeholder')}
+          />
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="requirements-mode" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('requirements-mode')}
+          </Label>
+          <FlowbiteSelect
+            id="requirements-mode"
+            value={requirements.mode}
+            onChange={(e) => updateRequirements({ mode: e.target.value })}
+          >
+            {REQUIREMENT_MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {t(`requirements-mode-${mode}`)}
+              </option>
+            ))}
+          </FlowbiteSelect>
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="requirements-languages" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('requirements-languages')}
+        </Label>
+        <Select
+          inputId="requirements-languages"
+          isMulti
+          options={languageOptions}
+          value={languageOptions.filter((option) => requirements.languages.includes(option.value))}
+          onChange={(selected) => updateRequirements({ languages: (selected || []).map((option) => option.value) })}
+          placeholder={t('requirements-languages-placeholder')}
+          classNamePrefix="select"
+          styles={selectStyles}
+          {...portalProps}
+        />
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="requirements-skills" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('requirements-skills')}
+        </Label>
+        <Select
+          inputId="requirements-skills"
+          isMulti
+          options={skillOptions}
+          value={requirements.skills.map(
+            (skillId) => flatSkillOptions.find((option) => option.value === skillId) || { value: skillId, label: skillId }
+          )}
+          onChange={(selected) => updateRequirements({ skills: (selected || []).map((option) => option.value) })}
+          placeholder={t('requirements-skills-placeholder')}
+          classNamePrefix="select"
+          closeMenuOnSelect={false}
+          styles={selectStyles}
+          {...portalProps}
+        />
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="requirements-badge" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('requirements-badge')}
+        </Label>
+        <Select
+          inputId="requirements-badge"
+          isClearable
+          options={badgeOptions}
+          value={
+            requirements.badge_id
+              ? badgeOptions.find((option) => option.value === requirements.badge_id) || {
+                  value: requirements.badge_id,
+                  label: requirements.badge_title || requirements.badge_id,
+                }
+              : null
+          }
+          onChange={(selected) =>
+            updateRequirements({ badge_id: selected?.value || null, badge_title: selected?.label || null })
+          }
+          placeholder={t('requirements-badge-placeholder')}
+          classNamePrefix="select"
+          styles={selectStyles}
+          {...portalProps}
+        />
+      </div>
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">{t('requirements-helper')}</p>
+    </div>
+  );
+}
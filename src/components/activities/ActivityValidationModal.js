@@ -13,11 +13,28 @@ import {
   validateAllApplicants,
   rejectAllApplicants
 } from '@/utils/crudActivityValidation';
+import { fetchScanLocations } from '@/utils/geofence';
 import { useAuth } from '@/utils/auth/AuthContext';
 import ProfilePicture from '@/components/common/ProfilePicture';
 import { getDoc, doc } from 'firebase/firestore';
 import { db } from 'firebaseConfig';
 
+async function withDisplayNames(validations) {
+  return Promise.all(
+    validations.map(async (v) => {
+      let display_name = 'Participant';
+      try {
+        const userDoc = await getDoc(doc(db, 'members', v.user_id));
+        if (userDoc.exists()) {
+          const d = userDoc.data();
+          display_name = d.display_name || d.name || d.email || display_name;
+        }
+      } catch (_) {}
+      return { user_id: v.user_id, display_name, status: v.status };
+    })
+  );
+}
+
 export default function ActivityValidationModal({ 
   isOpen, 
   onClose, 
@@ -29,6 +46,8 @@ export default function ActivityValidationModal({
   const [applications, setApplications] = useState([]);
   const [validations, setValidations] = useState([]);
   const [qrValidatedParticipants, setQrValidatedParticipants] = useState([]);
+  const [reviewParticipants, setReviewParticipants] = useState([]); // Geofenced scans without application
+  const [scanLocations, setScanLocations] = useState({});
   const [loading, setLoading] = useState(false);
   const [processing, setProcessing] = useState({}); // Track which user is being processed
   const [isProcessingAll, setIsProcessingAll] = useState(false);
@@ -55,23 +74,20 @@ export default function ActivityValidationModal({
         !acceptedApps.some(a => a.user_id === v.user_id)
       );
       if (validatedNotInApps.length > 0) {
-        const withNames = await Promise.all(
-          validatedNotInApps.map(async (v) => {
-            let display_name = 'Participant';
-            try {
-              const userDoc = await getDoc(doc(db, 'members', v.user_id));
-              if (userDoc.exists()) {
-                const d = userDoc.data();
-                display_name = d.display_name || d.name || d.email || display_name;
-              }
-            } catch (_) {}
-            return { user_id: v.user_id, display_name, status: 'validated' };
-          })
-        );
-        setQrValidatedParticipants(withNames);
+        setQrValidatedParticipants(await withDisplayNames(validatedNotInApps));
       } else {
         setQrValidatedParticipants([]);
       }
+
+      // Scans of geofenced activities made away from the site, waiting for confirmation
+      const reviewNotInApps = validationsData.filter(v =>
+        v.status === 'needs_review' && !acceptedApps.some(a => a.user_id === v.user_id)
+      );
+      setReviewParticipants(reviewNotInApps.length > 0 ? await withDisplayNames(reviewNotInApps) : []);
+      if (validationsData.some(v => v.review_reason)) {
+        // Location evidence is readable by NPO staff and admins only
+        setScanLocations(await fetchScanLocations(activity.id).catch(() => ({})));
+      }
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -87,6 +103,8 @@ export default function ActivityValidationModal({
       setApplications([]);
       setValidations([]);
       setQrValidatedParticipants([]);
+      setReviewParticipants([]);
+      setScanLocations({});
       setProcessing({});
       setIsProcessingAll(false);
     }
@@ -99,8 +117,12 @@ export default function ActivityValidationModal({
     return validation.status; // 'validated' or 'rejected'
   };
 
+  // Scans needing review that the NPO has not confirmed or rejected yet
+  const hasPendingReviews = validations.some(v => v.status === 'needs_review');
+
   // Check if all applicants are validated or rejected
   const allApplicantsProcessed = () => {
+    if (hasPendingReviews) return false;
     // If there are no applicants, consider it as "processed" (can close activity)
     if (applications.length === 0) return true;
     return applications.every(app => {
@@ -227,10 +249,11 @@ export default function ActivityValidationModal({
 
   // Handle close - if all processed, tell parent to open CloseActivityModal (parent will not call updateActivityStatus here)
   const handleClose = useCallback(() => {
-    const allProcessed = applications.length === 0 || applications.every(app => {
-      const status = validations.find(v => v.user_id === app.user_id)?.status;
-      return status === 'validated' || status === 'rejected';
-    });
+    const allProcessed = !validations.some(v => v.status === 'needs_review') &&
+      (applications.length === 0 || applications.every(app => {
+        const status = validations.find(v => v.user_id === app.user_id)?.status;
+        return status === 'validated' || status === 'rejected';
+      }));
     const shouldCloseActivity = allProcessed && activity?.status !== 'Closed';
     if (onClose) {
       onClose(shouldCloseActivity, activity);
@@ -246,6 +269,82 @@ export default function ActivityValidationModal({
     return status !== 'validated' && status !== 'rejected';
   }).length;
 
+  // Where a scan needing review was made, for the NPO to judge
+  const renderScanEvidence = (userId) => {
+    const validation = validations.find(v => v.user_id === userId);
+    if (validation?.status !== 'needs_review') return null;
+    const evidence = scanLocations[userId];
+    return (
+      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        {validation.review_reason === 'no_location' || (evidence && evidence.distance_m == null)
+          ? t('scanNoLocation')
+          : evidence
+            ? t('scanDistance', { distance: evidence.distance_m, radius: evidence.radius_m })
+            : t('scanOutOfRange')}
+        {evidence?.latitude != null && (
+          <a
+            href={`https://www.google.com/maps/search/?api=1&query=${evidence.latitude},${evidence.longitude}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="ml-2 text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            {t('viewScanLocation')}
+          </a>
+        )}
+      </p>
+    );
+  };
+
+  const pendingReviewParticipants = reviewParticipants.filter(p => getValidationStatus(p.user_id) === 'needs_review');
+
+  const reviewSection = pendingReviewParticipants.length > 0 && (
+    <div className="mb-4 p-3 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 text-left">
+      <p className="text-sm font-medium text-amber-800 dark:text-amber-200 mb-2">
+        {t('scansToReview')}
+      </p>
+      <div className="space-y-2 max-h-48 overflow-y-auto">
+        {pendingReviewParticipants.map((p) => (
+          <div
+            key={p.user_id}
+            className="flex items-center gap-3 border border-gray-200 dark:border-gray-600 rounded-lg p-2 bg-white dark:bg-gray-800"
+          >
+            <ProfilePicture
+              src={null}
+              alt={p.display_name}
+              size={32}
+              variant="subtle"
+              showInitials={true}
+              name={p.display_name}
+              className="flex-shrink-0"
+            />
+            <div className="min-w-0 flex-1">
+              <span className="block text-sm truncate">{p.display_name}</span>
+              {renderScanEvidence(p.user_id)}
+            </div>
+            <Button
+              size="xs"
+              color="success"
+              onClick={() => handleValidate(p.user_id)}
+              disabled={processing[p.user_id] || isProcessingAll}
+              aria-label={t('validate') || 'Validate'}
+            >
+              {processing[p.user_id] ? <Spinner size="sm" /> : <HiCheck className="h-4 w-4" />}
+            </Button>
+            <Button
+              size="xs"
+              color="failure"
+              onClick={() => handleReject(p.user_id)}
+              disabled={processing[p.user_id] || isProcessingAll}
+              aria-label={t('reject') || 'Reject'}
+            >
+              {processing[p.user_id] ? <Spinner size="sm" /> : <HiX className="h-4 w-4" />}
+            </Button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
   if (!activity) return null;
 
   return (
@@ -270,6 +369,7 @@ export default function ActivityValidationModal({
           </div>
         ) : applications.length === 0 ? (
           <div className="text-center py-6">
+            {reviewSection}
             <p className="text-sm sm:text-base text-gray-500 px-2 mb-4">
               {t('noAcceptedApplicants') || 'No accepted applicants found for this activity.'}
             </p>
@@ -314,6 +414,8 @@ export default function ActivityValidationModal({
           </div>
         ) : (
           <div className="space-y-3 sm:space-y-4">
+            {reviewSection}
+
             {/* Bulk Actions */}
             {unprocessedCount > 0 && (
               <div className="flex flex-col sm:flex-row gap-2 pb-3 sm:pb-4 border-b border-gray-200">
@@ -400,6 +502,12 @@ export default function ActivityValidationModal({
                                 : (t('rejected') || 'Rejected')}
                             </Badge>
                           )}
+                          {validationStatus === 'needs_review' && (
+                            <Badge color="warning" className="mt-1 text-xs w-fit">
+                              {t('needsReview')}
+                            </Badge>
+                          )}
+                          {renderScanEvidence(application.user_id)}
                         </div>
                       </div>
 
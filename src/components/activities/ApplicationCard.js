@@ -2,6 +2,7 @@
 
 import { Card, Button, Badge } from "flowbite-react";
 import { HiCheck, HiX, HiClock, HiDocumentText } from "react-icons/hi";
+import { HiQueueList } from "react-icons/hi2";
 import { useTranslations } from "next-intl";
 import { formatDate } from "@/utils/dateUtils";
 import ProfilePicture from "@/components/common/ProfilePicture";
@@ -12,7 +13,8 @@ import Image from "next/image";
  * Shows:
  * - NPO logo + activity title + status
  * - Member message, NPO response, optional cancellation message
- * - Actions: view activity, cancel (member) or accept/reject (NPO)
+ * - Waitlist position, or the confirmation deadline of a waitlist offer
+ * - Actions: view activity, cancel (member), confirm/decline an offer (member) or accept/reject (NPO)
  */
 export default function ApplicationCard({
   application,
@@ -22,6 +24,8 @@ export default function ApplicationCard({
   onCancelClick,
   onAcceptClick,
   onRejectClick,
+  onConfirmOfferClick,
+  onDeclineOfferClick,
   onMemberAvatarClick,
   onOrgLogoClick,
   isProcessing = false,
@@ -44,6 +48,8 @@ export default function ApplicationCard({
     application_id,
     id: userApplicationDocId,
     user_id,
+    waitlist_position,
+    offer_expires_at,
   } = application;
 
   const orgLogo = activity.organization_logo;
@@ -75,6 +81,32 @@ export default function ApplicationCard({
             {t("statusCancelled") || "Cancelled"}
           </Badge>
         );
+      case "waitlisted":
+        return (
+          <Badge color="purple" icon={HiQueueList}>
+            {waitlist_position
+              ? t("statusWaitlistedPosition", { position: waitlist_position })
+              : t("statusWaitlisted")}
+          </Badge>
+        );
+      case "offered":
+        return (
+          <Badge color="info" icon={HiClock}>
+            {t("statusOffered")}
+          </Badge>
+        );
+      case "offer_expired":
+        return (
+          <Badge color="gray" icon={HiX}>
+            {t("statusOfferExpired")}
+          </Badge>
+        );
+      case "expired":
+        return (
+          <Badge color="gray" icon={HiClock}>
+            {t("statusExpired")}
+          </Badge>
+        );
       default:
         return (
           <Badge color="warning" icon={HiClock}>
@@ -177,6 +209,8 @@ export default function ApplicationCard({
   const responseDateLabel = npo_response && updated_at ? formatDate(updated_at) : null;
   const cancelDateLabel =
     status === "cancelled" && updated_at ? formatDate(updated_at) : null;
+  const offerDeadlineLabel =
+    status === "offered" && offer_expires_at ? formatDate(offer_expires_at) : null;
 
   return (
     <>
@@ -226,6 +260,16 @@ export default function ApplicationCard({
           </div>
         </div>
 
+        {/* Waitlist offer */}
+        {status === "offered" && (
+          <div className="mt-3 p-3 rounded-lg bg-semantic-info-50 dark:bg-semantic-info-900 text-xs sm:text-sm text-text-primary dark:text-text-primary">
+            <p className="font-semibold">{t("offerTitle")}</p>
+            {offerDeadlineLabel && (
+              <p>{t("offerDeadline", { date: offerDeadlineLabel })}</p>
+            )}
+          </div>
+        )}
+
         {/* Chat-style body */}
         <div className="mt-4 space-y-3 flex-1">
           {renderMessageBubble(
@@ -278,7 +322,32 @@ export default function ApplicationCard({
             </div>
           )}
 
-          {status === "pending" && (
+          {status === "offered" && onConfirmOfferClick && onDeclineOfferClick && (
+            <div className="flex gap-2">
+              <Button
+                size="xs"
+                color="success"
+                onClick={onConfirmOfferClick}
+                disabled={isProcessing}
+                className="text-xs sm:text-sm"
+              >
+                <HiCheck className="h-4 w-4 mr-1" />
+                {t("confirmOffer")}
+              </Button>
+              <Button
+                size="xs"
+                color="light"
+                onClick={onDeclineOfferClick}
+                disabled={isProcessing}
+                className="text-xs sm:text-sm"
+              >
+                <HiX className="h-4 w-4 mr-1" />
+                {t("declineOffer")}
+              </Button>
+            </div>
+          )}
+
+          {(status === "pending" || status === "waitlisted") && (
             <>
               {onCancelClick && (
                 <Button
@@ -1,10 +1,18 @@
 'use client';
 
-import { useState } from 'react';
-import { Modal, Button, Label, Textarea, Spinner } from 'flowbite-react';
-import { HiExternalLink, HiLockClosed, HiCheckCircle } from 'react-icons/hi';
-import { useTranslations } from 'next-intl';
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Modal, Button, Label, Textarea, Spinner, Checkbox } from 'flowbite-react';
+import { HiExternalLink, HiLockClosed, HiCheckCircle, HiExclamation } from 'react-icons/hi';
+import { useTranslations, useLocale } from 'next-intl';
 import { useModal } from '@/utils/modal/useModal';
+import { formatSlotLabel, getSlotRemainingCapacity, sortTimeSlots } from '@/utils/timeSlots';
+import { shouldWaitlistApplication } from '@/utils/waitlist';
+import { getMissingAnswers } from '@/utils/questionnaire';
+import { getEligibilityIssues, getLanguageName, normalizeRequirements } from '@/utils/eligibility';
+import { getSkillsForSelect } from '@/utils/crudSkills';
+import { checkActivityEligibility } from '@/utils/crudApplications';
+import QuestionnaireForm from '@/components/activities/QuestionnaireForm';
 
 /**
  * ApplyActivityModal Component
@@ -15,9 +23,10 @@ import { useModal } from '@/utils/modal/useModal';
  * @param {boolean} isOpen - Whether the modal is open
  * @param {Function} onClose - Callback when modal is closed
  * @param {Object} activity - The activity to apply for
- * @param {Function} onSubmit - Callback when application is submitted (receives message)
+ * @param {Function} onSubmit - Callback when application is submitted (receives message, selected slot IDs and questionnaire answers)
  * @param {boolean} isSubmitting - Whether the application is being submitted
  * @param {Function} onViewFullDetails - Callback to view full activity details
+ * @param {Object} member - Profile of the applying member, checked against the activity's requirements
  */
 export default function ApplyActivityModal({
   isOpen,
@@ -26,18 +35,90 @@ export default function ApplyActivityModal({
   onSubmit,
   isSubmitting,
   onViewFullDetails,
+  member,
 }) {
   const t = useTranslations('Activities');
+  const locale = useLocale();
+  const [skillLabels, setSkillLabels] = useState({});
   const [applyMessage, setApplyMessage] = useState('');
+  const [selectedSlotIds, setSelectedSlotIds] = useState([]);
+  const [answers, setAnswers] = useState({});
+  // Unmet requirements as checked by the server (the minimum age needs the private birth date)
+  const [serverCheck, setServerCheck] = useState({ activityId: null, issues: null });
   const trimmedMessage = applyMessage.trim();
   const minChars = 10;
   const remainingChars = Math.max(0, minChars - trimmedMessage.length);
   const meetsMinChars = trimmedMessage.length >= minChars;
-  const isApplyDisabled = isSubmitting || !meetsMinChars;
+  const timeSlots = sortTimeSlots(activity?.time_slots);
+  const hasTimeSlots = timeSlots.length > 0;
+  const meetsSlotRequirement = !hasTimeSlots || selectedSlotIds.length > 0;
+  const questions = activity?.questionnaire || [];
+  const missingAnswerIds = getMissingAnswers(questions, answers);
+  const meetsQuestionnaire = missingAnswerIds.length === 0;
+  const serverIssues = serverCheck.activityId === activity?.id ? serverCheck.issues : null;
+  const eligibilityIssues = activity ? getEligibilityIssues(activity, member, serverIssues) : [];
+  const isBlockedByRequirements =
+    eligibilityIssues.length > 0 && normalizeRequirements(activity).mode === 'block';
+  const hasSkillIssue = eligibilityIssues.some((issue) => issue.code === 'skill_missing');
+  const isApplyDisabled =
+    isSubmitting || !meetsMinChars || !meetsSlotRequirement || !meetsQuestionnaire || isBlockedByRequirements;
+
+  const activityId = activity?.id;
+  const hasMinAge = Boolean(activity && normalizeRequirements(activity).min_age);
+  useEffect(() => {
+    if (!isOpen || !activityId || !hasMinAge) return;
+    let cancelled = false;
+    checkActivityEligibility(activityId)
+      .then((issues) => {
+        if (!cancelled) setServerCheck({ activityId, issues });
+      })
+      .catch((error) => console.error('Error checking eligibility:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, activityId, hasMinAge]);
+
+  // Skill requirements are stored as ids
+  useEffect(() => {
+    if (!isOpen || !hasSkillIssue) return;
+    getSkillsForSelect(locale)
+      .then((groups) => {
+        const labels = {};
+        groups.forEach((group) => group.options.forEach((option) => { labels[option.value] = option.label; }));
+        setSkillLabels(labels);
+      })
+      .catch((error) => console.error('Error loading skill labels:', error));
+  }, [isOpen, hasSkillIssue, locale]);
+
+  const describeIssue = (issue) => {
+    switch (issue.code) {
+      case 'birth_date_missing':
+        return t('eligibilityBirthDateMissing', { age: issue.minAge });
+      case 'min_age':
+        return t('eligibilityMinAge', { age: issue.minAge });
+      case 'language_missing':
+        return t('eligibilityLanguages', { languages: issue.languages.map(getLanguageName).join(', ') });
+      case 'skill_missing':
+        return t('eligibilitySkills', { skills: issue.skills.map((id) => skillLabels[id] || id).join(', ') });
+      case 'badge_missing':
+        return t('eligibilityBadge', { badge: issue.badgeTitle });
+      default:
+        return issue.code;
+    }
+  };
+  const willBeWaitlisted = !!activity && shouldWaitlistApplication(activity, selectedSlotIds);
+
+  const toggleSlot = (slotId) => {
+    setSelectedSlotIds((prev) =>
+      prev.includes(slotId) ? prev.filter((id) => id !== slotId) : [...prev, slotId]
+    );
+  };
 
   // Handle modal close with message reset
   const handleClose = () => {
     setApplyMessage('');
+    setSelectedSlotIds([]);
+    setAnswers({});
     onClose();
   };
 
@@ -48,13 +129,16 @@ export default function ApplyActivityModal({
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!applyMessage.trim() || applyMessage.length < 10) return;
-    await onSubmit(applyMessage);
+    if (!meetsSlotRequirement || !meetsQuestionnaire || isBlockedByRequirements) return;
+    await onSubmit(applyMessage, hasTimeSlots ? selectedSlotIds : [], answers);
     // Don't reset message here - let parent handle it after successful submission
   };
 
   // Reset message when modal closes
   const handleModalClose = () => {
     setApplyMessage('');
+    setSelectedSlotIds([]);
+    setAnswers({});
     wrappedOnClose();
   };
 
@@ -101,6 +185,30 @@ export default function ApplyActivityModal({
               </div>
             </div>
 
+            {/* Unmet eligibility requirements */}
+            {eligibilityIssues.length > 0 && (
+              <div
+                className={`p-3 rounded-lg border ${
+                  isBlockedByRequirements
+                    ? 'bg-semantic-error-50 dark:bg-semantic-error-900/30 border-semantic-error-200 dark:border-semantic-error-800 text-semantic-error-800 dark:text-semantic-error-200'
+                    : 'bg-semantic-warning-50 dark:bg-semantic-warning-900/30 border-semantic-warning-200 dark:border-semantic-warning-800 text-semantic-warning-800 dark:text-semantic-warning-200'
+                }`}
+              >
+                <p className="text-sm font-medium flex items-center gap-2">
+                  <HiExclamation className="h-4 w-4 flex-shrink-0" />
+                  {isBlockedByRequirements ? t('eligibilityBlocked') : t('eligibilityWarning')}
+                </p>
+                <ul className="mt-2 ml-6 list-disc text-sm space-y-1">
+                  {eligibilityIssues.map((issue) => (
+                    <li key={issue.code}>{describeIssue(issue)}</li>
+                  ))}
+                </ul>
+                <Link href="/complete-profile" className="mt-2 inline-block text-sm underline">
+                  {t('eligibilityUpdateProfile')}
+                </Link>
+              </div>
+            )}
+
             {/* Description Preview */}
             <div>
               <Label htmlFor="description" value={t('activityDescription')} className="text-text-primary dark:text-text-primary" />
@@ -144,6 +252,57 @@ export default function ApplyActivityModal({
               </div>
             )}
 
+            {/* Time slots */}
+            {hasTimeSlots && (
+              <div>
+                <Label value={t('chooseSlots')} className="text-text-primary dark:text-text-primary" />
+                <p className="text-xs text-text-tertiary dark:text-text-tertiary mb-2">{t('chooseSlotsHint')}</p>
+                <div className="space-y-2">
+                  {timeSlots.map((slot) => {
+                    const remaining = getSlotRemainingCapacity(activity, slot);
+                    const isFull = remaining === 0;
+                    return (
+                      <label
+                        key={slot.id}
+                        htmlFor={`apply-slot-${slot.id}`}
+                        className={`flex items-center justify-between gap-3 p-3 rounded-lg border-2 cursor-pointer ${
+                          selectedSlotIds.includes(slot.id)
+                            ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/30'
+                            : 'border-border-light dark:border-[#475569]'
+                        }`}
+                      >
+                        <span className="flex items-center gap-3">
+                          <Checkbox
+                            id={`apply-slot-${slot.id}`}
+                            checked={selectedSlotIds.includes(slot.id)}
+                            onChange={() => toggleSlot(slot.id)}
+                          />
+                          <span className="font-medium text-text-primary dark:text-text-primary">{formatSlotLabel(slot)}</span>
+                        </span>
+                        {remaining != null && (
+                          <span className={`text-xs ${isFull ? 'text-semantic-error-600 dark:text-semantic-error-400' : 'text-text-tertiary dark:text-text-tertiary'}`}>
+                            {isFull ? t('slotFull') : t('slotPlacesLeft', { count: remaining })}
+                          </span>
+                        )}
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Waitlist notice when the activity or a selected slot is full */}
+            {willBeWaitlisted && (
+              <div className="p-3 rounded-lg bg-semantic-warning-50 dark:bg-semantic-warning-900/30 border border-semantic-warning-200 dark:border-semantic-warning-800">
+                <p className="text-sm text-semantic-warning-800 dark:text-semantic-warning-200">{t('waitlistNotice')}</p>
+              </div>
+            )}
+
+            {/* Activity questionnaire */}
+            {questions.length > 0 && (
+              <QuestionnaireForm questions={questions} answers={answers} onChange={setAnswers} />
+            )}
+
             {/* Application Message */}
             <div>
               <div className="mb-2 flex items-center justify-between">
@@ -191,6 +350,24 @@ export default function ApplyActivityModal({
                     : t('messageMinCharsHint', { count: remainingChars })}
                 </span>
               </div>
+              {!meetsSlotRequirement && (
+                <div className="w-full text-xs flex items-start gap-2 text-semantic-error-600 dark:text-semantic-error-400">
+                  <HiLockClosed className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                  <span className="leading-5">{t('slotRequired')}</span>
+                </div>
+              )}
+              {!meetsQuestionnaire && (
+                <div className="w-full text-xs flex items-start gap-2 text-semantic-error-600 dark:text-semantic-error-400">
+                  <HiLockClosed className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                  <span className="leading-5">{t('questionnaireRequired')}</span>
+                </div>
+              )}
+              {isBlockedByRequirements && (
+                <div className="w-full text-xs flex items-start gap-2 text-semantic-error-600 dark:text-semantic-error-400">
+                  <HiLockClosed className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                  <span className="leading-5">{t('eligibilityBlocked')}</span>
+                </div>
+              )}
             </div>
           )}
 
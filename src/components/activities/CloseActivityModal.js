@@ -1,7 +1,7 @@
 'use client';
 
 import { useState, useEffect, useCallback } from 'react';
-import { Modal, Button, Label, TextInput, Spinner } from 'flowbite-react';
+import { Modal, Button, Label, TextInput, Spinner, Badge } from 'flowbite-react';
 import { useTranslations } from 'next-intl';
 import { useAuth } from '@/utils/auth/AuthContext';
 import { getActivityParticipations, validateHours } from '@/utils/participationService';
@@ -29,6 +29,11 @@ function combineDateAndTime(date, timeStr) {
   return out;
 }
 
+function formatScanTime(value) {
+  const d = toDate(value);
+  return d ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : null;
+}
+
 function getActivityDurationHours(act) {
   if (!act) return null;
   const hasTime = act.start_time || act.end_time;
@@ -84,13 +89,16 @@ export default function CloseActivityModal({ isOpen, onClose, activity, onSucces
   }, [activity?.id]);
 
   const isEvent = fullActivity?.type === 'event';
+  // Events close in one step, unless check-out scans measured hours to review
+  // (onActivityClosed aggregates hours for the same events)
+  const closesWithoutHours = isEvent && fullActivity?.check_out_enabled !== true;
   const isLocalOrEvent = fullActivity?.type === 'local' || fullActivity?.type === 'event';
   const impactParameters = fullActivity?.impact_parameters || [];
   const durationHours = getActivityDurationHours(fullActivity);
   const hasAutoCalc = isLocalOrEvent && durationHours != null && durationHours > 0;
 
   const fetchData = useCallback(async () => {
-    if (!isOpen || !activity?.id || activity?.type === 'event') return;
+    if (!isOpen || !activity?.id || (activity?.type === 'event' && activity?.check_out_enabled !== true)) return;
     setLoading(true);
     try {
       const [a, validations, participations] = await Promise.all([
@@ -177,7 +185,7 @@ export default function CloseActivityModal({ isOpen, onClose, activity, onSucces
     if (!activity?.id || !user?.uid) return;
 
     // Events: single-step close; others: two-step (enter hours/impact, then confirm)
-    if (!isEvent && !showConfirm) {
+    if (!closesWithoutHours && !showConfirm) {
       setShowConfirm(true);
       return;
     }
@@ -187,7 +195,7 @@ export default function CloseActivityModal({ isOpen, onClose, activity, onSucces
       let totalHoursToReport = 0;
       const parameters = {};
 
-      if (!isEvent) {
+      if (!closesWithoutHours) {
         const participantHours = {};
         for (const p of validatedParticipations) {
           const raw = hoursPerParticipant[p.user_id];
@@ -257,12 +265,12 @@ export default function CloseActivityModal({ isOpen, onClose, activity, onSucces
               {t('closeActivityConfirmTitle') || 'Confirm closing'}
             </p>
             <p className="text-sm text-amber-700 dark:text-amber-300">
-              {isEvent
+              {closesWithoutHours
                 ? (t('closeActivityConfirmEventMessage') || 'Are you sure? You will not be able to edit after closing.')
                 : (t('closeActivityConfirmMessage') || 'Are you sure? You will not be able to edit hours and impact after closing. Contact an admin if you need to make changes later.')}
             </p>
           </div>
-        ) : isEvent ? (
+        ) : closesWithoutHours ? (
           <p className="text-sm text-text-secondary dark:text-text-secondary">
             {t('closeActivityConfirmEventMessage') || 'Are you sure? You will not be able to edit after closing.'}
           </p>
@@ -296,20 +304,40 @@ export default function CloseActivityModal({ isOpen, onClose, activity, onSucces
                         </Button>
                       )}
                     </div>
+                    {fullActivity?.check_out_enabled && (
+                      <p className="text-xs text-text-tertiary dark:text-text-tertiary">
+                        {t('measuredHoursHint')}
+                      </p>
+                    )}
                     <div className="space-y-2 max-h-40 overflow-y-auto">
                       {validatedParticipations.map((p) => (
                         <div
                           key={p.user_id}
                           className="flex items-center gap-2 flex-wrap"
                         >
-                          <span className="text-sm text-text-secondary dark:text-text-secondary truncate flex-1 min-w-0">
-                            {p.display_name || p.user_id}
-                          </span>
+                          <div className="flex-1 min-w-0">
+                            <span className="block text-sm text-text-secondary dark:text-text-secondary truncate">
+                              {p.display_name || p.user_id}
+                            </span>
+                            {p.checked_in_at && (
+                              <span className="flex items-center gap-1 flex-wrap text-xs text-text-tertiary dark:text-text-tertiary">
+                                {p.checked_out_at
+                                  ? t('checkInOutTimes', {
+                                    checkIn: formatScanTime(p.checked_in_at),
+                                    checkOut: formatScanTime(p.checked_out_at),
+                                  })
+                                  : t('checkedInOnly', { checkIn: formatScanTime(p.checked_in_at) })}
+                                {p.check_out_auto_closed && (
+                                  <Badge color="warning" size="xs">{t('checkOutAutoClosed')}</Badge>
+                                )}
+                              </span>
+                            )}
+                          </div>
                           <TextInput
                             type="number"
                             min={0}
                             max={24}
-                            step={0.5}
+                            step={0.25}
                             placeholder="0"
                             value={hoursPerParticipant[p.user_id] ?? ''}
                             onChange={(e) =>
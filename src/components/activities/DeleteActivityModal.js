@@ -7,7 +7,7 @@ import { HiExclamationTriangle } from 'react-icons/hi2';
 import { useModal } from '@/utils/modal/useModal';
 
 import { useTranslations } from 'next-intl';
-import { deleteActivity } from '@/utils/crudActivities';
+import { deleteActivity, deleteActivitySeries, fetchSeriesOccurrences, isSeriesOccurrenceDeletable } from '@/utils/crudActivities';
 import { formatDateOnly } from '@/utils/dateUtils';
 
 
@@ -19,19 +19,47 @@ export default function DeleteActivityModal({
 }) {
   const t = useTranslations('DeleteActivity');
   const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteScope, setDeleteScope] = useState('occurrence');
+  const [seriesOccurrences, setSeriesOccurrences] = useState([]);
   const wrappedOnClose = useModal(isOpen, onClose, 'delete-activity-modal');
 
+  const isRecurring = Boolean(activity?.series_id);
+  const otherOccurrences = seriesOccurrences.filter(
+    (occurrence) => occurrence.id !== activity?.id && isSeriesOccurrenceDeletable(occurrence)
+  );
+  const keptOccurrencesCount = seriesOccurrences.filter((occurrence) => !isSeriesOccurrenceDeletable(occurrence)).length;
 
- 
+  // Load the other occurrences of a recurring series
+  useEffect(() => {
+    if (!isOpen || !activity?.series_id) {
+      setSeriesOccurrences([]);
+      return;
+    }
+    setDeleteScope('occurrence');
+    let cancelled = false;
+    fetchSeriesOccurrences(activity.series_id)
+      .then((occurrences) => {
+        if (!cancelled) setSeriesOccurrences(occurrences);
+      })
+      .catch((error) => console.error('Error fetching series occurrences:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, activity?.series_id]);
 
   const handleDelete = async () => {
     if (!activity) return;
 
     setIsDeleting(true);
     try {
-      // Delete single activity
-      await deleteActivity(activity.id);
-      onActivityDeleted?.(1);
+      if (isRecurring && deleteScope === 'series') {
+        const deletedCount = await deleteActivitySeries(activity.series_id);
+        onActivityDeleted?.(deletedCount);
+      } else {
+        // Delete single activity
+        await deleteActivity(activity.id);
+        onActivityDeleted?.(1);
+      }
       
       wrappedOnClose();
     } catch (error) {
@@ -59,7 +87,49 @@ export default function DeleteActivityModal({
           {/* Activity Info */}
           <div className="p-3 bg-gray-50 rounded-lg">
             <h3 className="font-medium text-gray-900">{activity.title}</h3>
+            {activity.start_date && (
+              <p className="text-sm text-gray-600">{formatDateOnly(activity.start_date)}</p>
+            )}
           </div>
+
+          {/* Recurring series: delete this occurrence or the whole series */}
+          {isRecurring && (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-700 dark:text-gray-300">{t('recurring-activity')}</p>
+              {['occurrence', 'series'].map((scope) => (
+                <label
+                  key={scope}
+                  className={`flex items-start gap-3 p-3 rounded-lg border-2 cursor-pointer ${
+                    deleteScope === scope ? 'border-red-400 bg-red-50 dark:bg-red-900/20' : 'border-gray-200 dark:border-gray-700'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="delete_scope"
+                    value={scope}
+                    checked={deleteScope === scope}
+                    onChange={() => setDeleteScope(scope)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="block font-medium text-gray-900 dark:text-white">{t(`delete-${scope}`)}</span>
+                    <span className="block text-xs text-gray-600 dark:text-gray-400">{t(`delete-${scope}-desc`)}</span>
+                  </span>
+                </label>
+              ))}
+              {deleteScope === 'series' && otherOccurrences.length > 0 && (
+                <div className="text-sm text-gray-700 dark:text-gray-300">
+                  <p className="font-medium">{t('series-includes')}</p>
+                  <p>{otherOccurrences.length} {t('other-occurrences')}</p>
+                </div>
+              )}
+              {deleteScope === 'series' && keptOccurrencesCount > 0 && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {t('kept-occurrences', { count: keptOccurrencesCount })}
+                </p>
+              )}
+            </div>
+          )}
             <div className="flex items-center p-4 mb-4 text-sm text-yellow-800 rounded-lg bg-yellow-50 dark:bg-gray-800 dark:text-yellow-300" role="alert">
               <HiExclamationTriangle className="flex-shrink-0 inline w-4 h-4 mr-3" />
               <span>{t('confirm-delete')}</span>
@@ -83,7 +153,9 @@ export default function DeleteActivityModal({
             className="flex items-center gap-2"
           >
             <HiTrash className="h-4 w-4" />
-            {t('deleting')}
+            {isRecurring && deleteScope === 'series'
+              ? (isDeleting ? t('deleting-series') : t('delete-series-button'))
+              : (isDeleting ? t('deleting') : t('delete-button'))}
           </Button>
         </div>
       </div>
@@ -0,0 +1,69 @@
+'use client';
+
+import { Modal, Button } from 'flowbite-react';
+import { HiExclamation } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useModal } from '@/utils/modal/useModal';
+
+/**
+ * Confirmation asked at the kiosk before validating a member without an accepted
+ * application (validateMemberByQR's WALK_IN_CONFIRMATION_REQUIRED result): shows who
+ * was scanned, their application status and what validating them skips.
+ * @param {Object|null} walkIn - { displayName, applicationStatus, warnings }, null when closed
+ * @param {Function} onConfirm - Validate the member anyway
+ * @param {Function} onDecline - Leave the member unvalidated
+ */
+export default function KioskWalkInModal({ walkIn, onConfirm, onDecline }) {
+  const t = useTranslations('ActivityKiosk');
+  const isOpen = Boolean(walkIn);
+  const wrappedOnClose = useModal(isOpen, onDecline, 'kiosk-walk-in-modal');
+
+  return (
+    <Modal show={isOpen} onClose={wrappedOnClose} size="md" className="z-50">
+      <Modal.Header className="bg-gradient-to-r from-primary-400 to-primary-600 dark:from-primary-600 dark:to-primary-700 text-white border-b border-border-light dark:border-border-dark">
+        <span className="text-lg font-semibold text-white">{t('walkIn.title')}</span>
+      </Modal.Header>
+
+      <Modal.Body className="py-6 bg-background-card dark:bg-background-card">
+        {walkIn && (
+          <div className="space-y-4">
+            <p className="text-2xl font-bold text-text-primary dark:text-text-primary text-center">{walkIn.displayName}</p>
+            <p className="text-sm text-text-secondary dark:text-text-secondary text-center">
+              {t(`walkIn.applicationStatus.${walkIn.applicationStatus || 'none'}`)}
+            </p>
+            {walkIn.warnings.length > 0 ? (
+              <div className="rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 p-4">
+                <p className="flex items-center gap-2 text-sm font-medium text-amber-800 dark:text-amber-200">
+                  <HiExclamation className="h-5 w-5 flex-shrink-0" />
+                  {t('walkIn.warningsTitle')}
+                </p>
+                <ul className="list-disc pl-9 mt-2 text-sm text-amber-700 dark:text-amber-300">
+                  {walkIn.warnings.map((code) => (
+                    <li key={code}>{t(`walkIn.warning.${code}`)}</li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <p className="text-sm text-text-secondary dark:text-text-secondary text-center">{t('walkIn.noWarnings')}</p>
+            )}
+          </div>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer className="bg-background-card dark:bg-background-card border-t-2 border-border-light dark:border-[#475569]">
+        <div className="flex justify-end gap-2 w-full">
+          <Button
+            color="gray"
+            onClick={onDecline}
+            className="bg-neutral-200 dark:bg-neutral-700 text-neutral-700 dark:text-neutral-200 hover:bg-neutral-300 dark:hover:bg-neutral-600"
+          >
+            {t('walkIn.decline')}
+          </Button>
+          <Button color="warning" onClick={onConfirm}>
+            {t('walkIn.confirm')}
+          </Button>
+        </div>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -12,7 +12,9 @@ import { useModal } from '@/utils/modal/useModal';
 import { useAuth } from '@/utils/auth/AuthContext';
 import PublicProfileModal from '@/components/profile/PublicProfileModal';
 import ProfilePicture from '@/components/common/ProfilePicture';
-import { HiCheck, HiX, HiMail, HiChevronDown } from 'react-icons/hi';
+import TimeSlotFilter from '@/components/activities/TimeSlotFilter';
+import ActivityBroadcastModal from '@/components/activities/ActivityBroadcastModal';
+import { HiCheck, HiX, HiMail, HiChevronDown, HiSpeakerphone } from 'react-icons/hi';
 
 export default function ParticipantListModal({ isOpen, onClose, activity, activityId }) {
   const t = useTranslations('MyNonProfit');
@@ -23,6 +25,8 @@ export default function ParticipantListModal({ isOpen, onClose, activity, activi
   const [profileModalOpen, setProfileModalOpen] = useState(false);
   const [selectedUserId, setSelectedUserId] = useState(null);
   const [processing, setProcessing] = useState({});
+  const [selectedSlotId, setSelectedSlotId] = useState(null);
+  const [showBroadcast, setShowBroadcast] = useState(false);
   const wrappedOnClose = useModal(isOpen, onClose, 'participant-list-modal');
 
   const effectiveActivityId = activity?.id || activityId;
@@ -59,6 +63,7 @@ export default function ParticipantListModal({ isOpen, onClose, activity, activi
             rejected_at: validation.rejected_at,
             reportedHours: reported,
             validatedHours: validated,
+            slot_ids: part?.slot_ids || [],
           };
           try {
             const userRef = doc(db, 'members', userId);
@@ -95,9 +100,15 @@ export default function ParticipantListModal({ isOpen, onClose, activity, activi
       setProfileModalOpen(false);
       setSelectedUserId(null);
       setProcessing({});
+      setSelectedSlotId(null);
+      setShowBroadcast(false);
     }
   }, [isOpen, effectiveActivityId, fetchParticipants]);
 
+  const visibleParticipants = selectedSlotId
+    ? participants.filter((p) => p.slot_ids.includes(selectedSlotId))
+    : participants;
+
   const handleParticipantClick = (userId) => {
     setSelectedUserId(userId);
     setProfileModalOpen(true);
@@ -234,9 +245,18 @@ export default function ParticipantListModal({ isOpen, onClose, activity, activi
               )}
             </div>
 
-            {/* Contact Participants Button */}
+            {/* Message (in-app/push/email announcement) and Contact Participants buttons */}
             {participants.length > 0 && (
-              <div className="relative">
+              <div className="relative flex items-center gap-2">
+                <Button
+                  size="sm"
+                  color="light"
+                  onClick={() => setShowBroadcast(true)}
+                  className="bg-white/20 hover:bg-white/30 text-white border-0 min-h-[44px] sm:min-h-0"
+                >
+                  <HiSpeakerphone className="h-4 w-4 sm:mr-2" />
+                  <span className="hidden sm:inline">{t('messageParticipants')}</span>
+                </Button>
                 <Dropdown
                   label=""
                   dismissOnClick={true}
@@ -329,7 +349,16 @@ export default function ParticipantListModal({ isOpen, onClose, activity, activi
                 </div>
               )}
 
-              {participants.map((participant) => {
+              {/* Per-slot rosters */}
+              <TimeSlotFilter
+                timeSlots={fullActivity?.time_slots}
+                items={participants}
+                isCounted={(p) => p.status !== 'rejected'}
+                selectedSlotId={selectedSlotId}
+                onSelect={setSelectedSlotId}
+              />
+
+              {visibleParticipants.map((participant) => {
                 const isProcessing = processing[participant.user_id] || false;
                 const isPending = participant.status === 'pending';
                 const showButtons = isPending;
@@ -445,6 +474,16 @@ export default function ParticipantListModal({ isOpen, onClose, activity, activi
         </Modal.Body>
       </Modal>
 
+      {/* Announcement to participants (mounted when open so it starts from the selected slot) */}
+      {showBroadcast && (
+        <ActivityBroadcastModal
+          isOpen={showBroadcast}
+          onClose={() => setShowBroadcast(false)}
+          activityId={effectiveActivityId}
+          initialSlotId={selectedSlotId}
+        />
+      )}
+
       {/* Public Profile Modal */}
       {selectedUserId && (
         <PublicProfileModal
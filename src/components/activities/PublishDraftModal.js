@@ -5,12 +5,14 @@ import { useTranslations } from 'next-intl';
 import { useTheme } from '@/utils/theme/ThemeContext';
 import { useModal } from '@/utils/modal/useModal';
 import { HiDocument, HiGlobeAlt } from 'react-icons/hi';
+import SchedulePublishField from './SchedulePublishField';
 
 export default function PublishDraftModal({
   isOpen,
   onClose,
   onPublish,
   onDraft,
+  onSchedule,
   isUpdating = false
 }) {
   const t = useTranslations('PublishDraftModal');
@@ -74,6 +76,11 @@ export default function PublishDraftModal({
               </div>
             </Button>
           </div>
+
+          {/* Schedule for later - stays in Draft until the chosen time */}
+          {onSchedule && (
+            <SchedulePublishField onSchedule={onSchedule} isUpdating={isUpdating} />
+          )}
         </div>
       </Modal.Body>
       
@@ -5,15 +5,44 @@ import { Html5Qrcode } from 'html5-qrcode';
 import { Button, Alert } from 'flowbite-react';
 import { HiX, HiCamera, HiRefresh } from 'react-icons/hi';
 
+// In continuous mode, the same code is ignored for this long after it was read
+const CONTINUOUS_SCAN_COOLDOWN_MS = 4000;
+
+// Default parser: activity validation URL (/validate-activity?activityId=&token=)
+function parseActivityQRUrl(decodedText) {
+  try {
+    const url = new URL(decodedText);
+    const activityId = url.searchParams.get('activityId');
+    const token = url.searchParams.get('token');
+    return activityId && token ? { activityId, token, url: decodedText } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
 /**
  * QRCodeScanner Component
  * Camera-based QR code scanner for activity validation
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether scanner is open
  * @param {Function} props.onClose - Function to close scanner
- * @param {Function} props.onScanSuccess - Callback when QR code is successfully scanned
+ * @param {Function} props.onScanSuccess - Callback when QR code is successfully scanned, with the parsed payload
+ * @param {Function} [props.parseScan] - Turns the scanned text into a payload, or null when invalid (defaults to activity URLs)
+ * @param {string} [props.invalidMessage] - Error shown for QR codes parseScan rejects
+ * @param {boolean} [props.continuous] - Keep the camera on after each scan (kiosk)
+ * @param {boolean} [props.inline] - Render in the page instead of a full-screen overlay
+ * @param {string} [props.title] - Header title
  */
-export default function QRCodeScanner({ isOpen, onClose, onScanSuccess }) {
+export default function QRCodeScanner({
+  isOpen,
+  onClose,
+  onScanSuccess,
+  parseScan = parseActivityQRUrl,
+  invalidMessage = 'Invalid QR code. Please scan a valid activity QR code.',
+  continuous = false,
+  inline = false,
+  title = 'Scan QR Code',
+}) {
   const [scanning, setScanning] = useState(false);
   const [error, setError] = useState(null);
   const [cameraId, setCameraId] = useState(null);
@@ -24,6 +53,7 @@ export default function QRCodeScanner({ isOpen, onClose, onScanSuccess }) {
   const isStartingRef = useRef(false);
   const isStoppingRef = useRef(false);
   const hasScannedRef = useRef(false);
+  const lastScanRef = useRef({ text: null, at: 0 });
 
   useEffect(() => {
     if (isOpen && !html5QrCodeRef.current) {
@@ -222,6 +252,23 @@ export default function QRCodeScanner({ isOpen, onClose, onScanSuccess }) {
   };
 
   const handleScanSuccess = async (decodedText) => {
+    // Kiosk: keep scanning, only debounce the code still in front of the camera
+    if (continuous) {
+      const now = Date.now();
+      if (decodedText === lastScanRef.current.text && now - lastScanRef.current.at < CONTINUOUS_SCAN_COOLDOWN_MS) {
+        return;
+      }
+      lastScanRef.current = { text: decodedText, at: now };
+      const payload = parseScan(decodedText);
+      if (payload) {
+        onScanSuccess?.(payload);
+      } else {
+        setError(invalidMessage);
+        setTimeout(() => setError(null), 3000);
+      }
+      return;
+    }
+
     // Prevent multiple scans
     if (hasScannedRef.current) {
       return;
@@ -232,25 +279,15 @@ export default function QRCodeScanner({ isOpen, onClose, onScanSuccess }) {
     // Stop scanning and wait for camera to fully stop before proceeding
     await stopScanning();
     
-    // Parse the URL to extract activityId and token
-    try {
-      const url = new URL(decodedText);
-      const activityId = url.searchParams.get('activityId');
-      const token = url.searchParams.get('token');
-
-      if (activityId && token && onScanSuccess) {
-        // Ensure camera is fully stopped before calling callback
-        // Add a small delay to ensure camera stream is released
-        await new Promise(resolve => setTimeout(resolve, 100));
-        onScanSuccess({ activityId, token, url: decodedText });
-      } else {
-        hasScannedRef.current = false; // Reset on error
-        setError('Invalid QR code format. Please scan a valid activity QR code.');
-        setTimeout(() => setError(null), 3000);
-      }
-    } catch (err) {
+    const payload = parseScan(decodedText);
+    if (payload && onScanSuccess) {
+      // Ensure camera is fully stopped before calling callback
+      // Add a small delay to ensure camera stream is released
+      await new Promise(resolve => setTimeout(resolve, 100));
+      onScanSuccess(payload);
+    } else {
       hasScannedRef.current = false; // Reset on error
-      setError('Invalid QR code. Please scan a valid activity QR code.');
+      setError(invalidMessage);
       setTimeout(() => setError(null), 3000);
     }
   };
@@ -297,71 +334,79 @@ export default function QRCodeScanner({ isOpen, onClose, onScanSuccess }) {
 
   if (!isOpen) return null;
 
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75">
-      <div className="bg-white rounded-lg shadow-xl w-full max-w-md mx-4">
-        <div className="flex items-center justify-between p-4 border-b">
-          <h3 className="text-lg font-semibold">Scan QR Code</h3>
+  const scanner = (
+    <div className={`bg-white rounded-lg shadow-xl w-full max-w-md ${inline ? 'mx-auto' : 'mx-4'}`}>
+      <div className="flex items-center justify-between p-4 border-b">
+        <h3 className="text-lg font-semibold">{title}</h3>
+        {!inline && (
           <button
             onClick={handleClose}
             className="text-gray-500 hover:text-gray-700"
           >
             <HiX className="h-6 w-6" />
           </button>
-        </div>
+        )}
+      </div>
 
-        <div className="p-4">
-          {error && (
-            <Alert color="failure" className="mb-4">
-              {error}
-            </Alert>
-          )}
+      <div className="p-4">
+        {error && (
+          <Alert color="failure" className="mb-4">
+            {error}
+          </Alert>
+        )}
 
-          <div id="qr-reader" className="mb-4"></div>
+        <div id="qr-reader" className="mb-4"></div>
 
-          {!scanning && (
-            <div className="text-center">
-              <Button
-                onClick={startScanning}
-                color="blue"
-                className="w-full"
-              >
-                <HiCamera className="mr-2 h-5 w-5" />
-                Start Camera
-              </Button>
-            </div>
-          )}
+        {!scanning && (
+          <div className="text-center">
+            <Button
+              onClick={startScanning}
+              color="blue"
+              className="w-full"
+            >
+              <HiCamera className="mr-2 h-5 w-5" />
+              Start Camera
+            </Button>
+          </div>
+        )}
 
-          {scanning && (
-            <div className="text-center">
-              <p className="text-sm text-gray-600 mb-4">
-                Point your camera at the QR code
-              </p>
-              <div className="flex gap-2">
-                {availableCameras.length > 1 && (
-                  <Button
-                    onClick={switchCamera}
-                    color="blue"
-                    className="flex-1"
-                    disabled={isSwitchingCamera}
-                  >
-                    <HiRefresh className="mr-2 h-5 w-5" />
-                    Switch Camera
-                  </Button>
-                )}
+        {scanning && (
+          <div className="text-center">
+            <p className="text-sm text-gray-600 mb-4">
+              Point your camera at the QR code
+            </p>
+            <div className="flex gap-2">
+              {availableCameras.length > 1 && (
                 <Button
-                  onClick={stopScanning}
-                  color="gray"
-                  className={availableCameras.length > 1 ? "flex-1" : "w-full"}
+                  onClick={switchCamera}
+                  color="blue"
+                  className="flex-1"
+                  disabled={isSwitchingCamera}
                 >
-                  Stop Scanning
+                  <HiRefresh className="mr-2 h-5 w-5" />
+                  Switch Camera
                 </Button>
-              </div>
+              )}
+              <Button
+                onClick={stopScanning}
+                color="gray"
+                className={availableCameras.length > 1 ? "flex-1" : "w-full"}
+              >
+                Stop Scanning
+              </Button>
             </div>
-          )}
-        </div>
+          </div>
+        )}
       </div>
     </div>
   );
+
+  if (inline) return scanner;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75">
+      {scanner}
+    </div>
+  );
 }
 
@@ -0,0 +1,41 @@
+'use client';
+
+import { useTranslations } from 'next-intl';
+
+/**
+ * QuestionnaireAnswers Component
+ * Read-only list of an applicant's answers to the activity questionnaire.
+ *
+ * @param {Array} questions - Activity questionnaire
+ * @param {Object} answers - Answers keyed by question ID
+ */
+export default function QuestionnaireAnswers({ questions, answers }) {
+  const t = useTranslations('Questionnaire');
+
+  if (!questions?.length || !answers) return null;
+
+  const formatAnswer = (question, value) => {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return <span className="italic text-text-tertiary dark:text-text-tertiary">{t('noAnswer')}</span>;
+    }
+    if (question.type === 'yes_no') return value ? t('yes') : t('no');
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  };
+
+  return (
+    <div>
+      <p className="text-sm font-medium text-text-primary dark:text-text-primary mb-2">{t('answersTitle')}</p>
+      <dl className="space-y-2 text-sm">
+        {questions.map((question) => (
+          <div key={question.id}>
+            <dt className="text-xs font-medium text-text-secondary dark:text-text-secondary">{question.label}</dt>
+            <dd className="text-text-primary dark:text-text-primary whitespace-pre-wrap break-words">
+              {formatAnswer(question, answers[question.id])}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Button, Checkbox, Label, Select, TextInput } from 'flowbite-react';
+import { useTranslations } from 'next-intl';
+import { HiPlus, HiTrash, HiX } from 'react-icons/hi';
+import { QUESTION_TYPES, createQuestion, isQuestionValid } from '@/utils/questionnaire';
+import { fetchQuestionnaireTemplates, saveQuestionnaireTemplate } from '@/utils/crudQuestionnaires';
+
+/**
+ * QuestionnaireEditor Component
+ * Lets an NPO build the questions applicants answer when they apply
+ * (text, single/multi choice, yes/no, number), and load or save them
+ * as templates shared by the organization's activities.
+ */
+export default function QuestionnaireEditor({ formData, setFormData, organizationId }) {
+  const t = useTranslations('ManageActivities');
+  const questions = formData.questionnaire || [];
+  const [templates, setTemplates] = useState([]);
+  const [templateTitle, setTemplateTitle] = useState('');
+  const [isSavingTemplate, setIsSavingTemplate] = useState(false);
+  const [templateSaved, setTemplateSaved] = useState(false);
+
+  useEffect(() => {
+    if (!organizationId) return;
+    fetchQuestionnaireTemplates(organizationId).then(setTemplates);
+  }, [organizationId]);
+
+  const updateQuestions = (nextQuestions) => {
+    setFormData((prev) => ({ ...prev, questionnaire: nextQuestions }));
+  };
+
+  const updateQuestion = (questionId, changes) => {
+    updateQuestions(questions.map((q) => (q.id === questionId ? { ...q, ...changes } : q)));
+  };
+
+  const changeType = (question, type) => {
+    const hasOptions = type === 'single_choice' || type === 'multi_choice';
+    updateQuestion(question.id, {
+      type,
+      options: hasOptions ? (question.options?.length ? question.options : ['', '']) : [],
+    });
+  };
+
+  const loadTemplate = (templateId) => {
+    const template = templates.find((item) => item.id === templateId);
+    if (template) {
+      updateQuestions(template.questions || []);
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!templateTitle.trim() || !organizationId) return;
+    setIsSavingTemplate(true);
+    try {
+      await saveQuestionnaireTemplate(organizationId, templateTitle, questions);
+      setTemplates(await fetchQuestionnaireTemplates(organizationId));
+      setTemplateTitle('');
+      setTemplateSaved(true);
+    } catch (error) {
+      console.error('Error saving questionnaire template:', error);
+    } finally {
+      setIsSavingTemplate(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {templates.length > 0 && (
+        <div className="space-y-1">
+          <Label htmlFor="questionnaire-template" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('questionnaire-load-template')}
+          </Label>
+          <Select
+            id="questionnaire-template"
+            value=""
+            onChange={(e) => loadTemplate(e.target.value)}
+          >
+            <option value="">{t('questionnaire-choose-template')}</option>
+            {templates.map((template) => (
+              <option key={template.id} value={template.id}>{template.title}</option>
+            ))}
+          </Select>
+        </div>
+      )}
+
+      {questions.map((question, index) => {
+        const hasOptions = question.type === 'single_choice' || question.type === 'multi_choice';
+        return (
+          <div
+            key={question.id}
+            className="space-y-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+          >
+            <div className="grid grid-cols-1 sm:grid-cols-[1fr_auto_auto] gap-3 items-end">
+              <div className="space-y-1">
+                <Label htmlFor={`question-label-${question.id}`} className="text-xs text-gray-600 dark:text-gray-400">
+                  {t('question-label', { number: index + 1 })}
+                </Label>
+                <TextInput
+                  id={`question-label-${question.id}`}
+                  value={question.label}
+                  maxLength={200}
+                  placeholder={t('question-placeholder')}
+                  onChange={(e) => updateQuestion(question.id, { label: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor={`question-type-${question.id}`} className="text-xs text-gray-600 dark:text-gray-400">
+                  {t('question-type')}
+                </Label>
+                <Select
+                  id={`question-type-${question.id}`}
+                  value={question.type}
+                  onChange={(e) => changeType(question, e.target.value)}
+                >
+                  {QUESTION_TYPES.map((type) => (
+                    <option key={type} value={type}>{t(`question-type-${type}`)}</option>
+                  ))}
+                </Select>
+              </div>
+              <Button
+                color="light"
+                size="sm"
+                onClick={() => updateQuestions(questions.filter((q) => q.id !== question.id))}
+                aria-label={t('question-remove')}
+                className="min-h-[44px]"
+              >
+                <HiTrash className="h-4 w-4" />
+              </Button>
+            </div>
+
+            {hasOptions && (
+              <div className="space-y-2 pl-2 border-l-2 border-gray-200 dark:border-gray-700">
+                {question.options.map((option, optionIndex) => (
+                  <div key={optionIndex} className="flex items-center gap-2">
+                    <TextInput
+                      value={option}
+                      maxLength={100}
+                      placeholder={t('question-option', { number: optionIndex + 1 })}
+                      onChange={(e) => updateQuestion(question.id, {
+                        options: question.options.map((o, i) => (i === optionIndex ? e.target.value : o)),
+                      })}
+                      className="flex-1"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => updateQuestion(question.id, {
+                        options: question.options.filter((_, i) => i !== optionIndex),
+                      })}
+                      aria-label={t('question-option-remove')}
+                      className="p-2 text-gray-500 hover:text-red-600 dark:text-gray-400"
+                    >
+                      <HiX className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                <Button
+                  color="light"
+                  size="xs"
+                  onClick={() => updateQuestion(question.id, { options: [...question.options, ''] })}
+                >
+                  <HiPlus className="h-3 w-3 mr-1" />
+                  {t('question-option-add')}
+                </Button>
+              </div>
+            )}
+
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id={`question-required-${question.id}`}
+                checked={question.required === true}
+                onChange={(e) => updateQuestion(question.id, { required: e.target.checked })}
+              />
+              <Label htmlFor={`question-required-${question.id}`} className="text-sm cursor-pointer dark:text-gray-300">
+                {t('question-required')}
+              </Label>
+            </div>
+
+            {!isQuestionValid(question) && question.label && (
+              <p className="text-xs text-red-600 dark:text-red-400" role="alert">
+                {t('question-invalid')}
+              </p>
+            )}
+          </div>
+        );
+      })}
+
+      <Button color="light" size="sm" onClick={() => updateQuestions([...questions, createQuestion()])}>
+        <HiPlus className="h-4 w-4 mr-1" />
+        {t('question-add')}
+      </Button>
+
+      {organizationId && questions.some(isQuestionValid) && (
+        <div className="flex flex-col sm:flex-row gap-2 sm:items-end pt-3 border-t border-gray-200 dark:border-gray-700">
+          <div className="flex-1 space-y-1">
+            <Label htmlFor="questionnaire-template-title" className="text-xs text-gray-600 dark:text-gray-400">
+              {t('questionnaire-save-template')}
+            </Label>
+            <TextInput
+              id="questionnaire-template-title"
+              value={templateTitle}
+              maxLength={100}
+              placeholder={t('questionnaire-template-name')}
+              onChange={(e) => {
+                setTemplateTitle(e.target.value);
+                setTemplateSaved(false);
+              }}
+            />
+          </div>
+          <Button
+            color="light"
+            size="sm"
+            onClick={handleSaveTemplate}
+            disabled={!templateTitle.trim() || isSavingTemplate}
+            className="min-h-[44px]"
+          >
+            {isSavingTemplate ? t('questionnaire-saving') : t('questionnaire-save')}
+          </Button>
+        </div>
+      )}
+      {templateSaved && (
+        <p className="text-xs text-green-600 dark:text-green-400">{t('questionnaire-template-saved')}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+'use client';
+
+import { Checkbox, Label, Radio, Select, Textarea, TextInput } from 'flowbite-react';
+import { useTranslations } from 'next-intl';
+
+/**
+ * QuestionnaireForm Component
+ * Renders the activity questionnaire in the application form.
+ *
+ * @param {Array} questions - Activity questionnaire (see utils/questionnaire.js)
+ * @param {Object} answers - Answers keyed by question ID
+ * @param {Function} onChange - Called with the updated answers object
+ */
+export default function QuestionnaireForm({ questions, answers, onChange }) {
+  const t = useTranslations('Questionnaire');
+
+  const setAnswer = (questionId, value) => {
+    onChange({ ...answers, [questionId]: value });
+  };
+
+  const toggleOption = (questionId, option) => {
+    const current = Array.isArray(answers[questionId]) ? answers[questionId] : [];
+    setAnswer(
+      questionId,
+      current.includes(option) ? current.filter((o) => o !== option) : [...current, option]
+    );
+  };
+
+  const renderInput = (question) => {
+    const value = answers[question.id];
+    const inputId = `answer-${question.id}`;
+
+    switch (question.type) {
+      case 'single_choice':
+        return (
+          <Select id={inputId} value={value || ''} onChange={(e) => setAnswer(question.id, e.target.value)}>
+            <option value="">{t('selectPlaceholder')}</option>
+            {question.options.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Select>
+        );
+      case 'multi_choice':
+        return (
+          <div className="flex flex-wrap gap-x-4 gap-y-2">
+            {question.options.map((option, index) => (
+              <div key={option} className="flex items-center gap-2 min-h-[36px]">
+                <Checkbox
+                  id={`${inputId}-${index}`}
+                  checked={Array.isArray(value) && value.includes(option)}
+                  onChange={() => toggleOption(question.id, option)}
+                />
+                <Label htmlFor={`${inputId}-${index}`} className="text-sm cursor-pointer text-text-primary dark:text-text-primary">
+                  {option}
+                </Label>
+              </div>
+            ))}
+          </div>
+        );
+      case 'yes_no':
+        return (
+          <div className="flex gap-6">
+            {[true, false].map((option) => (
+              <div key={String(option)} className="flex items-center gap-2 min-h-[36px]">
+                <Radio
+                  id={`${inputId}-${option}`}
+                  name={inputId}
+                  checked={value === option}
+                  onChange={() => setAnswer(question.id, option)}
+                />
+                <Label htmlFor={`${inputId}-${option}`} className="text-sm cursor-pointer text-text-primary dark:text-text-primary">
+                  {option ? t('yes') : t('no')}
+                </Label>
+              </div>
+            ))}
+          </div>
+        );
+      case 'number':
+        return (
+          <TextInput
+            id={inputId}
+            type="number"
+            value={value ?? ''}
+            onChange={(e) => setAnswer(question.id, e.target.value === '' ? null : Number(e.target.value))}
+            className="max-w-[200px]"
+          />
+        );
+      default:
+        return (
+          <Textarea
+            id={inputId}
+            rows={2}
+            maxLength={500}
+            value={value || ''}
+            onChange={(e) => setAnswer(question.id, e.target.value)}
+            className="resize-none"
+          />
+        );
+    }
+  };
+
+  if (!questions?.length) return null;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-sm font-medium text-text-primary dark:text-text-primary">{t('title')}</p>
+        <p className="text-xs text-text-tertiary dark:text-text-tertiary">{t('hint')}</p>
+      </div>
+      {questions.map((question) => (
+        <div key={question.id} className="space-y-1">
+          <Label htmlFor={`answer-${question.id}`} className="text-sm text-text-primary dark:text-text-primary">
+            {question.label}
+            {question.required && <span className="text-semantic-error-600 dark:text-semantic-error-400"> *</span>}
+          </Label>
+          {renderInput(question)}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+'use client';
+
+import { useMemo } from 'react';
+import { Label, Radio, Select, TextInput, Datepicker, Badge } from 'flowbite-react';
+import { useTranslations, useLocale } from 'next-intl';
+import { HiRefresh } from 'react-icons/hi';
+import { generateOccurrenceDates, MAX_OCCURRENCES, DEFAULT_RECURRENCE } from '@/utils/recurrence';
+import { formatDateOnly } from '@/utils/dateUtils';
+
+// Monday first, matching the Datepicker weekStart
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+const WEEK_OF_MONTH_OPTIONS = [
+  { value: 1, key: 'week-first' },
+  { value: 2, key: 'week-second' },
+  { value: 3, key: 'week-third' },
+  { value: 4, key: 'week-fourth' },
+  { value: -1, key: 'week-last' },
+];
+const PREVIEW_LIMIT = 6;
+
+/**
+ * Localized weekday label (2024-01-07 is a Sunday, so day 0 maps to Sunday).
+ */
+function weekdayLabel(day, locale, format = 'short') {
+  return new Intl.DateTimeFormat(locale, { weekday: format }).format(new Date(2024, 0, 7 + day));
+}
+
+/**
+ * RecurrenceEditor Component
+ * Edits the recurrence rule of a regular activity (weekly on given days or monthly
+ * on the nth weekday, ending after N occurrences or on a date) and previews the dates.
+ * When the activity is already part of a series, the rule is shown read-only.
+ */
+export default function RecurrenceEditor({ formData, setFormData }) {
+  const t = useTranslations('ManageActivities');
+  const locale = useLocale();
+  const rule = formData.recurrence || DEFAULT_RECURRENCE;
+  const isExistingSeries = Boolean(formData.series_id);
+
+  const updateRule = (changes) => {
+    setFormData((prev) => ({
+      ...prev,
+      recurrence: { ...(prev.recurrence || DEFAULT_RECURRENCE), ...changes },
+    }));
+  };
+
+  const toggleDay = (day) => {
+    const days = rule.days_of_week || [];
+    updateRule({
+      days_of_week: days.includes(day) ? days.filter((d) => d !== day) : [...days, day],
+    });
+  };
+
+  const occurrenceDates = useMemo(
+    () => (isExistingSeries ? [] : generateOccurrenceDates(formData.start_date, rule)),
+    [formData.start_date, rule, isExistingSeries]
+  );
+
+  if (isExistingSeries) {
+    return (
+      <div className="lg:col-span-2 p-4 rounded-lg border-2 border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/20">
+        <p className="text-sm text-blue-800 dark:text-blue-300 flex items-center gap-2">
+          <HiRefresh className="h-4 w-4 flex-shrink-0" />
+          {t('recurrence-series-locked', {
+            index: (formData.occurrence_index ?? 0) + 1,
+            count: formData.occurrences_count ?? 1,
+          })}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <fieldset className="lg:col-span-2 space-y-4 p-4 rounded-lg border-2 border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800">
+      <legend className="text-sm font-semibold text-gray-700 dark:text-gray-300 px-1 flex items-center gap-2">
+        <HiRefresh className="h-4 w-4" />
+        {t('recurrence-pattern')}
+      </legend>
+
+      {/* Pattern */}
+      <div className="flex flex-wrap gap-4">
+        {['weekly', 'monthly'].map((pattern) => (
+          <div key={pattern} className="flex items-center gap-2 min-h-[44px]">
+            <Radio
+              id={`recurrence-${pattern}`}
+              name="recurrence_pattern"
+              value={pattern}
+              checked={rule.pattern === pattern}
+              onChange={() => updateRule({ pattern })}
+            />
+            <Label htmlFor={`recurrence-${pattern}`} className="text-sm cursor-pointer dark:text-gray-300">
+              {t(`recurrence-${pattern}`)}
+            </Label>
+          </div>
+        ))}
+      </div>
+
+      {rule.pattern === 'weekly' ? (
+        <div className="space-y-2">
+          <Label className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('repeat-on-days')}</Label>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAYS.map((day) => {
+              const selected = (rule.days_of_week || []).includes(day);
+              return (
+                <button
+                  key={day}
+                  type="button"
+                  onClick={() => toggleDay(day)}
+                  aria-pressed={selected}
+                  aria-label={weekdayLabel(day, locale, 'long')}
+                  className={`min-w-[44px] min-h-[44px] px-3 rounded-lg border-2 text-sm font-medium transition-colors touch-manipulation ${
+                    selected
+                      ? 'border-blue-500 bg-blue-500 text-white'
+                      : 'border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:border-blue-300'
+                  }`}
+                >
+                  {weekdayLabel(day, locale)}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-center">
+          <Label className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('recurrence-monthly-on')}</Label>
+          <Select
+            value={rule.week_of_month ?? 1}
+            onChange={(e) => updateRule({ week_of_month: Number(e.target.value) })}
+          >
+            {WEEK_OF_MONTH_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{t(option.key)}</option>
+            ))}
+          </Select>
+          <Select
+            value={rule.day_of_week ?? 6}
+            onChange={(e) => updateRule({ day_of_week: Number(e.target.value) })}
+          >
+            {WEEKDAYS.map((day) => (
+              <option key={day} value={day}>{weekdayLabel(day, locale, 'long')}</option>
+            ))}
+          </Select>
+        </div>
+      )}
+
+      {/* End of recurrence */}
+      <div className="space-y-2">
+        <Label className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('end-recurrence')}</Label>
+        <div className="flex flex-wrap items-center gap-3">
+          <Radio
+            id="recurrence-end-count"
+            name="recurrence_end_type"
+            checked={rule.end_type === 'count'}
+            onChange={() => updateRule({ end_type: 'count' })}
+          />
+          <Label htmlFor="recurrence-end-count" className="text-sm cursor-pointer dark:text-gray-300">
+            {t('after-occurrences')}
+          </Label>
+          <TextInput
+            type="number"
+            min={1}
+            max={MAX_OCCURRENCES}
+            value={rule.count ?? ''}
+            disabled={rule.end_type !== 'count'}
+            onChange={(e) => updateRule({ count: e.target.value === '' ? null : Math.min(Number(e.target.value), MAX_OCCURRENCES) })}
+            className="w-24"
+          />
+          <span className="text-sm text-gray-700 dark:text-gray-300">{t('occurrences')}</span>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <Radio
+            id="recurrence-end-until"
+            name="recurrence_end_type"
+            checked={rule.end_type === 'until'}
+            onChange={() => updateRule({ end_type: 'until', until: rule.until || formData.start_date || new Date() })}
+          />
+          <Label htmlFor="recurrence-end-until" className="text-sm cursor-pointer dark:text-gray-300">
+            {t('until-date')}
+          </Label>
+          {rule.end_type === 'until' && (
+            <Datepicker
+              weekStart={1}
+              value={rule.until instanceof Date ? rule.until : new Date(rule.until)}
+              onChange={(date) => updateRule({ until: date })}
+            />
+          )}
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">{t('recurrence-max', { max: MAX_OCCURRENCES })}</p>
+      </div>
+
+      {/* Preview */}
+      <div className="space-y-2">
+        <Label className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('preview')}</Label>
+        {occurrenceDates.length === 0 ? (
+          <p className="text-sm text-red-600 dark:text-red-400" role="alert">{t('recurrence-no-occurrence')}</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2">
+              {occurrenceDates.slice(0, PREVIEW_LIMIT).map((date) => (
+                <Badge key={date.getTime()} color="info" size="sm">{formatDateOnly(date)}</Badge>
+              ))}
+              {occurrenceDates.length > PREVIEW_LIMIT && (
+                <Badge color="gray" size="sm">+{occurrenceDates.length - PREVIEW_LIMIT}</Badge>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {t('recurrence-occurrences-count', { count: occurrenceDates.length })}
+            </p>
+          </>
+        )}
+      </div>
+    </fieldset>
+  );
+}
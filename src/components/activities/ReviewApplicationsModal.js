@@ -1,7 +1,8 @@
 "use client";
 
-import { Modal, Button, Badge } from "flowbite-react";
+import { Modal, Button, Badge, Select } from "flowbite-react";
 import { HiCheck, HiX, HiClock } from "react-icons/hi";
+import { HiQueueList } from "react-icons/hi2";
 import { useEffect, useState, useCallback } from "react";
 import { fetchApplicationsForActivity, updateApplicationStatus, countPendingApplicationsForOrganization } from "@/utils/crudApplications";
 import { formatDate } from "@/utils/dateUtils";
@@ -11,6 +12,10 @@ import { useTranslations } from "next-intl";
 import { useModal } from '@/utils/modal/useModal';
 import PublicProfileModal from "@/components/profile/PublicProfileModal";
 import ProfilePicture from "@/components/common/ProfilePicture";
+import TimeSlotFilter from "@/components/activities/TimeSlotFilter";
+import { formatSlotLabel } from "@/utils/timeSlots";
+import QuestionnaireAnswers from "@/components/activities/QuestionnaireAnswers";
+import { FILTERABLE_QUESTION_TYPES, answerMatches } from "@/utils/questionnaire";
 
 export default function ReviewApplicationsModal({ isOpen, onClose, activity, onOrganizationDataUpdate }) {
   const { claims, user } = useAuth();
@@ -24,6 +29,8 @@ export default function ReviewApplicationsModal({ isOpen, onClose, activity, onO
   const [npoResponse, setNpoResponse] = useState('');
   const [profileModalOpen, setProfileModalOpen] = useState(false);
   const [selectedUserId, setSelectedUserId] = useState(null);
+  const [selectedSlotId, setSelectedSlotId] = useState(null);
+  const [answerFilter, setAnswerFilter] = useState({ questionId: '', value: '' });
   const wrappedOnClose = useModal(isOpen, onClose, 'review-applications-modal');
 
   const fetchApplications = useCallback(async () => {
@@ -48,9 +55,23 @@ export default function ReviewApplicationsModal({ isOpen, onClose, activity, onO
       setShowConfirmation(false);
       setConfirmationData(null);
       setNpoResponse('');
+      setSelectedSlotId(null);
+      setAnswerFilter({ questionId: '', value: '' });
     }
   }, [isOpen, activity?.id, fetchApplications]);
 
+  const timeSlots = activity?.time_slots || [];
+  const questionnaire = activity?.questionnaire || [];
+  const filterableQuestions = questionnaire.filter((q) => FILTERABLE_QUESTION_TYPES.includes(q.type));
+  const filterQuestion = filterableQuestions.find((q) => q.id === answerFilter.questionId);
+  const visibleApplications = applications.filter((application) => {
+    if (selectedSlotId && !(application.slot_ids || []).includes(selectedSlotId)) return false;
+    if (filterQuestion && answerFilter.value) {
+      return answerMatches(filterQuestion, application.answers?.[filterQuestion.id], answerFilter.value);
+    }
+    return true;
+  });
+
   const handleApplicationActionClick = (application, status) => {
     setConfirmationData({
       application,
@@ -116,7 +137,7 @@ export default function ReviewApplicationsModal({ isOpen, onClose, activity, onO
   const wrappedConfirmationOnClose = useModal(showConfirmation, handleCancelAction, 'review-confirmation-modal');
 
 
-  const getStatusBadge = (status) => {
+  const getStatusBadge = (status, waitlistPosition = null) => {
     switch (status) {
       case 'accepted':
         return <Badge color="success" icon={HiCheck}>{tStatus('statusAccepted') || 'Accepted'}</Badge>;
@@ -124,6 +145,20 @@ export default function ReviewApplicationsModal({ isOpen, onClose, activity, onO
         return <Badge color="failure" icon={HiX}>{tStatus('statusRejected') || 'Rejected'}</Badge>;
       case 'cancelled':
         return <Badge color="gray" icon={HiX}>{tStatus('statusCancelled') || 'Cancelled'}</Badge>;
+      case 'waitlisted':
+        return (
+          <Badge color="purple" icon={HiQueueList}>
+            {waitlistPosition
+              ? tStatus('statusWaitlistedPosition', { position: waitlistPosition })
+              : tStatus('statusWaitlisted')}
+          </Badge>
+        );
+      case 'offered':
+        return <Badge color="info" icon={HiClock}>{tStatus('statusOffered')}</Badge>;
+      case 'offer_expired':
+        return <Badge color="gray" icon={HiX}>{tStatus('statusOfferExpired')}</Badge>;
+      case 'expired':
+        return <Badge color="gray" icon={HiClock}>{tStatus('statusExpired')}</Badge>;
       default:
         return <Badge color="warning" icon={HiClock}>{tStatus('statusPending') || 'Pending'}</Badge>;
     }
@@ -153,7 +188,54 @@ export default function ReviewApplicationsModal({ isOpen, onClose, activity, onO
           </div>
         ) : (
           <div className="space-y-4 max-h-96 overflow-y-auto">
-            {applications.map((application) => (
+            {/* Per-slot rosters (accepted / capacity) */}
+            <TimeSlotFilter
+              timeSlots={timeSlots}
+              items={applications}
+              isCounted={(application) => application.status === 'accepted'}
+              selectedSlotId={selectedSlotId}
+              onSelect={setSelectedSlotId}
+            />
+            {/* Filter applicants by questionnaire answer */}
+            {filterableQuestions.length > 0 && (
+              <div className="flex flex-col sm:flex-row gap-2">
+                <Select
+                  sizing="sm"
+                  value={answerFilter.questionId}
+                  onChange={(e) => setAnswerFilter({ questionId: e.target.value, value: '' })}
+                  aria-label={t('filterByAnswer')}
+                  className="sm:flex-1"
+                >
+                  <option value="">{t('filterByAnswer')}</option>
+                  {filterableQuestions.map((question) => (
+                    <option key={question.id} value={question.id}>{question.label}</option>
+                  ))}
+                </Select>
+                {filterQuestion && (
+                  <Select
+                    sizing="sm"
+                    value={answerFilter.value}
+                    onChange={(e) => setAnswerFilter((prev) => ({ ...prev, value: e.target.value }))}
+                    aria-label={t('filterAnswerValue')}
+                    className="sm:flex-1"
+                  >
+                    <option value="">{t('filterAnyAnswer')}</option>
+                    {(filterQuestion.type === 'yes_no'
+                      ? [{ value: 'yes', label: t('answerYes') }, { value: 'no', label: t('answerNo') }]
+                      : filterQuestion.options.map((option) => ({ value: option, label: option }))
+                    ).map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Select>
+                )}
+              </div>
+            )}
+            {visibleApplications.length === 0 && (
+              <p className="text-sm text-center text-text-secondary dark:text-text-secondary py-4">
+                {t('noApplicationsMatchFilter')}
+              </p>
+            )}
+            {visibleApplications.map((application) => (
               <div 
                 key={application.id} 
                 className="border border-border-light dark:border-border-dark rounded-lg hover:bg-background-hover dark:hover:bg-background-hover transition-colors bg-background-card dark:bg-background-card"
@@ -201,10 +283,19 @@ export default function ReviewApplicationsModal({ isOpen, onClose, activity, onO
                         <p className="text-xs text-text-tertiary dark:text-text-tertiary">
                           {formatDate(application.created_at)}
                         </p>
+                        {application.slot_ids?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {timeSlots
+                              .filter((slot) => application.slot_ids.includes(slot.id))
+                              .map((slot) => (
+                                <Badge key={slot.id} color="info" size="xs">{formatSlotLabel(slot)}</Badge>
+                              ))}
+                          </div>
+                        )}
                       </div>
                     </div>
                     <div className="flex-shrink-0">
-                      {getStatusBadge(application.status)}
+                      {getStatusBadge(application.status, application.waitlist_position)}
                     </div>
                   </div>
 
@@ -226,8 +317,25 @@ export default function ReviewApplicationsModal({ isOpen, onClose, activity, onO
                     )}
                   </div>
 
-                  {/* Action buttons for pending applications */}
-                  {application.status === 'pending' && (
+                  {/* Questionnaire answers */}
+                  {application.answers && questionnaire.length > 0 && (
+                    <div className="mb-3">
+                      <QuestionnaireAnswers questions={questionnaire} answers={application.answers} />
+                    </div>
+                  )}
+
+                  {/* Requirements the volunteer did not meet when applying ('warn' mode) */}
+                  {application.unmet_requirements?.length > 0 && (
+                    <div className="mb-3 p-2 rounded bg-semantic-warning-50 dark:bg-semantic-warning-900/30 border border-semantic-warning-200 dark:border-semantic-warning-800">
+                      <p className="text-xs text-semantic-warning-800 dark:text-semantic-warning-200">
+                        <span className="font-medium">{t('unmetRequirements')}:</span>{' '}
+                        {application.unmet_requirements.map((code) => t(`unmetRequirement.${code}`)).join(', ')}
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Action buttons for pending and waitlisted applications */}
+                  {(application.status === 'pending' || application.status === 'waitlisted') && (
                     <div className="flex flex-col sm:flex-row gap-2 pt-2 border-t border-border-light dark:border-border-dark">
                       <Button
                         size="sm"
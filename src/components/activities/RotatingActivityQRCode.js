@@ -0,0 +1,143 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import dynamic from 'next/dynamic';
+import { Button, Spinner } from 'flowbite-react';
+import { HiArrowsExpand, HiRefresh } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useQuery } from '@tanstack/react-query';
+import { fetchActivityQRSecret, computeRotatingToken } from '@/utils/qrTokens';
+
+// Dynamically import QRCode to avoid SSR issues
+const QRCode = dynamic(
+  () => import('react-qr-code').then((mod) => mod.QRCode || mod.default),
+  { ssr: false }
+);
+
+/**
+ * RotatingActivityQRCode Component
+ * Validation QR code for activities in 'rotating' QR mode: shown on the NPO's
+ * device and refreshed every period, so a photo of it cannot be reused later.
+ * @param {Object} props
+ * @param {string} props.activityId - Activity ID
+ * @param {string} props.title - Activity title
+ * @param {'check_in'|'check_out'} props.scan - Arrival (default) or departure code
+ * @param {number} props.size - QR code size (default: 256)
+ */
+export default function RotatingActivityQRCode({ activityId, title, scan = 'check_in', size = 256 }) {
+  const t = useTranslations('ActivityQRCode');
+  const containerRef = useRef(null);
+  const [code, setCode] = useState(null); // { token, step, scan }
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  const { data: secretData, isLoading, isError, refetch } = useQuery({
+    queryKey: ['activityQRSecret', activityId],
+    queryFn: async () => {
+      const data = await fetchActivityQRSecret(activityId);
+      // Difference between the server clock and this device's clock
+      return { ...data, clockOffsetMs: data.serverTime - Date.now() };
+    },
+    enabled: !!activityId,
+    staleTime: Infinity,
+  });
+
+  const secret = scan === 'check_out' ? secretData?.checkOutSecret : secretData?.secret;
+  const period = secretData?.period;
+  const clockOffsetMs = secretData?.clockOffsetMs;
+
+  useEffect(() => {
+    if (!secret) return undefined;
+    let cancelled = false;
+    let currentStep = null;
+
+    const tick = async () => {
+      const nowSeconds = (Date.now() + clockOffsetMs) / 1000;
+      const step = Math.floor(nowSeconds / period);
+      setSecondsLeft(Math.ceil(period - (nowSeconds % period)));
+      if (step === currentStep) return;
+      currentStep = step;
+      const token = await computeRotatingToken(secret, step);
+      if (!cancelled) setCode({ token, step, scan });
+    };
+
+    const interval = setInterval(tick, 1000);
+    const firstTick = setTimeout(tick, 0);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      clearTimeout(firstTick);
+    };
+  }, [secret, scan, period, clockOffsetMs]);
+
+  const handleFullscreen = () => {
+    containerRef.current?.requestFullscreen?.().catch(() => {});
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center p-6">
+        <Spinner size="xl" />
+      </div>
+    );
+  }
+
+  if (isError || !secret) {
+    return (
+      <div className="p-4 text-center space-y-3">
+        <p className="text-sm text-semantic-error-600 dark:text-semantic-error-400">{t('rotatingLoadError')}</p>
+        <Button size="sm" color="gray" onClick={() => refetch()} className="mx-auto">
+          <HiRefresh className="mr-2 h-4 w-4" />
+          {t('retry')}
+        </Button>
+      </div>
+    );
+  }
+
+  const baseUrl = typeof window !== 'undefined' ? window.location.origin : '';
+  // Wait for the new code after switching between arrival and departure
+  const validationUrl = code?.scan === scan ? `${baseUrl}/validate-activity?activityId=${activityId}&token=${code.token}` : null;
+
+  return (
+    <div
+      ref={containerRef}
+      className="flex flex-col items-center justify-center p-6 bg-background-card dark:bg-background-card rounded-lg"
+    >
+      <div className="mb-4 text-center">
+        <h3 className="text-lg font-semibold text-text-primary dark:text-text-primary mb-2">{title}</h3>
+        <p className="text-sm text-text-secondary dark:text-text-secondary">
+          {t(scan === 'check_out' ? 'checkOutHint' : 'rotatingHint')}
+        </p>
+      </div>
+
+      <div className="mb-4 p-4 bg-white border-2 border-border-light dark:border-[#475569] rounded-lg flex justify-center">
+        {validationUrl && QRCode ? (
+          <QRCode
+            value={validationUrl}
+            size={size}
+            level="M"
+            style={{ height: 'auto', maxWidth: '100%', width: '100%' }}
+            viewBox={`0 0 ${size} ${size}`}
+          />
+        ) : (
+          <Spinner size="xl" />
+        )}
+      </div>
+
+      {secondsLeft != null && (
+        <p className="mb-4 text-sm font-medium text-text-primary dark:text-text-primary">
+          {t('refreshesIn', { seconds: secondsLeft })}
+        </p>
+      )}
+
+      <Button
+        size="sm"
+        color="gray"
+        onClick={handleFullscreen}
+        className="bg-neutral-200 dark:bg-neutral-700 text-neutral-700 dark:text-neutral-200 hover:bg-neutral-300 dark:hover:bg-neutral-600"
+      >
+        <HiArrowsExpand className="mr-2 h-4 w-4" />
+        {t('fullscreen')}
+      </Button>
+    </div>
+  );
+}
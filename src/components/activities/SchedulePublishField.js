@@ -0,0 +1,75 @@
+'use client';
+
+import { useState } from 'react';
+import { Button, Label, TextInput } from 'flowbite-react';
+import { useTranslations } from 'next-intl';
+import { HiClock } from 'react-icons/hi2';
+import { convertTimestampToDate } from '@/utils/dateUtils';
+import { toDateTimeLocalValue } from '@/utils/activityLifecycle';
+
+/**
+ * SchedulePublishField Component
+ * Picks the date and time at which a draft is published automatically
+ * (see utils/activityLifecycle.js).
+ *
+ * @param {Function} onSchedule - Called with the chosen Date
+ * @param {*} publishAt - Currently scheduled publish time, if any
+ * @param {boolean} isUpdating - Disables the controls while saving
+ */
+export default function SchedulePublishField({ onSchedule, publishAt = null, isUpdating = false }) {
+  const t = useTranslations('SchedulePublish');
+  const scheduledDate = convertTimestampToDate(publishAt);
+  const [value, setValue] = useState(scheduledDate ? toDateTimeLocalValue(scheduledDate) : '');
+  const [isInPast, setIsInPast] = useState(false);
+
+  const handleSchedule = () => {
+    const selectedDate = new Date(value);
+    if (selectedDate.getTime() <= Date.now()) {
+      setIsInPast(true);
+      return;
+    }
+    onSchedule(selectedDate);
+  };
+
+  return (
+    <div className="space-y-2 p-4 rounded-lg border border-border-light dark:border-border-dark">
+      <div className="flex items-center gap-2">
+        <HiClock className="h-5 w-5 text-text-secondary dark:text-text-secondary" />
+        <Label htmlFor="publish-at" className="text-sm font-medium text-text-primary dark:text-text-primary">
+          {t('title')}
+        </Label>
+      </div>
+      {scheduledDate && (
+        <p className="text-xs text-text-secondary dark:text-text-secondary">
+          {t('scheduledFor', { date: scheduledDate.toLocaleString() })}
+        </p>
+      )}
+      <div className="flex flex-col sm:flex-row gap-2">
+        <TextInput
+          id="publish-at"
+          type="datetime-local"
+          value={value}
+          min={toDateTimeLocalValue(new Date())}
+          onChange={(e) => {
+            setValue(e.target.value);
+            setIsInPast(false);
+          }}
+          className="flex-1"
+        />
+        <Button
+          color="light"
+          onClick={handleSchedule}
+          disabled={!value || isUpdating}
+          className="min-h-[44px]"
+        >
+          {t('schedule')}
+        </Button>
+      </div>
+      {isInPast && (
+        <p className="text-xs text-semantic-error-600 dark:text-semantic-error-400" role="alert">
+          {t('inPast')}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+'use client';
+
+import { useState } from 'react';
+import { Modal, Button, Radio, Label } from 'flowbite-react';
+import { HiRefresh } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useModal } from '@/utils/modal/useModal';
+
+const SCOPES = ['this', 'following', 'all'];
+
+/**
+ * SeriesEditScopeModal Component
+ * Asks which occurrences of a recurring series an edit applies to:
+ * this occurrence, this and following occurrences, or the whole series.
+ */
+export default function SeriesEditScopeModal({
+  isOpen,
+  onClose,
+  onConfirm,
+  isSaving = false,
+}) {
+  const t = useTranslations('SeriesEditScopeModal');
+  const [scope, setScope] = useState('this');
+  const wrappedOnClose = useModal(isOpen, onClose, 'series-edit-scope-modal');
+
+  return (
+    <Modal show={isOpen} onClose={wrappedOnClose} size="md">
+      <div className="flex items-center gap-2 p-4 border-b border-gray-200 dark:border-gray-600 text-gray-900 dark:text-white font-semibold">
+        <HiRefresh className="h-5 w-5 text-blue-500" />
+        {t('title')}
+      </div>
+
+      <div className="p-6 space-y-3">
+        <p className="text-sm text-gray-600 dark:text-gray-400">{t('question')}</p>
+        {SCOPES.map((option) => (
+          <div
+            key={option}
+            className={`flex items-start gap-3 p-3 rounded-lg border-2 cursor-pointer transition-colors ${
+              scope === option
+                ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30'
+                : 'border-gray-200 dark:border-gray-700'
+            }`}
+            onClick={() => setScope(option)}
+          >
+            <Radio
+              id={`series-scope-${option}`}
+              name="series_scope"
+              value={option}
+              checked={scope === option}
+              onChange={() => setScope(option)}
+              className="mt-1"
+            />
+            <div>
+              <Label htmlFor={`series-scope-${option}`} className="font-medium cursor-pointer dark:text-gray-200">
+                {t(`scope-${option}`)}
+              </Label>
+              <p className="text-xs text-gray-500 dark:text-gray-400">{t(`scope-${option}-desc`)}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end gap-3 p-6 border-t border-gray-200 dark:border-gray-600">
+        <Button color="gray" onClick={wrappedOnClose} disabled={isSaving}>
+          {t('cancel')}
+        </Button>
+        <Button onClick={() => onConfirm?.(scope)} disabled={isSaving}>
+          {isSaving ? t('saving') : t('save')}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
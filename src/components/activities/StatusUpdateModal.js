@@ -1,36 +1,102 @@
 'use client';
 import React, { useState, useEffect } from 'react';
-import { Modal, Button } from 'flowbite-react';
+import { Modal, Button, Label, Textarea } from 'flowbite-react';
 import { useTranslations } from 'next-intl';
 import { useTheme } from '@/utils/theme/ThemeContext';
 import { useModal } from '@/utils/modal/useModal';
 import {
-  HiDocument, HiCheckCircle, HiGlobeAlt
+  HiDocument, HiCheckCircle, HiGlobeAlt, HiBan
 } from 'react-icons/hi';
+import SchedulePublishField from './SchedulePublishField';
 
 export default function StatusUpdateModal({
   isOpen,
   onClose,
   currentStatus,
   onStatusUpdate,
+  onSchedulePublish,
+  publishAt = null,
   isUpdating = false
 }) {
   const t = useTranslations('StatusUpdateModal');
   const { isDark } = useTheme();
   const wrappedOnClose = useModal(isOpen, onClose, 'status-update-modal');
+  const [showCancelForm, setShowCancelForm] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
   
-  const handleStatusChange = (newStatus) => {
+  const handleStatusChange = (newStatus, details) => {
     if (onStatusUpdate) {
-      onStatusUpdate(newStatus);
+      onStatusUpdate(newStatus, details);
     } else {
       console.error('StatusUpdateModal: onStatusUpdate callback is not provided');
     }
   };
 
+  const resetCancelForm = () => {
+    setShowCancelForm(false);
+    setCancelReason('');
+  };
+
   const handleClose = () => {
+    resetCancelForm();
     wrappedOnClose();
   };
 
+  // Cancelled: handlers receive the reason as details ({ reason })
+  const handleConfirmCancel = () => {
+    const reason = cancelReason.trim();
+    if (!reason) return;
+    handleStatusChange('Cancelled', { reason });
+    resetCancelForm();
+  };
+
+  const renderCancelSection = () => {
+    if (!showCancelForm) {
+      return (
+        <Button
+          color="failure"
+          outline
+          onClick={() => setShowCancelForm(true)}
+          disabled={isUpdating}
+          className="w-full"
+        >
+          <HiBan className="mr-2 h-5 w-5" />
+          {t('cancelActivity')}
+        </Button>
+      );
+    }
+
+    return (
+      <div className="space-y-3 rounded-lg border border-semantic-error-200 dark:border-semantic-error-800 bg-semantic-error-50 dark:bg-semantic-error-900/20 p-4">
+        <p className="text-sm text-semantic-error-700 dark:text-semantic-error-300">
+          {t('cancelActivityDescription')}
+        </p>
+        <div>
+          <Label htmlFor="cancel-reason" className="text-sm font-medium text-text-primary dark:text-text-primary">
+            {t('cancelReasonLabel')}
+          </Label>
+          <Textarea
+            id="cancel-reason"
+            rows={3}
+            value={cancelReason}
+            onChange={(e) => setCancelReason(e.target.value)}
+            placeholder={t('cancelReasonPlaceholder')}
+            className="mt-1"
+            required
+          />
+        </div>
+        <div className="flex flex-col sm:flex-row justify-end gap-2">
+          <Button color="gray" onClick={resetCancelForm} disabled={isUpdating}>
+            {t('keepActivity')}
+          </Button>
+          <Button color="failure" onClick={handleConfirmCancel} disabled={isUpdating || !cancelReason.trim()}>
+            {t('confirmCancel')}
+          </Button>
+        </div>
+      </div>
+    );
+  };
+
   // Determine which buttons to show based on current status
   const getStatusButtons = () => {
     const status = currentStatus || 'Draft';
@@ -51,17 +117,28 @@ export default function StatusUpdateModal({
               <span className="text-sm text-white text-center">{t('publishDescription', { default: 'Make activity available to volunteers' })}</span>
             </div>
           </Button>
+          {onSchedulePublish && (
+            <SchedulePublishField onSchedule={onSchedulePublish} publishAt={publishAt} isUpdating={isUpdating} />
+          )}
         </div>
       );
-    } else if (status === 'Open') {
-      // Open: Show Close and Revert to Draft buttons
+    } else if (status === 'Ended') {
+      // Ended: past its end date, waiting for the NPO to close it out
       return (
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-4">
+          <div className="rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 p-4">
+            <p className="text-sm font-medium text-amber-800 dark:text-amber-200">
+              {t('endedTitle')}
+            </p>
+            <p className="text-sm text-amber-700 dark:text-amber-300 mt-2">
+              {t('endedMessage')}
+            </p>
+          </div>
           <Button
             color="purple"
             onClick={() => handleStatusChange('Closed')}
             disabled={isUpdating}
-            className="h-auto py-6 px-4 bg-semantic-success-600 hover:bg-semantic-success-700 dark:bg-semantic-success-500 dark:hover:bg-semantic-success-600 text-white"
+            className="w-full h-auto py-6 px-4 bg-semantic-success-600 hover:bg-semantic-success-700 dark:bg-semantic-success-500 dark:hover:bg-semantic-success-600 text-white"
           >
             <div className="flex flex-col items-center justify-center w-full">
               <HiCheckCircle className="h-6 w-6 mb-3 text-white" />
@@ -69,18 +146,39 @@ export default function StatusUpdateModal({
               <span className="text-sm text-white/90 text-center">{t('closeDescription', { default: 'Complete and close activity' })}</span>
             </div>
           </Button>
-          <Button
-            color="gray"
-            onClick={() => handleStatusChange('Draft')}
-            disabled={isUpdating}
-            className="h-auto py-6 px-4 bg-neutral-200 hover:bg-neutral-300 dark:bg-neutral-700 dark:hover:bg-neutral-600 text-neutral-700 dark:text-neutral-200"
-          >
-            <div className="flex flex-col items-center justify-center w-full">
-              <HiDocument className="h-6 w-6 mb-3 text-neutral-700 dark:text-neutral-200" />
-              <span className="font-medium text-base mb-2 text-neutral-700 dark:text-neutral-200">{t('revertToDraft', { default: 'Revert to Draft' })}</span>
-              <span className="text-sm text-neutral-600 dark:text-neutral-300 text-center">{t('revertDescription', { default: 'Save for editing later' })}</span>
-            </div>
-          </Button>
+        </div>
+      );
+    } else if (status === 'Open') {
+      // Open: Show Close and Revert to Draft buttons, plus Cancel (with a reason)
+      return (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Button
+              color="purple"
+              onClick={() => handleStatusChange('Closed')}
+              disabled={isUpdating}
+              className="h-auto py-6 px-4 bg-semantic-success-600 hover:bg-semantic-success-700 dark:bg-semantic-success-500 dark:hover:bg-semantic-success-600 text-white"
+            >
+              <div className="flex flex-col items-center justify-center w-full">
+                <HiCheckCircle className="h-6 w-6 mb-3 text-white" />
+                <span className="font-medium text-base mb-2 text-white">{t('close', { default: 'Close' })}</span>
+                <span className="text-sm text-white/90 text-center">{t('closeDescription', { default: 'Complete and close activity' })}</span>
+              </div>
+            </Button>
+            <Button
+              color="gray"
+              onClick={() => handleStatusChange('Draft')}
+              disabled={isUpdating}
+              className="h-auto py-6 px-4 bg-neutral-200 hover:bg-neutral-300 dark:bg-neutral-700 dark:hover:bg-neutral-600 text-neutral-700 dark:text-neutral-200"
+            >
+              <div className="flex flex-col items-center justify-center w-full">
+                <HiDocument className="h-6 w-6 mb-3 text-neutral-700 dark:text-neutral-200" />
+                <span className="font-medium text-base mb-2 text-neutral-700 dark:text-neutral-200">{t('revertToDraft', { default: 'Revert to Draft' })}</span>
+                <span className="text-sm text-neutral-600 dark:text-neutral-300 text-center">{t('revertDescription', { default: 'Save for editing later' })}</span>
+              </div>
+            </Button>
+          </div>
+          {renderCancelSection()}
         </div>
       );
     } else if (status === 'Closed') {
@@ -95,6 +193,18 @@ export default function StatusUpdateModal({
           </p>
         </div>
       );
+    } else if (status === 'Cancelled') {
+      // Cancelled: final, applicants have been notified
+      return (
+        <div className="rounded-lg bg-semantic-error-50 dark:bg-semantic-error-900/20 border border-semantic-error-200 dark:border-semantic-error-800 p-4">
+          <p className="text-sm font-medium text-semantic-error-800 dark:text-semantic-error-200">
+            {t('cancelledTitle')}
+          </p>
+          <p className="text-sm text-semantic-error-700 dark:text-semantic-error-300 mt-2">
+            {t('cancelledMessage')}
+          </p>
+        </div>
+      );
     }
     
     return null;
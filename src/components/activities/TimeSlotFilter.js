@@ -0,0 +1,64 @@
+'use client';
+
+import { useTranslations } from 'next-intl';
+import { HiClock } from 'react-icons/hi2';
+import { formatSlotLabel, sortTimeSlots } from '@/utils/timeSlots';
+
+/**
+ * TimeSlotFilter Component
+ * Row of slot pills used to show the roster of a single time slot.
+ * Each pill shows how many people are in the slot (and its capacity when set).
+ *
+ * @param {Array} timeSlots - Activity time_slots
+ * @param {Array} items - Roster entries carrying `slot_ids`
+ * @param {Function} isCounted - Which entries count towards the slot total
+ * @param {string|null} selectedSlotId - Selected slot (null for all)
+ * @param {Function} onSelect - Called with the slot ID (or null)
+ */
+export default function TimeSlotFilter({
+  timeSlots,
+  items,
+  isCounted = () => true,
+  selectedSlotId,
+  onSelect,
+}) {
+  const t = useTranslations('MyNonProfit');
+  const slots = sortTimeSlots(timeSlots);
+  if (slots.length === 0) return null;
+
+  const pillClass = (selected) => `min-h-[36px] px-3 rounded-full border text-xs sm:text-sm font-medium transition-colors touch-manipulation ${
+    selected
+      ? 'border-blue-500 bg-blue-500 text-white'
+      : 'border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:border-blue-300'
+  }`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <HiClock className="h-4 w-4 text-gray-500 dark:text-gray-400" aria-hidden="true" />
+      <button
+        type="button"
+        onClick={() => onSelect(null)}
+        aria-pressed={!selectedSlotId}
+        className={pillClass(!selectedSlotId)}
+      >
+        {t('allSlots')}
+      </button>
+      {slots.map((slot) => {
+        const count = items.filter(
+          (item) => (item.slot_ids || []).includes(slot.id) && isCounted(item)
+        ).length;
+        return (
+          <button
+            key={slot.id}
+            type="button"
+            onClick={() => onSelect(slot.id)}
+            aria-pressed={selectedSlotId === slot.id}
+            className={pillClass(selectedSlotId === slot.id)}
+          >
+            {formatSlotLabel(slot)} · {slot.capacity ? `${count}/${slot.capacity}` : count}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
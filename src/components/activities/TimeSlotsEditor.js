@@ -0,0 +1,116 @@
+'use client';
+
+import { Button, Label, TextInput } from 'flowbite-react';
+import { useTranslations } from 'next-intl';
+import { HiPlus, HiTrash } from 'react-icons/hi';
+import { HiClock } from 'react-icons/hi2';
+import { createTimeSlot, isTimeSlotValid, applyTimeSlotsEnvelope } from '@/utils/timeSlots';
+
+/**
+ * TimeSlotsEditor Component
+ * Lets an NPO split a local activity or event into several time slots,
+ * each with its own capacity (e.g. 10 people 9–12 and 6 people 13–16).
+ * The activity start/end time and participant target follow the slots.
+ */
+export default function TimeSlotsEditor({ formData, setFormData }) {
+  const t = useTranslations('ManageActivities');
+  const slots = formData.time_slots || [];
+
+  const updateSlots = (nextSlots) => {
+    setFormData((prev) => applyTimeSlotsEnvelope({ ...prev, time_slots: nextSlots }));
+  };
+
+  const updateSlot = (slotId, changes) => {
+    updateSlots(slots.map((slot) => (slot.id === slotId ? { ...slot, ...changes } : slot)));
+  };
+
+  const addSlot = () => {
+    // Start the new slot where the previous one ended
+    const previous = slots[slots.length - 1];
+    updateSlots([...slots, createTimeSlot(previous?.end_time || formData.start_time || '', '')]);
+  };
+
+  const removeSlot = (slotId) => {
+    updateSlots(slots.filter((slot) => slot.id !== slotId));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 flex items-center gap-2">
+          <HiClock className="h-4 w-4" />
+          {t('time-slots-title')}
+        </h3>
+        <p className="text-xs text-gray-500 dark:text-gray-400">{t('time-slots-description')}</p>
+      </div>
+
+      {slots.map((slot, index) => (
+        <div
+          key={slot.id}
+          className="grid grid-cols-2 sm:grid-cols-[1fr_1fr_1fr_auto] gap-3 items-end p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+        >
+          <div className="space-y-1">
+            <Label htmlFor={`slot-start-${slot.id}`} className="text-xs text-gray-600 dark:text-gray-400">
+              {t('slot-label', { number: index + 1 })} · {t('start_time')}
+            </Label>
+            <input
+              type="time"
+              id={`slot-start-${slot.id}`}
+              value={slot.start_time || ''}
+              onChange={(e) => updateSlot(slot.id, { start_time: e.target.value })}
+              className="w-full min-h-[44px] rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white px-3 py-2 text-base"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor={`slot-end-${slot.id}`} className="text-xs text-gray-600 dark:text-gray-400">
+              {t('end_time')}
+            </Label>
+            <input
+              type="time"
+              id={`slot-end-${slot.id}`}
+              value={slot.end_time || ''}
+              onChange={(e) => updateSlot(slot.id, { end_time: e.target.value })}
+              className="w-full min-h-[44px] rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white px-3 py-2 text-base"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor={`slot-capacity-${slot.id}`} className="text-xs text-gray-600 dark:text-gray-400">
+              {t('slot-capacity')}
+            </Label>
+            <TextInput
+              id={`slot-capacity-${slot.id}`}
+              type="number"
+              min="1"
+              value={slot.capacity ?? ''}
+              onChange={(e) => {
+                const value = e.target.value === '' ? null : parseInt(e.target.value, 10);
+                if (value === null || (!isNaN(value) && value > 0)) {
+                  updateSlot(slot.id, { capacity: value });
+                }
+              }}
+            />
+          </div>
+          <Button
+            color="light"
+            size="sm"
+            onClick={() => removeSlot(slot.id)}
+            aria-label={t('slot-remove')}
+            className="min-h-[44px]"
+          >
+            <HiTrash className="h-4 w-4" />
+          </Button>
+          {!isTimeSlotValid(slot) && (slot.start_time || slot.end_time) && (
+            <p className="col-span-full text-xs text-red-600 dark:text-red-400" role="alert">
+              {t('slot-invalid')}
+            </p>
+          )}
+        </div>
+      ))}
+
+      <Button color="light" size="sm" onClick={addSlot}>
+        <HiPlus className="h-4 w-4 mr-1" />
+        {t('slot-add')}
+      </Button>
+    </div>
+  );
+}
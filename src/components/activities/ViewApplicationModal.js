@@ -2,8 +2,11 @@
 
 import { Modal, Button, Badge } from "flowbite-react";
 import { HiCheck, HiX, HiClock, HiTrash, HiDocumentText } from "react-icons/hi";
-import { useState } from "react";
+import { HiQueueList } from "react-icons/hi2";
+import { useEffect, useState } from "react";
 import { updateApplicationStatus } from "@/utils/crudApplications";
+import { fetchActivityById } from "@/utils/crudActivities";
+import QuestionnaireAnswers from "@/components/activities/QuestionnaireAnswers";
 import { formatDate } from "@/utils/dateUtils";
 import { useTranslations } from "next-intl";
 import { useTheme } from '@/utils/theme/ThemeContext';
@@ -15,10 +18,20 @@ export default function ViewApplicationModal({ isOpen, onClose, application, act
   const [isCancelling, setIsCancelling] = useState(false);
   const [showCancelConfirm, setShowCancelConfirm] = useState(false);
   const [cancelMessage, setCancelMessage] = useState('');
+  const [questionnaire, setQuestionnaire] = useState([]);
   const wrappedOnClose = useModal(isOpen, onClose, 'view-application-modal');
   const wrappedCancelConfirmOnClose = useModal(showCancelConfirm, () => setShowCancelConfirm(false), 'cancel-confirm-modal');
 
-  const getStatusBadge = (status) => {
+  // Questions live on the activity; load them to label the stored answers
+  const hasAnswers = !!application?.answers && Object.keys(application.answers).length > 0;
+  useEffect(() => {
+    if (!isOpen || !activityId || !hasAnswers) return;
+    fetchActivityById(activityId)
+      .then((activity) => setQuestionnaire(activity?.questionnaire || []))
+      .catch((error) => console.error('Error fetching activity questionnaire:', error));
+  }, [isOpen, activityId, hasAnswers]);
+
+  const getStatusBadge = (status, waitlistPosition = null) => {
     switch (status) {
       case 'accepted':
         return <Badge color="success" icon={HiCheck}>{t('statusAccepted') || 'Accepted'}</Badge>;
@@ -26,6 +39,20 @@ export default function ViewApplicationModal({ isOpen, onClose, application, act
         return <Badge color="failure" icon={HiX}>{t('statusRejected') || 'Rejected'}</Badge>;
       case 'cancelled':
         return <Badge color="gray" icon={HiX}>{t('statusCancelled') || 'Cancelled'}</Badge>;
+      case 'waitlisted':
+        return (
+          <Badge color="purple" icon={HiQueueList}>
+            {waitlistPosition
+              ? t('statusWaitlistedPosition', { position: waitlistPosition })
+              : t('statusWaitlisted')}
+          </Badge>
+        );
+      case 'offered':
+        return <Badge color="info" icon={HiClock}>{t('statusOffered')}</Badge>;
+      case 'offer_expired':
+        return <Badge color="gray" icon={HiX}>{t('statusOfferExpired')}</Badge>;
+      case 'expired':
+        return <Badge color="gray" icon={HiClock}>{t('statusExpired')}</Badge>;
       default:
         return <Badge color="warning" icon={HiClock}>{t('statusPending') || 'Pending'}</Badge>;
     }
@@ -81,7 +108,7 @@ export default function ViewApplicationModal({ isOpen, onClose, application, act
               <span className="text-sm font-medium text-text-primary dark:text-text-primary">
                 {t('status') || 'Status'}:
               </span>
-              {getStatusBadge(application.status)}
+              {getStatusBadge(application.status, application.waitlist_position)}
             </div>
 
             {/* Application Date */}
@@ -108,6 +135,13 @@ export default function ViewApplicationModal({ isOpen, onClose, application, act
               </div>
             </div>
 
+            {/* Questionnaire answers */}
+            {hasAnswers && questionnaire.length > 0 && (
+              <div className="pb-4 border-b-2 border-border-light dark:border-[#475569]">
+                <QuestionnaireAnswers questions={questionnaire} answers={application.answers} />
+              </div>
+            )}
+
             {/* NPO Response */}
             {application.npo_response && (
               <div className="pb-4 border-b-2 border-border-light dark:border-[#475569]">
@@ -122,8 +156,8 @@ export default function ViewApplicationModal({ isOpen, onClose, application, act
               </div>
             )}
 
-            {/* Cancel Button - Only show if pending */}
-            {application.status === 'pending' && (
+            {/* Cancel Button - Only show if pending or waitlisted */}
+            {(application.status === 'pending' || application.status === 'waitlisted') && (
               <div className="pt-4 border-t-2 border-border-light dark:border-[#475569]">
                 <Button
                   color="failure"
@@ -0,0 +1,96 @@
+'use client';
+
+import { useState } from 'react';
+import { Button, TextInput } from 'flowbite-react';
+import { HiCalendar, HiClipboardCopy, HiRefresh } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { getCalendarFeedUrl } from '@/utils/calendarFeedService';
+
+/**
+ * CalendarFeedCard Component
+ * Shows the personal calendar feed URL to subscribe to from a calendar app:
+ * a member's accepted activities, or every activity of the NPO's organization.
+ *
+ * @param {'member'|'organization'} scope - Which feed to show
+ */
+export default function CalendarFeedCard({ scope = 'member' }) {
+  const t = useTranslations('CalendarFeed');
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadFeedUrl = async (regenerate = false) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setFeedUrl(await getCalendarFeedUrl(scope, { regenerate }));
+      setCopied(false);
+    } catch (err) {
+      console.error('Error getting calendar feed URL:', err);
+      setError(t('error'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+    } catch (err) {
+      console.error('Error copying calendar feed URL:', err);
+    }
+  };
+
+  return (
+    <div className="w-full bg-background-card dark:bg-background-card rounded-lg shadow-md p-4 sm:p-6 border border-border-light dark:border-border-dark">
+      <h2 className="text-base sm:text-lg font-semibold mb-1 sm:mb-2 text-text-primary dark:text-text-primary flex items-center gap-2">
+        <HiCalendar className="h-5 w-5 text-primary-500" />
+        {t(`${scope}Title`)}
+      </h2>
+      <p className="text-xs sm:text-sm text-text-secondary dark:text-text-secondary mb-3 sm:mb-4">
+        {t(`${scope}Description`)}
+      </p>
+
+      {feedUrl ? (
+        <div className="space-y-3">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <TextInput
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1"
+              aria-label={t(`${scope}Title`)}
+            />
+            <Button color="light" onClick={handleCopy} className="min-h-[44px] whitespace-nowrap">
+              <HiClipboardCopy className="h-4 w-4 mr-2" />
+              {copied ? t('copied') : t('copy')}
+            </Button>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <Button
+              as="a"
+              href={feedUrl.replace(/^https?:/, 'webcal:')}
+              color="blue"
+              size="sm"
+            >
+              {t('subscribe')}
+            </Button>
+            <Button color="light" size="sm" onClick={() => loadFeedUrl(true)} disabled={isLoading}>
+              <HiRefresh className="h-4 w-4 mr-2" />
+              {t('resetLink')}
+            </Button>
+          </div>
+          <p className="text-xs text-text-tertiary dark:text-text-tertiary">{t('privacyNote')}</p>
+        </div>
+      ) : (
+        <Button color="light" onClick={() => loadFeedUrl(false)} disabled={isLoading} className="min-h-[44px] w-full sm:w-auto">
+          {isLoading ? t('loading') : t('showLink')}
+        </Button>
+      )}
+
+      {error && <p className="mt-2 text-sm text-semantic-error-600 dark:text-semantic-error-400">{error}</p>}
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { memo, useCallback, useMemo } from 'react';
 import { Badge } from 'flowbite-react';
 import SortBySelect from '@/components/common/SortBySelect';
 import { HiCheck, HiX, HiClock, HiEye, HiDocumentText } from 'react-icons/hi';
+import { HiQueueList } from 'react-icons/hi2';
 import { useTranslations } from 'next-intl';
 import ActivityCard from '@/components/activities/ActivityCard';
 import ActivityFilters from '@/components/activities/ActivityFilters';
@@ -65,6 +66,30 @@ const ActivitiesSection = memo(function ActivitiesSection({
               {t('statusCancelled') || 'Cancelled'}
             </Badge>
           );
+        case 'waitlisted':
+          return (
+            <Badge color="purple" icon={HiQueueList}>
+              {t('statusWaitlisted')}
+            </Badge>
+          );
+        case 'offered':
+          return (
+            <Badge color="info" icon={HiClock}>
+              {t('statusOffered')}
+            </Badge>
+          );
+        case 'offer_expired':
+          return (
+            <Badge color="gray" icon={HiX}>
+              {t('statusOfferExpired')}
+            </Badge>
+          );
+        case 'expired':
+          return (
+            <Badge color="gray" icon={HiClock}>
+              {t('statusExpired')}
+            </Badge>
+          );
         default:
           return (
             <Badge color="warning" icon={HiClock}>
@@ -198,7 +223,6 @@ const ActivitiesSection = memo(function ActivitiesSection({
                   updated_at={activity.updated_at}
                   city={activity.city}
                   category={activity.category}
-                  qr_code_token={activity.qr_code_token}
                   frequency={activity.frequency}
                   skills={activity.skills}
                   participant_target={activity.participant_target}
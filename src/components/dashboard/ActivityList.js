@@ -47,7 +47,6 @@ const ActivityList = memo(function ActivityList({
             updated_at={activity.updated_at}
             city={activity.city}
             category={activity.category}
-            qr_code_token={activity.qr_code_token}
             frequency={activity.frequency}
             skills={activity.skills}
             participant_target={activity.participant_target}
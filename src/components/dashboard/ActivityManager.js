@@ -163,13 +163,19 @@ const ActivityManager = memo(function ActivityManager({
       onOpenModal('activity-qr-code', {
         activity: selectedActivity,
         activityId: selectedActivity.id,
-        qr_code_token: selectedActivity.qr_code_token,
         title: selectedActivity.title,
         startDate: selectedActivity.start_date,
       });
     }
   }, [selectedActivity, onOpenModal]);
 
+  const handleOpenKiosk = useCallback(() => {
+    if (selectedActivity) {
+      setShowActionOverlay(false);
+      router.push(`/mynonprofit/activities/kiosk?activityId=${selectedActivity.id}`);
+    }
+  }, [selectedActivity, router]);
+
   const handleViewParticipants = useCallback(() => {
     if (selectedActivity) {
       setShowActionOverlay(false);
@@ -208,6 +214,7 @@ const ActivityManager = memo(function ActivityManager({
         onApplications={handleReviewApplications}
         onParticipants={handleViewParticipants}
         onQRCode={handleShowQRCode}
+        onKiosk={handleOpenKiosk}
         labels={{
           changeStatus: t('changeStatus'),
           edit: t('edit'),
@@ -217,6 +224,7 @@ const ActivityManager = memo(function ActivityManager({
           applications: t('applications'),
           viewParticipants: t('viewParticipants') || 'Participants',
           showQRCode: t('showQRCode'),
+          kiosk: t('kiosk'),
         }}
       />
     ),
@@ -229,6 +237,7 @@ const ActivityManager = memo(function ActivityManager({
       handleReviewApplications,
       handleViewParticipants,
       handleShowQRCode,
+      handleOpenKiosk,
       t,
     ]
   );
@@ -1,10 +1,11 @@
 'use client';
 
-import { memo } from 'react';
+import { memo, useState } from 'react';
 import { useTranslations } from 'next-intl';
 import ApplicationCard from '@/components/activities/ApplicationCard';
 import { useDashboardStore } from '@/stores/dashboardStore';
 import { fetchOrganizationById } from '@/utils/crudOrganizations';
+import { respondToWaitlistOffer } from '@/utils/crudApplications';
 
 /**
  * ApplicationsSection Component
@@ -29,6 +30,28 @@ const ApplicationsSection = memo(function ApplicationsSection({
     setShowCancelModal,
     setCancelApplication,
   } = useDashboardStore();
+  const [respondingOfferId, setRespondingOfferId] = useState(null);
+
+  // Confirm or decline a place offered from the waitlist
+  const handleOfferResponse = async (application, accept) => {
+    setRespondingOfferId(application.application_id);
+    try {
+      const result = await respondToWaitlistOffer(
+        application.activity_id,
+        application.application_id,
+        accept,
+        user?.uid
+      );
+      onApplicationUpdated?.(
+        application.application_id,
+        result.success ? result.application.status : application.status
+      );
+    } catch (error) {
+      console.error('Error responding to waitlist offer:', error);
+    } finally {
+      setRespondingOfferId(null);
+    }
+  };
 
   const handleCancelClick = (application, activity) => {
     setCancelApplication({ application, activity });
@@ -85,6 +108,9 @@ const ApplicationsSection = memo(function ApplicationsSection({
                 setShowActivityModal(true);
               }}
               onCancelClick={() => handleCancelClick(applicationData, activity)}
+              onConfirmOfferClick={() => handleOfferResponse(applicationData, true)}
+              onDeclineOfferClick={() => handleOfferResponse(applicationData, false)}
+              isProcessing={respondingOfferId === applicationData.application_id}
               onMemberAvatarClick={() => {
                 setSelectedProfileUserId(user?.uid);
                 setShowProfileModal(true);
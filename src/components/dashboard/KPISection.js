@@ -4,6 +4,7 @@ import { HiUsers, HiOfficeBuilding, HiCalendar, HiViewGrid, HiLockClosed } from
 import { MdOutlineSocialDistance } from 'react-icons/md';
 import { useTranslations } from 'next-intl';
 import { memo } from 'react';
+import { getAverageResponseHours } from '@/utils/applicationSla';
 
 /**
  * KPISection Component
@@ -12,6 +13,9 @@ import { memo } from 'react';
 const KPISection = memo(function KPISection({ orgData, closedActivitiesCount, totalActivities }) {
   const t = useTranslations('MyNonProfit');
 
+  const averageResponseHours = getAverageResponseHours(orgData?.application_stats);
+  const expiredCount = orgData?.application_stats?.expired_count || 0;
+
   const cardClass = 'bg-background-card dark:bg-background-card rounded-lg border border-border-light dark:border-border-dark overflow-hidden';
 
   return (
@@ -110,6 +114,18 @@ const KPISection = memo(function KPISection({ orgData, closedActivitiesCount, to
           </div>
         </div>
       </div>
+
+      {/* Application response time (recorded by the pending applications SLA function) */}
+      {(averageResponseHours != null || expiredCount > 0) && (
+        <p className="mt-2 sm:mt-3 px-1 text-xs sm:text-sm text-text-secondary dark:text-text-secondary">
+          {averageResponseHours != null &&
+            (averageResponseHours < 48
+              ? t('averageResponseHours', { hours: Math.max(1, Math.round(averageResponseHours)) })
+              : t('averageResponseDays', { days: Math.round(averageResponseHours / 24) }))}
+          {averageResponseHours != null && expiredCount > 0 && ' · '}
+          {expiredCount > 0 && t('expiredApplications', { count: expiredCount })}
+        </p>
+      )}
     </div>
   );
 });
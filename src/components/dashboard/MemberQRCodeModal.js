@@ -0,0 +1,140 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import dynamic from 'next/dynamic';
+import { Modal, Button, Spinner } from 'flowbite-react';
+import { HiPrinter, HiRefresh } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import { useModal } from '@/utils/modal/useModal';
+import { getMemberQRValue, fetchMemberQRToken } from '@/utils/memberQR';
+
+// Dynamically import QRCode to avoid SSR issues
+const QRCode = dynamic(
+  () => import('react-qr-code').then((mod) => mod.QRCode || mod.default),
+  { ssr: false }
+);
+
+/**
+ * MemberQRCodeModal Component
+ * The volunteer's personal QR code, scanned by NPO staff at the activity kiosk. It carries a
+ * secret token (utils/memberQR.js) that a new code replaces, e.g. after losing a printout.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Function to close modal
+ * @param {string} props.code - Member code
+ * @param {string} props.displayName - Member name, printed with the code
+ */
+export default function MemberQRCodeModal({ isOpen, onClose, code, displayName }) {
+  const t = useTranslations('Dashboard');
+  const wrappedOnClose = useModal(isOpen, onClose, 'member-qr-code-modal');
+  const [token, setToken] = useState(null);
+  const [regenerating, setRegenerating] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || token) return;
+    let cancelled = false;
+    fetchMemberQRToken()
+      .then((value) => {
+        if (!cancelled) setToken(value);
+      })
+      .catch((error) => console.error('Error loading member QR token:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, token]);
+
+  const handleRegenerate = async () => {
+    setRegenerating(true);
+    try {
+      setToken(await fetchMemberQRToken({ regenerate: true }));
+    } catch (error) {
+      console.error('Error replacing member QR token:', error);
+    } finally {
+      setRegenerating(false);
+    }
+  };
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return;
+
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>${t('memberQRTitle')}</title>
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              display: flex;
+              flex-direction: column;
+              align-items: center;
+              justify-content: center;
+              padding: 40px;
+            }
+            h1 { margin-bottom: 4px; }
+            p { color: #666; }
+          </style>
+        </head>
+        <body>
+          <h1>${displayName || ''}</h1>
+          <p style="font-family: monospace;">${code}</p>
+          <div style="margin: 20px 0;">
+            ${document.getElementById('member-qr-code-svg')?.querySelector('svg')?.outerHTML || ''}
+          </div>
+          <p style="font-size: 12px; color: #999;">${t('memberQRDescription')}</p>
+        </body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    setTimeout(() => {
+      printWindow.print();
+      printWindow.close();
+    }, 250);
+  };
+
+  if (!code) return null;
+
+  return (
+    <Modal show={isOpen} onClose={wrappedOnClose} size="sm" className="z-50">
+      <Modal.Header>{t('memberQRTitle')}</Modal.Header>
+      <Modal.Body>
+        <div className="flex flex-col items-center gap-3">
+          <p className="text-sm text-center text-gray-600 dark:text-gray-400">
+            {t('memberQRDescription')}
+          </p>
+          {/* White background keeps the code readable in dark mode */}
+          <div id="member-qr-code-svg" className="p-4 bg-white rounded-lg border border-gray-200">
+            {!token ? (
+              <div className="flex items-center justify-center w-56 h-56">
+                <Spinner size="lg" />
+              </div>
+            ) : QRCode && (
+              <QRCode
+                value={getMemberQRValue(token)}
+                size={224}
+                level="M"
+                style={{ height: 'auto', maxWidth: '100%', width: '100%' }}
+                viewBox="0 0 224 224"
+              />
+            )}
+          </div>
+          <span className="text-sm font-mono font-semibold tracking-wide text-gray-700 dark:text-gray-300">
+            {code}
+          </span>
+          <div className="flex gap-2">
+            <Button size="sm" color="gray" onClick={handlePrint} disabled={!token}>
+              <HiPrinter className="mr-2 h-4 w-4" />
+              {t('memberQRPrint')}
+            </Button>
+            <Button size="sm" color="gray" onClick={handleRegenerate} disabled={!token || regenerating}>
+              <HiRefresh className="mr-2 h-4 w-4" />
+              {t('memberQRRegenerate')}
+            </Button>
+          </div>
+          <p className="text-xs text-center text-gray-500 dark:text-gray-400">{t('memberQRRegenerateHint')}</p>
+        </div>
+      </Modal.Body>
+    </Modal>
+  );
+}
@@ -44,6 +44,7 @@ const NPOModalManager = memo(function NPOModalManager({
   onOrganizationDataUpdate,
   onStatusChange,
   onStatusUpdate,
+  onSchedulePublish,
   isUpdatingStatus,
   onValidationModalClose,
   onCloseActivitySuccess,
@@ -94,6 +95,8 @@ const NPOModalManager = memo(function NPOModalManager({
           onClose={handleClose}
           currentStatus={modalProps?.currentStatus || selectedActivity?.status}
           onStatusUpdate={onStatusUpdate}
+          onSchedulePublish={onSchedulePublish}
+          publishAt={(modalProps?.activity || selectedActivity)?.publish_at}
           isUpdating={isUpdatingStatus}
         />
       );
@@ -106,7 +109,6 @@ const NPOModalManager = memo(function NPOModalManager({
           isOpen={true}
           onClose={handleClose}
           activityId={activity.id}
-          qr_code_token={activity.qr_code_token || modalProps?.qr_code_token}
           title={activity.title || modalProps?.title}
           startDate={activity.start_date || modalProps?.startDate}
         />
@@ -1,11 +1,12 @@
 'use client';
 
-import { memo, useCallback } from 'react';
-import { HiClipboardCopy } from 'react-icons/hi';
+import { memo, useCallback, useState } from 'react';
+import { HiClipboardCopy, HiQrcode } from 'react-icons/hi';
 import { useRouter } from 'next/navigation';
 import { useTranslations } from 'next-intl';
 import { useDashboardStore } from '@/stores/dashboardStore';
 import ProfilePicture from '@/components/common/ProfilePicture';
+import MemberQRCodeModal from './MemberQRCodeModal';
 
 /**
  * ProfileSection Component
@@ -22,6 +23,7 @@ const ProfileSection = memo(function ProfileSection({
   const t = useTranslations('Dashboard');
   const router = useRouter();
   const { setShowProfileModal, setSelectedProfileUserId } = useDashboardStore();
+  const [showMemberQR, setShowMemberQR] = useState(false);
 
   const handleProfileClick = useCallback(() => {
     if (user?.uid) {
@@ -121,6 +123,13 @@ const ProfileSection = memo(function ProfileSection({
                   >
                     <HiClipboardCopy className="h-4 w-4" />
                   </button>
+                  <button
+                    onClick={() => setShowMemberQR(true)}
+                    className="p-1 rounded-md hover:bg-[#f5f5f5] dark:hover:bg-gray-700 transition-colors text-[#9ca3af] hover:text-[#009AA2] dark:hover:text-teal-400"
+                    title={t('showMemberQR')}
+                  >
+                    <HiQrcode className="h-4 w-4" />
+                  </button>
                 </div>
               )}
             </div>
@@ -226,6 +235,13 @@ const ProfileSection = memo(function ProfileSection({
           </div>
         </div>
       </div>
+
+      <MemberQRCodeModal
+        isOpen={showMemberQR}
+        onClose={() => setShowMemberQR(false)}
+        code={userCode}
+        displayName={displayName}
+      />
     </div>
   );
 });
@@ -0,0 +1,103 @@
+'use client';
+
+import { memo, useMemo, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { HiSparkles } from 'react-icons/hi';
+import { useTranslations } from 'next-intl';
+import ActivityCard from '@/components/activities/ActivityCard';
+import { useOpenActivities } from '@/hooks/activities/useOpenActivities';
+import { groupSeriesOccurrences } from '@/utils/recurrence';
+import { areApplicationsClosed } from '@/utils/activityLifecycle';
+import { rankActivitiesForMember, MIN_RECOMMENDATION_SCORE } from '@/utils/recommendations';
+
+const MAX_RECOMMENDATIONS = 3;
+
+/**
+ * RecommendedSection Component
+ * Open activities that best match the member's profile (skills, languages,
+ * cause, location and availabilities), excluding those already applied to.
+ *
+ * @param {Object} profileData - Member profile
+ * @param {string[]} appliedActivityIds - Activities the member already applied to
+ */
+const RecommendedSection = memo(function RecommendedSection({ profileData, appliedActivityIds }) {
+  const t = useTranslations('Dashboard');
+  const router = useRouter();
+  const { activities, isLoading } = useOpenActivities();
+
+  // Location cached by the activities page "Around Me" button
+  const [userLocation] = useState(() => {
+    if (typeof window === 'undefined') return null;
+    try {
+      return JSON.parse(sessionStorage.getItem('userLocation')) || null;
+    } catch {
+      return null; // Invalid cache, ignore
+    }
+  });
+
+  const recommendations = useMemo(() => {
+    const applied = new Set(appliedActivityIds || []);
+    const candidates = groupSeriesOccurrences(
+      activities.filter((activity) => !applied.has(activity.id) && !areApplicationsClosed(activity))
+    );
+    return rankActivitiesForMember(candidates, profileData, {
+      userLocation,
+      minScore: MIN_RECOMMENDATION_SCORE,
+    }).slice(0, MAX_RECOMMENDATIONS);
+  }, [activities, profileData, appliedActivityIds, userLocation]);
+
+  if (isLoading || !profileData || recommendations.length === 0) return null;
+
+  return (
+    <div className="mb-6 sm:mb-10">
+      <div className="flex items-center justify-between gap-4 mb-3 sm:mb-4 px-1">
+        <h2 className="section-title text-xl sm:text-2xl font-semibold flex items-center gap-2">
+          <HiSparkles className="h-6 w-6 text-primary-500" />
+          {t('recommendedForYou')}
+        </h2>
+        <Link
+          href="/activities"
+          className="text-sm text-primary-600 dark:text-primary-400 hover:underline whitespace-nowrap"
+        >
+          {t('seeAllActivities')}
+        </Link>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-5 items-stretch">
+        {recommendations.map((activity) => (
+          <ActivityCard
+            key={activity.id}
+            id={activity.id}
+            organization_name={activity.organization_name}
+            organization_logo={activity.organization_logo}
+            title={activity.title}
+            type={activity.type}
+            country={activity.country}
+            start_date={activity.start_date}
+            end_date={activity.end_date}
+            start_time={activity.start_time}
+            end_time={activity.end_time}
+            sdg={activity.sdg}
+            applicants={activity.applicants}
+            xp_reward={activity.xp_reward}
+            description={activity.description}
+            status={activity.status}
+            city={activity.city}
+            category={activity.category}
+            frequency={activity.frequency}
+            series_id={activity.series_id}
+            more_occurrences_count={activity.more_occurrences_count}
+            skills={activity.skills}
+            participant_target={activity.participant_target}
+            accept_applications_wg={activity.accept_applications_wg}
+            matchReasons={activity.match.reasons}
+            showStatusBadge={false}
+            onClick={() => router.push(`/activities?activityId=${activity.id}`)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+});
+
+export default RecommendedSection;
@@ -154,6 +154,10 @@ const Header = () => {
       case 'REWARD':
         return 'bg-semantic-success-100 dark:bg-semantic-success-900 text-semantic-success-700 dark:text-semantic-success-300';
       case 'REMINDER':
+      case 'ACTIVITY_REMINDER':
+      case 'ACTIVITY_UPDATE':
+      case 'ACTIVITY_DISCUSSION':
+      case 'ACTIVITY_BROADCAST':
         return 'bg-semantic-warning-100 dark:bg-semantic-warning-900 text-semantic-warning-700 dark:text-semantic-warning-300';
       case 'SYSTEM':
         return 'bg-semantic-info-100 dark:bg-semantic-info-900 text-semantic-info-700 dark:text-semantic-info-300';
@@ -252,6 +252,32 @@ export default function ProfileInformation({
             />
             <FormError message={errors.country?.message} />
           </div>
+
+          <div>
+            <div className="mb-2 block">
+              <Label htmlFor="birth_date" className="text-text-primary dark:text-text-primary">
+                {t('birthDate')}
+              </Label>
+            </div>
+            <Controller
+              name="birth_date"
+              control={control}
+              render={({ field }) => (
+                <TextInput
+                  {...field}
+                  value={field.value || ''}
+                  id="birth_date"
+                  type="date"
+                  max={new Date().toISOString().split('T')[0]}
+                  className="w-full bg-background-card dark:bg-background-card !text-text-primary dark:!text-text-primary border-border-light dark:border-border-dark"
+                />
+              )}
+            />
+            <FormError message={errors.birth_date?.message} />
+            <p className="mt-1 text-sm text-text-tertiary dark:text-text-tertiary">
+              {t('birthDateHelper')}
+            </p>
+          </div>
           
           <div>
             <div className="mb-2 block">
@@ -0,0 +1,37 @@
+import { useQuery } from '@tanstack/react-query';
+import { searchActivityScores } from '@/utils/searchService';
+
+/**
+ * React Query hook for keyword search over Open activities.
+ * Only the filters the search index knows about are sent; the others are
+ * applied by the activities page as before.
+ *
+ * @param {string} query - Debounced search text
+ * @param {Object} filters - Activities page filters (type, country, sdg, skill)
+ * @returns {Object} { scores: Map<activityId, score>|null, isSearching, error }
+ *   `scores` is null when there is no query or the search failed.
+ */
+export function useActivitySearch(query, filters) {
+  const trimmedQuery = (query || '').trim();
+  const searchFilters = {
+    type: filters.type,
+    country: filters.country,
+    sdg: filters.sdg,
+    skill: filters.skill,
+  };
+
+  const { data, isFetching, error } = useQuery({
+    queryKey: ['activitySearch', trimmedQuery, searchFilters],
+    queryFn: () => searchActivityScores(trimmedQuery, searchFilters),
+    enabled: trimmedQuery.length > 0,
+    staleTime: 60 * 1000, // Index updates are not instant anyway
+    gcTime: 5 * 60 * 1000,
+    retry: false,
+  });
+
+  return {
+    scores: trimmedQuery && !error ? data || null : null,
+    isSearching: trimmedQuery.length > 0 && isFetching,
+    error,
+  };
+}
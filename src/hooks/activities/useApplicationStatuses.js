@@ -1,5 +1,6 @@
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { fetchApplicationsByUserId } from '@/utils/crudApplications';
+import { CLOSED_APPLICATION_STATUSES } from '@/utils/waitlist';
 import { useMemo } from 'react';
 
 /**
@@ -29,7 +30,7 @@ export function useApplicationStatuses(userId) {
   });
 
   // Create a map of activityId -> hasApplied
-  // Only includes non-cancelled applications
+  // Only includes open applications
   const applicationStatuses = useMemo(() => {
     if (!applications || applications.length === 0) {
       return {};
@@ -37,8 +38,8 @@ export function useApplicationStatuses(userId) {
 
     const statusMap = {};
     applications.forEach((app) => {
-      // Only mark as applied if the application is not cancelled
-      if (app.status !== 'cancelled' && app.activity_id) {
+      // Only mark as applied if the application is not cancelled (or an expired waitlist offer)
+      if (!CLOSED_APPLICATION_STATUSES.includes(app.status) && app.activity_id) {
         statusMap[app.activity_id] = true;
       }
     });
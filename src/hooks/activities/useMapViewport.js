@@ -0,0 +1,48 @@
+import { useQuery } from '@tanstack/react-query';
+import { fetchMapViewport } from '@/utils/geoService';
+
+/** Rounds viewport edges so tiny pans reuse the cached query. */
+const roundCoordinate = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * React Query hook for the markers and clusters of the visible map area.
+ * Keeps showing the previous viewport's markers while the next one loads.
+ *
+ * @param {Object|null} viewport - { bounds: { north, south, east, west }, zoom }, null before the map is ready
+ * @param {Object} [options]
+ * @param {{ latitude: number, longitude: number }|null} [options.center] - Distances are measured from here
+ * @param {string[]|null} [options.activityIds] - Only these activities, null for all Open ones
+ * @returns {Object} { activities, clusters, truncated, isLoading, isFetching, error }
+ */
+export function useMapViewport(viewport, { center = null, activityIds = null } = {}) {
+  const bounds = viewport
+    ? {
+        north: roundCoordinate(viewport.bounds.north),
+        south: roundCoordinate(viewport.bounds.south),
+        east: roundCoordinate(viewport.bounds.east),
+        west: roundCoordinate(viewport.bounds.west),
+      }
+    : null;
+  const zoom = viewport?.zoom;
+  const hasIds = Array.isArray(activityIds);
+
+  const { data, isLoading, isFetching, error } = useQuery({
+    queryKey: ['mapViewport', bounds, zoom, center, activityIds],
+    queryFn: () => fetchMapViewport({ bounds, zoom, center, activityIds }),
+    enabled: !!bounds && (!hasIds || activityIds.length > 0),
+    placeholderData: (previous) => previous,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    retry: false,
+  });
+
+  const isEmptySelection = hasIds && activityIds.length === 0;
+  return {
+    activities: isEmptySelection ? [] : data?.activities || [],
+    clusters: isEmptySelection ? [] : data?.clusters || [],
+    truncated: !isEmptySelection && !!data?.truncated,
+    isLoading: !!bounds && !isEmptySelection && isLoading,
+    isFetching,
+    error,
+  };
+}
@@ -0,0 +1,33 @@
+import { useQuery } from '@tanstack/react-query';
+import { fetchNearbyActivityDistances } from '@/utils/geoService';
+
+/**
+ * React Query hook for the Open local activities around a point, from the
+ * geohash index on the server.
+ *
+ * @param {{ latitude: number, longitude: number }|null} location - Center, or null to disable
+ * @param {number} radiusKm
+ * @returns {Object} { distances: Map<activityId, km>|null, isLoading, error }
+ *   `distances` is null while loading, without a location, or if the query failed.
+ */
+export function useNearbyActivities(location, radiusKm) {
+  const center =
+    location && typeof location.latitude === 'number' && typeof location.longitude === 'number'
+      ? { latitude: location.latitude, longitude: location.longitude }
+      : null;
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['nearbyActivities', center, radiusKm],
+    queryFn: () => fetchNearbyActivityDistances(center, radiusKm),
+    enabled: !!center,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    retry: false,
+  });
+
+  return {
+    distances: center && !error ? data || null : null,
+    isLoading: !!center && isLoading,
+    error,
+  };
+}
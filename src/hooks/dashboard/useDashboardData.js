@@ -83,13 +83,14 @@ export function useDashboardData(userId) {
     volunteerActivitiesQuery.error ||
     historyActivitiesQuery.error;
 
-  // All activities for view (open + history, deduplicated)
+  // All activities for view (open + cancelled + history, deduplicated)
   const allActivitiesForView = useMemo(() => {
     const openActivities = volunteerActivitiesQuery.data?.open || [];
+    const cancelledActivities = volunteerActivitiesQuery.data?.cancelled || [];
     const historyActivities = historyActivitiesQuery.data || [];
 
     // Deduplicate by activity ID
-    const combined = [...openActivities, ...historyActivities];
+    const combined = [...openActivities, ...cancelledActivities, ...historyActivities];
     const seenIds = new Set();
     return combined.filter((activity) => {
       const activityId = activity.activity_id;
@@ -0,0 +1,99 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useTranslations } from 'next-intl';
+import {
+  QR_QUEUE_SYNCED_MESSAGE,
+  flushQRScanQueue,
+  getQueuedQRScans,
+  queueQRScan,
+  requestQRQueueSync,
+} from '@/utils/offlineQRQueue';
+
+/**
+ * Custom hook for the volunteer's QR scans waiting for connectivity (see utils/offlineQRQueue.js).
+ * Syncs the queue when the device is back online - through the service worker's Background Sync,
+ * or from the page where it is not supported - and reports the outcome as toast messages.
+ * @param {string} userId - User ID
+ * @param {Function} onToastMessage - Callback for toast messages
+ * @returns {Object} Pending scans and a function queueing a new scan
+ */
+export function useOfflineQRQueue(userId, onToastMessage) {
+  const t = useTranslations('Dashboard');
+  const queryClient = useQueryClient();
+  const [pendingScans, setPendingScans] = useState([]);
+
+  const refreshPendingScans = useCallback(async () => {
+    if (!userId) return [];
+    try {
+      const scans = await getQueuedQRScans(userId);
+      setPendingScans(scans);
+      return scans;
+    } catch (error) {
+      console.error('Error reading offline QR scans:', error);
+      return [];
+    }
+  }, [userId]);
+
+  const handleSyncResults = useCallback((results) => {
+    refreshPendingScans();
+    if (!results?.length) return;
+    queryClient.invalidateQueries({ queryKey: ['volunteerActivities', userId] });
+    queryClient.invalidateQueries({ queryKey: ['applications', userId] });
+    queryClient.invalidateQueries({ queryKey: ['historyActivities', userId] });
+
+    const failed = results.filter((result) => !result.success);
+    if (!onToastMessage) return;
+    if (failed.length === 0) {
+      onToastMessage({ type: 'success', message: t('offlineScansSynced', { count: results.length }) });
+    } else {
+      onToastMessage({
+        type: 'error',
+        message: t('offlineScanRefused', { message: failed[0].message || '' }),
+      });
+    }
+  }, [queryClient, userId, onToastMessage, refreshPendingScans, t]);
+
+  const syncPendingScans = useCallback(async () => {
+    if (!userId || !navigator.onLine) return;
+    const scans = await refreshPendingScans();
+    if (scans.length === 0) return;
+    if (await requestQRQueueSync()) return; // The service worker posts the results
+    try {
+      handleSyncResults(await flushQRScanQueue(userId));
+    } catch (error) {
+      console.error('Error syncing offline QR scans:', error);
+    }
+  }, [userId, refreshPendingScans, handleSyncResults]);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    const initialSync = setTimeout(syncPendingScans, 0);
+    window.addEventListener('online', syncPendingScans);
+
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type === QR_QUEUE_SYNCED_MESSAGE) {
+        handleSyncResults(event.data.results);
+      }
+    };
+    navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
+
+    return () => {
+      clearTimeout(initialSync);
+      window.removeEventListener('online', syncPendingScans);
+      navigator.serviceWorker?.removeEventListener('message', handleWorkerMessage);
+    };
+  }, [userId, syncPendingScans, handleSyncResults]);
+
+  const queueScan = useCallback(async (activityId, token) => {
+    try {
+      await queueQRScan(userId, activityId, token);
+      await refreshPendingScans();
+      onToastMessage?.({ type: 'success', message: t('offlineScanQueued') });
+    } catch (error) {
+      console.error('Error queueing offline QR scan:', error);
+      onToastMessage?.({ type: 'error', message: t('offlineScanQueueError') });
+    }
+  }, [userId, refreshPendingScans, onToastMessage, t]);
+
+  return { pendingScans, queueScan };
+}
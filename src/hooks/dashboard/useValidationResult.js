@@ -96,6 +96,14 @@ export function useValidationResult(onToastMessage) {
       });
       setShowValidationModal(true);
       
+      // Check-in of an activity with a departure scan: remind to check out
+      if (searchParams.get('checkOut') === '1' && onToastMessage) {
+        onToastMessage({
+          type: 'info',
+          message: 'You are checked in. Scan the departure QR code when you leave to record your hours.',
+        });
+      }
+
       // Store activityId to poll for complete notification data
       if (activityId) {
         currentActivityIdRef.current = activityId;
@@ -106,6 +114,47 @@ export function useValidationResult(onToastMessage) {
         }, 15000);
       }
 
+      // Clean up URL immediately
+      if (window.location.search.includes('validation=')) {
+        router.replace('/dashboard', { scroll: false });
+      }
+    } else if (validation === 'checked-out') {
+      const hours = searchParams.get('hours') || '0';
+      const activityTitle = searchParams.get('activityTitle') || '';
+
+      if (onToastMessage) {
+        onToastMessage({
+          type: 'success',
+          message: `Checked out of ${activityTitle || 'the activity'}: ${hours} h recorded.`,
+        });
+      }
+
+      // Clean up URL immediately
+      if (window.location.search.includes('validation=')) {
+        router.replace('/dashboard', { scroll: false });
+      }
+    } else if (validation === 'needs-review') {
+      const activityTitle = searchParams.get('activityTitle') || '';
+
+      if (onToastMessage) {
+        onToastMessage({
+          type: 'info',
+          message: `Your scan of ${activityTitle || 'the activity'} was recorded. The organization will confirm your participation, as it could not be checked on site.`,
+        });
+      }
+
+      // Clean up URL immediately
+      if (window.location.search.includes('validation=')) {
+        router.replace('/dashboard', { scroll: false });
+      }
+    } else if (validation === 'queued') {
+      if (onToastMessage) {
+        onToastMessage({
+          type: 'success',
+          message: 'No connection: your scan was saved and will be sent automatically when you are back online.',
+        });
+      }
+
       // Clean up URL immediately
       if (window.location.search.includes('validation=')) {
         router.replace('/dashboard', { scroll: false });
@@ -13,9 +13,12 @@ export function useVolunteerActivities(userId) {
       const activities = await fetchActivitiesForVolunteer(userId);
       // Filter activities to show only Open activities with accepted applications
       const open = activities.filter((a) => a.status === 'Open');
+      // Cancelled activities stay listed so volunteers see what happened to them
+      const cancelled = activities.filter((a) => a.status === 'Cancelled');
       return {
         all: activities,
         open: open,
+        cancelled: cancelled,
       };
     },
     enabled: !!userId, // Only run query if userId exists
@@ -0,0 +1,42 @@
+import { useQuery } from '@tanstack/react-query';
+import { search } from '@/utils/searchService';
+
+/**
+ * React Query hook for keyword search over organizations, paginated by the
+ * fullTextSearch function. Returns the same shape as useOrganizationsPaginated
+ * so the organizations page can switch between the two.
+ *
+ * @param {string} query - Debounced search text; the search is disabled when empty
+ * @param {number} page - Current page number (1-indexed)
+ * @param {number} pageSize - Number of items per page
+ * @param {Object} filters - { country, language, sdg }
+ * @returns {Object} Query result with organizations, totalCount, pagination info, loading, and error states
+ */
+export function useOrganizationSearch(query, page = 1, pageSize = 20, filters = {}) {
+  const trimmedQuery = (query || '').trim();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['organizations', 'search', trimmedQuery, filters, page, pageSize],
+    queryFn: () => search({ query: trimmedQuery, kind: 'organization', filters, page, pageSize }),
+    enabled: trimmedQuery.length > 0,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    placeholderData: (previous) => previous,
+  });
+
+  const totalCount = data?.total || 0;
+  const organizations = (data?.hits || []).map((hit) => hit.data);
+  const startIndex = (page - 1) * pageSize;
+
+  return {
+    organizations,
+    totalCount,
+    totalPages: Math.ceil(totalCount / pageSize),
+    hasNextPage: Boolean(data?.hasMore),
+    hasPreviousPage: page > 1,
+    startIndex: organizations.length === 0 ? 0 : startIndex + 1,
+    endIndex: startIndex + organizations.length,
+    isLoading: trimmedQuery.length > 0 && isLoading,
+    error,
+  };
+}
@@ -12,6 +12,7 @@ import { doc, getDoc, setDoc, Timestamp, serverTimestamp } from 'firebase/firest
 import { useRouter } from 'next/navigation';
 import { useTranslations } from 'use-intl';
 import { validateReferralCode, generateUserCode } from '@/utils/referralCode';
+import { getLoginRedirectPath } from '@/utils/auth/loginRedirect';
 
 /**
  * Custom hook for Google sign-in
@@ -60,8 +61,8 @@ export function useGoogleSignIn() {
       const userDocSnap = await getDoc(userDocRef);
 
       if (userDocSnap.exists()) {
-        // Returning user - No referral code needed, just redirect to dashboard
-        router.push('/dashboard');
+        // Returning user - No referral code needed, back to where they came from
+        router.push(getLoginRedirectPath());
       } else {
         // New user - Validate referral code is required
         if (!referralCode || referralCode.trim().length === 0) {
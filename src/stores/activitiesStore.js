@@ -26,6 +26,7 @@ export const useActivitiesStore = create((set) => ({
     sdg: 'all',
     skill: 'all',
     startDate: 'all',
+    eligibleOnly: false, // Only activities whose requirements the member meets
   },
   searchQuery: '',
   sortBy: 'newest',
@@ -62,6 +63,7 @@ export const useActivitiesStore = create((set) => ({
         sdg: 'all',
         skill: 'all',
         startDate: 'all',
+        eligibleOnly: false,
       },
       currentPage: 1,
     }),
@@ -0,0 +1,94 @@
+/**
+ * Validation rules of the activity form (see FormNavigation), shared with the
+ * spreadsheet import so an imported row is accepted exactly when the form
+ * would let the same data through.
+ *
+ * Errors carry the form step they belong to:
+ *   1 - category
+ *   2 - details, dates and times
+ *   3 - SDG
+ */
+import { isRecurrenceRuleValid, generateOccurrenceDates } from './recurrence';
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+/**
+ * Multi-day activities must end on a later day; single-day activities must not end before they start.
+ * @param {Object} formData
+ * @returns {boolean}
+ */
+function isEndNotBeforeStart(formData) {
+  if (!formData.start_date) return true;
+  const startD = toDate(formData.start_date);
+  const dayStart = new Date(startD.getFullYear(), startD.getMonth(), startD.getDate()).getTime();
+
+  if (!formData.spansSeveralDays) {
+    if (formData.start_time && formData.end_time) {
+      return formData.start_time <= formData.end_time;
+    }
+    return true;
+  }
+
+  if (!formData.end_date) return false;
+  const endD = toDate(formData.end_date);
+  const dayEnd = new Date(endD.getFullYear(), endD.getMonth(), endD.getDate()).getTime();
+  return dayEnd > dayStart;
+}
+
+/**
+ * List what prevents the activity from being saved.
+ * @param {Object} formData - Activity form data
+ * @returns {Array<{ step: number, code: string }>} Empty when valid
+ */
+export function getActivityFormErrors(formData) {
+  const errors = [];
+  const add = (step, code) => errors.push({ step, code });
+
+  // Step 1: category (picked from the list of the activity type)
+  if (!formData.category) add(1, 'category_required');
+
+  // Step 2: details
+  if (!formData.title) add(2, 'title_required');
+  if (!formData.description) add(2, 'description_required');
+  if (!formData.frequency) add(2, 'frequency_required');
+
+  const isExternalLinkRequired = formData.type === 'local' && formData.accept_applications_wg === false;
+  if (isExternalLinkRequired && (formData.external_platform_link || '').trim() === '') {
+    add(2, 'external_link_required');
+  }
+
+  // Regular (recurring) activities need a rule that yields at least one occurrence; existing series keep their rule
+  const hasValidRecurrence =
+    formData.frequency !== 'regular' ||
+    Boolean(formData.series_id) ||
+    (isRecurrenceRuleValid(formData.recurrence) && generateOccurrenceDates(formData.start_date, formData.recurrence).length > 0);
+  if (!hasValidRecurrence) add(2, 'recurrence_invalid');
+
+  // Date/time: required for events and local once/regular
+  const isEvent = formData.type === 'event';
+  const isLocalOnceOrRegular = formData.type === 'local' && formData.frequency !== 'role';
+  if ((isEvent || isLocalOnceOrRegular) && !formData.start_date) {
+    add(2, 'start_date_required');
+  }
+  if (isEvent && !(formData.start_time && formData.end_time)) {
+    add(2, 'times_required');
+  }
+  if (!isEndNotBeforeStart(formData)) {
+    add(2, 'end_before_start');
+  }
+
+  // Step 3: SDG
+  if (!formData.sdg) add(3, 'sdg_required');
+
+  return errors;
+}
+
+/**
+ * Whether the given form step can be left.
+ * @param {Object} formData - Activity form data
+ * @param {number} step - Form step (steps after 3 have no rules)
+ * @returns {boolean}
+ */
+export function isActivityStepValid(formData, step) {
+  return !getActivityFormErrors(formData).some((error) => error.step === step);
+}
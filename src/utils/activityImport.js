@@ -0,0 +1,348 @@
+/**
+ * Bulk activity import from CSV/XLSX.
+ *
+ * The NPO maps spreadsheet columns to IMPORT_FIELDS, every row is turned into
+ * the same form data the activity form builds and checked with the form's
+ * rules (utils/activityFormValidation.js) plus import-only checks (unknown
+ * type, category, skill, SDG...). Valid rows are created as drafts with
+ * createActivitiesBatch; rejected rows can be downloaded as a CSV report.
+ */
+import { countries } from 'countries-list';
+import categories from '@/constant/categories';
+import { calculateActivityXP } from './calculateActivityXP';
+import { getActivityFormErrors } from './activityFormValidation';
+import { normalizeCountryToCode } from './countryCodes';
+import { getDeviceTimeZone } from './activityLifecycle';
+
+export const ACTIVITY_TYPES = ['online', 'local', 'event'];
+const FREQUENCIES = ['once', 'regular', 'role'];
+
+/**
+ * Importable activity fields, in the order shown in the mapping step.
+ * `aliases` are header names recognized when guessing the mapping.
+ */
+export const IMPORT_FIELDS = [
+  { key: 'title', required: true, aliases: ['title', 'name', 'activity'] },
+  { key: 'type', required: true, aliases: ['type', 'activity type'] },
+  { key: 'category', required: true, aliases: ['category'] },
+  { key: 'description', required: true, aliases: ['description', 'details'] },
+  { key: 'frequency', aliases: ['frequency'] },
+  { key: 'start_date', aliases: ['start date', 'start', 'date'] },
+  { key: 'end_date', aliases: ['end date', 'end'] },
+  { key: 'start_time', aliases: ['start time'] },
+  { key: 'end_time', aliases: ['end time'] },
+  { key: 'location', aliases: ['address', 'location', 'venue'] },
+  { key: 'city', aliases: ['city'] },
+  { key: 'country', aliases: ['country'] },
+  { key: 'skills', aliases: ['skills'] },
+  { key: 'sdg', aliases: ['sdg', 'goal'] },
+  { key: 'participant_target', aliases: ['participant target', 'participants', 'capacity'] },
+];
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/[_\-]+/g, ' ').replace(/\s+/g, ' ');
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF) into rows.
+ * Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map((cells) => cells.map((cell) => cell.trim()))
+    .filter((cells) => cells.some((cell) => cell !== ''));
+}
+
+/**
+ * Serialize rows to CSV text.
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(escape).join(',')).join('\r\n');
+}
+
+/**
+ * Guess which column holds each field from the header row.
+ * @param {string[]} headers
+ * @returns {Object} { fieldKey: columnIndex }
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const candidates = [normalizeHeader(field.key), ...field.aliases];
+    const index = normalized.findIndex((header) => candidates.includes(header));
+    if (index !== -1 && !Object.values(mapping).includes(index)) {
+      mapping[field.key] = index;
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Required fields that have no column assigned.
+ * @param {Object} mapping - { fieldKey: columnIndex }
+ * @returns {string[]}
+ */
+export function getUnmappedRequiredFields(mapping) {
+  return IMPORT_FIELDS
+    .filter((field) => field.required && (mapping[field.key] === undefined || mapping[field.key] === null))
+    .map((field) => field.key);
+}
+
+/**
+ * Parse "YYYY-MM-DD" or "YYYY/MM/DD" into a local date.
+ * @param {string} value
+ * @returns {Date|null|undefined} null when empty, undefined when unreadable
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (!match) return undefined;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : undefined;
+}
+
+/**
+ * Parse "H:mm" or "HH:mm" into "HH:mm".
+ * @param {string} value
+ * @returns {string|null|undefined} null when empty, undefined when unreadable
+ */
+function parseTime(value) {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return undefined;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return undefined;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Flatten grouped skill options (see getSkillsForSelect) into a lookup by id and label.
+ * @param {Array} skillGroups
+ * @returns {Map<string, string>} lower-cased id or label -> skill id
+ */
+export function buildSkillLookup(skillGroups) {
+  const lookup = new Map();
+  (skillGroups || []).forEach((group) => {
+    (group.options || []).forEach((option) => {
+      lookup.set(String(option.value).toLowerCase(), option.value);
+      lookup.set(String(option.label).toLowerCase(), option.value);
+    });
+  });
+  return lookup;
+}
+
+/**
+ * Turn one spreadsheet row into activity form data and collect what is wrong with it.
+ * @param {string[]} row - Cell values
+ * @param {Object} mapping - { fieldKey: columnIndex }
+ * @param {Object} context
+ * @param {Object} context.defaults - Organization defaults (organization_id, name, logo, country, city, languages, sdg)
+ * @param {Map<string, string>} context.skillLookup - From buildSkillLookup
+ * @returns {{ formData: Object, errors: string[] }}
+ */
+export function buildActivityFromRow(row, mapping, { defaults = {}, skillLookup = new Map() }) {
+  const cell = (key) => {
+    const index = mapping[key];
+    return index === undefined || index === null ? '' : String(row[index] ?? '').trim();
+  };
+  const errors = [];
+
+  const type = cell('type').toLowerCase();
+  if (!ACTIVITY_TYPES.includes(type)) {
+    errors.push('type_invalid');
+  }
+
+  const category = cell('category').toLowerCase().replace(/\s+/g, '_');
+  if (category && ACTIVITY_TYPES.includes(type) && !categories[type].some((c) => c.id === category)) {
+    errors.push('category_invalid');
+  }
+
+  let frequency = cell('frequency').toLowerCase() || 'once';
+  if (type === 'event') frequency = 'once';
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push('frequency_invalid');
+  }
+
+  const startDate = parseDate(cell('start_date'));
+  const endDate = parseDate(cell('end_date'));
+  if (startDate === undefined || endDate === undefined) {
+    errors.push('date_invalid');
+  }
+  const startTime = parseTime(cell('start_time'));
+  const endTime = parseTime(cell('end_time'));
+  if (startTime === undefined || endTime === undefined) {
+    errors.push('time_invalid');
+  }
+  // Same as the form: single day = no end_date; multi-day when the end is on another day
+  const spansSeveralDays = Boolean(
+    startDate && endDate && endDate.toDateString() !== startDate.toDateString()
+  );
+
+  const skills = [];
+  cell('skills').split(/[,;]/).map((s) => s.trim()).filter(Boolean).forEach((skill) => {
+    const skillId = skillLookup.get(skill.toLowerCase());
+    if (skillId) {
+      if (!skills.includes(skillId)) skills.push(skillId);
+    } else if (!errors.includes('skill_unknown')) {
+      errors.push('skill_unknown');
+    }
+  });
+
+  let sdg = defaults.sdg || '';
+  if (cell('sdg')) {
+    const sdgNumber = Number(cell('sdg').replace(/^(sdg|goal)[\s-]*/i, ''));
+    if (Number.isInteger(sdgNumber) && sdgNumber >= 1 && sdgNumber <= 17) {
+      sdg = sdgNumber;
+    } else {
+      errors.push('sdg_invalid');
+    }
+  }
+
+  let participantTarget = null;
+  if (cell('participant_target')) {
+    participantTarget = Number(cell('participant_target'));
+    if (!Number.isInteger(participantTarget) || participantTarget <= 0) {
+      errors.push('participant_target_invalid');
+      participantTarget = null;
+    }
+  }
+
+  const country = cell('country') ? normalizeCountryToCode(cell('country')) : (defaults.country || '');
+  if (cell('country') && !countries[country]) {
+    errors.push('country_invalid');
+  }
+
+  const formData = {
+    type,
+    title: cell('title'),
+    category,
+    description: cell('description'),
+    skills,
+    frequency,
+    recurrence: null,
+    country,
+    city: cell('city') || defaults.city || '',
+    location: cell('location'),
+    address_id: null,
+    coordinates: null,
+    time_commitment: 50,
+    complexity: 50,
+    sdg,
+    languages: defaults.languages || ['English'],
+    organization_id: defaults.organization_id,
+    organization_name: defaults.organization_name || '',
+    organization_logo: defaults.organization_logo || '/logo/Favicon.png',
+    applicants: 0,
+    start_date: startDate || null,
+    end_date: spansSeveralDays ? endDate : null,
+    start_time: startTime || null,
+    end_time: endTime || null,
+    spansSeveralDays,
+    status: 'Draft',
+    external_platform_link: '',
+    participant_target: participantTarget,
+    time_slots: [],
+    questionnaire: [],
+    accept_applications_wg: true,
+    auto_accept_applications: false,
+    application_cutoff_hours: null,
+    qr_mode: type === 'online' ? null : 'static',
+    check_out_enabled: false,
+    geofence_radius_m: null,
+    time_zone: getDeviceTimeZone(),
+  };
+
+  // XP exactly as the form computes it (fixed for events, sliders at their defaults otherwise)
+  formData.xp_reward = type === 'event'
+    ? 15
+    : calculateActivityXP({
+        type,
+        category,
+        time_commitment: formData.time_commitment,
+        complexity: formData.complexity,
+        frequency: frequency || 'once',
+      });
+
+  getActivityFormErrors(formData).forEach(({ code }) => {
+    if (!errors.includes(code)) errors.push(code);
+  });
+
+  return { formData, errors };
+}
+
+/**
+ * Activity document for a validated row (UI-only fields removed).
+ * @param {Object} formData - From buildActivityFromRow
+ * @param {string} creatorId - UID of the importing user
+ * @returns {Object}
+ */
+export function toActivityDocument(formData, creatorId) {
+  const { spansSeveralDays: _spansSeveralDays, ...data } = formData;
+  return {
+    ...data,
+    creator_id: creatorId,
+    created_at: new Date(),
+  };
+}
+
+/**
+ * CSV report of rejected rows: the original cells followed by the reasons.
+ * @param {string[]} headers - Header row of the file
+ * @param {Array<{ rowNumber: number, cells: string[], errors: string[] }>} rejectedRows
+ * @param {Function} describeError - Maps an error code to a readable message
+ * @returns {string}
+ */
+export function buildErrorReportCsv(headers, rejectedRows, describeError = (code) => code) {
+  return toCsv([
+    ['row', ...headers, 'errors'],
+    ...rejectedRows.map(({ rowNumber, cells, errors }) => [
+      rowNumber,
+      ...headers.map((_, index) => cells[index] ?? ''),
+      errors.map(describeError).join('; '),
+    ]),
+  ]);
+}
@@ -0,0 +1,52 @@
+/**
+ * Activity import service — reads CSV files in the browser and .xlsx files
+ * through the parseActivityImportFile Firebase function.
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from 'firebaseConfig';
+import { parseCsv } from './activityImport';
+
+/** Rows accepted in one import (same limit as parseActivityImportFile). */
+export const MAX_IMPORT_ROWS = 500;
+
+const readAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  // Data URL: "data:<mime>;base64,<content>"
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Read an import file into rows of cell strings (first row = headers).
+ * @param {File} file - .csv or .xlsx file
+ * @returns {Promise<{ success: boolean, rows?: string[][], error?: string }>}
+ */
+export async function readImportFile(file) {
+  const name = (file?.name || '').toLowerCase();
+
+  if (name.endsWith('.csv')) {
+    const rows = parseCsv(await readAsText(file));
+    if (rows.length < 2) return { success: false, error: 'empty' };
+    if (rows.length - 1 > MAX_IMPORT_ROWS) return { success: false, error: 'tooManyRows' };
+    return { success: true, rows };
+  }
+
+  if (name.endsWith('.xlsx')) {
+    const fn = httpsCallable(functions, 'parseActivityImportFile');
+    const result = await fn({ base64: await readAsBase64(file) });
+    const data = result.data;
+    if (!data) return { success: false, error: 'unreadable' };
+    return data;
+  }
+
+  return { success: false, error: 'unsupported' };
+}
@@ -0,0 +1,162 @@
+/**
+ * Clock-driven activity lifecycle.
+ *
+ * A scheduled Cloud Function (functions/src/activity-mgt/lifecycle.js) publishes
+ * drafts once their `publish_at` time is reached, sets `applications_closed` at
+ * `application_cutoff_hours` before the start, and moves Open activities whose
+ * end date has passed to 'Ended' ("awaiting close-out") until the NPO closes
+ * them out with CloseActivityModal.
+ */
+import { convertTimestampToDate } from './dateUtils';
+
+/** Cut-off options offered in the activity form, in hours before the start. */
+export const APPLICATION_CUTOFF_OPTIONS = [1, 6, 12, 24, 48, 72, 168];
+
+/**
+ * Time zone of activities saved before `time_zone` was recorded.
+ * start_date / end_date are midnight of the chosen day, and start_time / end_time
+ * "HH:mm", in the zone of the browser that saved them; the Cloud Functions read
+ * them the same way (functions/src/activity-mgt/activityTime.js).
+ */
+export const APP_TIME_ZONE = 'Asia/Tokyo';
+
+/**
+ * Time zone of this device, recorded as `time_zone` when an activity is saved.
+ * @returns {string}
+ */
+export function getDeviceTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || APP_TIME_ZONE;
+}
+
+/**
+ * Time zone the activity's dates and times are written in.
+ * @param {Object} activity
+ * @returns {string} IANA time zone
+ */
+export function getActivityTimeZone(activity) {
+  if (activity?.time_zone) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: activity.time_zone });
+      return activity.time_zone;
+    } catch {
+      // Unknown zone: fall back to the app's
+    }
+  }
+  return APP_TIME_ZONE;
+}
+
+// Wall-clock fields of a moment in a time zone (month 1-12)
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type)?.value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+}
+
+// Offset of a time zone from UTC at a moment, in milliseconds
+function getZoneOffsetMs(ms, timeZone) {
+  const wholeSecond = Math.floor(ms / 1000) * 1000;
+  const p = getZonedParts(new Date(wholeSecond), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSecond;
+}
+
+/**
+ * Moment of a stored activity date at a "HH:mm" time, both read in the activity's time zone.
+ * @param {Object} activity - Activity (for its time zone)
+ * @param {*} date - Stored start_date / end_date
+ * @param {string|null} timeStr - "HH:mm"; midnight when missing
+ * @returns {Date|null}
+ */
+export function getActivityDateTime(activity, date, timeStr) {
+  const d = convertTimestampToDate(date);
+  if (!d) return null;
+  const timeZone = getActivityTimeZone(activity);
+  const day = getZonedParts(d, timeZone);
+  const [hours, minutes] = String(timeStr || '').split(':').map(Number);
+  const wallClock = Date.UTC(
+    day.year,
+    day.month - 1,
+    day.day,
+    Number.isFinite(hours) ? hours : 0,
+    Number.isFinite(minutes) ? minutes : 0
+  );
+  // Across a DST change the offset at the result differs from the first guess
+  const offset = getZoneOffsetMs(wallClock, timeZone);
+  return new Date(wallClock - getZoneOffsetMs(wallClock - offset, timeZone));
+}
+
+/**
+ * Calendar day of a stored activity date in the activity's time zone.
+ * @param {Object} activity - Activity (for its time zone)
+ * @param {*} date - Stored start_date / end_date
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+export function getActivityDateString(activity, date) {
+  const d = convertTimestampToDate(date);
+  if (!d) return null;
+  const day = getZonedParts(d, getActivityTimeZone(activity));
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${day.year}-${pad(day.month)}-${pad(day.day)}`;
+}
+
+/**
+ * Moment the activity starts, or null for undated activities.
+ * @param {Object} activity - Activity with start_date and optional start_time ("HH:mm")
+ * @returns {Date|null}
+ */
+export function getActivityStart(activity) {
+  if (!activity?.start_date) return null;
+  return getActivityDateTime(activity, activity.start_date, activity.start_time);
+}
+
+/**
+ * Moment applications stop, or null when the activity has no cut-off.
+ * @param {Object} activity - Activity with application_cutoff_hours
+ * @returns {Date|null}
+ */
+export function getApplicationsCloseAt(activity) {
+  const cutoffHours = Number(activity?.application_cutoff_hours);
+  if (!Number.isFinite(cutoffHours) || cutoffHours <= 0) return null;
+  const start = getActivityStart(activity);
+  return start ? new Date(start.getTime() - cutoffHours * 3600000) : null;
+}
+
+/**
+ * Whether the activity no longer accepts applications. The scheduled job sets
+ * `applications_closed`; the cut-off is also checked here so the UI does not
+ * wait for the next run.
+ * @param {Object} activity - Activity document data
+ * @returns {boolean}
+ */
+export function areApplicationsClosed(activity) {
+  if (!activity) return false;
+  if (activity.status && activity.status !== 'Open') return true;
+  if (activity.applications_closed === true) return true;
+  const closeAt = getApplicationsCloseAt(activity);
+  return closeAt != null && closeAt.getTime() <= Date.now();
+}
+
+/**
+ * Format a Date as the value of a datetime-local input (local time).
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DDTHH:mm"
+ */
+export function toDateTimeLocalValue(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
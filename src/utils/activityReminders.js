@@ -0,0 +1,40 @@
+/**
+ * Pre-activity reminders for accepted volunteers.
+ *
+ * A Cloud Function (functions/src/activity-mgt/reminders.js) reminds accepted
+ * volunteers before an activity starts, at the offsets the organization picks
+ * (`reminder_hours_before`, hours before the start; an empty list turns them
+ * off). Volunteers opt out with `activity_reminders_enabled: false` on their
+ * member doc. Each reminder links to /activities/reminder, where the volunteer
+ * sees the address and can cancel in one tap.
+ */
+
+/** Defaults used when the organization has no setting (keep in sync with the function). */
+export const DEFAULT_REMINDER_HOURS = [48, 2];
+
+/** Offsets organizations can choose from, in hours before the start. */
+export const REMINDER_HOURS_OPTIONS = [168, 72, 48, 24, 12, 6, 2, 1];
+
+/**
+ * Map link for the activity location, or null when it has none.
+ * @param {Object} activity - Activity with coordinates, location, city and country
+ * @returns {string|null}
+ */
+export function getActivityMapLink(activity) {
+  const lat = Number(activity?.coordinates?.latitude);
+  const lng = Number(activity?.coordinates?.longitude);
+  if (activity?.coordinates && Number.isFinite(lat) && Number.isFinite(lng)) {
+    return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`;
+  }
+  const address = getActivityAddress(activity);
+  return address ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}` : null;
+}
+
+/**
+ * Human-readable address of the activity, or an empty string.
+ * @param {Object} activity - Activity with location, city and country
+ * @returns {string}
+ */
+export function getActivityAddress(activity) {
+  return activity?.location || [activity?.city, activity?.country].filter(Boolean).join(', ');
+}
@@ -0,0 +1,26 @@
+/**
+ * Response-time SLA for pending applications.
+ *
+ * A daily Cloud Function (functions/src/activity-mgt/applicationSla.js) sends
+ * NPO staff a digest of applications pending for more than
+ * `pending_reminder_days`, and expires applications still pending after
+ * `pending_expiry_days` or once the activity has started (status 'expired',
+ * `expired_reason` 'deadline' | 'activity_started'). Both thresholds are
+ * organization settings. NPO decisions are recorded in the organization's
+ * `application_stats` ({ responded_count, total_response_hours, expired_count }).
+ */
+
+/** Defaults used when the organization has no setting (keep in sync with the function). */
+export const DEFAULT_PENDING_REMINDER_DAYS = 3;
+export const DEFAULT_PENDING_EXPIRY_DAYS = 21;
+
+/**
+ * Average time the organization takes to accept or reject an application.
+ * @param {Object} stats - Organization application_stats
+ * @returns {number|null} Hours, or null before the first decision
+ */
+export function getAverageResponseHours(stats) {
+  const responded = Number(stats?.responded_count) || 0;
+  if (responded <= 0) return null;
+  return (Number(stats.total_response_hours) || 0) / responded;
+}
@@ -88,8 +88,8 @@ export function AuthProvider({ children }) {
       } else {
         setUser(null);
         setClaims(null);
-        // Redirect to login if not on login page or root
-        if (pathname !== '/login' && pathname !== '/') {
+        // Redirect to login if not on login page, root or a public activity page
+        if (pathname !== '/login' && pathname !== '/' && !pathname?.startsWith('/a/')) {
           router.push('/login');
         }
       }
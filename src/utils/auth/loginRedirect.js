@@ -0,0 +1,13 @@
+/**
+ * Where to go after signing in: the `redirect` query parameter of the login
+ * page (set by public pages such as /a/[activityId]), when it is a path of
+ * this app.
+ * @param {string} [fallback='/dashboard']
+ * @returns {string}
+ */
+export function getLoginRedirectPath(fallback = '/dashboard') {
+  if (typeof window === 'undefined') return fallback;
+  const path = new URLSearchParams(window.location.search).get('redirect');
+  // Relative paths only, so the login page cannot send users to another site
+  return path && path.startsWith('/') && !path.startsWith('//') ? path : fallback;
+}
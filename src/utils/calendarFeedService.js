@@ -0,0 +1,21 @@
+/**
+ * Calendar feed service — personal feed URLs served by
+ * src/app/api/calendar/[token]/route.js.
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from 'firebaseConfig';
+import { getBaseUrl } from './sharing/shareUtils';
+
+/**
+ * URL of the caller's calendar feed, created on first use.
+ * @param {'member'|'organization'} scope - Own accepted activities, or all of the NPO's activities
+ * @param {Object} [options]
+ * @param {boolean} [options.regenerate=false] - Replace the link; the previous one stops working
+ * @returns {Promise<string>} https URL of the .ics feed
+ */
+export async function getCalendarFeedUrl(scope, { regenerate = false } = {}) {
+  const getCalendarFeedToken = httpsCallable(functions, 'getCalendarFeedToken');
+  const { data } = await getCalendarFeedToken({ scope, regenerate });
+  return `${getBaseUrl()}/api/calendar/${data.token}.ics`;
+}
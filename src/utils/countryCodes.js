@@ -0,0 +1,40 @@
+import { countries } from 'countries-list';
+
+/**
+ * Normalize country value to country code
+ * Converts country names to codes (e.g., "Japan" -> "JP")
+ * If already a code, returns it uppercase
+ * @param {string} countryValue - Country code or name
+ * @returns {string} Normalized country code
+ */
+export function normalizeCountryToCode(countryValue) {
+  if (!countryValue || typeof countryValue !== 'string') {
+    return countryValue || '';
+  }
+
+  const trimmedValue = countryValue.trim();
+  if (!trimmedValue) {
+    return '';
+  }
+
+  // Check if it's already a valid country code (2 uppercase letters)
+  const upperValue = trimmedValue.toUpperCase();
+  if (upperValue.length === 2 && /^[A-Z]{2}$/.test(upperValue)) {
+    // Check if it exists in countries list
+    if (countries[upperValue]) {
+      return upperValue;
+    }
+  }
+
+  // Try to find by country name (case-insensitive)
+  const foundEntry = Object.entries(countries).find(
+    ([code, country]) => country.name.toLowerCase() === trimmedValue.toLowerCase()
+  );
+
+  if (foundEntry) {
+    return foundEntry[0]; // Return the country code
+  }
+
+  // If not found, return the original value (might be a valid code we don't recognize)
+  return upperValue.length === 2 ? upperValue : trimmedValue;
+}
@@ -1,8 +1,10 @@
 import { collection, getDocs, addDoc, getDoc, updateDoc, doc, onSnapshot, query, where, orderBy, limit, deleteDoc, writeBatch } from 'firebase/firestore';
-import { db } from 'firebaseConfig';
+import { db, auth } from 'firebaseConfig';
 import { fetchApplicationsForActivity } from './crudApplications';
 import { v4 as uuidv4 } from 'uuid';
 import { fetchValidationsForActivity } from './crudActivityValidation';
+import { generateOccurrenceDates, isRecurrenceRuleValid, normalizeRecurrenceRule } from './recurrence';
+import { getActivityStart } from './activityLifecycle';
 
 // Fetch all activities from the Firestore database
 export async function fetchActivities() {
@@ -87,12 +89,9 @@ export async function createActivity(data) {
       throw new Error('organization_id is required to create an activity');
     }
 
-    // Generate QR code token for Event and Local activities
+    // QR code tokens of Event and Local activities are created by Cloud Functions
+    // (onActivityWrittenSecureQRToken) in a document volunteers cannot read
     const activityData = { ...data };
-    if ((activityData.type === 'event' || activityData.type === 'local') && !activityData.qr_code_token) {
-      activityData.qr_code_token = uuidv4();
-      console.log('Generated QR code token for activity:', activityData.qr_code_token);
-    }
 
     // Ensure coordinates are stored in Firestore-compatible format
     if (activityData.coordinates) {
@@ -116,6 +115,32 @@ export async function createActivity(data) {
   }
 }
 
+// Create several activities at once (bulk import), in batches of at most 500 writes.
+// Returns the new activity IDs in input order.
+export async function createActivitiesBatch(activities) {
+  try {
+    const ids = [];
+    for (let i = 0; i < activities.length; i += 500) {
+      const batch = writeBatch(db);
+      activities.slice(i, i + 500).forEach((data) => {
+        if (!data.organization_id) {
+          throw new Error('organization_id is required to create an activity');
+        }
+        const activityData = { ...data };
+        const activityRef = doc(collection(db, 'activities'));
+        batch.set(activityRef, activityData);
+        ids.push(activityRef.id);
+      });
+      await batch.commit();
+    }
+    console.log(`Created ${ids.length} activities in batch`);
+    return ids;
+  } catch (error) {
+    console.error('Error creating activities in batch:', error);
+    throw error;
+  }
+}
+
 // Duplicate an existing activity
 export async function duplicateActivity(activityId) {
   try {
@@ -131,20 +156,34 @@ export async function duplicateActivity(activityId) {
       applicants,
       created_at: _existingCreatedAt,
       qr_code_token,
+      series_id: _seriesId,
+      occurrence_index: _occurrenceIndex,
+      occurrences_count: _occurrencesCount,
+      recurrence: _recurrence,
+      publish_at: _publishAt,
+      published_at: _publishedAt,
+      applications_closed: _applicationsClosed,
+      ended_at: _endedAt,
+      closeout_reminder_sent_at: _closeoutReminderSentAt,
+      cancellation_reason: _cancellationReason,
+      cancelled_at: _cancelledAt,
+      cancelled_by: _cancelledBy,
+      updated_by: _updatedBy,
+      updated_at: _updatedAt,
       ...duplicateData
     } = originalActivity;
 
+    // A duplicate is a standalone activity, not another occurrence of the series
+    if (duplicateData.frequency === 'regular') {
+      duplicateData.frequency = 'once';
+    }
+
     // Set status to 'Draft'
     duplicateData.status = 'Draft';
 
     // Set created_at to current date
     duplicateData.created_at = new Date();
 
-    // Generate new QR code token for Event and Local activities
-    if (duplicateData.type === 'event' || duplicateData.type === 'local') {
-      duplicateData.qr_code_token = uuidv4();
-    }
-
     // Create the duplicate activity
     const newActivityId = await createActivity(duplicateData);
     console.log('Activity duplicated with new ID:', newActivityId);
@@ -158,7 +197,7 @@ export async function duplicateActivity(activityId) {
 // Update an existing activity in the Firestore database
 export async function updateActivity(id, data) {
   try {
-    // Get current activity to check type and existing token
+    // Make sure the activity exists
     const activityDoc = doc(db, 'activities', id);
     const activitySnapshot = await getDoc(activityDoc);
     
@@ -166,17 +205,8 @@ export async function updateActivity(id, data) {
       throw new Error('Activity not found');
     }
 
-    const currentData = activitySnapshot.data();
     const updateData = { ...data };
 
-    // Generate QR code token for Event and Local activities if not present
-    if ((updateData.type === 'event' || updateData.type === 'local' || 
-         currentData.type === 'event' || currentData.type === 'local') && 
-        !updateData.qr_code_token && !currentData.qr_code_token) {
-      updateData.qr_code_token = uuidv4();
-      console.log('Generated QR code token for activity:', updateData.qr_code_token);
-    }
-
     await updateDoc(activityDoc, updateData); // Update the document with the provided data
     console.log('Activity updated:', id); // Log the ID of the updated activity
   } catch (error) {
@@ -185,6 +215,28 @@ export async function updateActivity(id, data) {
   }
 }
 
+/**
+ * Edit history of an activity, newest first (written by the
+ * onActivityUpdatedRecordChanges Cloud Function). NPO staff and admins only.
+ * @param {string} activityId - Activity ID
+ * @param {number} maxEntries - Number of entries to load
+ * @returns {Promise<Array>} History entries { id, changed_at, changed_by, changed_by_name, changes, notified_count }
+ */
+export async function fetchActivityHistory(activityId, maxEntries = 50) {
+  try {
+    const q = query(
+      collection(db, 'activities', activityId, 'history'),
+      orderBy('changed_at', 'desc'),
+      limit(maxEntries)
+    );
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map((docSnapshot) => ({ id: docSnapshot.id, ...docSnapshot.data() }));
+  } catch (error) {
+    console.error('Error fetching activity history:', error);
+    throw error;
+  }
+}
+
 // Fetch a specific activity by its ID
 export async function fetchActivityById(id) {
   try {
@@ -369,9 +421,10 @@ export async function updateActivityStatus(id, status) {
     
     const activityData = activitySnapshot.data();
     
-    // Update the activity status
+    // Update the activity status; a manual change cancels any scheduled publish
     await updateDoc(activityDoc, {
       status: status,
+      publish_at: null,
       updated_at: new Date()
     });
     console.log('Activity status updated:', id, 'to', status);
@@ -387,6 +440,33 @@ export async function updateActivityStatus(id, status) {
   }
 }
 
+/**
+ * Cancel an activity. It stays in volunteers' history as 'Cancelled'; the
+ * onActivityCancelled Cloud Function notifies pending and accepted applicants
+ * with the reason. XP already granted is left untouched.
+ * @param {string} id - Activity ID
+ * @param {string} reason - Reason shown to applicants
+ * @returns {Promise<{success: boolean}>}
+ */
+export async function cancelActivity(id, reason) {
+  try {
+    await updateDoc(doc(db, 'activities', id), {
+      status: 'Cancelled',
+      cancellation_reason: (reason || '').trim(),
+      cancelled_at: new Date(),
+      cancelled_by: auth.currentUser?.uid ?? null,
+      publish_at: null,
+      applications_closed: true,
+      updated_at: new Date()
+    });
+    console.log('Activity cancelled:', id);
+    return { success: true };
+  } catch (error) {
+    console.error('Error cancelling activity:', error);
+    throw error;
+  }
+}
+
 // Delete an activity from the Firestore database.
 // Subcollections (applications, validations, participations) and member/org
 // application mirrors are removed by Cloud Functions (cleanupActivityOnDelete).
@@ -408,6 +488,266 @@ export async function deleteActivity(id) {
   }
 }
 
+// Fields that belong to a single occurrence and must never be copied across a series
+const OCCURRENCE_OWN_FIELDS = [
+  'id',
+  'series_id',
+  'occurrence_index',
+  'occurrences_count',
+  'recurrence',
+  'start_date',
+  'end_date',
+  'status',
+  'publish_at',
+  'published_at',
+  'applications_closed',
+  'ended_at',
+  'closeout_reminder_sent_at',
+  'cancellation_reason',
+  'cancelled_at',
+  'cancelled_by',
+  'qr_code_token',
+  'created_at',
+  'applicants',
+  'impact_results',
+  'applicants_count',
+  'accepted_applicants_count',
+  'offered_count',
+  'waitlisted_count',
+  'effective_participants_count',
+  'validated_count',
+  'participations_count',
+  'aggregate_counts_updated_at',
+  'slot_counts',
+];
+
+/**
+ * Create a recurring series: one activity document per occurrence, linked by series_id.
+ * Each occurrence gets its own QR code token (created by Cloud Functions) so
+ * applications, validations and impact close-out stay per occurrence.
+ * @param {Object} data - Activity data (start_date is the first possible day)
+ * @param {Object} rule - Recurrence rule (see utils/recurrence.js)
+ * @returns {Promise<{seriesId: string, activityIds: string[]}>}
+ */
+export async function createActivitySeries(data, rule) {
+  try {
+    if (!data.organization_id) {
+      throw new Error('organization_id is required to create an activity');
+    }
+    if (!isRecurrenceRuleValid(rule)) {
+      throw new Error('A valid recurrence rule is required to create a series');
+    }
+
+    const dates = generateOccurrenceDates(data.start_date, rule);
+    if (dates.length === 0) {
+      throw new Error('Recurrence rule does not produce any occurrence');
+    }
+
+    // Multi-day occurrences keep the same length as the first one
+    const firstStart = data.start_date instanceof Date ? data.start_date : new Date(data.start_date);
+    const dayLength = data.end_date
+      ? Math.round(
+          (new Date(data.end_date).setHours(0, 0, 0, 0) - new Date(firstStart).setHours(0, 0, 0, 0)) / 86400000
+        )
+      : 0;
+
+    const seriesId = uuidv4();
+    const recurrence = normalizeRecurrenceRule(rule);
+    const batch = writeBatch(db);
+    const activityIds = [];
+
+    dates.forEach((date, index) => {
+      const occurrenceRef = doc(collection(db, 'activities'));
+      const endDate = dayLength > 0 ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayLength) : null;
+      const occurrenceData = {
+        ...data,
+        start_date: date,
+        end_date: endDate,
+        series_id: seriesId,
+        occurrence_index: index,
+        occurrences_count: dates.length,
+        recurrence,
+      };
+      if (occurrenceData.coordinates &&
+          (typeof occurrenceData.coordinates.latitude !== 'number' ||
+           typeof occurrenceData.coordinates.longitude !== 'number')) {
+        delete occurrenceData.coordinates;
+      }
+      batch.set(occurrenceRef, occurrenceData);
+      activityIds.push(occurrenceRef.id);
+    });
+
+    await batch.commit();
+    console.log(`Activity series ${seriesId} created with ${activityIds.length} occurrences`);
+    return { seriesId, activityIds };
+  } catch (error) {
+    console.error('Error creating activity series:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch all occurrences of a series, ordered by occurrence_index.
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Array>} Occurrence activities
+ */
+export async function fetchSeriesOccurrences(seriesId) {
+  try {
+    if (!seriesId) return [];
+    const q = query(collection(db, 'activities'), where('series_id', '==', seriesId));
+    const snapshot = await getDocs(q);
+    return snapshot.docs
+      .map((docSnapshot) => ({ id: docSnapshot.id, ...docSnapshot.data() }))
+      .sort((a, b) => (a.occurrence_index ?? 0) - (b.occurrence_index ?? 0));
+  } catch (error) {
+    console.error('Error fetching series occurrences:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an occurrence and, depending on scope, the rest of its series.
+ * - 'this': only this occurrence (dates included)
+ * - 'following': this occurrence and every later one
+ * - 'all': every occurrence of the series
+ * For 'following' and 'all', per-occurrence fields (dates, status, QR token, counters)
+ * are kept on each document; cancelled occurrences, and those a series deletion would keep
+ * (closed, ended or already started, see isSeriesOccurrenceDeletable), are left untouched.
+ * @param {string} activityId - Occurrence being edited
+ * @param {Object} data - Updated activity data
+ * @param {'this'|'following'|'all'} scope - Edit scope
+ * @returns {Promise<number>} Number of occurrences updated
+ */
+export async function updateActivitySeries(activityId, data, scope = 'this') {
+  try {
+    const current = await fetchActivityById(activityId);
+    if (!current) {
+      throw new Error('Activity not found');
+    }
+
+    if (!current.series_id || scope === 'this') {
+      await updateActivity(activityId, data);
+      return 1;
+    }
+
+    const sharedData = { ...data };
+    OCCURRENCE_OWN_FIELDS.forEach((field) => delete sharedData[field]);
+
+    const occurrences = await fetchSeriesOccurrences(current.series_id);
+    const targets = occurrences.filter((occurrence) => {
+      if (occurrence.id === activityId) return true;
+      if (occurrence.status === 'Cancelled' || !isSeriesOccurrenceDeletable(occurrence)) return false;
+      return scope === 'all' || (occurrence.occurrence_index ?? 0) >= (current.occurrence_index ?? 0);
+    });
+
+    const batch = writeBatch(db);
+    targets.forEach((occurrence) => {
+      batch.update(
+        doc(db, 'activities', occurrence.id),
+        occurrence.id === activityId ? data : sharedData
+      );
+    });
+    await batch.commit();
+
+    console.log(`Updated ${targets.length} occurrences of series ${current.series_id} (scope: ${scope})`);
+    return targets.length;
+  } catch (error) {
+    console.error('Error updating activity series:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the status of every occurrence of a series (e.g. publish after creation).
+ * @param {string} seriesId - Series ID
+ * @param {string} status - New status
+ * @returns {Promise<{success: boolean}>}
+ */
+export async function updateActivitySeriesStatus(seriesId, status) {
+  try {
+    const occurrences = await fetchSeriesOccurrences(seriesId);
+    const batch = writeBatch(db);
+    occurrences.forEach((occurrence) => {
+      batch.update(doc(db, 'activities', occurrence.id), {
+        status,
+        publish_at: null,
+        updated_at: new Date(),
+      });
+    });
+    await batch.commit();
+    console.log(`Series ${seriesId} status updated to ${status}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating activity series status:', error);
+    throw error;
+  }
+}
+
+// Keep an activity in Draft and let the lifecycle job publish it at publishAt.
+export async function scheduleActivityPublish(id, publishAt) {
+  try {
+    await updateDoc(doc(db, 'activities', id), {
+      status: 'Draft',
+      publish_at: publishAt,
+      updated_at: new Date(),
+    });
+    console.log('Activity publish scheduled:', id, publishAt);
+    return { success: true };
+  } catch (error) {
+    console.error('Error scheduling activity publish:', error);
+    throw error;
+  }
+}
+
+// Schedule the publication of every occurrence of a series.
+export async function scheduleActivitySeriesPublish(seriesId, publishAt) {
+  try {
+    const occurrences = await fetchSeriesOccurrences(seriesId);
+    const batch = writeBatch(db);
+    occurrences.forEach((occurrence) => {
+      batch.update(doc(db, 'activities', occurrence.id), {
+        status: 'Draft',
+        publish_at: publishAt,
+        updated_at: new Date(),
+      });
+    });
+    await batch.commit();
+    console.log(`Series ${seriesId} publish scheduled at ${publishAt}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error scheduling activity series publish:', error);
+    throw error;
+  }
+}
+
+// Whether deleting a series removes this occurrence. Closed, ended and already started
+// occurrences are kept: their validated hours and impact may already be credited.
+export function isSeriesOccurrenceDeletable(occurrence) {
+  if (occurrence.status === 'Closed' || occurrence.status === 'Ended') return false;
+  const start = getActivityStart(occurrence);
+  return !start || start.getTime() > Date.now();
+}
+
+// Delete the occurrences of a series that have not taken place yet, in batches of at most 500 writes.
+// Per-occurrence cleanup is handled by Cloud Functions (cleanupActivityOnDelete).
+export async function deleteActivitySeries(seriesId) {
+  try {
+    const occurrences = (await fetchSeriesOccurrences(seriesId)).filter(isSeriesOccurrenceDeletable);
+    for (let i = 0; i < occurrences.length; i += 500) {
+      const batch = writeBatch(db);
+      occurrences.slice(i, i + 500).forEach((occurrence) => {
+        batch.delete(doc(db, 'activities', occurrence.id));
+      });
+      await batch.commit();
+    }
+    console.log(`Activity series ${seriesId} deleted (${occurrences.length} occurrences)`);
+    return occurrences.length;
+  } catch (error) {
+    console.error('Error deleting activity series:', error);
+    throw error;
+  }
+}
+
 /**
  * Get count of validated participants for an activity
  * @param {string} activityId - Activity ID
@@ -1,8 +1,25 @@
-import { collection, getDocs, addDoc, getDoc, doc, query, where, Timestamp, updateDoc } from 'firebase/firestore';
-import { db } from 'firebaseConfig';
+import {
+  collection,
+  getDocs,
+  addDoc,
+  getDoc,
+  doc,
+  query,
+  where,
+  Timestamp,
+  updateDoc,
+  setDoc,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from 'firebaseConfig';
 import { fetchActivityById } from './crudActivities';
-import { createOrUpdateApplicationAsAccepted, updateApplicationStatus } from './crudApplications';
-import { createOrUpdateParticipation } from './participationService';
+import { createOrUpdateApplicationAsAccepted } from './crudApplications';
+import { resolveMemberQRToken } from './memberQR';
+import { getUserLocation } from './geolocation';
+import { convertTimestampToDate } from './dateUtils';
+import { getEligibilityIssues } from './eligibility';
+import { getActivityRemainingCapacity } from './waitlist';
 
 /**
  * Check if user has already validated this activity
@@ -127,137 +144,57 @@ function isDateInActivityRange(currentDate, startDate, endDate = null) {
 }
 
 /**
- * Validate activity by QR code scan
- * Records validation - rewards (XP/badges) are processed by Cloud Function trigger
- * @param {string} userId - User ID
+ * Validate activity by QR code scan.
+ * Runs in the validateActivityByQR Cloud Function, which checks the token, activity type,
+ * date range and duplicates, then records the validation, participation and auto-accept of a
+ * pending application in one transaction. Rewards (XP/badges) are processed by a Cloud Function trigger.
+ * A departure QR code (activities with check-out enabled) records the check-out and measured hours instead.
+ * Geofenced local activities ask for the device location (error LOCATION_REQUIRED); it is then sent
+ * along, and a scan out of range or without location comes back with `needs_review: true`.
+ * @param {string} userId - User ID (the signed-in user; the function validates the caller)
  * @param {string} activityId - Activity ID
  * @param {string} token - QR code token
- * @returns {Promise<Object>} Result object with success status and details
+ * @param {Object} [queuedScan] - Scan made offline and sent later (see utils/offlineQRQueue.js)
+ * @param {number} queuedScan.scannedAt - Time of the scan (ms)
+ * @param {number} queuedScan.tzOffsetMinutes - UTC offset of the device at scan time
+ * @returns {Promise<Object>} Result object with success status, `scan` ('check_in' | 'check_out') and details
+ *   (error codes: ALREADY_VALIDATED, ACTIVITY_NOT_FOUND, INVALID_TOKEN, INVALID_ACTIVITY_TYPE,
+ *   INVALID_DATE, NOT_CHECKED_IN, ALREADY_CHECKED_OUT, SCAN_EXPIRED, ROTATING_QR_OFFLINE,
+ *   VALIDATION_ERROR, and
+ *   NETWORK_ERROR when the function could not be reached - queue the scan then)
  */
-export async function validateActivityByQR(userId, activityId, token) {
+export async function validateActivityByQR(userId, activityId, token, queuedScan = null) {
   try {
-    // First check: Verify if user already validated this activity (prevent duplicates)
-    const alreadyValidated = await hasUserValidatedActivity(userId, activityId);
-    if (alreadyValidated) {
-      return {
-        success: false,
-        error: 'ALREADY_VALIDATED',
-        message: 'You have already validated this activity.'
-      };
-    }
-
-    // Fetch activity
-    const activity = await fetchActivityById(activityId);
-    if (!activity) {
-      return {
-        success: false,
-        error: 'ACTIVITY_NOT_FOUND',
-        message: 'Activity not found.'
-      };
-    }
-
-    // Verify token matches
-    if (activity.qr_code_token !== token) {
-      return {
-        success: false,
-        error: 'INVALID_TOKEN',
-        message: 'Invalid QR code token.'
-      };
-    }
-
-    // Verify activity type is Event or Local
-    if (activity.type !== 'event' && activity.type !== 'local') {
-      return {
-        success: false,
-        error: 'INVALID_ACTIVITY_TYPE',
-        message: 'QR code validation is only available for Event and Local activities.'
-      };
-    }
-
-    // Check if validation is on the activity date
-    const today = new Date();
-    const activityStartDate = activity.start_date instanceof Date 
-      ? activity.start_date 
-      : activity.start_date?.toDate 
-        ? activity.start_date.toDate() 
-        : new Date(activity.start_date);
-    const activityEndDate = activity.end_date
-      ? (activity.end_date instanceof Date
-          ? activity.end_date
-          : activity.end_date?.toDate
-            ? activity.end_date.toDate()
-            : new Date(activity.end_date))
-      : null;
-    
-    if (!isDateInActivityRange(today, activityStartDate, activityEndDate)) {
-      return {
-        success: false,
-        error: 'INVALID_DATE',
-        message: 'QR code validation is only available on the activity date.'
-      };
-    }
-
-    // Record validation immediately - Cloud Function trigger will process rewards in background
-    // This is the critical operation that must complete before showing success
-    await recordValidation(userId, activityId, token);
-
-    // Ensure participation exists for QR-validated users (needed for close flow & onActivityClosed).
-    // If they had a pending application, updateApplicationStatus below will create/update it.
-    // If they have no application (walk-in), we create it here.
-    try {
-      await createOrUpdateParticipation(activityId, userId, {
-        status: 'validated',
-        hours: { reported: 0, validated: 0, reported_at: null, validated_at: Timestamp.now() },
-      });
-    } catch (partErr) {
-      console.warn('Error ensuring participation for QR validation (non-blocking):', partErr);
+    const validate = httpsCallable(functions, 'validateActivityByQR');
+    const params = {
+      activityId,
+      token,
+      // The activity date is checked in the device's time zone
+      tzOffsetMinutes: queuedScan ? queuedScan.tzOffsetMinutes : new Date().getTimezoneOffset(),
+      ...(queuedScan && { scannedAt: queuedScan.scannedAt }),
+    };
+    const result = await validate(params);
+    if (result.data?.error !== 'LOCATION_REQUIRED') {
+      return result.data;
     }
 
-    // If the user already has a pending application for this activity, automatically
-    // accept it and add an automatic NPO response. This is the ONLY place we add
-    // this automatic message.
+    // Geofenced activity: send the device location, or that it is unavailable (the scan is then reviewed)
+    let location = null;
     try {
-      const activityDocRef = doc(db, 'activities', activityId);
-      const applicationsRef = collection(activityDocRef, 'applications');
-      const qApps = query(
-        applicationsRef,
-        where('user_id', '==', userId),
-        where('status', '==', 'pending')
-      );
-      const appsSnapshot = await getDocs(qApps);
-
-      if (!appsSnapshot.empty) {
-        const existingApp = appsSnapshot.docs[0];
-        const applicationId = existingApp.id;
-
-        await updateApplicationStatus(
-          activityId,
-          applicationId,
-          'accepted',
-          'Your application has been automatically accepted by QR code scan.'
-        );
-      }
-    } catch (autoAcceptError) {
-      console.error(
-        'Error auto-accepting pending application during QR validation:',
-        autoAcceptError
-      );
-      // Do not fail the validation if this step has an issue
+      location = await getUserLocation({ enableHighAccuracy: true, maximumAge: 0 });
+    } catch (locationError) {
+      console.warn('Location unavailable for geofenced validation:', locationError);
     }
-
-    // Immediate response; full rewards are processed by Cloud Function
-    const total_xp = activity.xp_reward || 0;
-    return {
-      success: true,
-      total_xp,
-      activityTitle: activity.title || '',
-      message: 'Activity validated successfully! Rewards are being processed in the background.'
-    };
+    const retry = await validate(location ? { ...params, location } : { ...params, locationUnavailable: true });
+    return retry.data;
   } catch (error) {
     console.error('Error validating activity by QR:', error);
+    const unreachable = !navigator.onLine ||
+      error.code === 'functions/unavailable' ||
+      error.code === 'functions/deadline-exceeded';
     return {
       success: false,
-      error: 'VALIDATION_ERROR',
+      error: unreachable ? 'NETWORK_ERROR' : 'VALIDATION_ERROR',
       message: error.message || 'An error occurred during validation.'
     };
   }
@@ -390,6 +327,13 @@ export async function validateApplicant(activityId, userId, validatedBy) {
     // Record validation - Cloud Function trigger will process rewards in background
     await recordValidation(userId, activityId, null, validatedBy);
 
+    // Confirming a scan that needed review (geofence) validates its participation too
+    const participationRef = doc(db, 'activities', activityId, 'participations', userId);
+    const participationSnap = await getDoc(participationRef);
+    if (participationSnap.exists() && participationSnap.data().status === 'needs_review') {
+      await updateDoc(participationRef, { status: 'validated' });
+    }
+
     return {
       success: true,
       message: 'Applicant validated successfully! Rewards are being processed in the background.'
@@ -531,6 +475,120 @@ export async function rejectAllApplicants(activityId, userIds, rejectedBy) {
   return results;
 }
 
+/**
+ * What validating a member without an accepted application would skip: unmet eligibility
+ * requirements (utils/eligibility.js codes), 'activity_full' and 'questionnaire_unanswered'.
+ * @param {Object} activity - Activity document data
+ * @param {Object} member - Member profile
+ * @param {Object|null} application - Member's latest application, if any
+ * @param {string[]} serverIssues - Unmet requirements checked by the server (minimum age)
+ * @returns {string[]}
+ */
+function getWalkInWarnings(activity, member, application, serverIssues) {
+  const warnings = getEligibilityIssues(activity, member, serverIssues).map((issue) => issue.code);
+  if (getActivityRemainingCapacity(activity) === 0) {
+    warnings.push('activity_full');
+  }
+  const questions = Array.isArray(activity.questionnaire) ? activity.questionnaire : [];
+  if (questions.some((question) => question.required) && !application?.answers) {
+    warnings.push('questionnaire_unanswered');
+  }
+  return warnings;
+}
+
+/**
+ * Validate a volunteer from their personal member QR, scanned by NPO staff at the kiosk
+ * (see utils/memberQR.js). Goes through validateApplicant like manual validations, and
+ * records the arrival (participation checked_in_at) for check-out and close-out.
+ * Refused outside the activity dates (NOT_ACTIVITY_DAY). A member without an accepted
+ * application is only validated once staff confirm the walk-in: the first call returns
+ * WALK_IN_CONFIRMATION_REQUIRED with the application status and getWalkInWarnings codes.
+ * @param {string} activityId - Activity ID
+ * @param {string} qrToken - Member QR token read from the QR
+ * @param {string} validatedBy - NPO user ID who scanned
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmWalkIn] - Staff confirmed validating a member without an
+ *   accepted application
+ * @returns {Promise<Object>} validateApplicant result, with the member's userId and displayName
+ */
+export async function validateMemberByQR(activityId, qrToken, validatedBy, { confirmWalkIn = false } = {}) {
+  const scanned = await resolveMemberQRToken(activityId, qrToken);
+  const memberSnap = scanned ? await getDoc(doc(db, 'members', scanned.userId)) : null;
+  const member = memberSnap?.exists() ? { id: memberSnap.id, ...memberSnap.data() } : null;
+  if (!member) {
+    return {
+      success: false,
+      error: 'MEMBER_NOT_FOUND',
+      message: 'No member found for this QR code.'
+    };
+  }
+  const displayName = member.display_name || member.name || member.email || member.code;
+
+  const activity = await fetchActivityById(activityId);
+  if (!activity) {
+    return {
+      success: false,
+      error: 'ACTIVITY_NOT_FOUND',
+      message: 'Activity not found.',
+      userId: member.id,
+      displayName
+    };
+  }
+  const startDate = convertTimestampToDate(activity.start_date);
+  if (!isDateInActivityRange(new Date(), startDate, convertTimestampToDate(activity.end_date))) {
+    return {
+      success: false,
+      error: 'NOT_ACTIVITY_DAY',
+      message: 'Volunteers can only be checked in on the activity date.',
+      userId: member.id,
+      displayName
+    };
+  }
+
+  if (!confirmWalkIn) {
+    const applicationsSnap = await getDocs(
+      query(collection(db, 'activities', activityId, 'applications'), where('user_id', '==', member.id))
+    );
+    // Latest first
+    const createdMs = (application) => convertTimestampToDate(application.created_at)?.getTime() || 0;
+    const applications = applicationsSnap.docs
+      .map((applicationDoc) => applicationDoc.data())
+      .sort((a, b) => createdMs(b) - createdMs(a));
+    if (!applications.some((application) => application.status === 'accepted')) {
+      return {
+        success: false,
+        error: 'WALK_IN_CONFIRMATION_REQUIRED',
+        message: 'This member has no accepted application for the activity.',
+        userId: member.id,
+        displayName,
+        applicationStatus: applications[0]?.status || null,
+        warnings: getWalkInWarnings(activity, member, applications[0] || null, scanned.eligibilityIssues)
+      };
+    }
+  }
+
+  const result = await validateApplicant(activityId, member.id, validatedBy);
+  if (result.success) {
+    // Arrival time, kept from an earlier scan (check-out scans and closeForgottenCheckOuts need it)
+    const participationRef = doc(db, 'activities', activityId, 'participations', member.id);
+    const participationSnap = await getDoc(participationRef);
+    if (!participationSnap.exists()) {
+      await setDoc(participationRef, {
+        user_id: member.id,
+        status: 'validated',
+        hours: { reported: 0, validated: 0, reported_at: null, validated_at: null },
+        checked_in_at: serverTimestamp(),
+        checked_out_at: null,
+        xp_awarded: 0,
+        joined_at: serverTimestamp()
+      });
+    } else if (!participationSnap.data().checked_in_at) {
+      await updateDoc(participationRef, { checked_in_at: serverTimestamp() });
+    }
+  }
+  return { ...result, userId: member.id, displayName };
+}
+
 /**
  * Check if user can validate an activity (for UI purposes)
  * @param {string} userId - User ID
@@ -1,9 +1,11 @@
-import { collection, getDoc, doc, query, where, getDocs, updateDoc, runTransaction, Timestamp, setDoc } from 'firebase/firestore';
-import { db } from 'firebaseConfig';
+import { collection, getDoc, doc, query, where, getDocs, updateDoc, Timestamp, setDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from 'firebaseConfig';
 import { fetchActivityById } from './crudActivities';
 import { grantBadgeToUser } from './crudBadges';
 import { initializeValidationDocument } from './crudActivityValidation';
 import { createOrUpdateParticipation } from './participationService';
+import { CLOSED_APPLICATION_STATUSES, isOfferActive } from './waitlist';
 
 export const checkExistingApplication = async (activityId, userId) => {
   try {
@@ -12,9 +14,9 @@ export const checkExistingApplication = async (activityId, userId) => {
     const q = query(applicationsRef, where('user_id', '==', userId));
     
     const querySnapshot = await getDocs(q);
-    // Check if there's any application that is NOT cancelled
+    // Check if there's any application that is NOT cancelled (or an expired waitlist offer)
     const hasNonCancelledApplication = querySnapshot.docs.some(
-      (doc) => doc.data().status !== 'cancelled'
+      (doc) => !CLOSED_APPLICATION_STATUSES.includes(doc.data().status)
     );
     return hasNonCancelledApplication;
   } catch (error) {
@@ -23,29 +25,12 @@ export const checkExistingApplication = async (activityId, userId) => {
   }
 };
 
-export const createApplication = async ({ activityId, userId, userEmail, message }) => {
+// Applications are created by the applyToActivity Cloud Function, which checks the eligibility
+// requirements and decides the status (pending, accepted or waitlisted) against the live
+// applications of the activity.
+export const createApplication = async ({ activityId, userId, userEmail, message, slotIds = [], answers = {} }) => {
   try {
-    const hasExistingApplication = await checkExistingApplication(activityId, userId);
-    
-    if (hasExistingApplication) {
-      return { 
-        success: false, 
-        error: 'existing_application' 
-      };
-    }
-
-    // Get activity details to get organization ID and check auto-accept settings
-    const activityRef = doc(db, 'activities', activityId);
-    const activityDoc = await getDoc(activityRef);
-    const activityData = activityDoc.data();
-    const organizationId = activityData.organization_id;
-    
-    // Check if auto-accept is enabled
-    const shouldAutoAccept = activityData.auto_accept_applications === true;
-    const defaultStatus = shouldAutoAccept ? 'accepted' : 'pending';
-    const defaultNpoResponse = shouldAutoAccept ? 'Your application has been automatically accepted.' : '';
-
-    // Check if this is the user's first application (check BEFORE transaction)
+    // Check if this is the user's first application (check BEFORE applying)
     const userRef = doc(db, 'members', userId);
     const userApplicationsRef = collection(userRef, 'applications');
     const existingApplicationsSnapshot = await getDocs(userApplicationsRef);
@@ -53,25 +38,13 @@ export const createApplication = async ({ activityId, userId, userEmail, message
     
     console.log(`Checking first application for user ${userId}: ${isFirstApplication ? 'YES' : 'NO'} (found ${existingApplicationsSnapshot.size} existing applications)`);
 
-    const applicationData = {
-      user_id: userId,
-      message,
-      status: defaultStatus,
-      created_at: new Date(),
-      activity_id: activityId,
-      organization_id: organizationId,
-      ...(shouldAutoAccept && { npo_response: defaultNpoResponse }),
-    };
-
-    // Canonical write only; Cloud Functions upsert member/org mirrors
-    const result = await runTransaction(db, async (transaction) => {
-      const applicationsRef = collection(activityRef, 'applications');
-      const appRef = doc(applicationsRef);
-      transaction.set(appRef, applicationData);
-      return appRef.id;
-    });
+    const apply = httpsCallable(functions, 'applyToActivity');
+    const { data: result } = await apply({ activityId, message, slotIds, answers });
+    if (!result?.success) {
+      return result;
+    }
 
-    // Grant badge if this is the first application (after transaction succeeds)
+    // Grant badge if this is the first application (after the application is created)
     let badgeDetails = null;
     if (isFirstApplication) {
       try {
@@ -98,13 +71,25 @@ export const createApplication = async ({ activityId, userId, userEmail, message
       console.log(`Not granting firstApplication badge - user ${userId} already has ${existingApplicationsSnapshot.size} application(s)`);
     }
 
-    return { success: true, id: result, badgeDetails };
+    return { success: true, id: result.id, status: result.status, badgeDetails };
   } catch (error) {
     console.error('Error creating application:', error);
     throw error;
   }
 };
 
+/**
+ * Requirements of an activity the signed-in member does not meet, checked by the
+ * checkActivityEligibility Cloud Function (it alone reads the member's birth date).
+ * @param {string} activityId
+ * @returns {Promise<string[]>} Codes: birth_date_missing, min_age, language_missing, skill_missing, badge_missing
+ */
+export const checkActivityEligibility = async (activityId) => {
+  const check = httpsCallable(functions, 'checkActivityEligibility');
+  const { data } = await check({ activityId });
+  return data?.success ? data.issues : [];
+};
+
 export const fetchApplicationsForActivity = async (activityId) => {
   try {
     const activityRef = doc(db, 'activities', activityId);
@@ -174,9 +159,12 @@ export const updateApplicationStatus = async (
     // Prepare update data - snake_case for Firestore
     const updateData = {
       status,
-      npo_response: npoResponse,
       updated_at: new Date(),
     };
+    // Only written when it changes: applicants may not touch it (firestore.rules)
+    if (npoResponse !== (applicationData.npo_response ?? '')) {
+      updateData.npo_response = npoResponse;
+    }
 
     // Only add last_status_updated_by if updatedByUserId is provided (backward compatibility)
     if (updatedByUserId) {
@@ -207,7 +195,9 @@ export const updateApplicationStatus = async (
         await createOrUpdateParticipation(activityId, applicationData.user_id, {
           status: 'registered',
           joined_at: Timestamp.now(),
-          hours: { reported: 0, validated: 0, reported_at: null, validated_at: null }
+          hours: { reported: 0, validated: 0, reported_at: null, validated_at: null },
+          // Slots drive validated hours at QR validation and close-out
+          ...(Array.isArray(applicationData.slot_ids) && { slot_ids: applicationData.slot_ids })
         });
         console.log(`Participation created for user ${applicationData.user_id} on activity ${activityId}`);
       } catch (participationError) {
@@ -231,6 +221,51 @@ export const updateApplicationStatus = async (
   }
 };
 
+// Confirm or decline a waitlist offer (status 'offered') as the volunteer.
+// Declining frees the place, which Cloud Functions offer to the next person.
+export const respondToWaitlistOffer = async (activityId, applicationId, accept, userId) => {
+  try {
+    const applicationRef = doc(db, 'activities', activityId, 'applications', applicationId);
+    const applicationDoc = await getDoc(applicationRef);
+    const applicationData = applicationDoc.data();
+
+    if (!applicationData || applicationData.user_id !== userId) {
+      return { success: false, error: 'not_found' };
+    }
+    if (!isOfferActive(applicationData)) {
+      return { success: false, error: 'offer_expired' };
+    }
+
+    return await updateApplicationStatus(
+      activityId,
+      applicationId,
+      accept ? 'accepted' : 'cancelled',
+      applicationData.npo_response || '',
+      userId
+    );
+  } catch (error) {
+    console.error('Error responding to waitlist offer:', error);
+    throw error;
+  }
+};
+
+// Fetch one of the volunteer's own applications (e.g. from a reminder link).
+// Returns null when it does not exist or belongs to someone else.
+export const fetchOwnApplication = async (activityId, applicationId, userId) => {
+  try {
+    const applicationRef = doc(db, 'activities', activityId, 'applications', applicationId);
+    const applicationDoc = await getDoc(applicationRef);
+    const applicationData = applicationDoc.data();
+    if (!applicationData || applicationData.user_id !== userId) {
+      return null;
+    }
+    return { id: applicationDoc.id, ...applicationData };
+  } catch (error) {
+    console.error('Error fetching application:', error);
+    throw error;
+  }
+};
+
 // Fetch all applications for a specific user (volunteer)
 export const fetchApplicationsByUserId = async (userId) => {
   try {
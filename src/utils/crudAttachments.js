@@ -0,0 +1,88 @@
+import { collection, getDocs, addDoc, doc, deleteDoc, query, where } from 'firebase/firestore';
+import { db } from 'firebaseConfig';
+import { uploadActivityAttachment, deleteStoredFile } from './storage';
+
+/** Who may download an attachment. */
+export const ATTACHMENT_VISIBILITIES = ['public', 'accepted'];
+
+/**
+ * Fetch the attachments of an activity the current user may see: public ones,
+ * plus "accepted volunteers only" ones for accepted volunteers and the
+ * organization's staff (others are refused by the security rules).
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<Array>} Attachments { id, name, storage_path, content_type, size, visibility, uploaded_by, created_at }, newest first
+ */
+export async function fetchActivityAttachments(activityId) {
+  if (!activityId) return [];
+  const attachmentsRef = collection(db, 'activities', activityId, 'attachments');
+
+  const fetchVisibility = async (visibility) => {
+    try {
+      const snapshot = await getDocs(query(attachmentsRef, where('visibility', '==', visibility)));
+      return snapshot.docs.map((docSnapshot) => ({ id: docSnapshot.id, ...docSnapshot.data() }));
+    } catch (error) {
+      if (visibility === 'accepted' && error.code === 'permission-denied') {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  try {
+    const [publicAttachments, restrictedAttachments] = await Promise.all(
+      ATTACHMENT_VISIBILITIES.map(fetchVisibility)
+    );
+    const toMillis = (value) => value?.toMillis?.() ?? (value ? new Date(value).getTime() : 0);
+    return [...publicAttachments, ...restrictedAttachments].sort(
+      (a, b) => toMillis(b.created_at) - toMillis(a.created_at)
+    );
+  } catch (error) {
+    console.error('Error fetching activity attachments:', error);
+    throw error;
+  }
+}
+
+/**
+ * Upload a file and attach it to an activity. Accepted volunteers are
+ * notified by the onAttachmentCreatedNotifyVolunteers Cloud Function.
+ * @param {string} activityId - Activity ID
+ * @param {File} file - File to attach
+ * @param {Object} options
+ * @param {'public'|'accepted'} options.visibility - Who may download it
+ * @param {string} options.uploadedBy - Uploader's user ID
+ * @returns {Promise<string>} Attachment ID
+ */
+export async function addActivityAttachment(activityId, file, { visibility, uploadedBy }) {
+  const storagePath = await uploadActivityAttachment(file, activityId, visibility);
+  try {
+    const docRef = await addDoc(collection(db, 'activities', activityId, 'attachments'), {
+      name: file.name,
+      storage_path: storagePath,
+      content_type: file.type || 'application/octet-stream',
+      size: file.size,
+      visibility,
+      uploaded_by: uploadedBy || null,
+      created_at: new Date(),
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error saving activity attachment:', error);
+    await deleteStoredFile(storagePath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Remove an attachment and its file.
+ * @param {string} activityId - Activity ID
+ * @param {Object} attachment - Attachment { id, storage_path }
+ */
+export async function deleteActivityAttachment(activityId, attachment) {
+  try {
+    await deleteStoredFile(attachment.storage_path);
+    await deleteDoc(doc(db, 'activities', activityId, 'attachments', attachment.id));
+  } catch (error) {
+    console.error('Error deleting activity attachment:', error);
+    throw error;
+  }
+}
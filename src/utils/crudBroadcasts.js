@@ -0,0 +1,49 @@
+import { collection, getDocs, orderBy, query } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from 'firebaseConfig';
+
+/** Who an announcement can be sent to. */
+export const BROADCAST_AUDIENCES = ['all', 'accepted', 'waitlisted', 'validated', 'slot'];
+
+/** Longest title and message accepted by the sendActivityBroadcast function. */
+export const MAX_BROADCAST_TITLE_LENGTH = 120;
+export const MAX_BROADCAST_BODY_LENGTH = 2000;
+
+/**
+ * Send an announcement to the participants of an activity (in-app
+ * notification, push and email, following each member's preferences).
+ * @param {Object} params
+ * @param {string} params.activityId - Activity ID
+ * @param {string} params.audience - One of BROADCAST_AUDIENCES
+ * @param {string|null} [params.slotId] - Time slot, for the "slot" audience
+ * @param {string} params.title - Short title
+ * @param {string} params.body - Message
+ * @returns {Promise<{ broadcastId: string, stats: { recipients: number, in_app: number, push: number, email: number, failed: number } }>}
+ */
+export async function sendActivityBroadcast({ activityId, audience, slotId = null, title, body }) {
+  try {
+    const send = httpsCallable(functions, 'sendActivityBroadcast');
+    const result = await send({ activityId, audience, slotId, title, body });
+    return result.data;
+  } catch (error) {
+    console.error('Error sending broadcast:', error);
+    throw error;
+  }
+}
+
+/**
+ * Past announcements of an activity, newest first.
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<Array>} Broadcasts { id, title, body, audience, slot_id, sent_by_name, status, stats, created_at }
+ */
+export async function fetchActivityBroadcasts(activityId) {
+  try {
+    const snapshot = await getDocs(
+      query(collection(db, 'activities', activityId, 'broadcasts'), orderBy('created_at', 'desc'))
+    );
+    return snapshot.docs.map((docSnapshot) => ({ id: docSnapshot.id, ...docSnapshot.data() }));
+  } catch (error) {
+    console.error('Error fetching broadcasts:', error);
+    throw error;
+  }
+}
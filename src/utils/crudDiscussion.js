@@ -0,0 +1,127 @@
+import { collection, getDocs, getDoc, addDoc, updateDoc, doc, query, where } from 'firebase/firestore';
+import { db } from 'firebaseConfig';
+
+/** Longest message accepted by the security rules. */
+export const MAX_MESSAGE_LENGTH = 2000;
+
+const toMillis = (value) => value?.toMillis?.() ?? (value ? new Date(value).getTime() : 0);
+
+/**
+ * The current member's relationship to an activity, from the volunteer_access
+ * mirror kept by the onApplicationWrittenSyncVolunteerAccess Cloud Function.
+ * @param {string} activityId - Activity ID
+ * @param {string} userId - Member ID
+ * @returns {Promise<string|null>} Application status ('accepted', 'pending', 'waitlisted', 'offered') or null
+ */
+export async function fetchMyActivityAccess(activityId, userId) {
+  if (!activityId || !userId) return null;
+  try {
+    const snapshot = await getDoc(doc(db, 'activities', activityId, 'volunteer_access', userId));
+    return snapshot.exists() ? snapshot.data().application_status || null : null;
+  } catch (error) {
+    console.error('Error fetching activity access:', error);
+    return null;
+  }
+}
+
+/**
+ * Messages of an activity discussion the current user may read, oldest first.
+ * NPO staff get every message, including hidden ones; volunteers the visible
+ * messages of the channels open to them.
+ * @param {string} activityId - Activity ID
+ * @param {Object} access
+ * @param {boolean} access.isStaff - NPO staff/ambassador of the activity or admin
+ * @param {boolean} access.isAccepted - Accepted volunteer (reads the "accepted" channel)
+ * @returns {Promise<Array>} Messages { id, author_id, author_name, author_role, body, channel, reply_to, pinned, hidden, created_at }
+ */
+export async function fetchDiscussionMessages(activityId, { isStaff = false, isAccepted = false } = {}) {
+  const messagesRef = collection(db, 'activities', activityId, 'discussion');
+  try {
+    let snapshots;
+    if (isStaff) {
+      snapshots = [await getDocs(messagesRef)];
+    } else {
+      const channels = isAccepted ? ['all', 'accepted'] : ['all'];
+      snapshots = await Promise.all(
+        channels.map((channel) =>
+          getDocs(query(messagesRef, where('channel', '==', channel), where('hidden', '==', false)))
+        )
+      );
+    }
+    return snapshots
+      .flatMap((snapshot) => snapshot.docs.map((docSnapshot) => ({ id: docSnapshot.id, ...docSnapshot.data() })))
+      .sort((a, b) => toMillis(a.created_at) - toMillis(b.created_at));
+  } catch (error) {
+    console.error('Error fetching discussion messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Post a message. Participants are notified by the
+ * onDiscussionMessageCreatedNotify Cloud Function.
+ * @param {string} activityId - Activity ID
+ * @param {Object} message
+ * @param {string} message.body - Text, up to MAX_MESSAGE_LENGTH characters
+ * @param {'all'|'accepted'} message.channel - Channel posted to
+ * @param {string|null} [message.replyTo] - ID of the message answered
+ * @param {Object} author - { id, name, role: 'staff'|'volunteer' }
+ * @returns {Promise<string>} Message ID
+ */
+export async function postDiscussionMessage(activityId, { body, channel, replyTo = null }, author) {
+  const text = (body || '').trim();
+  if (!text || text.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Message must be 1 to ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  try {
+    const docRef = await addDoc(collection(db, 'activities', activityId, 'discussion'), {
+      author_id: author.id,
+      author_name: author.name || '',
+      author_role: author.role,
+      body: text,
+      channel,
+      reply_to: replyTo,
+      pinned: false,
+      hidden: false,
+      created_at: new Date(),
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error posting discussion message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pin or hide a message (NPO staff).
+ * @param {string} activityId - Activity ID
+ * @param {string} messageId - Message ID
+ * @param {{ pinned?: boolean, hidden?: boolean }} flags
+ * @param {string} moderatorId - Staff member's user ID
+ */
+export async function moderateDiscussionMessage(activityId, messageId, flags, moderatorId) {
+  try {
+    await updateDoc(doc(db, 'activities', activityId, 'discussion', messageId), {
+      ...flags,
+      moderated_by: moderatorId,
+      moderated_at: new Date(),
+    });
+  } catch (error) {
+    console.error('Error moderating discussion message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Switch the "accepted volunteers only" channel of an activity on or off.
+ * @param {string} activityId - Activity ID
+ * @param {boolean} enabled
+ */
+export async function setAcceptedChannelEnabled(activityId, enabled) {
+  try {
+    await updateDoc(doc(db, 'activities', activityId), { discussion_accepted_channel: enabled });
+  } catch (error) {
+    console.error('Error updating discussion channel:', error);
+    throw error;
+  }
+}
@@ -1,4 +1,4 @@
-import { collection, getDocs, getDoc, updateDoc, doc, query, where, getCountFromServer} from 'firebase/firestore';
+import { collection, getDocs, getDoc, updateDoc, setDoc, doc, query, where, getCountFromServer} from 'firebase/firestore';
 import { db } from 'firebaseConfig';
 
 // Fetch all members from the Firestore database
@@ -130,6 +130,29 @@ export async function fetchMemberById(userId, setProfileData) {
   }
 }
 
+/**
+ * Fetch the member's private profile (members/{id}/private/profile), which only the member
+ * and Cloud Functions can read. It holds `birth_date` ("YYYY-MM-DD"), checked against activity
+ * age requirements by the applyToActivity function.
+ * @param {string} userId - The member's own user ID
+ * @returns {Promise<Object>} Private profile data, empty when not saved yet
+ */
+export async function fetchMemberPrivateProfile(userId) {
+  if (!userId) return {};
+  const snap = await getDoc(doc(db, 'members', userId, 'private', 'profile'));
+  return snap.exists() ? snap.data() : {};
+}
+
+/**
+ * Save fields of the member's private profile.
+ * @param {string} userId - The member's own user ID
+ * @param {Object} data - Fields to merge (e.g. { birth_date })
+ * @returns {Promise<void>}
+ */
+export async function updateMemberPrivateProfile(userId, data) {
+  await setDoc(doc(db, 'members', userId, 'private', 'profile'), data, { merge: true });
+}
+
 /**
  * Fetch public member profile data (excludes sensitive information like email)
  * @param {string} userId - The user ID of the member
@@ -0,0 +1,73 @@
+import { collection, getDocs, addDoc, deleteDoc, doc, query, orderBy } from 'firebase/firestore';
+import { db } from 'firebaseConfig';
+import { normalizeQuestionnaire } from './questionnaire';
+
+/**
+ * Fetch the questionnaire templates saved by an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} Array of { id, title, questions }
+ */
+export async function fetchQuestionnaireTemplates(organizationId) {
+  try {
+    if (!organizationId) {
+      console.error('Error fetching questionnaire templates: organizationId is required');
+      return [];
+    }
+
+    const orgRef = doc(db, 'organizations', organizationId);
+    const templatesCollection = collection(orgRef, 'questionnaires');
+    const q = query(templatesCollection, orderBy('created_at', 'desc'));
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error fetching questionnaire templates:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a questionnaire as a reusable template for the organization
+ * @param {string} organizationId - Organization ID
+ * @param {string} title - Template name
+ * @param {Array} questions - Questions (see utils/questionnaire.js)
+ * @returns {Promise<string>} Template ID
+ */
+export async function saveQuestionnaireTemplate(organizationId, title, questions) {
+  try {
+    if (!organizationId) {
+      throw new Error('organizationId is required to save a questionnaire template');
+    }
+
+    const orgRef = doc(db, 'organizations', organizationId);
+    const templatesCollection = collection(orgRef, 'questionnaires');
+    const docRef = await addDoc(templatesCollection, {
+      title: title.trim(),
+      questions: normalizeQuestionnaire(questions),
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error saving questionnaire template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a questionnaire template
+ * @param {string} organizationId - Organization ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ */
+export async function deleteQuestionnaireTemplate(organizationId, templateId) {
+  try {
+    await deleteDoc(doc(db, 'organizations', organizationId, 'questionnaires', templateId));
+  } catch (error) {
+    console.error('Error deleting questionnaire template:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Activity eligibility requirements.
+ *
+ * An activity may declare `requirements`:
+ * {
+ *   min_age: number | null;      // age reached on the activity's start date
+ *   languages: string[];         // ISO 639-1 codes, all of them must be spoken
+ *   skills: string[];            // skill ids (see crudSkills), all of them required
+ *   badge_id: string | null;     // badge the volunteer must hold
+ *   badge_title: string | null;  // shown to volunteers without a badge lookup
+ *   mode: 'block' | 'warn';      // refuse the application, or only warn
+ * }
+ *
+ * They are checked against the member profile (`languages`, `skills`, `badges`) and
+ * the birth date by the applyToActivity Cloud Function (functions/src/activity-mgt/
+ * eligibility.js), which refuses 'block' applications. The birth date is kept in the
+ * owner-only members/{id}/private/profile, so the minimum age is only known from the
+ * server (checkActivityEligibility); the helpers below preview the rest in
+ * ApplyActivityModal and the "eligible only" filter of the activities page.
+ */
+import languages from '@cospired/i18n-iso-languages';
+
+languages.registerLocale(require('@cospired/i18n-iso-languages/langs/en.json'));
+
+export const REQUIREMENT_MODES = ['block', 'warn'];
+
+export const DEFAULT_REQUIREMENTS = {
+  min_age: null,
+  languages: [],
+  skills: [],
+  badge_id: null,
+  badge_title: null,
+  mode: 'block',
+};
+
+// Profile and form values are react-select options or plain strings
+const optionValue = (item) =>
+  typeof item === 'object' && item !== null ? item.value || item.id || item.label : item;
+
+/**
+ * Requirements of an activity with defaults applied.
+ * @param {Object} activity
+ * @returns {Object} Same shape as DEFAULT_REQUIREMENTS
+ */
+export function normalizeRequirements(activity) {
+  const requirements = activity?.requirements || {};
+  const minAge = Number(requirements.min_age);
+  return {
+    min_age: Number.isInteger(minAge) && minAge > 0 ? minAge : null,
+    languages: (requirements.languages || []).map(optionValue).filter(Boolean),
+    skills: (requirements.skills || []).map(optionValue).filter(Boolean),
+    badge_id: requirements.badge_id || null,
+    badge_title: requirements.badge_id ? requirements.badge_title || null : null,
+    mode: REQUIREMENT_MODES.includes(requirements.mode) ? requirements.mode : 'block',
+  };
+}
+
+/**
+ * Whether the activity declares at least one requirement.
+ * @param {Object} activity
+ * @returns {boolean}
+ */
+export function hasRequirements(activity) {
+  const requirements = normalizeRequirements(activity);
+  return Boolean(
+    requirements.min_age ||
+      requirements.languages.length > 0 ||
+      requirements.skills.length > 0 ||
+      requirements.badge_id
+  );
+}
+
+/**
+ * English name of a language code, or the value itself for free-typed languages.
+ * @param {string} code
+ * @returns {string}
+ */
+export function getLanguageName(code) {
+  return languages.getName(code, 'en') || code;
+}
+
+/**
+ * Whether the member's profile lists a language.
+ * Profile languages are { value: code, label: name }, or free text typed by the member.
+ * @param {Object|null} member - Member profile
+ * @param {string} language - ISO 639-1 code or English name
+ * @returns {boolean}
+ */
+export function speaksLanguage(member, language) {
+  const wanted = [String(language).toLowerCase(), getLanguageName(language).toLowerCase()];
+  return (member?.languages || []).some((spoken) => {
+    const values = typeof spoken === 'object' && spoken !== null ? [spoken.value, spoken.label] : [spoken];
+    return values.some((value) => value && wanted.includes(String(value).toLowerCase()));
+  });
+}
+
+/**
+ * Requirements the member does not meet.
+ * @param {Object} activity - Activity with `requirements`
+ * @param {Object|null} member - Member profile
+ * @param {string[]|null} [serverIssues] - Codes from checkActivityEligibility; the minimum age
+ *   is only reported from them
+ * @returns {Array<{ code: string, minAge?: number, languages?: string[], skills?: string[], badgeId?: string, badgeTitle?: string }>}
+ *   Codes: birth_date_missing, min_age, language_missing, skill_missing, badge_missing
+ */
+export function getEligibilityIssues(activity, member, serverIssues = null) {
+  const requirements = normalizeRequirements(activity);
+  const issues = [];
+
+  if (requirements.min_age) {
+    const ageIssue = ['birth_date_missing', 'min_age'].find((code) => serverIssues?.includes(code));
+    if (ageIssue) {
+      issues.push({ code: ageIssue, minAge: requirements.min_age });
+    }
+  }
+
+  if (requirements.languages.length > 0) {
+    const missing = requirements.languages.filter((code) => !speaksLanguage(member, code));
+    if (missing.length > 0) {
+      issues.push({ code: 'language_missing', languages: missing });
+    }
+  }
+
+  if (requirements.skills.length > 0) {
+    const memberSkills = new Set((member?.skills || []).map(optionValue));
+    const missing = requirements.skills.filter((skill) => !memberSkills.has(skill));
+    if (missing.length > 0) {
+      issues.push({ code: 'skill_missing', skills: missing });
+    }
+  }
+
+  if (requirements.badge_id) {
+    const hasBadge = (member?.badges || []).some((badge) => optionValue(badge) === requirements.badge_id);
+    if (!hasBadge) {
+      issues.push({
+        code: 'badge_missing',
+        badgeId: requirements.badge_id,
+        badgeTitle: requirements.badge_title || requirements.badge_id,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Whether unmet requirements refuse the application (as opposed to only warning).
+ * @param {Object} activity
+ * @param {Object|null} member
+ * @returns {boolean}
+ */
+export function isBlockedByRequirements(activity, member) {
+  return (
+    normalizeRequirements(activity).mode === 'block' &&
+    getEligibilityIssues(activity, member).length > 0
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * Geo service — location queries over Open local activities and events
+ * through the queryActivitiesByLocation Firebase function (geohash index,
+ * distances computed on the server).
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from 'firebaseConfig';
+
+/** Largest page the function returns. */
+const MAX_PAGE_SIZE = 200;
+/** Pages fetched at most when collecting every activity of an area. */
+const MAX_PAGES = 5;
+
+/**
+ * Query activities by location.
+ * @param {Object} params
+ * @param {{ latitude: number, longitude: number }} [params.center] - Point distances are measured from
+ * @param {number} [params.radiusKm] - Radius around `center` when there are no bounds (default 50)
+ * @param {{ north: number, south: number, east: number, west: number }} [params.bounds] - Map viewport
+ * @param {number} [params.zoom] - Map zoom; below 12 nearby activities come back as clusters
+ * @param {string[]} [params.activityIds] - Only return these activities
+ * @param {number} [params.page=1] - 1-indexed
+ * @param {number} [params.pageSize=50]
+ * @returns {Promise<{ activities: Array<Object>, clusters: Array<Object>, total: number, page: number, pageSize: number, hasMore: boolean, truncated: boolean }>}
+ */
+export async function queryActivitiesByLocation(params) {
+  const query = httpsCallable(functions, 'queryActivitiesByLocation');
+  const result = await query(params);
+  return result.data;
+}
+
+/**
+ * Distances of every Open local activity within a radius, closest first.
+ * @param {{ latitude: number, longitude: number }} center
+ * @param {number} radiusKm
+ * @returns {Promise<Map<string, number>>} activityId -> distance in km
+ */
+export async function fetchNearbyActivityDistances(center, radiusKm) {
+  const distances = new Map();
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const { activities, hasMore } = await queryActivitiesByLocation({
+      center,
+      radiusKm,
+      page,
+      pageSize: MAX_PAGE_SIZE,
+    });
+    activities.forEach((activity) => distances.set(activity.id, activity.distance));
+    if (!hasMore) break;
+  }
+  return distances;
+}
+
+/**
+ * Markers and clusters of a map viewport.
+ * @param {Object} params
+ * @param {{ north: number, south: number, east: number, west: number }} params.bounds
+ * @param {number} params.zoom
+ * @param {{ latitude: number, longitude: number }} [params.center] - Distances are measured from here
+ * @param {string[]|null} [params.activityIds] - Only these activities (page filters)
+ * @returns {Promise<{ activities: Array<Object>, clusters: Array<Object>, truncated: boolean }>}
+ */
+export async function fetchMapViewport({ bounds, zoom, center, activityIds }) {
+  const activities = [];
+  let clusters = [];
+  let truncated = false;
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const result = await queryActivitiesByLocation({
+      bounds,
+      zoom,
+      ...(center ? { center } : {}),
+      ...(activityIds ? { activityIds } : {}),
+      page,
+      pageSize: MAX_PAGE_SIZE,
+    });
+    activities.push(...result.activities);
+    clusters = clusters.concat(result.clusters);
+    truncated = truncated || result.truncated || (result.hasMore && page === MAX_PAGES);
+    if (!result.hasMore) break;
+  }
+  return { activities, clusters, truncated };
+}
@@ -0,0 +1,29 @@
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from 'firebaseConfig';
+
+/**
+ * Geofence radii offered for local activities (`geofence_radius_m`, metres around the
+ * address coordinates). Scans out of range, or without a location, are recorded by the
+ * validateActivityByQR function as 'needs_review' for the NPO to confirm.
+ */
+export const GEOFENCE_RADIUS_OPTIONS = [100, 250, 500, 1000];
+
+/**
+ * Location evidence of an activity's geofenced scans, by user ID (NPO staff and admins).
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<Object<string, Object>>} { latitude, longitude, accuracy_m, distance_m,
+ *   radius_m, within_radius, review_reason, scanned_at } per user
+ */
+export async function fetchScanLocations(activityId) {
+  try {
+    const snapshot = await getDocs(collection(db, 'activities', activityId, 'scan_locations'));
+    const byUser = {};
+    snapshot.docs.forEach((d) => {
+      byUser[d.id] = d.data();
+    });
+    return byUser;
+  } catch (error) {
+    console.error('Error fetching scan locations:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * iCalendar (.ics, RFC 5545) export of activities.
+ *
+ * Used for the "Add to calendar" download of ActivityDetailsModal and by the
+ * calendar feed route (src/app/api/calendar/[token]/route.js).
+ *
+ * Dates and times are those of the activity's time zone, written with its TZID:
+ * an activity at 09:00 in Tokyo shows on the same day and at the same moment in
+ * every subscriber's calendar, converted to their zone by the calendar app.
+ * Undated activities are skipped; activities without a start time become
+ * all-day events on the activity's day.
+ */
+import { convertTimestampToDate } from './dateUtils';
+import { getActivityDateString, getActivityTimeZone } from './activityLifecycle';
+
+const PRODUCT_ID = '-//WannaGonna//Activities//EN';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * "YYYY-MM-DD" of a date's local fields.
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Escape a TEXT property value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Fold a content line at 75 characters (continuation lines start with a space).
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const chunks = [];
+  let rest = line;
+  while (rest.length > 75) {
+    chunks.push(rest.slice(0, 75));
+    rest = rest.slice(75);
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * UTC timestamp value, e.g. "20260115T093000Z".
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Date (and time) value of a DTSTART/DTEND line.
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @param {string|null} time - "HH:mm", or null for all-day values
+ * @param {string|null} [timeZone] - IANA zone of the time; floating time when missing
+ * @returns {string} e.g. ";VALUE=DATE:20260115" or ";TZID=Asia/Tokyo:20260115T093000"
+ */
+function formatDateValue(dateString, time, timeZone = null) {
+  const date = dateString.replace(/-/g, '');
+  if (!time) return `;VALUE=DATE:${date}`;
+  return `${timeZone ? `;TZID=${timeZone}` : ''}:${date}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Day after a "YYYY-MM-DD" date (all-day DTEND is exclusive).
+ * @param {string} dateString
+ * @returns {string}
+ */
+function nextDay(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return toDateString(new Date(year, month - 1, day + 1));
+}
+
+/**
+ * Time one hour after "HH:mm", capped at 23:59.
+ * @param {string} time
+ * @returns {string}
+ */
+function oneHourLater(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours >= 23 ? '23:59' : `${pad(hours + 1)}:${pad(minutes)}`;
+}
+
+/**
+ * Calendar event of an activity, with dates read in the activity's time zone.
+ * The calendar feed function returns events in this same shape.
+ * @param {Object} activity - Activity with start_date, start_time, end_date, end_time
+ * @param {string} url - Link to the activity
+ * @returns {Object|null} null for undated activities
+ */
+export function activityToCalendarEvent(activity, url) {
+  const startDate = getActivityDateString(activity, activity?.start_date);
+  if (!startDate) return null;
+  const endDate = getActivityDateString(activity, activity.end_date);
+  const updatedAt = convertTimestampToDate(activity.updated_at);
+  return {
+    id: activity.id,
+    title: activity.title,
+    description: activity.description,
+    organization_name: activity.organization_name,
+    start_date: startDate,
+    start_time: activity.start_time || null,
+    end_date: endDate,
+    end_time: activity.end_time || null,
+    time_zone: getActivityTimeZone(activity),
+    location: activity.type === 'online' ? 'Online' : activity.location || [activity.city, activity.country].filter(Boolean).join(', '),
+    status: activity.status,
+    updated_at: updatedAt ? updatedAt.toISOString() : null,
+    url,
+  };
+}
+
+/**
+ * VEVENT lines of a calendar event.
+ * @param {Object} event - See activityToCalendarEvent
+ * @param {string} stamp - DTSTAMP value
+ * @returns {string[]}
+ */
+function buildEventLines(event, stamp) {
+  const lastDay = event.end_date || event.start_date;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:activity-${event.id}@wannagonna.org`,
+    `DTSTAMP:${stamp}`,
+  ];
+
+  if (event.start_time) {
+    const endTime = event.end_time || (lastDay === event.start_date ? oneHourLater(event.start_time) : event.start_time);
+    lines.push(`DTSTART${formatDateValue(event.start_date, event.start_time, event.time_zone)}`);
+    lines.push(`DTEND${formatDateValue(lastDay, endTime, event.time_zone)}`);
+  } else {
+    lines.push(`DTSTART${formatDateValue(event.start_date, null)}`);
+    lines.push(`DTEND${formatDateValue(nextDay(lastDay), null)}`);
+  }
+
+  const description = [
+    event.organization_name,
+    event.description,
+    event.url,
+  ].filter(Boolean).join('\n\n');
+
+  lines.push(`SUMMARY:${escapeText(event.status === 'Cancelled' ? `[Cancelled] ${event.title}` : event.title)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatUtc(new Date(event.updated_at))}`);
+  lines.push(`STATUS:${event.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build an .ics calendar.
+ * @param {Object} params
+ * @param {string} params.name - Calendar name shown by calendar apps
+ * @param {Array<Object>} params.events - See activityToCalendarEvent
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function buildICalendar({ name, events }) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Hint for subscribed calendars to refresh every hour
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.filter(Boolean).flatMap((event) => buildEventLines(event, stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Download an activity as an .ics file.
+ * @param {Object} activity
+ * @param {string} url - Link to the activity
+ */
+export function downloadActivityIcs(activity, url) {
+  const event = activityToCalendarEvent(activity, url);
+  if (!event) return;
+  const blob = new Blob([buildICalendar({ name: activity.title, events: [event] })], {
+    type: 'text/calendar;charset=utf-8',
+  });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${(activity.title || 'activity').replace(/[^\p{L}\p{N}]+/gu, '-').slice(0, 60)}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
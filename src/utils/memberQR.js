@@ -0,0 +1,63 @@
+/**
+ * Personal member QR codes, for volunteers who cannot scan the activity's code themselves
+ * (old phones, no data). The member shows or prints their code and NPO staff scan it from
+ * the kiosk page (mynonprofit/activities/kiosk). The QR carries a secret token that only
+ * the member can get (functions/src/members/memberQRTokens.js), resolved to the member by
+ * the kiosk's NPO when scanned.
+ */
+import { httpsCallable } from 'firebase/functions';
+import { functions } from 'firebaseConfig';
+
+const MEMBER_QR_PREFIX = 'WANNAGONNA-MEMBER:';
+
+/**
+ * Value encoded in a member's personal QR code.
+ * @param {string} token - Member QR token (see fetchMemberQRToken)
+ * @returns {string}
+ */
+export function getMemberQRValue(token) {
+  return `${MEMBER_QR_PREFIX}${token}`;
+}
+
+/**
+ * Member QR token carried by a scanned QR, for QRCodeScanner's parseScan.
+ * @param {string} decodedText - Scanned text
+ * @returns {{ token: string }|null} Null when the QR is not a member QR
+ */
+export function parseMemberQRValue(decodedText) {
+  const text = (decodedText || '').trim();
+  if (!text.toUpperCase().startsWith(MEMBER_QR_PREFIX)) return null;
+  const token = text.slice(MEMBER_QR_PREFIX.length).trim().toLowerCase();
+  return token ? { token } : null;
+}
+
+/**
+ * The signed-in member's QR token, created on first use.
+ * @param {Object} [options]
+ * @param {boolean} [options.regenerate=false] - Replace the token; printed codes stop working
+ * @returns {Promise<string>}
+ */
+export async function fetchMemberQRToken({ regenerate = false } = {}) {
+  const getMemberQRToken = httpsCallable(functions, 'getMemberQRToken');
+  const { data } = await getMemberQRToken({ regenerate });
+  return data.token;
+}
+
+/**
+ * Member of a scanned QR token, for the kiosk of an activity (NPO staff and ambassadors),
+ * with the activity requirements they do not meet as checked by the server (the minimum
+ * age needs their private birth date).
+ * @param {string} activityId
+ * @param {string} token
+ * @returns {Promise<{ userId: string, eligibilityIssues: string[] }|null>} Null for unknown tokens
+ */
+export async function resolveMemberQRToken(activityId, token) {
+  try {
+    const resolve = httpsCallable(functions, 'resolveMemberQRToken');
+    const { data } = await resolve({ activityId, token });
+    return data?.userId ? { userId: data.userId, eligibilityIssues: data.eligibilityIssues || [] } : null;
+  } catch (error) {
+    console.error('Error resolving member QR token:', error);
+    return null;
+  }
+}
@@ -195,3 +195,20 @@ export async function updateNotificationPreferences(userId, newPrefs) {
     notification_preferences: newPrefs,
   }, {merge: true});
 }
+
+/**
+ * Turn the reminders sent before accepted activities on or off for a user.
+ * @param {string} userId
+ * @param {boolean} enabled
+ * @return {Promise<void>}
+ */
+export async function updateActivityRemindersEnabled(userId, enabled) {
+  if (!userId) {
+    throw new Error("updateActivityRemindersEnabled: userId is required");
+  }
+
+  const userRef = doc(db, "members", userId);
+  await setDoc(userRef, {
+    activity_reminders_enabled: enabled,
+  }, {merge: true});
+}
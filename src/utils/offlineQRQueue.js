@@ -0,0 +1,146 @@
+import { functions } from 'firebaseConfig';
+import { validateActivityByQR } from './crudActivityValidation';
+
+/**
+ * Offline queue of QR validation scans, for activities at sites without signal
+ * (parks, beaches). A scan that cannot reach the validateActivityByQR function is
+ * stored in IndexedDB with the device time and UTC offset of the scan, and sent later
+ * with them: the function checks the activity date against that time, but the token
+ * against its own clock, so scans of rotating codes are refused (ROTATING_QR_OFFLINE).
+ *
+ * The queue is shared with the service worker (public/firebase-messaging-sw.js), which
+ * sends it on Background Sync when connectivity returns and posts QR_QUEUE_SYNCED to
+ * open pages. Browsers without Background Sync send it from the page instead
+ * (useOfflineQRQueue). Keep the names below in sync with the worker.
+ */
+const QUEUE_DB_NAME = 'wannagonna-offline';
+const QUEUE_STORE = 'qr_scans';
+export const QR_QUEUE_SYNC_TAG = 'qr-scan-queue';
+export const QR_QUEUE_SYNCED_MESSAGE = 'QR_QUEUE_SYNCED';
+
+/**
+ * @typedef {Object} QueuedQRScan
+ * @property {number} id - Auto-incremented key
+ * @property {string} user_id - Volunteer who scanned
+ * @property {string} activity_id
+ * @property {string} token - Scanned token
+ * @property {number} scanned_at - Device time of the scan (ms)
+ * @property {number} tz_offset_minutes - Device UTC offset at scan time
+ * @property {string} function_url - validateActivityByQR endpoint the worker posts to
+ * @property {number} [server_errors] - Server errors the worker got sending it; dropped at 5
+ */
+
+/**
+ * HTTPS endpoint of the validateActivityByQR function in the app's Firebase project (the
+ * service worker has no access to the app config). Same emulator rule as firebaseConfig.
+ * @returns {string}
+ */
+export function getValidateByQRUrl() {
+  const { projectId } = functions.app.options;
+  const region = functions.region || 'us-central1';
+  return process.env.NODE_ENV === 'development'
+    ? `http://localhost:5001/${projectId}/${region}/validateActivityByQR`
+    : `https://${region}-${projectId}.cloudfunctions.net/validateActivityByQR`;
+}
+
+function openQueueDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runInStore(mode, operation) {
+  const database = await openQueueDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(database.transaction(QUEUE_STORE, mode).objectStore(QUEUE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Whether scans can be queued on this device.
+ * @returns {boolean}
+ */
+export function isOfflineQRQueueSupported() {
+  return typeof window !== 'undefined' && 'indexedDB' in window;
+}
+
+/**
+ * Queue a scan made without connectivity, and ask the service worker to send it when
+ * the device is back online.
+ * @param {string} userId - Volunteer who scanned
+ * @param {string} activityId
+ * @param {string} token - Scanned token
+ * @returns {Promise<void>}
+ */
+export async function queueQRScan(userId, activityId, token) {
+  const now = new Date();
+  await runInStore('readwrite', (store) => store.add({
+    user_id: userId,
+    activity_id: activityId,
+    token,
+    scanned_at: now.getTime(),
+    tz_offset_minutes: now.getTimezoneOffset(),
+    function_url: getValidateByQRUrl(),
+  }));
+  await requestQRQueueSync();
+}
+
+/**
+ * Scans of a volunteer waiting to be sent, oldest first.
+ * @param {string} userId
+ * @returns {Promise<QueuedQRScan[]>}
+ */
+export async function getQueuedQRScans(userId) {
+  if (!isOfflineQRQueueSupported()) return [];
+  const scans = await runInStore('readonly', (store) => store.getAll());
+  return scans.filter((scan) => scan.user_id === userId);
+}
+
+/**
+ * Register a Background Sync for the queue.
+ * @returns {Promise<boolean>} False when the browser has no Background Sync (send from the page)
+ */
+export async function requestQRQueueSync() {
+  if (!('serviceWorker' in navigator)) return false;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) return false;
+    await registration.sync.register(QR_QUEUE_SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.error('Error registering QR queue sync:', error);
+    return false;
+  }
+}
+
+/**
+ * Send a volunteer's queued scans from the page. Scans the function answered are removed
+ * (validated or refused); scans it could not be reached for stay queued.
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} Function results of the scans sent, with their activity_id
+ */
+export async function flushQRScanQueue(userId) {
+  const scans = await getQueuedQRScans(userId);
+  const results = [];
+  for (const scan of scans) {
+    const result = await validateActivityByQR(userId, scan.activity_id, scan.token, {
+      scannedAt: scan.scanned_at,
+      tzOffsetMinutes: scan.tz_offset_minutes,
+    });
+    if (result.error === 'NETWORK_ERROR') break;
+    await runInStore('readwrite', (store) => store.delete(scan.id));
+    results.push({ ...result, activity_id: scan.activity_id });
+  }
+  return results;
+}
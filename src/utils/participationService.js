@@ -22,8 +22,11 @@ import { db } from 'firebaseConfig';
  * @property {ParticipationHours} hours
  * @property {import('firebase/firestore').Timestamp|null} [checked_in_at]
  * @property {import('firebase/firestore').Timestamp|null} [checked_out_at]
+ * @property {number} [measured_hours] - Hours between the arrival and departure QR scans
+ * @property {boolean} [check_out_auto_closed] - Departure scan missed; closed at the activity end, to review
  * @property {number} [xp_awarded]
  * @property {import('firebase/firestore').Timestamp} [joined_at]
+ * @property {string[]} [slot_ids] - Time slots the participant signed up for
  */
 
 /**
@@ -54,7 +57,8 @@ export async function createOrUpdateParticipation(activityId, userId, data) {
       checked_in_at: data.checked_in_at ?? null,
       checked_out_at: data.checked_out_at ?? null,
       xp_awarded: data.xp_awarded ?? 0,
-      joined_at: data.joined_at ?? now
+      joined_at: data.joined_at ?? now,
+      ...(Array.isArray(data.slot_ids) && { slot_ids: data.slot_ids })
     });
   }
 }
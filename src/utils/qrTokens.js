@@ -0,0 +1,76 @@
+import { doc, getDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from 'firebaseConfig';
+
+/**
+ * QR validation modes of local activities and events (`qr_mode`):
+ * - 'static': the printed poster encodes a fixed token (default, for venues
+ *   without a screen)
+ * - 'rotating': the NPO displays the code on a device; it changes every period
+ *   and is derived TOTP-style from a per-activity secret held by Cloud Functions
+ *   (functions/src/activity-mgt/qrTokens.js), which verifies scans with a
+ *   one-period clock-skew window.
+ *
+ * With `check_out_enabled`, a second departure code (own token and secret) records
+ * check-outs; the function tells both codes apart, so the URLs look the same.
+ *
+ * Tokens and secrets are kept in activities/{activityId}/private/qr, which only the
+ * activity's NPO can read; scans are checked by the validateActivityByQR function.
+ */
+export const QR_MODES = ['static', 'rotating'];
+
+/** Length of a rotating code (hex characters kept from the HMAC; keep in sync with the function). */
+const ROTATING_TOKEN_LENGTH = 20;
+
+/**
+ * Static QR code token of an activity (NPO staff and admins).
+ * @param {string} activityId - Activity ID
+ * @param {'check_in'|'check_out'} [scan] - Arrival (default) or departure code
+ * @returns {Promise<string|null>} Null until Cloud Functions have created it
+ */
+export async function fetchActivityQRCodeToken(activityId, scan = 'check_in') {
+  try {
+    const snap = await getDoc(doc(db, 'activities', activityId, 'private', 'qr'));
+    const data = snap.data() || {};
+    return (scan === 'check_out' ? data.check_out_token : data.qr_code_token) || null;
+  } catch (error) {
+    console.error('Error fetching QR code token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Secrets of an activity's rotating codes, for the device that displays them (NPO staff and admins).
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<{ secret: string, checkOutSecret: string|null, period: number, serverTime: number }>}
+ */
+export async function fetchActivityQRSecret(activityId) {
+  try {
+    const getSecret = httpsCallable(functions, 'getActivityQRSecret');
+    const result = await getSecret({ activityId });
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching QR secret:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rotating code of one period: HMAC-SHA256 of the big-endian period index keyed
+ * by the hex secret, same as the function.
+ * @param {string} secret - Hex secret
+ * @param {number} step - Period index (Math.floor(seconds / period))
+ * @returns {Promise<string>}
+ */
+export async function computeRotatingToken(secret, step) {
+  const keyBytes = new Uint8Array(secret.match(/.{2}/g).map((byte) => parseInt(byte, 16)));
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const counter = new DataView(new ArrayBuffer(8));
+  counter.setUint32(0, Math.floor(step / 0x100000000));
+  counter.setUint32(4, step % 0x100000000);
+  const signature = await crypto.subtle.sign('HMAC', key, counter.buffer);
+  return Array.from(new Uint8Array(signature))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, ROTATING_TOKEN_LENGTH);
+}
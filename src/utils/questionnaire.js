@@ -0,0 +1,115 @@
+/**
+ * Application questionnaires.
+ *
+ * Questions are stored on the activity document as `questionnaire`:
+ * [{ id: string, type: QuestionType, label: string, options: string[], required: boolean }]
+ *
+ * Applications store the answers as `answers: { [questionId]: value }` where value is
+ * a string (text, single_choice), string[] (multi_choice), boolean (yes_no) or number.
+ * Organizations can save questionnaires as reusable templates
+ * (organizations/{organizationId}/questionnaires, see crudQuestionnaires.js).
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+export const QUESTION_TYPES = ['text', 'single_choice', 'multi_choice', 'yes_no', 'number'];
+
+/** Types whose answers come from a fixed list, so applicants can be filtered by them. */
+export const FILTERABLE_QUESTION_TYPES = ['single_choice', 'multi_choice', 'yes_no'];
+
+/**
+ * @param {string} type - One of QUESTION_TYPES
+ * @returns {Object} A new empty question
+ */
+export function createQuestion(type = 'text') {
+  return {
+    id: uuidv4().slice(0, 8),
+    type,
+    label: '',
+    options: type === 'single_choice' || type === 'multi_choice' ? ['', ''] : [],
+    required: false,
+  };
+}
+
+/**
+ * @param {Object} question
+ * @returns {boolean} True when the question has a label (and at least two options for choices)
+ */
+export function isQuestionValid(question) {
+  if (!question?.label?.trim() || !QUESTION_TYPES.includes(question.type)) return false;
+  if (question.type === 'single_choice' || question.type === 'multi_choice') {
+    return (question.options || []).filter((option) => option.trim()).length >= 2;
+  }
+  return true;
+}
+
+/**
+ * Serialize questions for Firestore (drops invalid questions and empty options).
+ * @param {Array} questions
+ * @returns {Array}
+ */
+export function normalizeQuestionnaire(questions) {
+  return (questions || []).filter(isQuestionValid).map((question) => ({
+    id: question.id,
+    type: question.type,
+    label: question.label.trim(),
+    options: question.type === 'single_choice' || question.type === 'multi_choice'
+      ? question.options.map((option) => option.trim()).filter(Boolean)
+      : [],
+    required: question.required === true,
+  }));
+}
+
+/**
+ * Whether an answer counts as provided.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasAnswer(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '';
+  return value !== null && value !== undefined && !Number.isNaN(value);
+}
+
+/**
+ * IDs of required questions left unanswered.
+ * @param {Array} questions - Activity questionnaire
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {string[]}
+ */
+export function getMissingAnswers(questions, answers = {}) {
+  return (questions || [])
+    .filter((question) => question.required && !hasAnswer(answers[question.id]))
+    .map((question) => question.id);
+}
+
+/**
+ * Keep only answers to questions of the questionnaire, trimmed.
+ * @param {Array} questions - Activity questionnaire
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {Object}
+ */
+export function cleanAnswers(questions, answers = {}) {
+  return (questions || []).reduce((acc, question) => {
+    const value = answers[question.id];
+    if (!hasAnswer(value)) return acc;
+    acc[question.id] = typeof value === 'string' ? value.trim() : value;
+    return acc;
+  }, {});
+}
+
+/**
+ * Whether an answer matches a filter value (for choice and yes/no questions).
+ * @param {Object} question
+ * @param {*} answer
+ * @param {string} filterValue - Option label, or 'yes' / 'no'
+ * @returns {boolean}
+ */
+export function answerMatches(question, answer, filterValue) {
+  if (question.type === 'yes_no') {
+    return answer === (filterValue === 'yes');
+  }
+  if (question.type === 'multi_choice') {
+    return Array.isArray(answer) && answer.includes(filterValue);
+  }
+  return answer === filterValue;
+}
@@ -0,0 +1,175 @@
+/**
+ * Profile-based activity recommendations.
+ *
+ * Each open activity gets a 0–100 match score against the member profile:
+ *   skills        30  share of the activity's skills the member has
+ *   languages     15  the member speaks one of the activity's languages
+ *   cause         15  the member's cause/hobbies mention the activity's SDG or category
+ *   distance      20  close to the member's location (or same country without one)
+ *   availability  20  day, time of day and frequency fit the member's availabilities
+ *
+ * `reasons` lists the parts that matched so ActivityCard can explain the score.
+ * Used by the "Best match" sort of the activities page and the dashboard's
+ * "Recommended for you" section.
+ */
+import { sdgNames } from '@/constant/sdgs';
+import { calculateDistance } from './geolocation';
+import { convertTimestampToDate } from './dateUtils';
+import { isBlockedByRequirements, speaksLanguage } from './eligibility';
+
+const WEIGHTS = {
+  skills: 30,
+  languages: 15,
+  cause: 15,
+  distance: 20,
+  availability: 20,
+};
+
+/** Within this distance a local activity gets the full distance score. */
+const NEARBY_KM = 5;
+/** Beyond this distance it gets none. */
+const MAX_DISTANCE_KM = 50;
+
+/** Activities below this score are not recommended on the dashboard. */
+export const MIN_RECOMMENDATION_SCORE = 30;
+
+// Words too common to count as a cause match
+const STOP_WORDS = new Set(['and', 'for', 'the', 'life', 'other', 'online', 'local', 'goals', 'good']);
+
+const optionValue = (item) =>
+  typeof item === 'object' && item !== null ? item.value || item.id || item.label : item;
+
+/**
+ * Keywords describing an activity's cause (SDG name and category id).
+ * @param {Object} activity
+ * @returns {string[]} Lower-cased word stems
+ */
+function getCauseKeywords(activity) {
+  const text = `${sdgNames[String(activity.sdg)] || ''} ${String(activity.category || '').replace(/[_-]/g, ' ')}`;
+  return text
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter((word) => word.length >= 4 && !STOP_WORDS.has(word))
+    // Stems so "educate" matches "education" and "animals" matches "animal"
+    .map((word) => word.slice(0, 5));
+}
+
+/**
+ * Availability and commitment flags the activity's schedule fits.
+ * @param {Object} activity
+ * @returns {{ availabilities: string[], commitments: string[] }}
+ */
+function getScheduleSlots(activity) {
+  const availabilities = [];
+  const start = convertTimestampToDate(activity.start_date);
+  if (start) {
+    const day = start.getDay();
+    availabilities.push(day === 0 || day === 6 ? 'weekends' : 'weekdays');
+  }
+  if (activity.start_time) {
+    const hours = Number(String(activity.start_time).split(':')[0]);
+    availabilities.push(hours < 12 ? 'mornings' : hours < 17 ? 'afternoons' : 'evenings');
+  }
+
+  let commitments;
+  if (activity.frequency === 'regular') {
+    commitments = activity.recurrence?.pattern === 'monthly' ? ['monthly', 'biweekly'] : ['weekly', 'daily'];
+  } else if (activity.frequency === 'role') {
+    commitments = ['daily', 'weekly', 'biweekly'];
+  } else {
+    commitments = ['occasional'];
+  }
+  return { availabilities, commitments };
+}
+
+/**
+ * Match score of an activity for a member.
+ * @param {Object} activity
+ * @param {Object|null} member - Member profile
+ * @param {Object} [options]
+ * @param {{ latitude: number, longitude: number }|null} [options.userLocation] - e.g. from "Around Me"
+ * @returns {{ score: number, reasons: Array<{ code: string, count?: number, distance?: number }> }}
+ *   Reason codes: skills, language, cause, nearby, same_country, availability
+ */
+export function scoreActivityMatch(activity, member, { userLocation = null } = {}) {
+  if (!activity || !member) return { score: 0, reasons: [] };
+  let score = 0;
+  const reasons = [];
+
+  // Skills
+  const activitySkills = (activity.skills || []).map(optionValue).filter(Boolean);
+  if (activitySkills.length > 0) {
+    const memberSkills = new Set((member.skills || []).map(optionValue));
+    const shared = activitySkills.filter((skill) => memberSkills.has(skill));
+    if (shared.length > 0) {
+      score += WEIGHTS.skills * (shared.length / activitySkills.length);
+      reasons.push({ code: 'skills', count: shared.length });
+    }
+  }
+
+  // Languages
+  if ((activity.languages || []).some((language) => speaksLanguage(member, optionValue(language)))) {
+    score += WEIGHTS.languages;
+    reasons.push({ code: 'language' });
+  }
+
+  // SDG / cause affinity
+  const causeText = `${member.cause || ''} ${member.hobbies || ''}`.toLowerCase();
+  if (causeText.trim() && getCauseKeywords(activity).some((keyword) => causeText.includes(keyword))) {
+    score += WEIGHTS.cause;
+    reasons.push({ code: 'cause' });
+  }
+
+  // Distance (online activities can be done from anywhere)
+  if (activity.type === 'online') {
+    score += WEIGHTS.distance / 2;
+  } else if (userLocation && activity.coordinates?.latitude != null && activity.coordinates?.longitude != null) {
+    const distance = calculateDistance(
+      userLocation.latitude,
+      userLocation.longitude,
+      activity.coordinates.latitude,
+      activity.coordinates.longitude
+    );
+    if (distance <= MAX_DISTANCE_KM) {
+      const closeness = distance <= NEARBY_KM ? 1 : 1 - (distance - NEARBY_KM) / (MAX_DISTANCE_KM - NEARBY_KM);
+      score += WEIGHTS.distance * closeness;
+      reasons.push({ code: 'nearby', distance });
+    }
+  } else if (member.country && activity.country && member.country === activity.country) {
+    score += WEIGHTS.distance / 2;
+    reasons.push({ code: 'same_country' });
+  }
+
+  // Availability: half for the day/time of day, half for the frequency
+  const memberAvailabilities = member.availabilities || {};
+  const memberCommitments = member.time_commitment || {};
+  const { availabilities, commitments } = getScheduleSlots(activity);
+  const fitsTime = memberAvailabilities.flexible || (
+    availabilities.length > 0 && availabilities.every((slot) => memberAvailabilities[slot])
+  );
+  const fitsCommitment = memberCommitments.flexible || commitments.some((slot) => memberCommitments[slot]);
+  if (fitsTime || fitsCommitment) {
+    score += (WEIGHTS.availability / 2) * ((fitsTime ? 1 : 0) + (fitsCommitment ? 1 : 0));
+    reasons.push({ code: 'availability' });
+  }
+
+  return { score: Math.round(score), reasons };
+}
+
+/**
+ * Activities the member can apply to, best match first.
+ * Activities whose requirements block the member are left out.
+ * @param {Array} activities
+ * @param {Object|null} member - Member profile
+ * @param {Object} [options] - See scoreActivityMatch
+ * @param {number} [options.minScore=0] - Drop activities scoring below this
+ * @returns {Array<Object>} Activities with a `match` ({ score, reasons }) field
+ */
+export function rankActivitiesForMember(activities, member, { minScore = 0, ...options } = {}) {
+  if (!member) return [];
+  return (activities || [])
+    .filter((activity) => !isBlockedByRequirements(activity, member))
+    .map((activity) => ({ ...activity, match: scoreActivityMatch(activity, member, options) }))
+    .filter((activity) => activity.match.score >= minScore)
+    .sort((a, b) => b.match.score - a.match.score);
+}
@@ -0,0 +1,182 @@
+/**
+ * Recurrence rules for activity series (frequency === 'regular').
+ *
+ * A rule is stored on every occurrence document as `recurrence`:
+ * {
+ *   pattern: 'weekly' | 'monthly',
+ *   days_of_week: number[],   // weekly: 0 (Sunday) – 6 (Saturday)
+ *   week_of_month: number,    // monthly: 1–4, or -1 for the last week
+ *   day_of_week: number,      // monthly: 0 (Sunday) – 6 (Saturday)
+ *   end_type: 'count' | 'until',
+ *   count: number | null,     // end_type 'count'
+ *   until: Date | null,       // end_type 'until' (inclusive)
+ * }
+ */
+
+/** Hard cap so a mistyped "until" date cannot create hundreds of documents. */
+export const MAX_OCCURRENCES = 52;
+
+export const DEFAULT_RECURRENCE = {
+  pattern: 'weekly',
+  days_of_week: [],
+  week_of_month: 1,
+  day_of_week: 6,
+  end_type: 'count',
+  count: 4,
+  until: null,
+};
+
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (value.seconds != null) return new Date(value.seconds * 1000);
+  if (typeof value.toDate === 'function') return value.toDate();
+  return new Date(value);
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Date of the nth weekday of a month (n = -1 for the last one).
+ * Returns null when the month has no such day (e.g. 5th Monday).
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(year, month + 1, 0);
+    const offset = (last.getDay() - weekday + 7) % 7;
+    return new Date(year, month, last.getDate() - offset);
+  }
+  const first = new Date(year, month, 1);
+  const offset = (weekday - first.getDay() + 7) % 7;
+  const day = 1 + offset + (n - 1) * 7;
+  const result = new Date(year, month, day);
+  return result.getMonth() === month ? result : null;
+}
+
+/**
+ * Check that a rule has everything needed to generate occurrences.
+ * @param {Object} rule - Recurrence rule
+ * @returns {boolean}
+ */
+export function isRecurrenceRuleValid(rule) {
+  if (!rule) return false;
+  if (rule.pattern === 'weekly') {
+    if (!Array.isArray(rule.days_of_week) || rule.days_of_week.length === 0) return false;
+  } else if (rule.pattern === 'monthly') {
+    if (rule.day_of_week == null || rule.week_of_month == null) return false;
+  } else {
+    return false;
+  }
+  if (rule.end_type === 'count') {
+    return Number(rule.count) >= 1;
+  }
+  if (rule.end_type === 'until') {
+    return !!toDate(rule.until);
+  }
+  return false;
+}
+
+/**
+ * Generate the occurrence dates of a series, starting from the series start date.
+ * Dates are returned at midnight local time, sorted and capped at MAX_OCCURRENCES.
+ * @param {Date} startDate - First day the series may start on
+ * @param {Object} rule - Recurrence rule
+ * @returns {Date[]} Occurrence dates
+ */
+export function generateOccurrenceDates(startDate, rule) {
+  const start = toDate(startDate);
+  if (!start || !isRecurrenceRuleValid(rule)) return [];
+
+  const first = startOfDay(start);
+  const until = rule.end_type === 'until' ? startOfDay(toDate(rule.until)) : null;
+  const maxCount = rule.end_type === 'count'
+    ? Math.min(Number(rule.count), MAX_OCCURRENCES)
+    : MAX_OCCURRENCES;
+  const dates = [];
+
+  const accept = (date) => {
+    if (date < first) return true;
+    if (until && date > until) return false;
+    dates.push(date);
+    return dates.length < maxCount;
+  };
+
+  if (rule.pattern === 'weekly') {
+    const days = [...new Set(rule.days_of_week.map(Number))];
+    const cursor = new Date(first);
+    // Upper bound on iterations: one year of days beyond the cap is plenty
+    for (let i = 0; i < MAX_OCCURRENCES * 7 + 7; i += 1) {
+      if (days.includes(cursor.getDay())) {
+        if (!accept(new Date(cursor))) break;
+      }
+      cursor.setDate(cursor.getDate() + 1);
+    }
+  } else {
+    const weekday = Number(rule.day_of_week);
+    const n = Number(rule.week_of_month);
+    for (let i = 0; i < MAX_OCCURRENCES * 2; i += 1) {
+      const date = nthWeekdayOfMonth(first.getFullYear(), first.getMonth() + i, weekday, n);
+      if (date && !accept(date)) break;
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Serialize a rule for Firestore (drops fields unused by the chosen pattern/end type).
+ * @param {Object} rule - Recurrence rule from the form
+ * @returns {Object} Rule to persist
+ */
+export function normalizeRecurrenceRule(rule) {
+  const isWeekly = rule.pattern === 'weekly';
+  return {
+    pattern: isWeekly ? 'weekly' : 'monthly',
+    days_of_week: isWeekly ? [...rule.days_of_week].map(Number).sort((a, b) => a - b) : [],
+    week_of_month: isWeekly ? null : Number(rule.week_of_month),
+    day_of_week: isWeekly ? null : Number(rule.day_of_week),
+    end_type: rule.end_type,
+    count: rule.end_type === 'count' ? Number(rule.count) : null,
+    until: rule.end_type === 'until' ? startOfDay(toDate(rule.until)) : null,
+  };
+}
+
+/**
+ * Collapse the occurrences of each series into a single entry for list views.
+ * The kept occurrence is the next upcoming one (or the latest past one when the
+ * whole series is in the past) and carries `more_occurrences_count`.
+ * Standalone activities are returned unchanged and the input order is preserved.
+ * @param {Array} activities - Activities, already filtered and sorted
+ * @returns {Array} Activities with one entry per series
+ */
+export function groupSeriesOccurrences(activities) {
+  const today = startOfDay(new Date());
+  const bySeries = new Map();
+
+  activities.forEach((activity) => {
+    if (!activity.series_id) return;
+    if (!bySeries.has(activity.series_id)) bySeries.set(activity.series_id, []);
+    bySeries.get(activity.series_id).push(activity);
+  });
+
+  const representative = new Map();
+  bySeries.forEach((occurrences, seriesId) => {
+    const dated = occurrences
+      .map((activity) => ({ activity, date: toDate(activity.start_date) }))
+      .sort((a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0));
+    const upcoming = dated.filter(({ date }) => date && date >= today);
+    const chosen = upcoming.length > 0 ? upcoming[0] : dated[dated.length - 1];
+    representative.set(seriesId, {
+      id: chosen.activity.id,
+      more: Math.max(upcoming.length - 1, 0),
+    });
+  });
+
+  return activities
+    .filter((activity) => !activity.series_id || representative.get(activity.series_id).id === activity.id)
+    .map((activity) => (activity.series_id
+      ? { ...activity, more_occurrences_count: representative.get(activity.series_id).more }
+      : activity));
+}
@@ -0,0 +1,46 @@
+/**
+ * Search service — keyword search over activities and organizations through
+ * the fullTextSearch Firebase function (typo tolerant, stemmed in en/es/fr,
+ * bigrams for Japanese).
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from 'firebaseConfig';
+
+/** Largest page the function returns. */
+const MAX_PAGE_SIZE = 100;
+/** Pages fetched at most when collecting every matching activity. */
+const MAX_ACTIVITY_PAGES = 5;
+
+/**
+ * One page of search results.
+ * @param {Object} params
+ * @param {string} params.query - Keywords
+ * @param {'activity'|'organization'} [params.kind='activity']
+ * @param {Object} [params.filters] - { type, country, sdg, skill, language }; 'all' is ignored
+ * @param {number} [params.page=1] - 1-indexed
+ * @param {number} [params.pageSize=20]
+ * @returns {Promise<{ hits: Array<{ id: string, score: number, data?: Object }>, total: number, complete: boolean, page: number, pageSize: number, hasMore: boolean }>}
+ *   `complete` is false when the function stopped reading candidates, so `total` is a lower bound
+ */
+export async function search({ query, kind = 'activity', filters = {}, page = 1, pageSize = 20 }) {
+  const fullTextSearch = httpsCallable(functions, 'fullTextSearch');
+  const result = await fullTextSearch({ query, kind, filters, page, pageSize });
+  return result.data;
+}
+
+/**
+ * Scores of every Open activity matching the keywords, best first.
+ * @param {string} query
+ * @param {Object} [filters] - { type, country, sdg, skill }
+ * @returns {Promise<Map<string, number>>} activityId -> score
+ */
+export async function searchActivityScores(query, filters = {}) {
+  const scores = new Map();
+  for (let page = 1; page <= MAX_ACTIVITY_PAGES; page++) {
+    const { hits, hasMore } = await search({ query, filters, page, pageSize: MAX_PAGE_SIZE });
+    hits.forEach((hit) => scores.set(hit.id, hit.score));
+    if (!hasMore) break;
+  }
+  return scores;
+}
@@ -24,7 +24,8 @@ export function getBaseUrl() {
  */
 export function prepareActivityShareData(activity, organization = null, translations = {}) {
   const baseUrl = getBaseUrl();
-  const activityUrl = `${baseUrl}/activities?activityId=${activity.id}`;
+  // Public page, readable without an account (and by social previews)
+  const activityUrl = `${baseUrl}/a/${activity.id}`;
   
   const orgName = organization?.name || activity.organization_name || 'Organization';
   const orgLogo = organization?.logo || activity.organization_logo || '';
@@ -1,4 +1,4 @@
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
 import { storage } from 'firebaseConfig';
 import { resizeAvatarImageForUpload } from '@/utils/avatarImageResize';
 
@@ -68,4 +68,56 @@ export const uploadOrgPicture = async (file, orgId) => {
   // Create a path for the profile picture in the members folder
   const path = `organizations/${orgId}`;
   return uploadFile(file, path);
-}; 
\ No newline at end of file
+};
+
+/**
+ * Uploads an activity attachment to Firebase Storage. Storage rules serve
+ * "public" files to everyone and "accepted" ones to accepted volunteers and
+ * the organization's staff, so no download URL is returned here: readers get
+ * one with getStoredFileUrl when they open the file.
+ * @param {File} file - The attachment
+ * @param {string} activityId - The activity's ID
+ * @param {'public'|'accepted'} visibility - Who may download it
+ * @returns {Promise<string>} - The storage path of the uploaded file
+ */
+export const uploadActivityAttachment = async (file, activityId, visibility) => {
+  if (!file || !activityId) {
+    throw new Error('File and activityId are required');
+  }
+  if (!['public', 'accepted'].includes(visibility)) {
+    throw new Error('visibility must be public or accepted');
+  }
+
+  const safeName = file.name.replace(/[^\p{L}\p{N}._-]+/gu, '-');
+  const path = `activities/${activityId}/attachments/${visibility}/${Date.now()}-${safeName}`;
+  const storageRef = ref(storage, path);
+  await uploadBytes(storageRef, file, {
+    contentType: file.type || 'application/octet-stream',
+    contentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+  });
+  return path;
+};
+
+/**
+ * Gets a download URL for a stored file (checked against Storage rules)
+ * @param {string} path - The storage path
+ * @returns {Promise<string>} - The download URL
+ */
+export const getStoredFileUrl = async (path) => {
+  return getDownloadURL(ref(storage, path));
+};
+
+/**
+ * Deletes a file from Firebase Storage; a file already gone is not an error
+ * @param {string} path - The storage path
+ */
+export const deleteStoredFile = async (path) => {
+  try {
+    await deleteObject(ref(storage, path));
+  } catch (error) {
+    if (error.code !== 'storage/object-not-found') {
+      console.error('Error deleting file:', error);
+      throw error;
+    }
+  }
+};
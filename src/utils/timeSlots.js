@@ -0,0 +1,124 @@
+/**
+ * Time slots for local activities and events.
+ *
+ * Slots are stored on the activity document as `time_slots`:
+ * [{ id: string, start_time: 'HH:mm', end_time: 'HH:mm', capacity: number | null }]
+ *
+ * Applications store the chosen slots as `slot_ids`, and the per-slot counters
+ * `slot_counts: { [slotId]: { applicants, accepted, offered } }` are maintained on the
+ * activity by Cloud Functions (syncActivityAggregateCounts).
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * @returns {Object} A new empty slot
+ */
+export function createTimeSlot(startTime = '', endTime = '') {
+  return {
+    id: uuidv4().slice(0, 8),
+    start_time: startTime,
+    end_time: endTime,
+    capacity: null,
+  };
+}
+
+function toMinutes(time) {
+  if (!time || typeof time !== 'string') return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  if (!Number.isFinite(hours)) return null;
+  return hours * 60 + (Number.isFinite(minutes) ? minutes : 0);
+}
+
+/**
+ * @param {Object} slot
+ * @returns {boolean} True when the slot has a start time before its end time
+ */
+export function isTimeSlotValid(slot) {
+  const start = toMinutes(slot?.start_time);
+  const end = toMinutes(slot?.end_time);
+  return start != null && end != null && end > start;
+}
+
+/**
+ * Duration of a slot in hours (0 when the slot is incomplete).
+ * @param {Object} slot
+ * @returns {number}
+ */
+export function getSlotDurationHours(slot) {
+  if (!isTimeSlotValid(slot)) return 0;
+  return (toMinutes(slot.end_time) - toMinutes(slot.start_time)) / 60;
+}
+
+/**
+ * Total duration of the given slots of an activity.
+ * @param {Array} timeSlots - Activity time_slots
+ * @param {string[]} slotIds - Selected slot IDs
+ * @returns {number} Hours
+ */
+export function getSlotsDurationHours(timeSlots, slotIds) {
+  if (!Array.isArray(timeSlots) || !Array.isArray(slotIds)) return 0;
+  return timeSlots
+    .filter((slot) => slotIds.includes(slot.id))
+    .reduce((total, slot) => total + getSlotDurationHours(slot), 0);
+}
+
+/**
+ * @param {Object} slot
+ * @returns {string} e.g. "09:00 – 12:00"
+ */
+export function formatSlotLabel(slot) {
+  if (!slot) return '';
+  return `${slot.start_time || '--:--'} – ${slot.end_time || '--:--'}`;
+}
+
+/**
+ * Sort slots by start time.
+ * @param {Array} timeSlots
+ * @returns {Array}
+ */
+export function sortTimeSlots(timeSlots) {
+  return [...(timeSlots || [])].sort(
+    (a, b) => (toMinutes(a.start_time) ?? 0) - (toMinutes(b.start_time) ?? 0)
+  );
+}
+
+/**
+ * Keep the activity-wide start_time/end_time and participant_target in sync
+ * with its slots (earliest start, latest end, sum of capacities).
+ * @param {Object} data - Activity form data
+ * @returns {Object} Updated data
+ */
+export function applyTimeSlotsEnvelope(data) {
+  const slots = (data.time_slots || []).filter(isTimeSlotValid);
+  if (slots.length === 0) return data;
+  const sorted = sortTimeSlots(slots);
+  const latestEnd = slots.reduce(
+    (latest, slot) => (toMinutes(slot.end_time) > toMinutes(latest) ? slot.end_time : latest),
+    sorted[0].end_time
+  );
+  const capacities = slots.map((slot) => Number(slot.capacity) || 0);
+  const hasCapacity = capacities.every((capacity) => capacity > 0);
+  return {
+    ...data,
+    start_time: sorted[0].start_time,
+    end_time: latestEnd,
+    participant_target: hasCapacity
+      ? capacities.reduce((sum, capacity) => sum + capacity, 0)
+      : data.participant_target,
+  };
+}
+
+/**
+ * Remaining places in a slot, or null when the slot has no capacity limit.
+ * Pending waitlist offers hold a place until they are confirmed or expire.
+ * @param {Object} activity - Activity with time_slots and slot_counts
+ * @param {Object} slot
+ * @returns {number|null}
+ */
+export function getSlotRemainingCapacity(activity, slot) {
+  const capacity = Number(slot?.capacity) || 0;
+  if (capacity <= 0) return null;
+  const counts = activity?.slot_counts?.[slot.id];
+  const taken = (counts?.accepted || 0) + (counts?.offered || 0);
+  return Math.max(capacity - taken, 0);
+}
@@ -96,6 +96,14 @@ export const profileSchema = z.object({
   facebook: urlSchema,
   instagram: urlSchema,
   country: z.string(),
+  // "YYYY-MM-DD" from a date input; checked against activity age requirements
+  birth_date: z
+    .string()
+    .optional()
+    .default('')
+    .refine((val) => !val || (/^\d{4}-\d{2}-\d{2}$/.test(val) && new Date(val) <= new Date()), {
+      message: 'Please enter a valid birth date',
+    }),
   languages: z.array(languageOptionSchema).default([]),
   skills: z.array(skillOptionSchema).optional().default([]),
   profile_picture: z.string(),
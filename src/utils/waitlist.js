@@ -0,0 +1,61 @@
+/**
+ * Capacity-aware applications.
+ *
+ * When an activity (or one of its time slots) is full, new applications are
+ * created with status 'waitlisted' by the applyToActivity Cloud Function, which
+ * checks the live applications; the helpers below only preview it in the UI.
+ * Cloud Functions (functions/src/activity-mgt/waitlist.js) keep `waitlist_position`
+ * up to date and, when a place is freed, move the next volunteer to 'offered'
+ * with an `offer_expires_at` deadline. Unconfirmed offers
+ * become 'offer_expired' and pass to the next person in the queue.
+ *
+ * Accepted and offered applications both hold a place; the activity carries
+ * `accepted_applicants_count`, `offered_count` and `waitlisted_count`.
+ */
+import { getSlotRemainingCapacity } from './timeSlots';
+
+/** Statuses that no longer block a new application to the same activity. */
+export const CLOSED_APPLICATION_STATUSES = ['cancelled', 'offer_expired', 'expired'];
+
+/**
+ * Remaining places on the activity, or null when it has no participant target.
+ * @param {Object} activity - Activity with participant_target and aggregate counts
+ * @returns {number|null}
+ */
+export function getActivityRemainingCapacity(activity) {
+  const target = Number(activity?.participant_target) || 0;
+  if (target <= 0) return null;
+  const taken = (activity.accepted_applicants_count || 0) + (activity.offered_count || 0);
+  return Math.max(target - taken, 0);
+}
+
+/**
+ * Whether a new application should join the waitlist: the activity or one of
+ * the selected slots is full, or other volunteers are already queuing.
+ * @param {Object} activity - Activity document data
+ * @param {string[]} slotIds - Slots the volunteer applies for
+ * @returns {boolean}
+ */
+export function shouldWaitlistApplication(activity, slotIds = []) {
+  const remaining = getActivityRemainingCapacity(activity);
+  const selectedSlots = (activity?.time_slots || []).filter((slot) => slotIds.includes(slot.id));
+  const slotRemaining = selectedSlots.map((slot) => getSlotRemainingCapacity(activity, slot));
+  const isCapacityLimited = remaining != null || slotRemaining.some((value) => value != null);
+
+  if (!isCapacityLimited) return false;
+  if ((activity.waitlisted_count || 0) > 0) return true;
+  return remaining === 0 || slotRemaining.some((value) => value === 0);
+}
+
+/**
+ * Whether a waitlist offer can still be confirmed.
+ * @param {Object} application - Application with status and offer_expires_at
+ * @returns {boolean}
+ */
+export function isOfferActive(application) {
+  if (application?.status !== 'offered') return false;
+  const expiresAt = application.offer_expires_at;
+  if (!expiresAt) return true;
+  const date = expiresAt.toDate ? expiresAt.toDate() : new Date(expiresAt);
+  return date.getTime() > Date.now();
+}